@@ -10,6 +10,10 @@ import { optionalFirebaseAuth } from "./middleware/firebaseAuth.js";
 import auth from "./routes/auth.js";
 import tasks from "./routes/tasks.js";
 import learningGoals from "./routes/learningGoals.js";
+import schedule from "./routes/schedule.js";
+import focusSessions from "./routes/focusSessions.js";
+import calendar from "./routes/calendar.js";
+import account from "./routes/account.js";
 
 export function createApp() {
   const app = express();
@@ -27,6 +31,8 @@ export function createApp() {
     })
   );
   app.use(morgan("dev"));
+  // File khôi phục tài khoản có thể lớn hơn giới hạn chung
+  app.use("/api/account/import", express.json({ limit: "20mb" }));
   app.use(express.json({ limit: "1mb" }));
   app.use(optionalFirebaseAuth);
 
@@ -37,6 +43,10 @@ export function createApp() {
   app.use("/api/auth", auth);
   app.use("/api/tasks", tasks);
   app.use("/api/learning-goals", learningGoals);
+  app.use("/api/schedule", schedule);
+  app.use("/api/focus-sessions", focusSessions);
+  app.use("/api/calendar", calendar);
+  app.use("/api/account", account);
 
   app.use((req, res) => res.status(404).json({ error: "Not found" }));
 
@@ -1,14 +1,21 @@
 import "dotenv/config";
 import { connectMongoose } from "./config/db/index.js";
 import { createApp } from "./app.js";
+import { AccountDeletionService } from "./services/AccountDeletionService.js";
 
 // Models
 import "./models/User.js";
 import "./models/Task.js";
 import "./models/LearningGoal.js";
+import "./models/FixedSchedule.js";
+import "./models/GeneratedSchedule.js";
+import "./models/SchedulePreview.js";
+import "./models/FocusSession.js";
+import "./models/ReviewSession.js";
 
 
 await connectMongoose();
+AccountDeletionService.startPurgeJob();
 const app = createApp();
 const PORT = process.env.PORT || 8000;
 app.listen(PORT, () =>
@@ -35,10 +35,10 @@ if (!admin.apps.length) {
 }
 
 /**
- * Middleware xác thực Firebase token
- * Lưu/update user vào MongoDB và gắn req.user
+ * Xác thực Firebase token, lưu/update user vào MongoDB và gắn req.user.
+ * Tài khoản đã yêu cầu xoá (isActive=false) bị chặn trừ khi `allowDeactivated`
  */
-export const authenticateFirebase = async (req, res, next) => {
+const authenticate = async (req, res, next, { allowDeactivated = false } = {}) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -64,6 +64,10 @@ export const authenticateFirebase = async (req, res, next) => {
         photoURL: picture,
       });
 
+      if (!user.isActive && !allowDeactivated) {
+        return sendAccountDeactivated(res, user);
+      }
+
       req.firebaseUid = uid;
       req.user = user;
       req.userId = user._id.toString();
@@ -84,6 +88,10 @@ export const authenticateFirebase = async (req, res, next) => {
             photoURL: picture,
           });
 
+          if (!user.isActive && !allowDeactivated) {
+            return sendAccountDeactivated(res, user);
+          }
+
           req.firebaseUid = uid;
           req.user = user;
           req.userId = user._id.toString();
@@ -115,6 +123,29 @@ export const authenticateFirebase = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware xác thực Firebase token (chặn tài khoản đã yêu cầu xoá)
+ */
+export const authenticateFirebase = (req, res, next) =>
+  authenticate(req, res, next);
+
+/**
+ * Middleware xác thực cho phép tài khoản đang chờ xoá (dùng để khôi phục)
+ */
+export const authenticateFirebaseAllowDeactivated = (req, res, next) =>
+  authenticate(req, res, next, { allowDeactivated: true });
+
+/**
+ * Trả 403 cho tài khoản đã bị vô hiệu hoá (đang chờ xoá)
+ */
+export const sendAccountDeactivated = (res, user) =>
+  res.status(403).json({
+    error: "Account deactivated",
+    message:
+      "This account is scheduled for deletion. Restore it via POST /api/auth/me/restore",
+    deletionScheduledFor: user.deletion?.scheduledFor || null,
+  });
+
 /**
  * Optional auth middleware (không bắt buộc login)
  */
@@ -129,8 +160,9 @@ export const optionalFirebaseAuth = async (req, res, next) => {
       return next();
     }
 
-    // Có token, thử verify
-    await authenticateFirebase(req, res, next);
+    // Có token, thử verify. Tài khoản đang chờ xoá vẫn đi qua để route
+    // khôi phục dùng được; các router chặn lại bằng authenticateFirebase
+    await authenticate(req, res, next, { allowDeactivated: true });
   } catch (error) {
     // Lỗi auth, vẫn cho phép tiếp tục với guest
     req.user = null;
@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// Thời khoá biểu cố định (lịch học trên lớp, đi làm, ăn uống...)
+const FixedScheduleSchema = new Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+
+    dayOfWeek: {
+      type: Number, // 0 = CN, 1 = T2, ..., 6 = T7
+      required: true,
+      min: 0,
+      max: 6,
+    },
+
+    // Tính bằng phút kể từ 00:00 (vd: 7:30 = 450)
+    startTime: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1439,
+    },
+
+    endTime: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 1440,
+    },
+
+    // Loại hoạt động, dùng để chọn buffer time khi xếp lịch
+    type: {
+      type: String,
+      enum: ["class", "work", "study", "meal", "personal", "other"],
+      default: "class",
+    },
+
+    location: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    note: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    collection: "fixed_schedules",
+  }
+);
+
+// Indexes
+FixedScheduleSchema.index({ userId: 1, dayOfWeek: 1, startTime: 1 });
+
+// Validate end time sau start time
+FixedScheduleSchema.pre("validate", function (next) {
+  if (this.endTime <= this.startTime) {
+    return next(new Error("End time must be after start time"));
+  }
+  next();
+});
+
+// Static method: Lấy lịch cố định của các thứ trong tuần
+FixedScheduleSchema.statics.getScheduleForDays = async function (
+  userId,
+  daysOfWeek
+) {
+  return await this.find({
+    userId,
+    isActive: true,
+    dayOfWeek: { $in: daysOfWeek },
+  })
+    .sort({ dayOfWeek: 1, startTime: 1 })
+    .lean();
+};
+
+export const FixedSchedule = model("FixedSchedule", FixedScheduleSchema);
@@ -0,0 +1,159 @@
+import mongoose from "mongoose";
+import { DATE_KEY_REGEX } from "../utils/date.js";
+const { Schema, model } = mongoose;
+
+// Phiên tập trung (Pomodoro) gắn với một lần diễn ra của task
+const FocusSessionSchema = new Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+
+    // Copy từ task để rollup theo learning goal không cần join
+    learningGoalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LearningGoal",
+      default: null,
+    },
+
+    // Ngày của lần diễn ra (occurrence) - Format: "YYYY-MM-DD"
+    date: {
+      type: String,
+      required: true,
+      match: DATE_KEY_REGEX,
+    },
+
+    // Số phút dự kiến theo timeRange của occurrence
+    plannedMinutes: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    status: {
+      type: String,
+      enum: ["running", "paused", "completed"],
+      default: "running",
+    },
+
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Các khoảng tạm dừng (end = null khi đang dừng)
+    pauses: [
+      {
+        _id: false,
+        start: { type: Date, required: true },
+        end: { type: Date, default: null },
+      },
+    ],
+
+    // Các lần bị gián đoạn (điện thoại, có người gọi...)
+    interruptions: [
+      {
+        at: { type: Date, required: true },
+        reason: {
+          type: String,
+          enum: ["phone", "notification", "person", "break", "other"],
+          default: "other",
+        },
+        note: { type: String, trim: true, maxlength: 200, default: "" },
+      },
+    ],
+
+    // Số phút thực sự tập trung (không tính thời gian tạm dừng), tính khi stop
+    actualMinutes: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    collection: "focus_sessions",
+  }
+);
+
+// Indexes
+FocusSessionSchema.index({ userId: 1, date: 1 });
+FocusSessionSchema.index({ userId: 1, status: 1 });
+FocusSessionSchema.index({ taskId: 1, date: 1 });
+
+// Static method: Phiên đang chạy hoặc tạm dừng của user (tối đa 1)
+FocusSessionSchema.statics.findActive = async function (userId) {
+  return await this.findOne({
+    userId,
+    status: { $in: ["running", "paused"] },
+  });
+};
+
+// Method: Số phút tập trung tính đến thời điểm `now`
+FocusSessionSchema.methods.getElapsedMinutes = function (now = new Date()) {
+  const end = this.endedAt || now;
+  const pausedMs = this.pauses.reduce(
+    (sum, pause) => sum + ((pause.end || end) - pause.start),
+    0
+  );
+  const focusedMs = Math.max(0, end - this.startedAt - pausedMs);
+  return Math.round(focusedMs / 60000);
+};
+
+// Method: Tạm dừng
+FocusSessionSchema.methods.pause = function (now = new Date()) {
+  if (this.status !== "running") {
+    throw new Error("Only running sessions can be paused");
+  }
+  this.pauses.push({ start: now });
+  this.status = "paused";
+  return this;
+};
+
+// Method: Tiếp tục sau khi tạm dừng
+FocusSessionSchema.methods.resume = function (now = new Date()) {
+  if (this.status !== "paused") {
+    throw new Error("Only paused sessions can be resumed");
+  }
+  this.pauses[this.pauses.length - 1].end = now;
+  this.status = "running";
+  return this;
+};
+
+// Method: Kết thúc phiên và chốt số phút thực tế
+FocusSessionSchema.methods.stop = function (now = new Date()) {
+  if (this.status === "completed") {
+    throw new Error("Session is already completed");
+  }
+  const openPause = this.pauses.find((pause) => !pause.end);
+  if (openPause) openPause.end = now;
+
+  this.endedAt = now;
+  this.status = "completed";
+  this.actualMinutes = this.getElapsedMinutes(now);
+  return this;
+};
+
+export const FocusSession = model("FocusSession", FocusSessionSchema);
@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// Các buổi học do SchedulingEngine sinh ra cho từng ngày cụ thể
+const GeneratedScheduleSchema = new Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // Ngày của buổi học (00:00 của ngày đó)
+    date: {
+      type: Date,
+      required: true,
+    },
+
+    learningGoalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LearningGoal",
+      required: true,
+    },
+
+    startTime: {
+      type: Date,
+      required: true,
+    },
+
+    endTime: {
+      type: Date,
+      required: true,
+    },
+
+    duration: {
+      type: Number, // phút
+      required: true,
+      min: 1,
+    },
+
+    status: {
+      type: String,
+      enum: ["scheduled", "done", "skipped"],
+      default: "scheduled",
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Thông tin bổ sung từ EnhancedSchedulingEngine
+    sessionTopic: {
+      type: String,
+      trim: true,
+    },
+
+    sessionOrder: {
+      type: Number,
+    },
+
+    contextBefore: {
+      type: String,
+    },
+
+    contextAfter: {
+      type: String,
+    },
+
+    suggestedBreak: {
+      type: Number, // phút
+    },
+
+    // Giải thích vì sao buổi học được đặt vào khung giờ này
+    // (điểm từng thành phần, ràng buộc, các slot bị bỏ qua)
+    explanation: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    collection: "generated_schedules",
+  }
+);
+
+// Indexes
+GeneratedScheduleSchema.index({ userId: 1, date: 1, startTime: 1 });
+GeneratedScheduleSchema.index({ learningGoalId: 1 });
+
+// Static method: Lấy lịch đã sinh trong khoảng thời gian
+GeneratedScheduleSchema.statics.getScheduleForRange = async function (
+  userId,
+  from,
+  to
+) {
+  return await this.find({
+    userId,
+    date: { $gte: from, $lte: to },
+  })
+    .sort({ startTime: 1 })
+    .lean();
+};
+
+export const GeneratedSchedule = model(
+  "GeneratedSchedule",
+  GeneratedScheduleSchema
+);
@@ -1,4 +1,13 @@
 import mongoose from "mongoose";
+import {
+  DATE_KEY_REGEX,
+  DEFAULT_TIMEZONE,
+  addDays,
+  getDateRange,
+  startOfWeekKey,
+  todayKey,
+  weekdayOf,
+} from "../utils/date.js";
 const { Schema, model } = mongoose;
 
 const LearningGoalSchema = new Schema(
@@ -21,12 +30,239 @@ const LearningGoalSchema = new Schema(
       trim: true,
     },
 
+    // Vòng đời của goal:
+    // - active: đang học, được xếp lịch
+    // - paused: tạm dừng, task tự tạo bị ẩn (isActive = false)
+    // - completed: đã hoàn thành, tiến độ bị khoá
+    // - archived: lưu trữ, không hiển thị mặc định
+    status: {
+      type: String,
+      enum: ["active", "paused", "completed", "archived"],
+      default: "active",
+    },
+
+    statusChangedAt: {
+      type: Date,
+      default: null,
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+
+    priority: {
+      type: String,
+      enum: ["high", "medium", "low"],
+      default: "medium",
+    },
+
+    category: {
+      type: String,
+      enum: ["language", "programming", "math", "science", "exam", "skill", "other"],
+      default: "other",
+    },
+
+    // Màu của các task tự tạo từ goal
+    color: {
+      type: String,
+      default: "#10B981",
+      match: /^#[0-9A-F]{6}$/i,
+    },
+
+    // Khung giờ muốn học (khớp với getTimeSlotCategory của scheduler)
+    preferredTimeSlots: {
+      type: [
+        {
+          type: String,
+          enum: ["early-morning", "morning", "afternoon", "evening", "night"],
+        },
+      ],
+      default: [],
+    },
+
+    // Độ dài phiên học riêng của goal (phút), ghi đè tuỳ chọn của user
+    sessionLength: {
+      min: { type: Number, min: 15, max: 240 },
+      preferred: { type: Number, min: 15, max: 240 },
+      max: { type: Number, min: 15, max: 240 },
+    },
+
+    // Cách đặt mục tiêu:
+    // - daily: targetHoursPerDay mỗi ngày
+    // - total: totalTargetHours trước deadline
+    // - weekly: weeklyTargetHours mỗi tuần
+    targetMode: {
+      type: String,
+      enum: ["daily", "total", "weekly"],
+      default: "daily",
+    },
+
     targetHoursPerDay: {
       type: Number,
-      required: true,
+      required: function () {
+        return (this.targetMode || "daily") === "daily";
+      },
       min: 0.25,
       max: 8,
     },
+
+    totalTargetHours: {
+      type: Number,
+      min: 0.5,
+      max: 2000,
+      default: null,
+    },
+
+    weeklyTargetHours: {
+      type: Number,
+      min: 0.25,
+      max: 56,
+      default: null,
+    },
+
+    // Khoảng thời gian của goal - Format: "YYYY-MM-DD"
+    startDate: {
+      type: String,
+      match: DATE_KEY_REGEX,
+      default: null,
+    },
+
+    deadline: {
+      type: String,
+      match: DATE_KEY_REGEX,
+      default: null,
+    },
+
+    // Giáo trình: các chủ đề theo thứ tự học, user có thể sửa/sắp xếp lại.
+    // Task tự tạo được gán lần lượt cho các chủ đề chưa xong
+    topics: [
+      {
+        title: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: 120,
+        },
+        estimatedMinutes: {
+          type: Number,
+          min: 5,
+          max: 6000,
+          default: 60,
+        },
+        done: {
+          type: Boolean,
+          default: false,
+        },
+        doneAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+
+    // Nhật ký học: mỗi entry là số phút học trong một ngày, kèm nguồn ghi nhận
+    progressLog: [
+      {
+        date: {
+          type: String, // Format: "YYYY-MM-DD" (theo timezone của user)
+          required: true,
+          match: DATE_KEY_REGEX,
+        },
+        minutes: {
+          type: Number,
+          required: true,
+          min: 1,
+          max: 24 * 60,
+        },
+        source: {
+          type: String,
+          enum: ["manual", "timer", "task"],
+          default: "manual",
+        },
+        taskId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Task",
+          default: null,
+        },
+        focusSessionId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "FocusSession",
+          default: null,
+        },
+        note: {
+          type: String,
+          trim: true,
+          maxlength: 500,
+          default: "",
+        },
+        loggedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Các phiên tự tạo đã qua giờ mà không hoàn thành
+    missedSessions: [
+      {
+        _id: false,
+        date: {
+          type: String,
+          required: true,
+          match: DATE_KEY_REGEX,
+        },
+        taskId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Task",
+          required: true,
+        },
+        title: { type: String, trim: true, default: "" },
+        sessionType: {
+          type: String,
+          enum: ["study", "review"],
+          default: "study",
+        },
+        minutes: { type: Number, min: 0, required: true },
+        // Số phút đã được dồn sang phiên bù
+        carriedOverMinutes: { type: Number, min: 0, default: 0 },
+        detectedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    // Báo cáo lần xếp lịch gần nhất: ngày nào không đủ thời gian và vì sao
+    schedulingReport: {
+      generatedAt: { type: Date },
+      totalTargetMinutes: { type: Number, default: 0 },
+      totalScheduledMinutes: { type: Number, default: 0 },
+      totalShortfallMinutes: { type: Number, default: 0 },
+      hasShortfall: { type: Boolean, default: false },
+      suggestedTargetHoursPerDay: { type: Number, default: null },
+      days: [
+        {
+          _id: false,
+          date: { type: String }, // Format: "YYYY-MM-DD"
+          weekday: { type: Number },
+          targetMinutes: { type: Number },
+          scheduledMinutes: { type: Number },
+          shortfallMinutes: { type: Number },
+          freeMinutes: { type: Number },
+          reason: {
+            type: String,
+            enum: [
+              "no_free_time",
+              "slots_too_short",
+              "max_sessions_reached",
+              "insufficient_free_time",
+              "session_length_limits",
+              "day_off",
+              null,
+            ],
+            default: null,
+          },
+        },
+      ],
+    },
   },
   {
     timestamps: true,
@@ -40,21 +276,310 @@ LearningGoalSchema.pre("validate", function (next) {
   if (this.targetHoursPerDay && (this.targetHoursPerDay < 0.25 || this.targetHoursPerDay > 8)) {
     return next(new Error("targetHoursPerDay must be between 0.25 and 8 hours"));
   }
+
+  const { min, preferred, max } = this.sessionLength || {};
+  if (
+    (min != null && preferred != null && preferred < min) ||
+    (preferred != null && max != null && preferred > max) ||
+    (min != null && max != null && max < min)
+  ) {
+    return next(new Error("Session length must satisfy min <= preferred <= max"));
+  }
+
+  const targetError = validateGoalTarget(this);
+  if (targetError) {
+    return next(new Error(targetError));
+  }
   next();
 });
 
+// Số phút tối đa được xếp cho một goal trong một ngày
+const MAX_DAILY_MINUTES = 8 * 60;
+
+/**
+ * Kiểm tra các field mục tiêu theo targetMode, trả về thông báo lỗi hoặc null
+ */
+export function validateGoalTarget(goal) {
+  const mode = goal.targetMode || "daily";
+
+  if (mode === "daily" && !goal.targetHoursPerDay) {
+    return "targetHoursPerDay is required for daily goals";
+  }
+  if (mode === "total" && (!goal.totalTargetHours || !goal.deadline)) {
+    return "totalTargetHours and deadline are required for total goals";
+  }
+  if (mode === "weekly" && !goal.weeklyTargetHours) {
+    return "weeklyTargetHours is required for weekly goals";
+  }
+  if (goal.startDate && goal.deadline && goal.deadline < goal.startDate) {
+    return "Deadline must be on or after start date";
+  }
+  return null;
+}
+
+/**
+ * Tải học mỗi ngày của goal tính từ ngày `today`:
+ * - daily: targetHoursPerDay
+ * - total: (mục tiêu - đã học trước hôm nay) chia đều cho các ngày học còn lại tới deadline
+ * - weekly: (mục tiêu tuần - đã học trong tuần trước hôm nay) chia cho các ngày học còn lại trong tuần
+ * Ngày học là ngày không nằm trong daysOff của user. Vì dựa trên progressLog
+ * nên tải được tính lại mỗi lần xếp lịch
+ */
+export function computeDailyTarget(goal, today, daysOff = []) {
+  const mode = goal.targetMode || "daily";
+  const activeFrom = goal.startDate || null;
+  const activeUntil = goal.deadline || null;
+
+  if (mode === "daily") {
+    return {
+      mode,
+      dailyTargetMinutes: Math.round((goal.targetHoursPerDay || 0) * 60),
+      remainingMinutes: null,
+      remainingDays: null,
+      activeFrom,
+      activeUntil,
+    };
+  }
+
+  const loggedBetween = (from, to) =>
+    (goal.progressLog || [])
+      .filter((entry) => (!from || entry.date >= from) && entry.date < to)
+      .reduce((sum, entry) => sum + entry.minutes, 0);
+
+  let targetMinutes;
+  let periodEnd;
+  if (mode === "total") {
+    targetMinutes = Math.round((goal.totalTargetHours || 0) * 60);
+    targetMinutes -= loggedBetween(null, today);
+    periodEnd = activeUntil;
+  } else {
+    const weekStart = startOfWeekKey(today);
+    targetMinutes = Math.round((goal.weeklyTargetHours || 0) * 60);
+    targetMinutes -= loggedBetween(weekStart, today);
+    periodEnd = addDays(weekStart, 6);
+    if (activeUntil && activeUntil < periodEnd) periodEnd = activeUntil;
+  }
+
+  const remainingMinutes = Math.max(0, targetMinutes);
+  const periodStart = activeFrom && activeFrom > today ? activeFrom : today;
+  const remainingDays =
+    periodEnd && periodStart <= periodEnd
+      ? getDateRange(periodStart, periodEnd).filter(
+          (date) => !daysOff.includes(weekdayOf(date))
+        ).length
+      : 0;
+
+  return {
+    mode,
+    dailyTargetMinutes:
+      remainingDays > 0
+        ? Math.min(
+            MAX_DAILY_MINUTES,
+            Math.ceil(remainingMinutes / remainingDays / 5) * 5
+          )
+        : 0,
+    remainingMinutes,
+    remainingDays,
+    activeFrom,
+    activeUntil,
+  };
+}
+
+/**
+ * Số phút cần học của goal vào một ngày cụ thể (0 nếu ngoài khoảng startDate - deadline)
+ */
+export function targetMinutesOn(dailyTarget, dateKey) {
+  if (dailyTarget.activeFrom && dateKey < dailyTarget.activeFrom) return 0;
+  if (dailyTarget.activeUntil && dateKey > dailyTarget.activeUntil) return 0;
+  return dailyTarget.dailyTargetMinutes;
+}
+
 // Indexes
 LearningGoalSchema.index({ userId: 1 });
+LearningGoalSchema.index({ userId: 1, status: 1 });
 
 // Static method to get goals by user
 LearningGoalSchema.statics.getUserGoals = async function (userId) {
   return await this.find({ userId }).sort({ createdAt: -1 }).lean();
 };
 
-// Method to track basic progress
-LearningGoalSchema.methods.updateProgress = function (hoursStudied) {
-  // Simple progress tracking - có thể mở rộng sau
+// Thứ tự ưu tiên (priority cao xếp trước)
+const PRIORITY_ORDER = { high: 3, medium: 2, low: 1 };
+
+// Static method: Sắp xếp goals theo priority (high → low), giữ nguyên thứ tự khi bằng nhau
+LearningGoalSchema.statics.sortByPriority = function (goals) {
+  return [...goals].sort(
+    (a, b) =>
+      (PRIORITY_ORDER[b.priority] || PRIORITY_ORDER.medium) -
+      (PRIORITY_ORDER[a.priority] || PRIORITY_ORDER.medium)
+  );
+};
+
+// Static method: Lấy các goal đang hoạt động, sắp xếp theo priority
+LearningGoalSchema.statics.getActiveGoalsByPriority = async function (userId) {
+  const goals = await this.find({ userId, status: "active" })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return this.sortByPriority(goals);
+};
+
+/**
+ * Tổng hợp tiến độ từ progressLog: tổng giờ, streak (chuỗi ngày học liên tiếp)
+ * Dùng được cho cả document và object lean
+ */
+export function summarizeProgress(goal, timezone = DEFAULT_TIMEZONE) {
+  const minutesByDate = new Map();
+  for (const entry of goal.progressLog || []) {
+    minutesByDate.set(
+      entry.date,
+      (minutesByDate.get(entry.date) || 0) + entry.minutes
+    );
+  }
+
+  const studiedDates = [...minutesByDate.keys()].sort();
+  const totalMinutes = [...minutesByDate.values()].reduce((a, b) => a + b, 0);
+  const today = todayKey(timezone);
+
+  // Chuỗi dài nhất
+  let longestStreak = 0;
+  let run = 0;
+  for (let i = 0; i < studiedDates.length; i++) {
+    run = i > 0 && addDays(studiedDates[i - 1], 1) === studiedDates[i] ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+  }
+
+  // Chuỗi hiện tại: tính đến hôm nay, hoặc hôm qua nếu hôm nay chưa học
+  let cursor = minutesByDate.has(today) ? today : addDays(today, -1);
+  let currentStreak = 0;
+  while (minutesByDate.has(cursor)) {
+    currentStreak++;
+    cursor = addDays(cursor, -1);
+  }
+
+  return {
+    totalMinutes,
+    totalHours: Math.round((totalMinutes / 60) * 100) / 100,
+    todayMinutes: minutesByDate.get(today) || 0,
+    daysStudied: studiedDates.length,
+    lastStudyDate: studiedDates[studiedDates.length - 1] || null,
+    currentStreak,
+    longestStreak,
+  };
+}
+
+// Các chuyển trạng thái hợp lệ của vòng đời goal
+const STATUS_TRANSITIONS = {
+  active: ["paused", "completed", "archived"],
+  paused: ["active", "completed", "archived"],
+  completed: ["archived"],
+  archived: ["active"],
+};
+
+// Static method: Ghi nhận tiến độ mà không cần load goal (dùng cho timer/task).
+// Goal đã hoàn thành bị khoá tiến độ nên được bỏ qua
+LearningGoalSchema.statics.addProgressEntry = async function (
+  learningGoalId,
+  entry
+) {
+  return await this.updateOne(
+    { _id: learningGoalId, status: { $ne: "completed" } },
+    { $push: { progressLog: entry } }
+  );
+};
+
+// Static method: Bỏ tiến độ đã ghi từ một focus session (vd: phiên bị xoá vì bấm nhầm)
+LearningGoalSchema.statics.removeFocusSessionProgress = async function (
+  learningGoalId,
+  focusSessionId
+) {
+  return await this.updateOne(
+    { _id: learningGoalId },
+    { $pull: { progressLog: { focusSessionId } } }
+  );
+};
+
+// Static method: Đồng bộ tiến độ từ việc hoàn thành task vào một ngày.
+// Xoá entry "task" cũ của (taskId, date) rồi ghi lại nếu minutes > 0 (idempotent)
+LearningGoalSchema.statics.setTaskProgress = async function (
+  learningGoalId,
+  { taskId, date, minutes }
+) {
+  await this.updateOne(
+    { _id: learningGoalId, status: { $ne: "completed" } },
+    { $pull: { progressLog: { source: "task", taskId, date } } }
+  );
+  if (minutes > 0) {
+    await this.addProgressEntry(learningGoalId, {
+      date,
+      minutes,
+      source: "task",
+      taskId,
+    });
+  }
+};
+
+// Method: Ghi nhận số phút đã học vào progressLog
+LearningGoalSchema.methods.logProgress = function ({
+  date,
+  minutes,
+  source = "manual",
+  taskId = null,
+  focusSessionId = null,
+  note = "",
+}) {
+  if (this.status === "completed") {
+    throw new Error("Progress of a completed learning goal is frozen");
+  }
+  this.progressLog.push({ date, minutes, source, taskId, focusSessionId, note });
   return this.save();
 };
 
+// Method: Có thể chuyển sang trạng thái `status` không
+LearningGoalSchema.methods.canTransitionTo = function (status) {
+  return (STATUS_TRANSITIONS[this.status || "active"] || []).includes(status);
+};
+
+// Method: Chuyển trạng thái (không lưu)
+LearningGoalSchema.methods.transitionTo = function (status) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change learning goal from ${this.status} to ${status}`);
+  }
+  this.status = status;
+  this.statusChangedAt = new Date();
+  if (status === "completed") this.completedAt = new Date();
+  return this;
+};
+
+// Method: Đánh dấu một chủ đề đã xong/chưa xong (không lưu)
+LearningGoalSchema.methods.setTopicDone = function (topicId, done) {
+  const topic = this.topics.id(topicId);
+  if (!topic) return null;
+  topic.done = done;
+  topic.doneAt = done ? new Date() : null;
+  return topic;
+};
+
+// Method: Tải học mỗi ngày tính từ hôm nay
+LearningGoalSchema.methods.getDailyTarget = function (today, daysOff) {
+  return computeDailyTarget(this, today, daysOff);
+};
+
+// Method: Tổng hợp tiến độ theo timezone của user
+LearningGoalSchema.methods.getProgressSummary = function (timezone) {
+  return summarizeProgress(this, timezone);
+};
+
+// Method: Các chủ đề chưa xong theo thứ tự giáo trình
+LearningGoalSchema.methods.getPendingTopics = function () {
+  return getPendingTopics(this);
+};
+
+/**
+ * Các chủ đề chưa xong của goal (dùng được cho cả document và lean object)
+ */
+export function getPendingTopics(goal) {
+  return (goal.topics || []).filter((topic) => !topic.done);
+}
+
 export const LearningGoal = model("LearningGoal", LearningGoalSchema);
@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+import { DATE_KEY_REGEX } from "../utils/date.js";
+const { Schema, model } = mongoose;
+
+// Buổi ôn tập (spaced repetition) được xếp hàng khi hoàn thành một buổi học.
+// Auto-scheduler đặt các buổi đến hạn vào khung giờ trống (sessionType "review")
+const ReviewSessionSchema = new Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    learningGoalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LearningGoal",
+      required: true,
+    },
+
+    // Chủ đề trong giáo trình (nếu buổi học gốc có gán chủ đề)
+    topicId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    // Buổi học gốc và ngày hoàn thành - Format: "YYYY-MM-DD"
+    sourceTaskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+
+    sourceDate: {
+      type: String,
+      required: true,
+      match: DATE_KEY_REGEX,
+    },
+
+    // Nội dung cần ôn (tiêu đề buổi học gốc)
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      required: true,
+    },
+
+    // Số ngày sau buổi học gốc (1, 3, 7, 14, 30)
+    intervalDays: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    dueDate: {
+      type: String,
+      required: true,
+      match: DATE_KEY_REGEX,
+    },
+
+    durationMinutes: {
+      type: Number,
+      min: 5,
+      max: 120,
+      default: 15,
+    },
+
+    // pending: chờ ôn (kể cả quá hạn), done: đã ôn, cancelled: buổi gốc bị bỏ hoàn thành
+    status: {
+      type: String,
+      enum: ["pending", "done", "cancelled"],
+      default: "pending",
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    collection: "review_sessions",
+  }
+);
+
+// Indexes
+ReviewSessionSchema.index({ learningGoalId: 1, status: 1, dueDate: 1 });
+ReviewSessionSchema.index(
+  { sourceTaskId: 1, sourceDate: 1, intervalDays: 1 },
+  { unique: true }
+);
+
+// Static method: Các buổi ôn chưa làm, đến hạn trước hoặc vào `untilDate`
+ReviewSessionSchema.statics.findDue = async function (
+  learningGoalIds,
+  untilDate
+) {
+  return await this.find({
+    learningGoalId: { $in: learningGoalIds },
+    status: "pending",
+    dueDate: { $lte: untilDate },
+  })
+    .sort({ dueDate: 1, intervalDays: 1 })
+    .lean();
+};
+
+export const ReviewSession = model("ReviewSession", ReviewSessionSchema);
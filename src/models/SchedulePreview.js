@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// Kế hoạch xếp lịch đã preview, chờ user xác nhận (commit)
+const SchedulePreviewSchema = new Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // Token trả về cho client để commit đúng kế hoạch đã xem
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Các goal mà kế hoạch này sẽ thay thế task tự tạo
+    learningGoalIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "LearningGoal",
+      },
+    ],
+
+    // Task documents sẽ được insert khi commit
+    tasks: {
+      type: [Schema.Types.Mixed],
+      default: [],
+    },
+
+    // Báo cáo thiếu hụt theo ngày (target / scheduled / shortfall minutes)
+    summary: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Dấu vân tay lịch hiện tại, để phát hiện thay đổi giữa preview và commit
+    calendarFingerprint: {
+      type: String,
+      required: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    collection: "schedule_previews",
+  }
+);
+
+// TTL index: MongoDB tự xoá preview hết hạn
+SchedulePreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const SchedulePreview = model("SchedulePreview", SchedulePreviewSchema);
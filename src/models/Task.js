@@ -1,4 +1,14 @@
 import mongoose from "mongoose";
+import {
+  DATE_KEY_REGEX,
+  DEFAULT_TIMEZONE,
+  currentMinutes,
+  getWeekDates,
+  startOfWeekKey,
+  todayKey,
+  toDateKey,
+  weekdayOf,
+} from "../utils/date.js";
 const { Schema, model } = mongoose;
 
 const TaskSchema = new Schema(
@@ -25,18 +35,59 @@ const TaskSchema = new Schema(
       default: "",
     },
 
+    // Địa điểm (phòng học, giảng đường...)
+    location: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: "",
+    },
+
     // Scheduling
     weekdays: {
       type: [Number],
-      required: true,
+      default: [],
       validate: {
         validator: function (arr) {
-          return arr.length > 0 && arr.every((day) => day >= 0 && day <= 6);
+          return arr.every((day) => day >= 0 && day <= 6);
         },
         message: "Weekdays must be an array of numbers between 0-6",
       },
     },
 
+    // Recurrence: lặp theo weekdays trong khoảng startDate-endDate,
+    // mỗi `interval` tuần, cộng thêm các ngày lẻ và trừ các ngày ngoại lệ
+    recurrence: {
+      startDate: {
+        type: String, // Format: "YYYY-MM-DD"
+        match: DATE_KEY_REGEX,
+        default: null,
+      },
+      endDate: {
+        type: String, // Format: "YYYY-MM-DD"
+        match: DATE_KEY_REGEX,
+        default: null,
+      },
+      interval: {
+        type: Number, // Lặp mỗi N tuần (2 = cách tuần)
+        min: 1,
+        max: 52,
+        default: 1,
+      },
+      dates: [
+        {
+          type: String, // Ngày lẻ (one-off), không phụ thuộc weekdays
+          match: DATE_KEY_REGEX,
+        },
+      ],
+      exceptionDates: [
+        {
+          type: String, // Ngày bị bỏ qua
+          match: DATE_KEY_REGEX,
+        },
+      ],
+    },
+
     timeRange: {
       start: {
         type: String,
@@ -50,6 +101,40 @@ const TaskSchema = new Schema(
       },
     },
 
+    // Chỉnh sửa riêng cho từng lần diễn ra (dời giờ, huỷ, đổi tiêu đề/ghi chú)
+    occurrenceOverrides: [
+      {
+        date: {
+          type: String, // Format: "YYYY-MM-DD"
+          required: true,
+          match: DATE_KEY_REGEX,
+        },
+        isCancelled: {
+          type: Boolean,
+          default: false,
+        },
+        timeRange: {
+          start: {
+            type: String,
+            match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+          },
+          end: {
+            type: String,
+            match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+          },
+        },
+        title: {
+          type: String,
+          trim: true,
+          maxlength: 200,
+        },
+        note: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
+
     // Appearance
     color: {
       type: String,
@@ -75,6 +160,54 @@ const TaskSchema = new Schema(
       required: false,
     },
 
+    // Chủ đề trong giáo trình của learning goal mà phiên học này thuộc về
+    topicId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    // Loại phiên do auto-scheduler tạo (null với task thủ công)
+    sessionType: {
+      type: String,
+      enum: ["study", "break", "review", null],
+      default: null,
+    },
+
+    // Buổi ôn tập (spaced repetition) mà task "review" thực hiện
+    reviewSessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReviewSession",
+      default: null,
+    },
+
+    // Giải thích của auto-scheduler: slot, điểm, ràng buộc, slot bị bỏ qua
+    explanation: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+
+    // Nguồn nhập (file .ics từ cổng đào tạo, bảng tính CSV). externalId (UID của
+    // sự kiện .ics) giúp nhập lại thì cập nhật task cũ thay vì tạo trùng
+    importSource: {
+      provider: {
+        type: String,
+        enum: ["ics", "csv", null],
+        default: null,
+      },
+      externalId: {
+        type: String,
+        default: null,
+      },
+      calendarName: {
+        type: String,
+        default: null,
+      },
+      importedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+
     // Completion tracking
     isCompleted: {
       type: Boolean,
@@ -111,6 +244,12 @@ const TaskSchema = new Schema(
 // Indexes for better performance
 TaskSchema.index({ userId: 1, isActive: 1 });
 TaskSchema.index({ userId: 1, weekdays: 1 });
+TaskSchema.index({ userId: 1, "recurrence.dates": 1 });
+TaskSchema.index({
+  userId: 1,
+  "importSource.provider": 1,
+  "importSource.externalId": 1,
+});
 TaskSchema.index({ createdAt: -1 });
 
 // Validation middleware
@@ -120,10 +259,34 @@ TaskSchema.pre("save", function (next) {
   const endMinutes = timeToMinutes(this.timeRange.end);
 
   if (endMinutes <= startMinutes) {
-    next(new Error("End time must be after start time"));
-  } else {
-    next();
+    return next(new Error("End time must be after start time"));
+  }
+
+  // Task phải có ít nhất 1 weekday hoặc 1 ngày cụ thể
+  const dates = this.recurrence?.dates || [];
+  if (this.weekdays.length === 0 && dates.length === 0) {
+    return next(new Error("Task must have at least one weekday or date"));
   }
+
+  const { startDate, endDate } = this.recurrence || {};
+  if (startDate && endDate && endDate < startDate) {
+    return next(new Error("Recurrence end date must be after start date"));
+  }
+
+  for (const override of this.occurrenceOverrides || []) {
+    if (override.timeRange?.start && override.timeRange?.end) {
+      if (
+        timeToMinutes(override.timeRange.end) <=
+        timeToMinutes(override.timeRange.start)
+      ) {
+        return next(
+          new Error(`End time must be after start time (${override.date})`)
+        );
+      }
+    }
+  }
+
+  next();
 });
 
 // Helper function
@@ -132,18 +295,191 @@ function timeToMinutes(timeString) {
   return hours * 60 + minutes;
 }
 
+/**
+ * Kiểm tra task có diễn ra vào ngày `dateKey` không.
+ * Dùng được cho cả document lẫn object từ .lean().
+ * `timezone` (của user) dùng để quy đổi ngày tạo task khi task không có startDate
+ */
+function taskOccursOn(task, dateKey, timezone = DEFAULT_TIMEZONE) {
+  const recurrence = task.recurrence || {};
+
+  if ((recurrence.exceptionDates || []).includes(dateKey)) return false;
+  if ((recurrence.dates || []).includes(dateKey)) return true;
+
+  if (!(task.weekdays || []).includes(weekdayOf(dateKey))) return false;
+  if (recurrence.startDate && dateKey < recurrence.startDate) return false;
+  if (recurrence.endDate && dateKey > recurrence.endDate) return false;
+
+  const interval = recurrence.interval || 1;
+  if (interval > 1) {
+    // Đếm tuần tính từ tuần của ngày bắt đầu (hoặc ngày tạo task theo timezone của user,
+    // giống CalendarExportService.findFirstSeriesDate)
+    const anchor =
+      recurrence.startDate ||
+      (task.createdAt ? toDateKey(task.createdAt, timezone) : dateKey);
+    const weeks = Math.round(
+      (new Date(startOfWeekKey(dateKey)) - new Date(startOfWeekKey(anchor))) /
+        (7 * 24 * 60 * 60 * 1000)
+    );
+    if (((weeks % interval) + interval) % interval !== 0) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Task còn lần diễn ra nào từ ngày `dateKey` trở đi không
+ */
+function taskHasUpcomingOccurrence(task, dateKey) {
+  const recurrence = task.recurrence || {};
+  const exceptions = recurrence.exceptionDates || [];
+
+  const hasUpcomingDate = (recurrence.dates || []).some(
+    (d) => d >= dateKey && !exceptions.includes(d)
+  );
+  if (hasUpcomingDate) return true;
+
+  return (
+    (task.weekdays || []).length > 0 &&
+    (!recurrence.endDate || recurrence.endDate >= dateKey)
+  );
+}
+
+/**
+ * Lần diễn ra của task vào ngày `dateKey` sau khi áp dụng override.
+ * Trả về null nếu task không diễn ra hoặc lần đó đã bị huỷ
+ */
+function taskOccurrenceOn(task, dateKey, timezone = DEFAULT_TIMEZONE) {
+  if (!taskOccursOn(task, dateKey, timezone)) return null;
+
+  const override = (task.occurrenceOverrides || []).find(
+    (o) => o.date === dateKey
+  );
+  if (override?.isCancelled) return null;
+
+  const hasTimeOverride = override?.timeRange?.start && override?.timeRange?.end;
+
+  return {
+    date: dateKey,
+    title: override?.title || task.title,
+    note: override?.note ?? task.note,
+    timeRange: hasTimeOverride
+      ? { start: override.timeRange.start, end: override.timeRange.end }
+      : { start: task.timeRange.start, end: task.timeRange.end },
+    isOverridden: Boolean(override),
+  };
+}
+
+/**
+ * Phiên học/ôn tự tạo ngày `dateKey` đã qua giờ kết thúc mà chưa hoàn thành.
+ * Phiên bị lỡ không được tự đánh dấu hoàn thành (xem MissedSessionService)
+ */
+function taskMissedOn(task, dateKey, timezone = DEFAULT_TIMEZONE) {
+  if (!task.isAutoGenerated || !["study", "review"].includes(task.sessionType)) {
+    return false;
+  }
+
+  const occurrence = taskOccurrenceOn(task, dateKey, timezone);
+  if (!occurrence) return false;
+
+  const isCompleted = (task.dailyCompletions || []).some(
+    (c) => c.date === dateKey && c.isCompleted
+  );
+  if (isCompleted) return false;
+
+  const today = todayKey(timezone);
+  if (dateKey < today) return true;
+  return (
+    dateKey === today &&
+    timeToMinutes(occurrence.timeRange.end) <= currentMinutes(timezone)
+  );
+}
+
+// Statics cho object thường (lean / dữ liệu chưa lưu)
+TaskSchema.statics.occursOn = taskOccursOn;
+TaskSchema.statics.hasUpcomingOccurrence = taskHasUpcomingOccurrence;
+TaskSchema.statics.getOccurrence = taskOccurrenceOn;
+TaskSchema.statics.isMissedOn = taskMissedOn;
+
+// Method: task có diễn ra vào ngày cụ thể không (mặc định theo timezone đã gắn)
+TaskSchema.methods.occursOn = function (dateKey, timezone = this.$locals.timezone) {
+  return taskOccursOn(this, dateKey, timezone);
+};
+
+// Method: lần diễn ra (đã áp dụng override) vào ngày cụ thể
+TaskSchema.methods.getOccurrence = function (
+  dateKey,
+  timezone = this.$locals.timezone
+) {
+  return taskOccurrenceOn(this, dateKey, timezone);
+};
+
+// Method: tìm override của một ngày
+TaskSchema.methods.getOverride = function (dateKey) {
+  return (this.occurrenceOverrides || []).find((o) => o.date === dateKey);
+};
+
+// Method: huỷ một lần diễn ra (không lưu)
+TaskSchema.methods.cancelOccurrence = function (dateKey) {
+  let override = this.getOverride(dateKey);
+  if (!override) {
+    this.occurrenceOverrides.push({ date: dateKey });
+    override = this.getOverride(dateKey);
+  }
+  override.isCancelled = true;
+  return this;
+};
+
+// Method: dời một lần diễn ra sang giờ khác (cùng ngày) hoặc sang ngày khác (không lưu).
+// Dời sang ngày khác = huỷ ngày cũ + thêm ngày lẻ mới với giờ đã override
+TaskSchema.methods.moveOccurrence = function (fromDate, toDate, timeRange) {
+  if (toDate !== fromDate) {
+    this.cancelOccurrence(fromDate);
+    if (!this.recurrence.dates.includes(toDate)) {
+      this.recurrence.dates.push(toDate);
+    }
+  }
+
+  let override = this.getOverride(toDate);
+  if (!override) {
+    this.occurrenceOverrides.push({ date: toDate });
+    override = this.getOverride(toDate);
+  }
+  override.isCancelled = false;
+  override.timeRange = timeRange;
+  return this;
+};
+
+// Method: gắn timezone của user để các virtual tính "hôm nay" đúng múi giờ
+TaskSchema.methods.setTimezone = function (timezone) {
+  this.$locals.timezone = timezone;
+  return this;
+};
+
+// Method: date key hôm nay theo timezone đã gắn (mặc định DEFAULT_TIMEZONE)
+TaskSchema.methods.getTodayKey = function () {
+  return todayKey(this.$locals.timezone || DEFAULT_TIMEZONE);
+};
+
 // Virtual field to check if task is in the past
 TaskSchema.virtual('isPastTask').get(function() {
-  const today = new Date();
-  const currentDay = today.getDay();
-  
-  // A task is past if ALL its weekdays are before current day
-  return this.weekdays.every(day => day < currentDay);
+  const today = this.getTodayKey();
+
+  // Xét các lần diễn ra trong tuần hiện tại theo ngày thực tế
+  const occurrencesThisWeek = getWeekDates(today).filter((d) =>
+    taskOccursOn(this, d, this.$locals.timezone)
+  );
+  if (occurrencesThisWeek.length > 0) {
+    return occurrencesThisWeek.every((d) => d < today);
+  }
+
+  // Không diễn ra tuần này: chỉ coi là quá khứ khi lịch lặp đã kết thúc
+  return !taskHasUpcomingOccurrence(this, today);
 });
 
 // Virtual field to get effective completion status (considering past tasks)
 TaskSchema.virtual('effectiveIsCompleted').get(function() {
-  const today = new Date().toISOString().split('T')[0];
+  const today = this.getTodayKey();
   
   // For auto-generated tasks, check daily completion
   if (this.isAutoGenerated && this.dailyCompletions) {
@@ -155,31 +491,9 @@ TaskSchema.virtual('effectiveIsCompleted').get(function() {
   return this.isCompleted || false;
 });
 
-// Method to auto-complete past tasks
-TaskSchema.methods.autoCompleteIfPast = function() {
-  // Only auto-complete auto-generated tasks that are in the past
-  if (this.isPastTask && this.isAutoGenerated) {
-    const today = new Date().toISOString().split('T')[0];
-    
-    // For auto-generated tasks, mark today as completed
-    if (this.dailyCompletions) {
-      const existingCompletion = this.dailyCompletions.find(c => c.date === today);
-      if (!existingCompletion) {
-        this.dailyCompletions.push({
-          date: today,
-          completedAt: new Date(),
-          isCompleted: true
-        });
-      }
-    }
-  }
-  return this;
+// Method: phiên tự tạo ngày `dateKey` đã bị lỡ chưa (theo timezone đã gắn)
+TaskSchema.methods.isMissedOn = function (dateKey) {
+  return taskMissedOn(this, dateKey, this.$locals.timezone);
 };
 
-// Pre-save middleware to auto-complete past tasks
-TaskSchema.pre('save', function(next) {
-  this.autoCompleteIfPast();
-  next();
-});
-
 export const Task = model("Task", TaskSchema);
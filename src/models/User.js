@@ -64,6 +64,96 @@ const UserSchema = new Schema(
         default: "light",
       },
     },
+
+    // Tuỳ chọn xếp lịch học tự động (ghi đè AutoTaskGenerator.STUDY_CONFIG)
+    schedulingPreferences: {
+      // Khung giờ trong ngày được phép xếp lịch
+      dayStart: {
+        type: String,
+        match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+        default: "06:00",
+      },
+      dayEnd: {
+        type: String,
+        match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+        default: "22:00",
+      },
+
+      // Độ dài một phiên học (phút)
+      sessionLength: {
+        min: { type: Number, min: 15, max: 240, default: 30 },
+        default: { type: Number, min: 15, max: 240, default: 45 },
+        max: { type: Number, min: 15, max: 240, default: 90 },
+      },
+
+      breakDuration: { type: Number, min: 0, max: 60, default: 10 }, // nghỉ ngắn
+      macroBreakMin: { type: Number, min: 0, max: 120, default: 20 }, // nghỉ dài
+      macroBreakAfterSessions: { type: Number, min: 1, max: 10, default: 2 },
+
+      // Khung giờ không xếp lịch học (ăn trưa, ăn tối...)
+      protectedWindows: {
+        type: [
+          {
+            _id: false,
+            label: { type: String, trim: true, maxlength: 50 },
+            start: {
+              type: String,
+              required: true,
+              match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+            },
+            end: {
+              type: String,
+              required: true,
+              match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+            },
+          },
+        ],
+        default: () => [
+          { label: "lunch", start: "12:00", end: "13:00" },
+          { label: "dinner", start: "18:00", end: "19:00" },
+        ],
+      },
+
+      maxSessionsPerDay: { type: Number, min: 1, max: 12, default: 6 },
+
+      // Các thứ không học (0 = CN, 1 = T2, ..., 6 = T7)
+      daysOff: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: [],
+      },
+
+      // Phiên học bị lỡ: dồn số phút sang các ngày còn lại của tuần
+      carryOverMissed: { type: Boolean, default: true },
+    },
+
+    // Token bí mật cho URL đăng ký lịch .ics (không cần Firebase token)
+    calendarFeedToken: {
+      type: String,
+      default: undefined,
+    },
+
+    calendarFeedTokenCreatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Yêu cầu xoá tài khoản: isActive=false ngay khi yêu cầu,
+    // toàn bộ dữ liệu bị xoá vĩnh viễn khi tới scheduledFor (có thể huỷ trước đó)
+    deletion: {
+      requestedAt: {
+        type: Date,
+        default: null,
+      },
+      scheduledFor: {
+        type: Date,
+        default: null,
+      },
+      // Xoá luôn tài khoản Firebase khi xoá vĩnh viễn
+      deleteFirebaseAccount: {
+        type: Boolean,
+        default: false,
+      },
+    },
   },
   {
     timestamps: true,
@@ -75,6 +165,8 @@ const UserSchema = new Schema(
 UserSchema.index({ email: 1 });
 UserSchema.index({ firebaseUid: 1 }, { unique: true });
 UserSchema.index({ createdAt: -1 });
+UserSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
+UserSchema.index({ isActive: 1, "deletion.scheduledFor": 1 });
 
 // Static method: Tạo hoặc update user từ Firebase
 UserSchema.statics.createOrUpdateFromFirebase = async function (firebaseUser) {
@@ -122,6 +214,59 @@ UserSchema.statics.findByFirebaseUid = async function (firebaseUid) {
   return this.findOne({ firebaseUid, isActive: true }).lean();
 };
 
+// Static method: Lấy user theo token đăng ký lịch
+UserSchema.statics.findByCalendarFeedToken = async function (token) {
+  return this.findOne({ calendarFeedToken: token, isActive: true }).lean();
+};
+
+// Method: Tạo token đăng ký lịch mới (token cũ hết hiệu lực)
+UserSchema.methods.rotateCalendarFeedToken = function (token) {
+  this.calendarFeedToken = token;
+  this.calendarFeedTokenCreatedAt = new Date();
+  return this.save();
+};
+
+// Method: Tắt URL đăng ký lịch
+UserSchema.methods.clearCalendarFeedToken = function () {
+  this.calendarFeedToken = undefined;
+  this.calendarFeedTokenCreatedAt = null;
+  return this.save();
+};
+
+// Static method: Các tài khoản đã hết thời gian chờ xoá
+UserSchema.statics.findDueForPurge = async function (now = new Date()) {
+  return this.find({
+    isActive: false,
+    "deletion.scheduledFor": { $ne: null, $lte: now },
+  });
+};
+
+// Method: Vô hiệu hoá tài khoản và hẹn ngày xoá vĩnh viễn
+UserSchema.methods.requestDeletion = function (
+  graceDays,
+  { deleteFirebaseAccount = false } = {}
+) {
+  const now = new Date();
+  this.isActive = false;
+  this.deletion = {
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000),
+    deleteFirebaseAccount,
+  };
+  return this.save();
+};
+
+// Method: Huỷ yêu cầu xoá (trong thời gian chờ)
+UserSchema.methods.cancelDeletion = function () {
+  this.isActive = true;
+  this.deletion = {
+    requestedAt: null,
+    scheduledFor: null,
+    deleteFirebaseAccount: false,
+  };
+  return this.save();
+};
+
 // Method: Update last login
 UserSchema.methods.updateLastLogin = function () {
   this.lastLoginAt = new Date();
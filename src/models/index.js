@@ -1,3 +1,8 @@
 // SmartStudy models
 export { Task } from "./Task.js";
 export { LearningGoal } from "./LearningGoal.js";
+export { FixedSchedule } from "./FixedSchedule.js";
+export { GeneratedSchedule } from "./GeneratedSchedule.js";
+export { SchedulePreview } from "./SchedulePreview.js";
+export { FocusSession } from "./FocusSession.js";
+export { ReviewSession } from "./ReviewSession.js";
@@ -0,0 +1,92 @@
+import { Router } from "express";
+import { z } from "zod";
+import { AccountDataService } from "../services/AccountDataService.js";
+import {
+  authenticateFirebase,
+  requireAuth,
+} from "../middleware/firebaseAuth.js";
+
+const router = Router();
+
+// Apply Firebase auth to all routes
+router.use(authenticateFirebase);
+router.use(requireAuth);
+
+// Danh sách document trong file xuất (mỗi document được kiểm tra bằng model khi nhập)
+const DocumentListSchema = z.array(z.looseObject({})).default([]);
+
+const AccountImportSchema = z.object({
+  format: z.literal(AccountDataService.EXPORT_FORMAT),
+  version: z.number().int().min(1),
+  user: z
+    .looseObject({
+      settings: z.looseObject({}).optional(),
+      schedulingPreferences: z.looseObject({}).optional(),
+    })
+    .optional(),
+  ...Object.fromEntries(
+    Object.keys(AccountDataService.COLLECTIONS).map((key) => [
+      key,
+      DocumentListSchema,
+    ])
+  ),
+});
+
+// GET /api/account/export - Tải toàn bộ dữ liệu của user (JSON có phiên bản)
+router.get("/export", async (req, res) => {
+  try {
+    const data = await AccountDataService.exportAccount(req.user);
+
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="uniflow-account-${req.userId}.json"`
+    );
+    res.json(data);
+  } catch (error) {
+    console.error("❌ Export account error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to export account data",
+    });
+  }
+});
+
+// POST /api/account/import - Khôi phục dữ liệu đã xuất vào tài khoản chưa có dữ liệu
+router.post("/import", async (req, res) => {
+  try {
+    const data = AccountImportSchema.parse(req.body);
+
+    const imported = await AccountDataService.importAccount(req.user, data);
+
+    res.status(201).json({
+      success: true,
+      imported,
+      message: "Account data imported successfully",
+    });
+  } catch (error) {
+    console.error("❌ Import account error:", error);
+
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to import account data",
+    });
+  }
+});
+
+export default router;
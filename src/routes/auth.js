@@ -1,6 +1,13 @@
 import { Router } from "express";
 import admin from "firebase-admin";
+import { z } from "zod";
 import { User } from "../models/User.js";
+import {
+  authenticateFirebase,
+  authenticateFirebaseAllowDeactivated,
+  sendAccountDeactivated,
+} from "../middleware/firebaseAuth.js";
+import { AccountDeletionService } from "../services/AccountDeletionService.js";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -10,6 +17,42 @@ const __dirname = path.dirname(__filename);
 
 const router = Router();
 
+// Validation schema cho tuỳ chọn xếp lịch
+const TimeSchema = z.string().regex(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/);
+
+const SchedulingPreferencesSchema = z.object({
+  dayStart: TimeSchema.optional(),
+  dayEnd: TimeSchema.optional(),
+  sessionLength: z
+    .object({
+      min: z.number().int().min(15).max(240).optional(),
+      default: z.number().int().min(15).max(240).optional(),
+      max: z.number().int().min(15).max(240).optional(),
+    })
+    .optional(),
+  breakDuration: z.number().int().min(0).max(60).optional(),
+  macroBreakMin: z.number().int().min(0).max(120).optional(),
+  macroBreakAfterSessions: z.number().int().min(1).max(10).optional(),
+  protectedWindows: z
+    .array(
+      z.object({
+        label: z.string().max(50).optional(),
+        start: TimeSchema,
+        end: TimeSchema,
+      })
+    )
+    .max(10)
+    .optional(),
+  maxSessionsPerDay: z.number().int().min(1).max(12).optional(),
+  daysOff: z.array(z.number().int().min(0).max(6)).max(6).optional(),
+  carryOverMissed: z.boolean().optional(),
+});
+
+const DeleteAccountSchema = z.object({
+  // Xoá luôn tài khoản Firebase khi hết thời gian chờ
+  deleteFirebaseAccount: z.boolean().default(false),
+});
+
 // Initialize Firebase Admin (nếu chưa có)
 if (!admin.apps.length) {
   try {
@@ -62,6 +105,8 @@ router.post("/login", async (req, res) => {
       photoURL: picture,
     });
 
+    if (!user.isActive) return sendAccountDeactivated(res, user);
+
     // Trả về thông tin user (không tạo custom token)
     res.json({
       success: true,
@@ -197,6 +242,134 @@ router.get("/me", async (req, res) => {
   }
 });
 
+// GET /api/auth/me/preferences - Lấy tuỳ chọn xếp lịch của user
+router.get("/me/preferences", authenticateFirebase, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      preferences: formatPreferences(req.user.schedulingPreferences),
+    });
+  } catch (error) {
+    console.error("❌ Get preferences error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch preferences",
+    });
+  }
+});
+
+// PUT /api/auth/me/preferences - Cập nhật tuỳ chọn xếp lịch (partial update)
+router.put("/me/preferences", authenticateFirebase, async (req, res) => {
+  try {
+    const data = SchedulingPreferencesSchema.parse(req.body);
+    const current = formatPreferences(req.user.schedulingPreferences);
+    const merged = {
+      ...current,
+      ...data,
+      sessionLength: { ...current.sessionLength, ...data.sessionLength },
+    };
+
+    // Validate các ràng buộc giữa nhiều field sau khi merge
+    const validationError = validatePreferences(merged);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    req.user.schedulingPreferences = merged;
+    await req.user.save();
+
+    res.json({
+      success: true,
+      preferences: formatPreferences(req.user.schedulingPreferences),
+      message: "Preferences updated successfully",
+    });
+  } catch (error) {
+    console.error("❌ Update preferences error:", error);
+
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update preferences",
+    });
+  }
+});
+
+// DELETE /api/auth/me - Yêu cầu xoá tài khoản: vô hiệu hoá ngay,
+// xoá vĩnh viễn toàn bộ dữ liệu sau thời gian chờ
+router.delete("/me", authenticateFirebase, async (req, res) => {
+  try {
+    const { deleteFirebaseAccount } = DeleteAccountSchema.parse(req.body || {});
+
+    const deletion = await AccountDeletionService.requestDeletion(req.user, {
+      deleteFirebaseAccount,
+    });
+
+    res.json({
+      success: true,
+      deletion: formatDeletion(deletion),
+      message: `Account scheduled for deletion in ${AccountDeletionService.GRACE_DAYS} days`,
+    });
+  } catch (error) {
+    console.error("❌ Delete account error:", error);
+
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete account",
+    });
+  }
+});
+
+// POST /api/auth/me/restore - Huỷ yêu cầu xoá tài khoản (trong thời gian chờ)
+router.post("/me/restore", authenticateFirebaseAllowDeactivated, async (req, res) => {
+  try {
+    await AccountDeletionService.cancelDeletion(req.user);
+
+    res.json({
+      success: true,
+      message: "Account restored successfully",
+    });
+  } catch (error) {
+    console.error("❌ Restore account error:", error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to restore account",
+    });
+  }
+});
+
 // POST /api/auth/logout - Logout (optional, chỉ để tracking)
 router.post("/logout", async (req, res) => {
   try {
@@ -248,6 +421,8 @@ router.post("/convert-token", async (req, res) => {
       photoURL: picture,
     });
 
+    if (!user.isActive) return sendAccountDeactivated(res, user);
+
     // Trả về thông tin user (không tạo token mới)
     res.json({
       success: true,
@@ -275,4 +450,60 @@ router.post("/convert-token", async (req, res) => {
   }
 });
 
+// Helper functions
+function timeToMinutes(timeString) {
+  const [hours, minutes] = timeString.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatPreferences(preferences = {}) {
+  return {
+    dayStart: preferences.dayStart,
+    dayEnd: preferences.dayEnd,
+    sessionLength: {
+      min: preferences.sessionLength?.min,
+      default: preferences.sessionLength?.default,
+      max: preferences.sessionLength?.max,
+    },
+    breakDuration: preferences.breakDuration,
+    macroBreakMin: preferences.macroBreakMin,
+    macroBreakAfterSessions: preferences.macroBreakAfterSessions,
+    protectedWindows: (preferences.protectedWindows || []).map((win) => ({
+      label: win.label,
+      start: win.start,
+      end: win.end,
+    })),
+    maxSessionsPerDay: preferences.maxSessionsPerDay,
+    daysOff: [...(preferences.daysOff || [])],
+    carryOverMissed: preferences.carryOverMissed !== false,
+  };
+}
+
+function formatDeletion(deletion) {
+  return {
+    requestedAt: deletion.requestedAt,
+    scheduledFor: deletion.scheduledFor,
+    deleteFirebaseAccount: deletion.deleteFirebaseAccount,
+  };
+}
+
+function validatePreferences(preferences) {
+  if (timeToMinutes(preferences.dayEnd) <= timeToMinutes(preferences.dayStart)) {
+    return "Day end must be after day start";
+  }
+
+  const { min, default: preferred, max } = preferences.sessionLength;
+  if (!(min <= preferred && preferred <= max)) {
+    return "Session length must satisfy min <= default <= max";
+  }
+
+  for (const win of preferences.protectedWindows) {
+    if (timeToMinutes(win.end) <= timeToMinutes(win.start)) {
+      return "Protected window end must be after start";
+    }
+  }
+
+  return null;
+}
+
 export default router;
@@ -0,0 +1,270 @@
+import express, { Router } from "express";
+import { z } from "zod";
+import { User } from "../models/User.js";
+import { CalendarExportService } from "../services/CalendarExportService.js";
+import { CalendarImportService } from "../services/CalendarImportService.js";
+import {
+  authenticateFirebase,
+  requireAuth,
+} from "../middleware/firebaseAuth.js";
+
+const router = Router();
+
+// Token đăng ký lịch: chuỗi hex do CalendarExportService.generateFeedToken tạo
+const FEED_TOKEN_REGEX = /^[a-f0-9]{48}$/;
+
+// Nội dung .ics: gửi thô (Content-Type text/calendar) hoặc JSON { content }
+const parseIcsBody = express.text({
+  type: ["text/calendar", "text/plain"],
+  limit: "1mb",
+});
+
+const ImportBodySchema = z.object({
+  content: z.string().min(1),
+});
+
+// ?force=true: vẫn nhập dù trùng giờ với task khác
+const ForceQuerySchema = z.object({
+  force: z
+    .enum(["true", "false"])
+    .optional()
+    .transform((value) => value === "true"),
+});
+
+// GET /api/calendar/feed/:token.ics - URL đăng ký lịch (không cần Firebase token,
+// ứng dụng lịch gọi định kỳ). Khai báo trước middleware xác thực
+router.get("/feed/:token.ics", async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const user = FEED_TOKEN_REGEX.test(token)
+      ? await User.findByCalendarFeedToken(token)
+      : null;
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "Calendar feed not found",
+      });
+    }
+
+    const calendar = await CalendarExportService.buildUserCalendar(user);
+    sendCalendar(res, calendar);
+  } catch (error) {
+    console.error("❌ Calendar feed error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build calendar feed",
+    });
+  }
+});
+
+// Apply Firebase auth to the remaining routes
+router.use(authenticateFirebase);
+router.use(requireAuth);
+
+// GET /api/calendar/export.ics - Tải file .ics của các task đang hoạt động
+router.get("/export.ics", async (req, res) => {
+  try {
+    const calendar = await CalendarExportService.buildUserCalendar(req.user);
+    sendCalendar(res, calendar, "uniflow.ics");
+  } catch (error) {
+    console.error("❌ Calendar export error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to export calendar",
+    });
+  }
+});
+
+// GET /api/calendar/feed - URL đăng ký lịch (tạo token nếu chưa có)
+router.get("/feed", async (req, res) => {
+  try {
+    const { user } = req;
+
+    if (!user.calendarFeedToken) {
+      await user.rotateCalendarFeedToken(CalendarExportService.generateFeedToken());
+    }
+
+    res.json({
+      success: true,
+      feed: formatFeed(req, user),
+    });
+  } catch (error) {
+    console.error("❌ Get calendar feed error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to get calendar feed",
+    });
+  }
+});
+
+// POST /api/calendar/feed/rotate - Tạo URL mới, URL cũ ngừng hoạt động
+router.post("/feed/rotate", async (req, res) => {
+  try {
+    const { user } = req;
+
+    await user.rotateCalendarFeedToken(CalendarExportService.generateFeedToken());
+
+    res.json({
+      success: true,
+      feed: formatFeed(req, user),
+      message: "Calendar feed URL rotated",
+    });
+  } catch (error) {
+    console.error("❌ Rotate calendar feed error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to rotate calendar feed",
+    });
+  }
+});
+
+// DELETE /api/calendar/feed - Tắt URL đăng ký lịch
+router.delete("/feed", async (req, res) => {
+  try {
+    await req.user.clearCalendarFeedToken();
+
+    res.json({
+      success: true,
+      message: "Calendar feed disabled",
+    });
+  } catch (error) {
+    console.error("❌ Disable calendar feed error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to disable calendar feed",
+    });
+  }
+});
+
+// POST /api/calendar/import/preview - Xem trước các task sẽ nhập từ file .ics (không lưu)
+router.post("/import/preview", parseIcsBody, async (req, res) => {
+  try {
+    const content = getIcsContent(req);
+
+    const preview = await CalendarImportService.previewImport(req.user, content);
+
+    res.json({
+      success: true,
+      ...formatImportPreview(preview),
+    });
+  } catch (error) {
+    console.error("❌ Preview calendar import error:", error);
+    handleImportError(res, error, "Failed to preview calendar import");
+  }
+});
+
+// POST /api/calendar/import/commit - Nhập file .ics: tạo task mới, cập nhật task
+// đã nhập trước đó (cùng UID). Trùng giờ => 409 trừ khi ?force=true
+router.post("/import/commit", parseIcsBody, async (req, res) => {
+  try {
+    const { userId } = req;
+    const content = getIcsContent(req);
+    const { force } = ForceQuerySchema.parse(req.query);
+
+    const preview = await CalendarImportService.previewImport(req.user, content);
+    if (preview.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No importable events found",
+        skipped: preview.skipped,
+      });
+    }
+
+    const conflicting = preview.items.filter((item) => item.conflicts.length > 0);
+    if (!force && conflicting.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Imported events overlap with existing tasks",
+        ...formatImportPreview({ ...preview, items: conflicting }),
+      });
+    }
+
+    const { created, updated, rescheduled } =
+      await CalendarImportService.commitImport(userId, preview);
+
+    res.status(created.length > 0 ? 201 : 200).json({
+      success: true,
+      created: created.map((task) => task._id.toString()),
+      updated: updated.map((task) => task._id.toString()),
+      skipped: preview.skipped,
+      rescheduled,
+      message: `Imported ${created.length} new and ${updated.length} updated tasks`,
+    });
+  } catch (error) {
+    console.error("❌ Commit calendar import error:", error);
+    handleImportError(res, error, "Failed to import calendar");
+  }
+});
+
+// Helper functions
+function getIcsContent(req) {
+  if (typeof req.body === "string") return req.body;
+  return ImportBodySchema.parse(req.body ?? {}).content;
+}
+
+function handleImportError(res, error, fallbackMessage) {
+  if (error.name === "ZodError") {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid input data",
+      details: error.issues,
+    });
+  }
+
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+  });
+}
+
+function formatImportPreview(preview) {
+  return {
+    calendarName: preview.calendarName,
+    sourceTimezone: preview.sourceTimezone,
+    timezone: preview.timezone,
+    tasks: preview.items.map(({ action, taskId, task, conflicts }) => ({
+      action,
+      taskId: taskId?.toString() || null,
+      externalId: task.importSource.externalId,
+      title: task.title,
+      note: task.note,
+      location: task.location,
+      weekdays: task.weekdays,
+      timeRange: task.timeRange,
+      recurrence: task.recurrence,
+      occurrenceOverrides: task.occurrenceOverrides,
+      conflicts,
+    })),
+    skipped: preview.skipped,
+  };
+}
+
+function sendCalendar(res, calendar, filename) {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Cache-Control", "private, max-age=300");
+  if (filename) {
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  }
+  res.send(calendar);
+}
+
+function formatFeed(req, user) {
+  const path = `/api/calendar/feed/${user.calendarFeedToken}.ics`;
+  const host = req.get("host");
+
+  return {
+    url: `${req.protocol}://${host}${path}`,
+    webcalUrl: `webcal://${host}${path}`,
+    createdAt: user.calendarFeedTokenCreatedAt,
+  };
+}
+
+export default router;
@@ -0,0 +1,417 @@
+import { Router } from "express";
+import { z } from "zod";
+import { Task } from "../models/Task.js";
+import { FocusSession } from "../models/FocusSession.js";
+import { LearningGoal } from "../models/LearningGoal.js";
+import { FocusRollupService } from "../services/FocusRollupService.js";
+import {
+  authenticateFirebase,
+  requireAuth,
+} from "../middleware/firebaseAuth.js";
+import {
+  addDays,
+  getUserTimezone,
+  isValidDateKey,
+  todayKey,
+} from "../utils/date.js";
+
+const router = Router();
+
+// Apply Firebase auth to all routes
+router.use(authenticateFirebase);
+router.use(requireAuth);
+
+// Khoảng tối đa cho list/rollup
+const MAX_RANGE_DAYS = 92;
+
+const DateKeySchema = z
+  .string()
+  .refine(isValidDateKey, "Invalid date format. Use YYYY-MM-DD");
+
+const StartSessionSchema = z.object({
+  taskId: z.string().min(1),
+  date: DateKeySchema.optional(), // mặc định: hôm nay theo timezone của user
+  note: z.string().max(500).optional(),
+});
+
+const InterruptionSchema = z.object({
+  reason: z
+    .enum(["phone", "notification", "person", "break", "other"])
+    .optional(),
+  note: z.string().max(200).optional(),
+});
+
+const StopSessionSchema = z.object({
+  note: z.string().max(500).optional(),
+});
+
+const RangeQuerySchema = z.object({
+  from: DateKeySchema.optional(),
+  to: DateKeySchema.optional(),
+});
+
+// POST /api/focus-sessions - Bắt đầu phiên tập trung cho một lần diễn ra của task
+router.post("/", async (req, res) => {
+  try {
+    const { userId } = req;
+    const timezone = getUserTimezone(req.user);
+    const data = StartSessionSchema.parse(req.body);
+    const date = data.date || todayKey(timezone);
+
+    const task = await Task.findOne({ _id: data.taskId, userId });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: "Task not found",
+      });
+    }
+
+    const occurrence = task.getOccurrence(date, timezone);
+    if (!occurrence) {
+      return res.status(400).json({
+        success: false,
+        error: "Task does not occur on this date",
+      });
+    }
+
+    // Mỗi user chỉ có 1 phiên đang chạy/tạm dừng
+    const active = await FocusSession.findActive(userId);
+    if (active) {
+      return res.status(409).json({
+        success: false,
+        error: "Another focus session is already in progress",
+        session: formatFocusSession(active),
+      });
+    }
+
+    const session = await FocusSession.create({
+      userId,
+      taskId: task._id,
+      learningGoalId: task.learningGoalId || null,
+      date,
+      plannedMinutes:
+        timeToMinutes(occurrence.timeRange.end) -
+        timeToMinutes(occurrence.timeRange.start),
+      startedAt: new Date(),
+      note: data.note || "",
+    });
+
+    res.status(201).json({
+      success: true,
+      session: formatFocusSession(session),
+      message: "Focus session started",
+    });
+  } catch (error) {
+    console.error("❌ Start focus session error:", error);
+
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to start focus session",
+    });
+  }
+});
+
+// GET /api/focus-sessions/active - Phiên đang chạy/tạm dừng (nếu có)
+router.get("/active", async (req, res) => {
+  try {
+    const { userId } = req;
+
+    const session = await FocusSession.findActive(userId);
+
+    res.json({
+      success: true,
+      session: session ? formatFocusSession(session) : null,
+    });
+  } catch (error) {
+    console.error("❌ Get active focus session error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch active focus session",
+    });
+  }
+});
+
+// GET /api/focus-sessions/rollup?from=&to= - Thực tế vs dự kiến theo task/goal/ngày
+router.get("/rollup", async (req, res) => {
+  try {
+    const { userId } = req;
+    const timezone = getUserTimezone(req.user);
+    const range = parseRange(req.query, timezone);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        error: range.error,
+      });
+    }
+
+    const rollup = await FocusRollupService.getRollup(
+      userId,
+      range.from,
+      range.to,
+      timezone
+    );
+
+    res.json({
+      success: true,
+      ...rollup,
+    });
+  } catch (error) {
+    console.error("❌ Focus rollup error:", error);
+
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch focus rollup",
+    });
+  }
+});
+
+// GET /api/focus-sessions?from=&to= - Danh sách phiên trong khoảng ngày
+router.get("/", async (req, res) => {
+  try {
+    const { userId } = req;
+    const range = parseRange(req.query, getUserTimezone(req.user));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        error: range.error,
+      });
+    }
+
+    const sessions = await FocusSession.find({
+      userId,
+      date: { $gte: range.from, $lte: range.to },
+    }).sort({ startedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(formatFocusSession),
+      total: sessions.length,
+    });
+  } catch (error) {
+    console.error("❌ Get focus sessions error:", error);
+
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch focus sessions",
+    });
+  }
+});
+
+// POST /api/focus-sessions/:id/pause - Tạm dừng
+router.post("/:id/pause", async (req, res) => {
+  await transitionSession(req, res, {
+    from: ["running"],
+    apply: (session) => session.pause(),
+    message: "Focus session paused",
+    failure: "Failed to pause focus session",
+  });
+});
+
+// POST /api/focus-sessions/:id/resume - Tiếp tục
+router.post("/:id/resume", async (req, res) => {
+  await transitionSession(req, res, {
+    from: ["paused"],
+    apply: (session) => session.resume(),
+    message: "Focus session resumed",
+    failure: "Failed to resume focus session",
+  });
+});
+
+// POST /api/focus-sessions/:id/stop - Kết thúc và chốt số phút thực tế
+router.post("/:id/stop", async (req, res) => {
+  await transitionSession(req, res, {
+    from: ["running", "paused"],
+    apply: (session) => {
+      const { note } = StopSessionSchema.parse(req.body ?? {});
+      if (note !== undefined) session.note = note;
+      session.stop();
+    },
+    // Ghi số phút thực tế vào tiến độ của learning goal
+    afterSave: async (session) => {
+      if (!session.learningGoalId || session.actualMinutes <= 0) return;
+      await LearningGoal.addProgressEntry(session.learningGoalId, {
+        date: session.date,
+        minutes: Math.min(session.actualMinutes, 24 * 60),
+        source: "timer",
+        taskId: session.taskId,
+        focusSessionId: session._id,
+      });
+    },
+    message: "Focus session completed",
+    failure: "Failed to stop focus session",
+  });
+});
+
+// POST /api/focus-sessions/:id/interruptions - Ghi nhận một lần bị gián đoạn
+router.post("/:id/interruptions", async (req, res) => {
+  await transitionSession(req, res, {
+    from: ["running", "paused"],
+    apply: (session) => {
+      const data = InterruptionSchema.parse(req.body ?? {});
+      session.interruptions.push({ at: new Date(), ...data });
+    },
+    message: "Interruption recorded",
+    failure: "Failed to record interruption",
+  });
+});
+
+// DELETE /api/focus-sessions/:id - Xoá phiên (vd: bấm nhầm)
+router.delete("/:id", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { id } = req.params;
+
+    const session = await FocusSession.findOneAndDelete({ _id: id, userId });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: "Focus session not found",
+      });
+    }
+
+    // Phiên đã dừng có thể đã ghi số phút vào tiến độ của goal
+    if (session.learningGoalId) {
+      await LearningGoal.removeFocusSessionProgress(
+        session.learningGoalId,
+        session._id
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "Focus session deleted successfully",
+    });
+  } catch (error) {
+    console.error("❌ Delete focus session error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete focus session",
+    });
+  }
+});
+
+// Helper: đổi trạng thái phiên (pause/resume/stop/interruption)
+async function transitionSession(
+  req,
+  res,
+  { from, apply, afterSave, message, failure }
+) {
+  try {
+    const { userId } = req;
+    const { id } = req.params;
+
+    const session = await FocusSession.findOne({ _id: id, userId });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: "Focus session not found",
+      });
+    }
+
+    if (!from.includes(session.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Focus session is ${session.status}`,
+      });
+    }
+
+    apply(session);
+    await session.save();
+    if (afterSave) await afterSave(session);
+
+    res.json({
+      success: true,
+      session: formatFocusSession(session),
+      message,
+    });
+  } catch (error) {
+    console.error(`❌ ${failure}:`, error);
+
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: failure,
+    });
+  }
+}
+
+// Helper: khoảng ngày từ query (mặc định 7 ngày gần nhất tính đến hôm nay)
+function parseRange(query, timezone) {
+  const { from, to } = RangeQuerySchema.parse(query);
+  const end = to || todayKey(timezone);
+  const start = from || addDays(end, -6);
+
+  if (start > end) {
+    return { error: "`from` must be before or equal to `to`" };
+  }
+  if (addDays(start, MAX_RANGE_DAYS - 1) < end) {
+    return { error: `Range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+  return { from: start, to: end };
+}
+
+function timeToMinutes(timeString) {
+  const [hours, minutes] = timeString.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatFocusSession(session) {
+  return {
+    id: session._id.toString(),
+    taskId: session.taskId.toString(),
+    learningGoalId: session.learningGoalId?.toString() || null,
+    date: session.date,
+    status: session.status,
+    plannedMinutes: session.plannedMinutes,
+    actualMinutes:
+      session.status === "completed"
+        ? session.actualMinutes
+        : session.getElapsedMinutes(),
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    pauses: session.pauses,
+    interruptions: (session.interruptions || []).map((interruption) => ({
+      id: interruption._id?.toString(),
+      at: interruption.at,
+      reason: interruption.reason,
+      note: interruption.note,
+    })),
+    note: session.note,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+  };
+}
+
+export default router;
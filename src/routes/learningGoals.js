@@ -1,38 +1,119 @@
 import { Router } from "express";
 import { z } from "zod";
-import { LearningGoal } from "../models/LearningGoal.js";
+import {
+  LearningGoal,
+  computeDailyTarget,
+  summarizeProgress,
+  validateGoalTarget,
+} from "../models/LearningGoal.js";
 import { AutoTaskGenerator } from "../services/AutoTaskGenerator.js";
+import { EnhancedSchedulingEngine } from "../services/EnhancedSchedulingEngine.js";
 import { User } from "../models/User.js";
+import { ReviewSession } from "../models/ReviewSession.js";
+import { getUserTimezone, isValidDateKey, todayKey } from "../utils/date.js";
+import {
+  authenticateFirebase,
+  requireAuth,
+} from "../middleware/firebaseAuth.js";
 
 const r = Router();
 
+// Apply Firebase auth to all routes (chặn cả tài khoản đang chờ xoá)
+r.use(authenticateFirebase);
+r.use(requireAuth);
+
+const DateKeySchema = z
+  .string()
+  .refine(isValidDateKey, "Invalid date format. Use YYYY-MM-DD");
+
+// Chủ đề trong giáo trình; id để giữ nguyên chủ đề cũ khi sửa/sắp xếp lại
+const TopicBody = z.object({
+  id: z.string().optional(),
+  title: z.string().min(1).max(120),
+  estimatedMinutes: z.number().int().min(5).max(6000).optional(),
+  done: z.boolean().optional(),
+});
+
 // Validation schema - đơn giản theo model mới
 const LearningGoalBody = z.object({
   subject: z.string().min(1).max(100),
   description: z.string().optional(),
-  targetHoursPerDay: z.number().min(0.25).max(8),
+  priority: z.enum(["high", "medium", "low"]).optional(),
+  category: z
+    .enum(["language", "programming", "math", "science", "exam", "skill", "other"])
+    .optional(),
+  color: z
+    .string()
+    .regex(/^#[0-9A-F]{6}$/i, "Invalid color format")
+    .optional(),
+  preferredTimeSlots: z
+    .array(z.enum(["early-morning", "morning", "afternoon", "evening", "night"]))
+    .max(5)
+    .optional(),
+  sessionLength: z
+    .object({
+      min: z.number().int().min(15).max(240).optional(),
+      preferred: z.number().int().min(15).max(240).optional(),
+      max: z.number().int().min(15).max(240).optional(),
+    })
+    .optional(),
+  targetMode: z.enum(["daily", "total", "weekly"]).optional(),
+  targetHoursPerDay: z.number().min(0.25).max(8).optional(),
+  totalTargetHours: z.number().min(0.5).max(2000).nullable().optional(),
+  weeklyTargetHours: z.number().min(0.25).max(56).nullable().optional(),
+  startDate: DateKeySchema.nullable().optional(),
+  deadline: DateKeySchema.nullable().optional(),
+  // Bỏ trống khi tạo: lấy giáo trình mẫu theo subject
+  topics: z.array(TopicBody).max(100).optional(),
+  // Mặc định không tự tạo tasks: client xem trước qua /api/schedule preview rồi commit.
+  // true: tạo tasks ngay khi tạo goal (bỏ qua bước xem trước)
+  autoGenerate: z.boolean().optional(),
 });
 
+// Ghi nhận tiến độ thủ công: minutes (hoặc hoursStudied cho client cũ)
+const ProgressBody = z
+  .object({
+    minutes: z.number().int().min(1).max(24 * 60).optional(),
+    hoursStudied: z.number().positive().max(24).optional(),
+    studyDate: z
+      .string()
+      .refine(isValidDateKey, "Invalid date format. Use YYYY-MM-DD")
+      .optional(),
+    note: z.string().max(500).optional(),
+  })
+  .refine((data) => data.minutes || data.hoursStudied, {
+    message: "minutes or hoursStudied is required",
+  });
+
 // GET /api/learning-goals - Get all learning goals
 r.get("/", async (req, res) => {
   try {
-    const { uid } = req;
+    const { firebaseUid } = req;
 
     // Tìm user trong DB bằng Firebase UID
-    const user = await User.findOne({ firebaseUid: uid });
+    const user = await User.findOne({ firebaseUid });
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const { isActive = true, category, priority } = req.query;
+    // status: active|paused|completed|archived|all (mặc định: ẩn goal đã lưu trữ).
+    // isActive=true/false được giữ để tương thích với client cũ
+    const { status, isActive, category, priority } = req.query;
     const filter = { userId: user._id };
-    if (isActive !== undefined) filter.isActive = isActive === "true";
+    if (status && status !== "all") {
+      filter.status = { $in: String(status).split(",") };
+    } else if (isActive !== undefined) {
+      filter.status = isActive === "true" ? "active" : { $ne: "active" };
+    } else if (!status) {
+      filter.status = { $ne: "archived" };
+    }
     if (category) filter.category = category;
     if (priority) filter.priority = priority;
 
-    const goals = await LearningGoal.find(filter)
-      .sort({ priority: -1, createdAt: 1 })
-      .lean();
+    // priority là chuỗi nên sắp xếp theo PRIORITY_ORDER thay vì thứ tự chữ cái
+    const goals = LearningGoal.sortByPriority(
+      await LearningGoal.find(filter).sort({ createdAt: 1 }).lean()
+    );
 
     res.json({ goals });
   } catch (error) {
@@ -65,23 +146,32 @@ r.post("/", async (req, res) => {
       return res.status(401).json({ error: "Authentication required" });
     }
 
-    const data = LearningGoalBody.parse(req.body);
+    const { autoGenerate = false, ...data } = LearningGoalBody.parse(req.body);
+
+    const targetError = validateGoalTarget(data);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
 
     const goal = await LearningGoal.create({
       ...data,
+      topics: data.topics
+        ? toTopicDocs(data.topics)
+        : EnhancedSchedulingEngine.buildSyllabus(data.subject),
       userId: user._id,
     });
 
-    try {
-      const autoTasks = await AutoTaskGenerator.generateTasksFromLearningGoal(
-        user._id,
-        goal
-      );
-      console.log(
-        `✅ Auto-generated ${autoTasks.length} tasks for learning goal: ${goal.subject}`
-      );
-    } catch (error) {
-      console.error("❌ Error auto-generating tasks:", error);
+    if (autoGenerate) {
+      try {
+        const { tasks: autoTasks, report } =
+          await AutoTaskGenerator.generateTasksFromLearningGoal(user._id, goal);
+        goal.schedulingReport = report;
+        console.log(
+          `✅ Auto-generated ${autoTasks.length} tasks for learning goal: ${goal.subject}`
+        );
+      } catch (error) {
+        console.error("❌ Error auto-generating tasks:", error);
+      }
     }
 
     res.status(201).json(goal);
@@ -100,34 +190,46 @@ r.put("/:id", async (req, res) => {
   try {
     const { userId } = req;
     const { id } = req.params;
-    const updates = LearningGoalBody.partial().parse(req.body);
-
-    const goal = await LearningGoal.findOneAndUpdate(
-      { _id: id, userId },
-      { $set: updates },
-      { new: true, runValidators: true }
+    const { autoGenerate, ...updates } = LearningGoalBody.partial().parse(
+      req.body
     );
 
+    const goal = await LearningGoal.findOne({ _id: id, userId });
     if (!goal) {
       return res.status(404).json({ error: "Learning goal not found" });
     }
 
+    // Validate mục tiêu sau khi merge với dữ liệu hiện tại
+    if (updates.topics) updates.topics = toTopicDocs(updates.topics, goal);
+    goal.set(updates);
+    const targetError = validateGoalTarget(goal);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+    await goal.save();
+
     const importantFields = [
+      "color",
+      "targetMode",
       "targetHoursPerDay",
+      "totalTargetHours",
+      "weeklyTargetHours",
+      "startDate",
+      "deadline",
       "preferredTimeSlots",
       "sessionLength",
-      "isActive",
+      "topics",
     ];
     const hasImportantChanges = Object.keys(updates).some((key) =>
       importantFields.includes(key)
     );
 
-    if (hasImportantChanges && goal.isActive) {
+    // Goal không hoạt động thì không có lịch; lịch sẽ được tạo lại khi resume
+    if (hasImportantChanges && goal.status === "active") {
       try {
-        const autoTasks = await AutoTaskGenerator.updateTasksForLearningGoal(
-          uid,
-          goal
-        );
+        const { tasks: autoTasks, report } =
+          await AutoTaskGenerator.updateTasksForLearningGoal(userId, goal);
+        goal.schedulingReport = report;
         console.log(
           `✅ Updated ${autoTasks.length} auto-generated tasks for: ${goal.subject}`
         );
@@ -160,9 +262,10 @@ r.delete("/:id", async (req, res) => {
       return res.status(404).json({ error: "Learning goal not found" });
     }
 
-    // Xóa các auto-generated tasks
+    // Xóa các auto-generated tasks và hàng đợi ôn tập
     try {
       await AutoTaskGenerator.removeAutoGeneratedTasks(id);
+      await ReviewSession.deleteMany({ learningGoalId: id });
       console.log(`✅ Removed auto-generated tasks for learning goal: ${id}`);
     } catch (error) {
       console.error("❌ Error removing auto-generated tasks:", error);
@@ -179,7 +282,7 @@ r.get("/active/priority", async (req, res) => {
   try {
     const { userId } = req;
 
-    const goals = await LearningGoal.getActiveGoalsByPriority(uid);
+    const goals = await LearningGoal.getActiveGoalsByPriority(userId);
 
     res.json({ goals });
   } catch (error) {
@@ -187,16 +290,21 @@ r.get("/active/priority", async (req, res) => {
   }
 });
 
-// POST /api/learning-goals/:id/progress - Update progress for a learning goal
+// POST /api/learning-goals/:id/progress - Ghi nhận số phút học thủ công
 r.post("/:id/progress", async (req, res) => {
   try {
     const { userId } = req;
     const { id } = req.params;
-    const { hoursStudied, studyDate } = req.body;
+    const timezone = getUserTimezone(req.user);
+    const { minutes, hoursStudied, studyDate, note } = ProgressBody.parse(
+      req.body
+    );
 
-    if (!hoursStudied || hoursStudied <= 0) {
+    const today = todayKey(timezone);
+    const date = studyDate || today;
+    if (date > today) {
       return res.status(400).json({
-        error: "hoursStudied must be a positive number",
+        error: "Cannot log progress for a future date",
       });
     }
 
@@ -204,17 +312,110 @@ r.post("/:id/progress", async (req, res) => {
     if (!goal) {
       return res.status(404).json({ error: "Learning goal not found" });
     }
+    if (goal.status === "completed") {
+      return res.status(409).json({
+        error: "Learning goal is completed; progress history is frozen",
+      });
+    }
 
-    await goal.updateProgress(
-      hoursStudied,
-      studyDate ? new Date(studyDate) : new Date()
-    );
+    await goal.logProgress({
+      date,
+      minutes: minutes || Math.round(hoursStudied * 60),
+      source: "manual",
+      note,
+    });
 
+    const summary = goal.getProgressSummary(timezone);
     res.json({
       message: "Progress updated successfully",
-      totalHours: goal.totalHoursCompleted,
-      currentStreak: goal.currentStreak,
-      longestStreak: goal.longestStreak,
+      ...summary,
+    });
+  } catch (error) {
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/learning-goals/:id/progress - Tổng hợp tiến độ + lịch sử theo ngày
+r.get("/:id/progress", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { id } = req.params;
+    const timezone = getUserTimezone(req.user);
+
+    const goal = await LearningGoal.findOne({ _id: id, userId }).lean();
+    if (!goal) {
+      return res.status(404).json({ error: "Learning goal not found" });
+    }
+
+    // Gộp entries theo ngày, mới nhất trước
+    const historyByDate = new Map();
+    for (const entry of goal.progressLog || []) {
+      if (!historyByDate.has(entry.date)) {
+        historyByDate.set(entry.date, { date: entry.date, minutes: 0, entries: [] });
+      }
+      const day = historyByDate.get(entry.date);
+      day.minutes += entry.minutes;
+      day.entries.push({
+        id: entry._id.toString(),
+        minutes: entry.minutes,
+        source: entry.source,
+        taskId: entry.taskId?.toString() || null,
+        focusSessionId: entry.focusSessionId?.toString() || null,
+        note: entry.note,
+        loggedAt: entry.loggedAt,
+      });
+    }
+
+    res.json({
+      ...summarizeProgress(goal, timezone),
+      target: computeDailyTarget(
+        goal,
+        todayKey(timezone),
+        req.user?.schedulingPreferences?.daysOff || []
+      ),
+      history: [...historyByDate.values()].sort((a, b) =>
+        b.date.localeCompare(a.date)
+      ),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/learning-goals/:id/reviews?status= - Hàng đợi ôn tập của goal
+r.get("/:id/reviews", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { id } = req.params;
+    const { status = "pending" } = req.query;
+
+    const goal = await LearningGoal.findOne({ _id: id, userId })
+      .select("_id")
+      .lean();
+    if (!goal) {
+      return res.status(404).json({ error: "Learning goal not found" });
+    }
+
+    const filter = { learningGoalId: goal._id };
+    if (status !== "all") filter.status = { $in: String(status).split(",") };
+
+    const reviews = await ReviewSession.find(filter)
+      .sort({ dueDate: 1, intervalDays: 1 })
+      .lean();
+    const today = todayKey(getUserTimezone(req.user));
+
+    res.json({
+      reviews: reviews.map((review) => ({
+        ...review,
+        isOverdue: review.status === "pending" && review.dueDate < today,
+      })),
+      total: reviews.length,
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -226,17 +427,29 @@ r.get("/stats/overview", async (req, res) => {
   try {
     const { userId } = req;
 
+    const timezone = getUserTimezone(req.user);
+
     const goals = await LearningGoal.find({ userId }).lean();
+    const summaries = goals.map((g) => summarizeProgress(g, timezone));
+    const totalMinutes = summaries.reduce((sum, p) => sum + p.totalMinutes, 0);
 
     const stats = {
       total: goals.length,
-      active: goals.filter((g) => g.isActive).length,
-      totalHours: goals.reduce((sum, g) => sum + g.totalHoursCompleted, 0),
+      active: goals.filter((g) => (g.status || "active") === "active").length,
+      totalHours: Math.round((totalMinutes / 60) * 100) / 100,
+      todayMinutes: summaries.reduce((sum, p) => sum + p.todayMinutes, 0),
       averageStreak:
         goals.length > 0
-          ? goals.reduce((sum, g) => sum + g.currentStreak, 0) / goals.length
+          ? summaries.reduce((sum, p) => sum + p.currentStreak, 0) / goals.length
           : 0,
+      longestStreak: Math.max(0, ...summaries.map((p) => p.longestStreak)),
       byCategory: {},
+      byStatus: {
+        active: 0,
+        paused: 0,
+        completed: 0,
+        archived: 0,
+      },
       byPriority: {
         high: goals.filter((g) => g.priority === "high").length,
         medium: goals.filter((g) => g.priority === "medium").length,
@@ -244,8 +457,9 @@ r.get("/stats/overview", async (req, res) => {
       },
     };
 
-    // Group by category
+    // Group by category & status
     goals.forEach((goal) => {
+      stats.byStatus[goal.status || "active"]++;
       if (!stats.byCategory[goal.category]) {
         stats.byCategory[goal.category] = 0;
       }
@@ -258,8 +472,79 @@ r.get("/stats/overview", async (req, res) => {
   }
 });
 
-// POST /api/learning-goals/:id/toggle - Toggle active status
+// POST /api/learning-goals/:id/topics/:topicId/toggle - Đánh dấu chủ đề xong/chưa xong
+r.post("/:id/topics/:topicId/toggle", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { id, topicId } = req.params;
+
+    const goal = await LearningGoal.findOne({ _id: id, userId });
+    if (!goal) {
+      return res.status(404).json({ error: "Learning goal not found" });
+    }
+
+    const current = goal.topics.id(topicId);
+    if (!current) {
+      return res.status(404).json({ error: "Topic not found" });
+    }
+
+    const topic = goal.setTopicDone(topicId, !current.done);
+    await goal.save();
+
+    // Các phiên sắp tới chuyển sang chủ đề tiếp theo
+    if (goal.status === "active") {
+      try {
+        const { report } = await AutoTaskGenerator.updateTasksForLearningGoal(
+          userId,
+          goal
+        );
+        goal.schedulingReport = report;
+      } catch (error) {
+        console.error("❌ Error updating auto-generated tasks:", error);
+      }
+    }
+
+    res.json({
+      message: `Topic marked as ${topic.done ? "done" : "not done"}`,
+      topic,
+      topics: goal.topics,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/learning-goals/:id/pause - Tạm dừng: ẩn các task tự tạo
+r.post("/:id/pause", async (req, res) => {
+  await changeGoalStatus(req, res, "paused");
+});
+
+// POST /api/learning-goals/:id/resume - Tiếp tục: tạo lại lịch theo lịch hiện tại
+r.post("/:id/resume", async (req, res) => {
+  await changeGoalStatus(req, res, "active");
+});
+
+// POST /api/learning-goals/:id/complete - Hoàn thành: khoá lịch sử tiến độ
+r.post("/:id/complete", async (req, res) => {
+  await changeGoalStatus(req, res, "completed");
+});
+
+// POST /api/learning-goals/:id/archive - Lưu trữ
+r.post("/:id/archive", async (req, res) => {
+  await changeGoalStatus(req, res, "archived");
+});
+
+// POST /api/learning-goals/:id/toggle - Chuyển nhanh giữa active và paused
 r.post("/:id/toggle", async (req, res) => {
+  await changeGoalStatus(req, res, (goal) =>
+    goal.status === "active" ? "paused" : "active"
+  );
+});
+
+// Helper: chuyển trạng thái goal và đồng bộ các task tự tạo.
+// `nextStatus` là trạng thái đích hoặc hàm (goal) => trạng thái đích
+async function changeGoalStatus(req, res, nextStatus) {
+  let status = nextStatus;
   try {
     const { userId } = req;
     const { id } = req.params;
@@ -269,16 +554,62 @@ r.post("/:id/toggle", async (req, res) => {
       return res.status(404).json({ error: "Learning goal not found" });
     }
 
-    goal.isActive = !goal.isActive;
+    if (typeof nextStatus === "function") status = nextStatus(goal);
+    if (!goal.canTransitionTo(status)) {
+      return res.status(409).json({
+        error: `Cannot change learning goal from ${goal.status} to ${status}`,
+        status: goal.status,
+      });
+    }
+
+    goal.transitionTo(status);
+
+    let tasksAffected = 0;
+    if (status === "active") {
+      // Lịch cũ có thể đã lỗi thời: xếp lại theo lịch hiện tại của user
+      const { tasks, report } =
+        await AutoTaskGenerator.updateTasksForLearningGoal(userId, goal);
+      goal.schedulingReport = report;
+      tasksAffected = tasks.length;
+    } else {
+      tasksAffected = await AutoTaskGenerator.deactivateAutoGeneratedTasks(
+        goal._id
+      );
+    }
     await goal.save();
 
+    console.log(
+      `✅ Learning goal ${goal.subject} is now ${status} (${tasksAffected} tasks)`
+    );
+
     res.json({
-      message: `Learning goal ${goal.isActive ? "activated" : "deactivated"}`,
-      isActive: goal.isActive,
+      message: `Learning goal ${status}`,
+      status: goal.status,
+      statusChangedAt: goal.statusChangedAt,
+      completedAt: goal.completedAt,
+      tasksAffected,
+      schedulingReport: status === "active" ? goal.schedulingReport : null,
+      progress: summarizeProgress(goal, getUserTimezone(req.user)),
     });
   } catch (error) {
+    console.error(`❌ Change learning goal status (${status}) error:`, error);
     res.status(500).json({ error: error.message });
   }
-});
+}
+
+// Helper: chuyển topics từ request thành subdocuments, giữ _id của chủ đề cũ
+function toTopicDocs(topics, goal = null) {
+  return topics.map(({ id, ...topic }) => {
+    const existing = id && goal ? goal.topics.id(id) : null;
+    const done = topic.done ?? existing?.done ?? false;
+    return {
+      ...(existing ? { _id: existing._id } : {}),
+      title: topic.title,
+      estimatedMinutes: topic.estimatedMinutes ?? existing?.estimatedMinutes,
+      done,
+      doneAt: done ? existing?.doneAt || new Date() : null,
+    };
+  });
+}
 
 export default r;
@@ -0,0 +1,743 @@
+import { Router } from "express";
+import { z } from "zod";
+import dayjs from "dayjs";
+import { FixedSchedule } from "../models/FixedSchedule.js";
+import { GeneratedSchedule } from "../models/GeneratedSchedule.js";
+import { LearningGoal } from "../models/LearningGoal.js";
+import { SchedulingEngine } from "../services/SchedulingEngine.js";
+import { EnhancedSchedulingEngine } from "../services/EnhancedSchedulingEngine.js";
+import {
+  SchedulePreviewService,
+  buildRebalanceSummary,
+} from "../services/SchedulePreviewService.js";
+import { AutoTaskGenerator } from "../services/AutoTaskGenerator.js";
+import { MissedSessionService } from "../services/MissedSessionService.js";
+import {
+  authenticateFirebase,
+  requireAuth,
+} from "../middleware/firebaseAuth.js";
+import {
+  addDays,
+  getUserTimezone,
+  isValidDateKey,
+  toDateKey,
+} from "../utils/date.js";
+
+const router = Router();
+
+// Apply Firebase auth to all routes
+router.use(authenticateFirebase);
+router.use(requireAuth);
+
+// Engine dùng để sinh lịch (chọn qua ?engine=basic|enhanced)
+const ENGINES = {
+  basic: SchedulingEngine,
+  enhanced: EnhancedSchedulingEngine,
+};
+
+// Validation schema cho thời khoá biểu cố định
+const FixedScheduleBodySchema = z.object({
+  title: z.string().min(1).max(200).trim(),
+  dayOfWeek: z.number().int().min(0).max(6),
+  startTime: z.number().int().min(0).max(1439), // phút kể từ 00:00
+  endTime: z.number().int().min(1).max(1440),
+  type: z
+    .enum(["class", "work", "study", "meal", "personal", "other"])
+    .optional(),
+  location: z.string().max(200).optional(),
+  note: z.string().max(500).optional(),
+  isActive: z.boolean().optional(),
+});
+
+const SessionStatusSchema = z.object({
+  status: z.enum(["scheduled", "done", "skipped"]),
+});
+
+const CommitBodySchema = z.object({
+  token: z.string().min(1),
+});
+
+const RebalanceBodySchema = z.object({
+  strategy: z.enum(["fair", "priority"]).default("fair"),
+  dryRun: z.boolean().default(true),
+});
+
+// GET /api/schedule/fixed - Lấy thời khoá biểu cố định
+router.get("/fixed", async (req, res) => {
+  try {
+    const { userId } = req;
+
+    const items = await FixedSchedule.find({ userId })
+      .sort({ dayOfWeek: 1, startTime: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      fixedSchedule: items.map(formatFixedItem),
+      total: items.length,
+    });
+  } catch (error) {
+    console.error("❌ Get fixed schedule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch fixed schedule",
+    });
+  }
+});
+
+// POST /api/schedule/fixed - Thêm một mục vào thời khoá biểu cố định
+router.post("/fixed", async (req, res) => {
+  try {
+    const { userId } = req;
+    const data = FixedScheduleBodySchema.parse(req.body);
+
+    if (data.endTime <= data.startTime) {
+      return res.status(400).json({
+        success: false,
+        error: "End time must be after start time",
+      });
+    }
+
+    const item = await FixedSchedule.create({ ...data, userId });
+
+    res.status(201).json({
+      success: true,
+      item: formatFixedItem(item),
+      message: "Fixed schedule item created successfully",
+    });
+  } catch (error) {
+    console.error("❌ Create fixed schedule error:", error);
+
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to create fixed schedule item",
+    });
+  }
+});
+
+// PUT /api/schedule/fixed/:id - Cập nhật mục thời khoá biểu
+router.put("/fixed/:id", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { id } = req.params;
+    const updates = FixedScheduleBodySchema.partial().parse(req.body);
+
+    const item = await FixedSchedule.findOne({ _id: id, userId });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: "Fixed schedule item not found",
+      });
+    }
+
+    item.set(updates);
+    if (item.endTime <= item.startTime) {
+      return res.status(400).json({
+        success: false,
+        error: "End time must be after start time",
+      });
+    }
+    await item.save();
+
+    res.json({
+      success: true,
+      item: formatFixedItem(item),
+      message: "Fixed schedule item updated successfully",
+    });
+  } catch (error) {
+    console.error("❌ Update fixed schedule error:", error);
+
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update fixed schedule item",
+    });
+  }
+});
+
+// DELETE /api/schedule/fixed/:id - Xoá mục thời khoá biểu
+router.delete("/fixed/:id", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { id } = req.params;
+
+    const result = await FixedSchedule.deleteOne({ _id: id, userId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Fixed schedule item not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Fixed schedule item deleted successfully",
+    });
+  } catch (error) {
+    console.error("❌ Delete fixed schedule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete fixed schedule item",
+    });
+  }
+});
+
+// GET /api/schedule/daily/:date - Lấy lịch học đã sinh của một ngày
+router.get("/daily/:date", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { date } = req.params;
+    const timezone = getUserTimezone(req.user);
+
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid date format (YYYY-MM-DD)",
+      });
+    }
+
+    const sessions = await getSessionsForDays(userId, date, 1, timezone);
+
+    res.json({
+      success: true,
+      date,
+      sessions: sessions.map((session) => formatSession(session, timezone)),
+    });
+  } catch (error) {
+    console.error("❌ Get daily schedule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch daily schedule",
+    });
+  }
+});
+
+// POST /api/schedule/daily/:date/generate - Sinh lịch học cho ngày (nếu chưa có)
+// POST /api/schedule/daily/:date/regenerate - Sinh lại lịch học cho ngày
+router.post("/daily/:date/:action", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { date, action } = req.params;
+    const timezone = getUserTimezone(req.user);
+
+    if (!["generate", "regenerate"].includes(action)) {
+      return res.status(404).json({ success: false, error: "Not found" });
+    }
+
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid date format (YYYY-MM-DD)",
+      });
+    }
+
+    const engine = getEngine(req.query.engine);
+    if (!engine) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid engine. Must be 'basic' or 'enhanced'",
+      });
+    }
+
+    const existing = await getSessionsForDays(userId, date, 1, timezone);
+    const shouldGenerate = action === "regenerate" || existing.length === 0;
+
+    if (shouldGenerate) {
+      await engine.generateDailySchedule(
+        userId,
+        dayjs.tz(date, timezone).toDate(),
+        timezone
+      );
+    }
+
+    const sessions = shouldGenerate
+      ? await getSessionsForDays(userId, date, 1, timezone)
+      : existing;
+
+    res.json({
+      success: true,
+      date,
+      generated: shouldGenerate,
+      sessions: sessions.map((session) => formatSession(session, timezone)),
+    });
+  } catch (error) {
+    console.error("❌ Generate daily schedule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to generate daily schedule",
+    });
+  }
+});
+
+// GET /api/schedule/weekly/:date - Lấy lịch học 7 ngày kể từ ngày đã cho
+router.get("/weekly/:date", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { date } = req.params;
+    const timezone = getUserTimezone(req.user);
+
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid date format (YYYY-MM-DD)",
+      });
+    }
+
+    const sessions = await getSessionsForDays(userId, date, 7, timezone);
+
+    res.json({
+      success: true,
+      startDate: date,
+      schedule: groupSessionsByDate(sessions, date, 7, timezone),
+    });
+  } catch (error) {
+    console.error("❌ Get weekly schedule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch weekly schedule",
+    });
+  }
+});
+
+// POST /api/schedule/weekly/:date/generate - Sinh lịch cho các ngày chưa có lịch
+// POST /api/schedule/weekly/:date/regenerate - Sinh lại lịch cho cả 7 ngày
+router.post("/weekly/:date/:action", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { date, action } = req.params;
+    const timezone = getUserTimezone(req.user);
+
+    if (!["generate", "regenerate"].includes(action)) {
+      return res.status(404).json({ success: false, error: "Not found" });
+    }
+
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid date format (YYYY-MM-DD)",
+      });
+    }
+
+    const engine = getEngine(req.query.engine);
+    if (!engine) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid engine. Must be 'basic' or 'enhanced'",
+      });
+    }
+
+    const generatedDates = [];
+    if (action === "regenerate") {
+      await engine.generateWeeklySchedule(
+        userId,
+        dayjs.tz(date, timezone).toDate(),
+        7,
+        timezone
+      );
+      for (let i = 0; i < 7; i++) {
+        generatedDates.push(addDays(date, i));
+      }
+    } else {
+      const existing = groupSessionsByDate(
+        await getSessionsForDays(userId, date, 7, timezone),
+        date,
+        7,
+        timezone
+      );
+      for (const [dateKey, daySessions] of Object.entries(existing)) {
+        if (daySessions.length === 0) {
+          await engine.generateDailySchedule(
+            userId,
+            dayjs.tz(dateKey, timezone).toDate(),
+            timezone
+          );
+          generatedDates.push(dateKey);
+        }
+      }
+    }
+
+    const sessions = await getSessionsForDays(userId, date, 7, timezone);
+
+    res.json({
+      success: true,
+      startDate: date,
+      generatedDates,
+      schedule: groupSessionsByDate(sessions, date, 7, timezone),
+    });
+  } catch (error) {
+    console.error("❌ Generate weekly schedule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to generate weekly schedule",
+    });
+  }
+});
+
+// PATCH /api/schedule/sessions/:id/status - Đánh dấu buổi học done/skipped
+router.patch("/sessions/:id/status", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { id } = req.params;
+    const { status } = SessionStatusSchema.parse(req.body);
+
+    const session = await GeneratedSchedule.findOneAndUpdate(
+      { _id: id, userId },
+      {
+        $set: {
+          status,
+          completedAt: status === "done" ? new Date() : null,
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      session: formatSession(session, getUserTimezone(req.user)),
+      message: `Session marked as ${status}`,
+    });
+  } catch (error) {
+    console.error("❌ Update session status error:", error);
+
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update session status",
+    });
+  }
+});
+
+// POST /api/schedule/goals/:goalId/preview - Xem trước lịch tự tạo cho goal (không lưu)
+router.post("/goals/:goalId/preview", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { goalId } = req.params;
+
+    const goal = await LearningGoal.findOne({ _id: goalId, userId });
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: "Learning goal not found",
+      });
+    }
+    if (goal.status !== "active") {
+      return res.status(409).json({
+        success: false,
+        error: `Learning goal is ${goal.status}`,
+      });
+    }
+
+    const preview = await SchedulePreviewService.previewLearningGoal(
+      userId,
+      goal
+    );
+
+    res.json({
+      success: true,
+      ...formatPreview(preview),
+    });
+  } catch (error) {
+    console.error("❌ Preview schedule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to preview schedule",
+    });
+  }
+});
+
+// POST /api/schedule/rebalance - Xếp lại lịch chung cho tất cả goals đang hoạt động
+// dryRun (mặc định) trả về preview + token để commit qua /commit
+router.post("/rebalance", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { strategy, dryRun } = RebalanceBodySchema.parse(req.body ?? {});
+
+    const goals = await LearningGoal.getActiveGoalsByPriority(userId);
+    if (goals.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No active learning goals to schedule",
+      });
+    }
+
+    if (dryRun) {
+      const preview = await SchedulePreviewService.previewRebalance(
+        userId,
+        goals,
+        strategy
+      );
+
+      return res.json({
+        success: true,
+        ...formatPreview(preview),
+      });
+    }
+
+    const { tasks, reports } = await AutoTaskGenerator.rebalanceLearningGoals(
+      userId,
+      goals,
+      strategy
+    );
+    const summary = buildRebalanceSummary(strategy, reports);
+
+    res.json({
+      success: true,
+      learningGoalIds: goals.map((goal) => goal._id.toString()),
+      sessions: tasks
+        .filter((task) => task.sessionType !== "break")
+        .map(formatPlannedTask),
+      unplacedMinutes: summary.totalShortfallMinutes,
+      report: summary,
+      message: "Schedule rebalanced successfully",
+    });
+  } catch (error) {
+    console.error("❌ Rebalance schedule error:", error);
+
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to rebalance schedule",
+    });
+  }
+});
+
+// POST /api/schedule/commit - Lưu đúng kế hoạch đã preview
+router.post("/commit", async (req, res) => {
+  try {
+    const { userId } = req;
+    const { token } = CommitBodySchema.parse(req.body);
+
+    const preview = await SchedulePreviewService.commitPreview(userId, token);
+
+    res.json({
+      success: true,
+      ...formatPreview(preview),
+      message: "Schedule committed successfully",
+    });
+  } catch (error) {
+    console.error("❌ Commit schedule error:", error);
+
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to commit schedule",
+    });
+  }
+});
+
+// GET /api/schedule/missed - Các phiên bị lỡ đã ghi nhận (mới nhất trước)
+router.get("/missed", async (req, res) => {
+  try {
+    const { userId } = req;
+
+    const goals = await LearningGoal.find({ userId })
+      .select("subject status missedSessions")
+      .lean();
+
+    const missed = goals
+      .flatMap((goal) =>
+        (goal.missedSessions || []).map((entry) => ({
+          learningGoalId: goal._id.toString(),
+          subject: goal.subject,
+          date: entry.date,
+          taskId: entry.taskId.toString(),
+          title: entry.title,
+          sessionType: entry.sessionType,
+          minutes: entry.minutes,
+          carriedOverMinutes: entry.carriedOverMinutes || 0,
+          detectedAt: entry.detectedAt,
+        }))
+      )
+      .sort((a, b) => b.date.localeCompare(a.date));
+
+    res.json({
+      success: true,
+      missed,
+      total: missed.length,
+      totalMinutes: missed.reduce((sum, m) => sum + m.minutes, 0),
+    });
+  } catch (error) {
+    console.error("❌ Get missed sessions error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch missed sessions",
+    });
+  }
+});
+
+// POST /api/schedule/missed - Phát hiện phiên bị lỡ mới, ghi nhận và tạo phiên bù
+// (gọi lại nhiều lần hoặc song song không ghi nhận trùng)
+router.post("/missed", async (req, res) => {
+  try {
+    const { userId } = req;
+
+    const { detected, carriedOver, unplaced } =
+      await MissedSessionService.processMissedSessions(userId);
+
+    res.json({
+      success: true,
+      detected,
+      carriedOver,
+      unplaced,
+      total: detected.length,
+    });
+  } catch (error) {
+    console.error("❌ Detect missed sessions error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to detect missed sessions",
+    });
+  }
+});
+
+// Helper functions
+function getEngine(name = "basic") {
+  return ENGINES[name] || null;
+}
+
+// Mốc đầu/cuối ngày tính theo timezone của user (engine lưu `date` là 00:00 ngày đó)
+function getSessionsForDays(userId, dateKey, days, timezone) {
+  const from = dayjs.tz(dateKey, timezone).toDate();
+  const to = dayjs
+    .tz(addDays(dateKey, days - 1), timezone)
+    .endOf("day")
+    .toDate();
+  return GeneratedSchedule.getScheduleForRange(userId, from, to);
+}
+
+function groupSessionsByDate(sessions, startDateKey, days, timezone) {
+  const schedule = {};
+  for (let i = 0; i < days; i++) {
+    schedule[addDays(startDateKey, i)] = [];
+  }
+  for (const session of sessions) {
+    const key = toDateKey(session.date, timezone);
+    if (schedule[key]) schedule[key].push(formatSession(session, timezone));
+  }
+  return schedule;
+}
+
+function minutesToTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, "0")}:${mins
+    .toString()
+    .padStart(2, "0")}`;
+}
+
+function formatFixedItem(item) {
+  return {
+    id: item._id.toString(),
+    title: item.title,
+    dayOfWeek: item.dayOfWeek,
+    startTime: item.startTime,
+    endTime: item.endTime,
+    timeRange: {
+      start: minutesToTime(item.startTime),
+      end: minutesToTime(item.endTime),
+    },
+    type: item.type,
+    location: item.location,
+    note: item.note,
+    isActive: item.isActive,
+  };
+}
+
+function formatSession(session, timezone) {
+  return {
+    id: session._id.toString(),
+    date: toDateKey(session.date, timezone),
+    learningGoalId: session.learningGoalId?.toString(),
+    startTime: session.startTime,
+    endTime: session.endTime,
+    duration: session.duration,
+    status: session.status,
+    completedAt: session.completedAt,
+    sessionTopic: session.sessionTopic,
+    sessionOrder: session.sessionOrder,
+    suggestedBreak: session.suggestedBreak,
+    explanation: session.explanation || null,
+  };
+}
+
+function formatPlannedTask(task) {
+  return {
+    title: task.title,
+    note: task.note,
+    sessionType: task.sessionType,
+    date: task.recurrence?.startDate || null,
+    weekdays: task.weekdays,
+    timeRange: task.timeRange,
+    color: task.color,
+    learningGoalId: task.learningGoalId?.toString(),
+    topicId: task.topicId?.toString() || null,
+    explanation: task.explanation || null,
+  };
+}
+
+function formatPreview(preview) {
+  const tasks = preview.tasks.map(formatPlannedTask);
+  return {
+    token: preview.token,
+    expiresAt: preview.expiresAt,
+    learningGoalIds: preview.learningGoalIds.map((id) => id.toString()),
+    sessions: tasks.filter((t) => t.sessionType !== "break"),
+    breaks: tasks.filter((t) => t.sessionType === "break"),
+    days: preview.summary?.days || [],
+    unplacedMinutes: preview.summary?.totalShortfallMinutes || 0,
+    report: preview.summary || null,
+  };
+}
+
+export default router;
@@ -1,10 +1,24 @@
 import { Router } from "express";
 import { z } from "zod";
 import { Task } from "../models/Task.js";
+import { LearningGoal } from "../models/LearningGoal.js";
+import { FocusSession } from "../models/FocusSession.js";
+import { ReviewScheduler } from "../services/ReviewScheduler.js";
+import { ConflictDetector } from "../services/ConflictDetector.js";
+import { AutoTaskGenerator } from "../services/AutoTaskGenerator.js";
+import { TaskCsvService } from "../services/TaskCsvService.js";
 import {
   authenticateFirebase,
   requireAuth,
 } from "../middleware/firebaseAuth.js";
+import {
+  currentMinutes,
+  getUserTimezone,
+  getWeekDates,
+  isValidDateKey,
+  todayKey,
+  toDateKey,
+} from "../utils/date.js";
 
 const router = Router();
 
@@ -12,10 +26,23 @@ const router = Router();
 router.use(authenticateFirebase);
 router.use(requireAuth);
 
+const DateKeySchema = z
+  .string()
+  .refine(isValidDateKey, "Invalid date format (YYYY-MM-DD)");
+
+const RecurrenceSchema = z.object({
+  startDate: DateKeySchema.nullable().optional(),
+  endDate: DateKeySchema.nullable().optional(),
+  interval: z.number().int().min(1).max(52).optional(),
+  dates: z.array(DateKeySchema).optional(),
+  exceptionDates: z.array(DateKeySchema).optional(),
+});
+
 // Validation schema phù hợp với frontend
 const TaskBodySchema = z.object({
   title: z.string().min(1).max(200).trim(),
-  weekdays: z.array(z.number().int().min(0).max(6)).min(1),
+  weekdays: z.array(z.number().int().min(0).max(6)).optional(),
+  recurrence: RecurrenceSchema.optional(),
   timeRange: z.object({
     start: z
       .string()
@@ -25,6 +52,7 @@ const TaskBodySchema = z.object({
       .regex(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format"),
   }),
   note: z.string().optional(),
+  location: z.string().max(200).trim().optional(),
   color: z
     .string()
     .regex(/^#[0-9A-F]{6}$/i)
@@ -35,36 +63,62 @@ const TaskBodySchema = z.object({
   isCompleted: z.boolean().optional(),
 });
 
+// Cập nhật một phần: field không gửi lên giữ nguyên (không áp dụng default isActive)
+const TaskUpdateSchema = TaskBodySchema.extend({
+  isActive: z.boolean().optional(),
+}).partial();
+
+// ?force=true: vẫn lưu task dù trùng giờ với task khác
+const ForceQuerySchema = z.object({
+  force: z
+    .enum(["true", "false"])
+    .optional()
+    .transform((value) => value === "true"),
+});
+
+// Nhập CSV: mapping { field: tên cột | vị trí cột (từ 0) }, dryRun (mặc định) chỉ kiểm tra
+const CsvColumnSchema = z.union([z.string().min(1), z.number().int().min(0)]);
+
+const CsvImportBodySchema = z.object({
+  content: z.string().min(1),
+  mapping: z
+    .object(
+      Object.fromEntries(
+        TaskCsvService.COLUMNS.map((field) => [field, CsvColumnSchema.optional()])
+      )
+    )
+    .optional(),
+  dryRun: z.boolean().default(true),
+});
+
+// Chỉnh sửa một lần diễn ra của task lặp lại
+const OccurrenceOverrideSchema = z.object({
+  isCancelled: z.boolean().optional(),
+  timeRange: z
+    .object({
+      start: z
+        .string()
+        .regex(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format"),
+      end: z
+        .string()
+        .regex(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format"),
+    })
+    .nullable()
+    .optional(),
+  title: z.string().min(1).max(200).trim().nullable().optional(),
+  note: z.string().max(500).nullable().optional(),
+});
+
 // GET /api/tasks - Lấy tất cả tasks của user
 router.get("/", async (req, res) => {
   try {
     const { userId, firebaseUid } = req;
+    const timezone = getUserTimezone(req.user);
 
     const tasks = await Task.find({ userId });
 
     // Transform để phù hợp với frontend
-    const formattedTasks = tasks.map((task) => {
-      // Auto-complete past tasks before formatting
-      task.autoCompleteIfPast();
-      
-      return {
-        id: task._id.toString(),
-        title: task.title,
-        weekdays: task.weekdays,
-        timeRange: task.timeRange,
-        note: task.note,
-        color: task.color,
-        isActive: task.isActive,
-        isAutoGenerated: task.isAutoGenerated || false,
-        learningGoalId: task.learningGoalId?.toString(),
-        isCompleted: task.effectiveIsCompleted, // Use virtual field
-        isPastTask: task.isPastTask, // Add virtual field
-        completedAt: task.completedAt,
-        dailyCompletions: task.dailyCompletions || [],
-        createdAt: task.createdAt,
-        updatedAt: task.updatedAt,
-      };
-    });
+    const formattedTasks = tasks.map((task) => formatTask(task, timezone));
 
     res.json({
       success: true,
@@ -80,121 +134,307 @@ router.get("/", async (req, res) => {
   }
 });
 
-// GET /api/tasks/:id - Lấy task cụ thể
-router.get("/:id", async (req, res) => {
+// GET /api/tasks/conflicts?date=YYYY-MM-DD - Các task trùng giờ trong tuần (mặc định tuần này)
+router.get("/conflicts", async (req, res) => {
   try {
     const { userId } = req;
-    const { id } = req.params;
-
-    const task = await Task.findOne({ _id: id, userId });
+    const timezone = getUserTimezone(req.user);
+    const { date } = req.query;
 
-    if (!task) {
-      return res.status(404).json({
+    if (date !== undefined && !isValidDateKey(date)) {
+      return res.status(400).json({
         success: false,
-        error: "Task not found",
+        error: "Invalid date format (YYYY-MM-DD)",
       });
     }
 
-    // Auto-complete past tasks before formatting
-    task.autoCompleteIfPast();
-    
-    const formattedTask = {
-      id: task._id.toString(),
-      title: task.title,
-      weekdays: task.weekdays,
-      timeRange: task.timeRange,
-      note: task.note,
-      color: task.color,
-      isActive: task.isActive,
-      isAutoGenerated: task.isAutoGenerated || false,
-      learningGoalId: task.learningGoalId?.toString(),
-      isCompleted: task.effectiveIsCompleted, // Use virtual field
-      isPastTask: task.isPastTask, // Add virtual field
-      completedAt: task.completedAt,
-      dailyCompletions: task.dailyCompletions || [],
-      createdAt: task.createdAt,
-      updatedAt: task.updatedAt,
-    };
+    const weekDates = getWeekDates(date || todayKey(timezone));
+    const conflicts = await ConflictDetector.findWeekConflicts(
+      userId,
+      weekDates[0],
+      timezone
+    );
 
     res.json({
       success: true,
-      task: formattedTask,
+      weekStart: weekDates[0],
+      weekEnd: weekDates[6],
+      conflicts,
+      total: conflicts.length,
     });
   } catch (error) {
-    console.error("❌ Get task error:", error);
+    console.error("❌ Get conflicts error:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch task",
+      error: "Failed to fetch conflicts",
     });
   }
 });
 
-// POST /api/tasks - Tạo task mới
-router.post("/", async (req, res) => {
+// GET /api/tasks/week/:date - Lấy tasks cho tuần cụ thể
+// (không truyền date: tuần hiện tại theo timezone của user)
+router.get("/week{/:date}", async (req, res) => {
   try {
     const { userId } = req;
-    const taskData = TaskBodySchema.parse(req.body);
-
-    // Validate time range
-    const startMinutes = timeToMinutes(taskData.timeRange.start);
-    const endMinutes = timeToMinutes(taskData.timeRange.end);
+    const timezone = getUserTimezone(req.user);
+    const { date } = req.params;
 
-    if (endMinutes <= startMinutes) {
+    const targetDate = new Date(date);
+    if (date !== undefined && isNaN(targetDate.getTime())) {
       return res.status(400).json({
         success: false,
-        error: "End time must be after start time",
+        error: "Invalid date format",
       });
     }
 
-    // Validate weekdays are not empty
-    if (!taskData.weekdays || taskData.weekdays.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "At least one weekday must be selected",
+    // Date key giữ nguyên; thời điểm (ISO) được quy đổi sang ngày theo timezone của user
+    const weekDate =
+      date === undefined
+        ? todayKey(timezone)
+        : isValidDateKey(date)
+          ? date
+          : toDateKey(targetDate, timezone);
+
+    // Get all active tasks for user
+    const tasks = await Task.find({
+      userId,
+      isActive: true,
+    }).lean();
+
+    // Group by day of week, mở rộng lịch lặp theo ngày thực tế của tuần
+    const weekDates = getWeekDates(weekDate);
+    const weekSchedule = {};
+    for (let i = 0; i < 7; i++) {
+      const dateKey = weekDates[i];
+      weekSchedule[i] = tasks
+        .map((task) => ({ task, occurrence: Task.getOccurrence(task, dateKey, timezone) }))
+        .filter(({ occurrence }) => occurrence) // Bỏ qua lần đã bị huỷ
+        .map(({ task, occurrence }) => ({
+          id: task._id.toString(),
+          date: dateKey,
+          title: occurrence.title,
+          weekdays: task.weekdays,
+          timeRange: occurrence.timeRange,
+          recurrence: formatRecurrence(task.recurrence),
+          isOverridden: occurrence.isOverridden,
+          note: occurrence.note,
+          location: task.location || "",
+          color: task.color,
+          isAutoGenerated: task.isAutoGenerated || false,
+          learningGoalId: task.learningGoalId?.toString(),
+          topicId: task.topicId?.toString() || null,
+          sessionType: task.sessionType || null,
+          reviewSessionId: task.reviewSessionId?.toString() || null,
+          explanation: task.explanation || null,
+          isCompleted: task.isAutoGenerated
+            ? (task.dailyCompletions || []).some(
+                (c) => c.date === dateKey && c.isCompleted
+              )
+            : task.isCompleted || false,
+          isMissed: Task.isMissedOn(task, dateKey, timezone),
+          completedAt: task.completedAt,
+          dailyCompletions: task.dailyCompletions || [],
+        }))
+        .sort(
+          (a, b) =>
+            timeToMinutes(a.timeRange.start) - timeToMinutes(b.timeRange.start)
+        );
+    }
+
+    res.json({
+      success: true,
+      weekSchedule,
+      weekDates,
+      date: weekDate,
+    });
+  } catch (error) {
+    console.error("❌ Get week schedule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch week schedule",
+    });
+  }
+});
+
+// GET /api/tasks/export.csv - Xuất các task lặp theo tuần ra CSV
+// (mặc định bỏ qua phiên tự tạo; ?includeAutoGenerated=true để lấy cả)
+router.get("/export.csv", async (req, res) => {
+  try {
+    const { userId } = req;
+    const includeAutoGenerated = req.query.includeAutoGenerated === "true";
+
+    const filter = { userId, isActive: true };
+    if (!includeAutoGenerated) filter.isAutoGenerated = { $ne: true };
+    const tasks = await Task.find(filter).sort({ createdAt: 1 }).lean();
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", 'attachment; filename="uniflow-tasks.csv"');
+    res.send(TaskCsvService.buildCsv(tasks));
+  } catch (error) {
+    console.error("❌ Export tasks CSV error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to export tasks",
+    });
+  }
+});
+
+// POST /api/tasks/import/csv - Nhập task từ CSV. Mỗi dòng được kiểm tra như
+// POST /api/tasks; dryRun (mặc định) chỉ báo lỗi theo dòng, không lưu.
+// Khi lưu, chỉ các dòng hợp lệ được tạo
+router.post("/import/csv", async (req, res) => {
+  try {
+    const { userId } = req;
+    const timezone = getUserTimezone(req.user);
+    const { content, mapping, dryRun } = CsvImportBodySchema.parse(req.body);
+
+    const { rows } = TaskCsvService.parseRows(content, mapping);
+
+    const results = rows.map(({ row, data, errors }) => {
+      let taskData = null;
+      if (errors.length === 0) {
+        const parsed = TaskBodySchema.safeParse(data);
+        if (!parsed.success) {
+          errors.push(
+            ...parsed.error.issues.map((issue) => ({
+              field: issue.path.join("."),
+              message: issue.message,
+            }))
+          );
+        } else {
+          const taskDataError = validateTaskData(parsed.data);
+          if (taskDataError) errors.push({ field: null, message: taskDataError });
+          else taskData = parsed.data;
+        }
+      }
+      return { row, data, taskData, errors };
+    });
+
+    const validRows = results.filter((result) => result.taskData);
+    const invalidRows = results
+      .filter((result) => !result.taskData)
+      .map(({ row, data, errors }) => ({ row, title: data.title, errors }));
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        total: results.length,
+        valid: validRows.length,
+        invalid: invalidRows.length,
+        tasks: validRows.map(({ row, taskData }) => ({ row, ...taskData })),
+        errors: invalidRows,
       });
     }
 
-    // Validate weekday values (0-6)
-    const validWeekdays = [0, 1, 2, 3, 4, 5, 6];
-    const invalidWeekdays = taskData.weekdays.filter(day => !validWeekdays.includes(day));
-    if (invalidWeekdays.length > 0) {
+    const importedAt = new Date();
+    const created = await Task.insertMany(
+      validRows.map(({ taskData }) => ({
+        ...taskData,
+        userId,
+        isAutoGenerated: false,
+        importSource: { provider: "csv", importedAt },
+      }))
+    );
+
+    // Dời các phiên tự tạo bị task mới đè lên
+    const rescheduled = [];
+    for (const task of created) {
+      const result = await rescheduleDisplacedSessions(userId, task);
+      if (result?.moved.length > 0 || result?.unplaced.length > 0) {
+        rescheduled.push({ taskId: task._id.toString(), ...result });
+      }
+    }
+
+    res.status(created.length > 0 ? 201 : 200).json({
+      success: true,
+      dryRun: false,
+      total: results.length,
+      valid: validRows.length,
+      invalid: invalidRows.length,
+      tasks: created.map((task) => formatTask(task, timezone)),
+      errors: invalidRows,
+      rescheduled,
+      message: `Imported ${created.length} tasks`,
+    });
+  } catch (error) {
+    console.error("❌ Import tasks CSV error:", error);
+
+    if (error.name === "ZodError") {
       return res.status(400).json({
         success: false,
-        error: "Invalid weekday values. Must be 0-6 (Sunday-Saturday)",
+        error: "Invalid input data",
+        details: error.issues,
       });
     }
 
-    // Validate title is not empty
-    if (!taskData.title || taskData.title.trim().length === 0) {
-      return res.status(400).json({
+    if (error.status) {
+      return res.status(error.status).json({
         success: false,
-        error: "Task title cannot be empty",
+        error: error.message,
       });
     }
 
-    // Validate title length
-    if (taskData.title.trim().length > 100) {
-      return res.status(400).json({
+    res.status(500).json({
+      success: false,
+      error: "Failed to import tasks",
+    });
+  }
+});
+
+// GET /api/tasks/:id - Lấy task cụ thể
+router.get("/:id", async (req, res) => {
+  try {
+    const { userId } = req;
+    const timezone = getUserTimezone(req.user);
+    const { id } = req.params;
+
+    const task = await Task.findOne({ _id: id, userId });
+
+    if (!task) {
+      return res.status(404).json({
         success: false,
-        error: "Task title cannot exceed 100 characters",
+        error: "Task not found",
       });
     }
 
-    // Validate note length if provided
-    if (taskData.note && taskData.note.length > 500) {
+    const formattedTask = formatTask(task, timezone);
+
+    res.json({
+      success: true,
+      task: formattedTask,
+    });
+  } catch (error) {
+    console.error("❌ Get task error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch task",
+    });
+  }
+});
+
+// POST /api/tasks - Tạo task mới
+router.post("/", async (req, res) => {
+  try {
+    const { userId } = req;
+    const timezone = getUserTimezone(req.user);
+    const taskData = TaskBodySchema.parse(req.body);
+    const { force } = ForceQuerySchema.parse(req.query);
+
+    // Validate time range, weekdays, recurrence, title, note
+    taskData.weekdays = taskData.weekdays || [];
+    const taskDataError = validateTaskData(taskData);
+    if (taskDataError) {
       return res.status(400).json({
         success: false,
-        error: "Task note cannot exceed 500 characters",
+        error: taskDataError,
       });
     }
 
     // Validate that manual tasks are not created for past days only
+    const todayDate = todayKey(timezone);
     if (!taskData.isAutoGenerated) {
-      const today = new Date();
-      const currentDay = today.getDay();
-      const hasCurrentOrFutureDay = taskData.weekdays.some(day => day >= currentDay);
-      
-      if (!hasCurrentOrFutureDay) {
+      if (!Task.hasUpcomingOccurrence(taskData, todayDate)) {
         return res.status(400).json({
           success: false,
           error: "Manual tasks cannot be created for past days only. Please include at least one current or future day.",
@@ -202,48 +442,55 @@ router.post("/", async (req, res) => {
       }
     }
 
-    // Validate time is not in the past for today's tasks
-    const today = new Date();
-    const currentDay = today.getDay();
-    const currentTime = today.getHours() * 60 + today.getMinutes();
-    
-    if (taskData.weekdays.includes(currentDay) && startMinutes < currentTime) {
+    // Validate time is not in the past for today's tasks (theo giờ của user)
+    const currentTime = currentMinutes(timezone);
+    const startMinutes = timeToMinutes(taskData.timeRange.start);
+
+    if (
+      Task.occursOn({ ...taskData, createdAt: new Date() }, todayDate, timezone) &&
+      startMinutes < currentTime
+    ) {
       return res.status(400).json({
         success: false,
         error: "Cannot create tasks that start in the past for today.",
       });
     }
 
+    // Kiểm tra trùng giờ với các task hiện có. Task thủ công được ưu tiên:
+    // phiên tự tạo bị đè sẽ được dời đi thay vì chặn
+    const isManual = !taskData.isAutoGenerated;
+    if (!force) {
+      const conflicts = await ConflictDetector.findConflictsForTask(
+        userId,
+        taskData,
+        { fromDate: todayDate, ignoreAutoGenerated: isManual, timezone }
+      );
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: "Task overlaps with existing tasks",
+          conflicts,
+        });
+      }
+    }
+
     const task = await Task.create({
       ...taskData,
       userId,
       isAutoGenerated: taskData.isAutoGenerated || false, // Set false for manual tasks
     });
 
-    // Auto-complete past tasks before formatting
-    task.autoCompleteIfPast();
-    
-    const formattedTask = {
-      id: task._id.toString(),
-      title: task.title,
-      weekdays: task.weekdays,
-      timeRange: task.timeRange,
-      note: task.note,
-      color: task.color,
-      isActive: task.isActive,
-      isAutoGenerated: task.isAutoGenerated || false,
-      learningGoalId: task.learningGoalId?.toString(),
-      isCompleted: task.effectiveIsCompleted, // Use virtual field
-      isPastTask: task.isPastTask, // Add virtual field
-      completedAt: task.completedAt,
-      dailyCompletions: task.dailyCompletions || [],
-      createdAt: task.createdAt,
-      updatedAt: task.updatedAt,
-    };
+    const rescheduled =
+      isManual && task.isActive
+        ? await rescheduleDisplacedSessions(userId, task)
+        : null;
+
+    const formattedTask = formatTask(task, timezone);
 
     res.status(201).json({
       success: true,
       task: formattedTask,
+      rescheduled,
       message: "Task created successfully",
     });
   } catch (error) {
@@ -268,8 +515,10 @@ router.post("/", async (req, res) => {
 router.put("/:id", async (req, res) => {
   try {
     const { userId } = req;
+    const timezone = getUserTimezone(req.user);
     const { id } = req.params;
-    const updates = TaskBodySchema.partial().parse(req.body);
+    const updates = TaskUpdateSchema.parse(req.body);
+    const { force } = ForceQuerySchema.parse(req.query);
 
     // Validate time range if provided
     if (updates.timeRange) {
@@ -293,17 +542,43 @@ router.put("/:id", async (req, res) => {
       });
     }
 
+    // Gộp recurrence cập nhật một phần với recurrence hiện tại
+    if (updates.recurrence) {
+      updates.recurrence = {
+        ...formatRecurrence(currentTask.recurrence),
+        ...updates.recurrence,
+      };
+
+      const recurrenceError = validateRecurrence(updates.recurrence);
+      if (recurrenceError) {
+        return res.status(400).json({
+          success: false,
+          error: recurrenceError,
+        });
+      }
+    }
+
+    // Task sau khi áp dụng updates (dùng để kiểm tra lịch lặp)
+    const mergedTask = {
+      weekdays: updates.weekdays ?? currentTask.weekdays,
+      recurrence: updates.recurrence ?? currentTask.recurrence,
+      createdAt: currentTask.createdAt,
+    };
+
     // Validate weekdays if provided
-    if (updates.weekdays !== undefined) {
-      if (!updates.weekdays || updates.weekdays.length === 0) {
+    if (updates.weekdays !== undefined || updates.recurrence !== undefined) {
+      if (
+        mergedTask.weekdays.length === 0 &&
+        !(mergedTask.recurrence?.dates?.length > 0)
+      ) {
         return res.status(400).json({
           success: false,
-          error: "At least one weekday must be selected",
+          error: "At least one weekday or date must be selected",
         });
       }
 
       const validWeekdays = [0, 1, 2, 3, 4, 5, 6];
-      const invalidWeekdays = updates.weekdays.filter(day => !validWeekdays.includes(day));
+      const invalidWeekdays = mergedTask.weekdays.filter(day => !validWeekdays.includes(day));
       if (invalidWeekdays.length > 0) {
         return res.status(400).json({
           success: false,
@@ -313,11 +588,7 @@ router.put("/:id", async (req, res) => {
 
       // Validate that manual tasks are not updated to past days only
       if (!currentTask.isAutoGenerated) {
-        const today = new Date();
-        const currentDay = today.getDay();
-        const hasCurrentOrFutureDay = updates.weekdays.some(day => day >= currentDay);
-        
-        if (!hasCurrentOrFutureDay) {
+        if (!Task.hasUpcomingOccurrence(mergedTask, todayKey(timezone))) {
           return res.status(400).json({
             success: false,
             error: "Manual tasks cannot be updated to past days only. Please include at least one current or future day.",
@@ -351,15 +622,12 @@ router.put("/:id", async (req, res) => {
       });
     }
 
-    // Validate time is not in the past for today's tasks
-    const today = new Date();
-    const currentDay = today.getDay();
-    const currentTime = today.getHours() * 60 + today.getMinutes();
-    
-    const weekdaysToCheck = updates.weekdays || currentTask.weekdays;
+    // Validate time is not in the past for today's tasks (theo giờ của user)
+    const currentTime = currentMinutes(timezone);
+
     const timeRangeToCheck = updates.timeRange || currentTask.timeRange;
-    
-    if (weekdaysToCheck.includes(currentDay) && timeRangeToCheck) {
+
+    if (Task.occursOn(mergedTask, todayKey(timezone), timezone) && timeRangeToCheck) {
       const startMinutes = timeToMinutes(timeRangeToCheck.start);
       
       if (startMinutes < currentTime) {
@@ -370,6 +638,35 @@ router.put("/:id", async (req, res) => {
       }
     }
 
+    // Kiểm tra trùng giờ khi đổi lịch (hoặc bật lại task)
+    const isActiveAfter = updates.isActive ?? currentTask.isActive;
+    const changesSchedule = ["weekdays", "recurrence", "timeRange", "isActive"].some(
+      (key) => updates[key] !== undefined
+    );
+    if (!force && isActiveAfter && changesSchedule) {
+      const conflicts = await ConflictDetector.findConflictsForTask(
+        userId,
+        {
+          ...mergedTask,
+          timeRange: timeRangeToCheck,
+          occurrenceOverrides: currentTask.occurrenceOverrides,
+        },
+        {
+          fromDate: todayKey(timezone),
+          excludeTaskId: currentTask._id,
+          ignoreAutoGenerated: !currentTask.isAutoGenerated,
+          timezone,
+        }
+      );
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: "Task overlaps with existing tasks",
+          conflicts,
+        });
+      }
+    }
+
     const task = await Task.findOneAndUpdate(
       { _id: id, userId },
       { $set: updates },
@@ -383,30 +680,17 @@ router.put("/:id", async (req, res) => {
       });
     }
 
-    // Auto-complete past tasks before formatting
-    task.autoCompleteIfPast();
-    
-    const formattedTask = {
-      id: task._id.toString(),
-      title: task.title,
-      weekdays: task.weekdays,
-      timeRange: task.timeRange,
-      note: task.note,
-      color: task.color,
-      isActive: task.isActive,
-      isAutoGenerated: task.isAutoGenerated || false,
-      learningGoalId: task.learningGoalId?.toString(),
-      isCompleted: task.effectiveIsCompleted, // Use virtual field
-      isPastTask: task.isPastTask, // Add virtual field
-      completedAt: task.completedAt,
-      dailyCompletions: task.dailyCompletions || [],
-      createdAt: task.createdAt,
-      updatedAt: task.updatedAt,
-    };
+    const rescheduled =
+      !task.isAutoGenerated && task.isActive && changesSchedule
+        ? await rescheduleDisplacedSessions(userId, task)
+        : null;
+
+    const formattedTask = formatTask(task, timezone);
 
     res.json({
       success: true,
       task: formattedTask,
+      rescheduled,
       message: "Task updated successfully",
     });
   } catch (error) {
@@ -455,68 +739,11 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
-// GET /api/tasks/week/:date - Lấy tasks cho tuần cụ thể
-router.get("/week/:date", async (req, res) => {
-  try {
-    const { userId } = req;
-    const { date } = req.params;
-
-    const targetDate = new Date(date);
-    if (isNaN(targetDate.getTime())) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid date format",
-      });
-    }
-
-    // Get all active tasks for user
-    const tasks = await Task.find({
-      userId,
-      isActive: true,
-    }).lean();
-
-    // Group by day of week
-    const weekSchedule = {};
-    for (let i = 0; i < 7; i++) {
-      weekSchedule[i] = tasks
-        .filter((task) => task.weekdays.includes(i))
-        .map((task) => ({
-          id: task._id.toString(),
-          title: task.title,
-          weekdays: task.weekdays,
-          timeRange: task.timeRange,
-          note: task.note,
-          color: task.color,
-          isAutoGenerated: task.isAutoGenerated || false,
-          learningGoalId: task.learningGoalId?.toString(),
-          isCompleted: task.isCompleted || false,
-          completedAt: task.completedAt,
-          dailyCompletions: task.dailyCompletions || [],
-        }))
-        .sort(
-          (a, b) =>
-            timeToMinutes(a.timeRange.start) - timeToMinutes(b.timeRange.start)
-        );
-    }
-
-    res.json({
-      success: true,
-      weekSchedule,
-      date: targetDate.toISOString().split("T")[0],
-    });
-  } catch (error) {
-    console.error("❌ Get week schedule error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch week schedule",
-    });
-  }
-});
-
 // PATCH /api/tasks/:id/toggle-completion - Toggle completion status
 router.patch("/:id/toggle-completion", async (req, res) => {
   try {
     const { userId } = req;
+    const timezone = getUserTimezone(req.user);
     const { id } = req.params;
     const { date } = req.body; // Optional: specific date for daily completion
 
@@ -529,7 +756,23 @@ router.patch("/:id/toggle-completion", async (req, res) => {
       });
     }
 
-    const today = date || new Date().toISOString().split("T")[0];
+    if (date !== undefined && !isValidDateKey(date)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid date format. Use YYYY-MM-DD",
+      });
+    }
+
+    task.setTimezone(timezone);
+    const today = date || todayKey(timezone);
+
+    // Không cho hoàn thành lần diễn ra đã bị huỷ
+    if (task.occursOn(today) && !task.getOccurrence(today)) {
+      return res.status(400).json({
+        success: false,
+        error: "This occurrence has been cancelled",
+      });
+    }
     
     if (task.isAutoGenerated) {
       // For auto-generated tasks, use daily completion tracking
@@ -559,30 +802,23 @@ router.patch("/:id/toggle-completion", async (req, res) => {
 
     await task.save();
 
-    // Auto-complete past tasks before formatting
-    task.autoCompleteIfPast();
-    
-    const formattedTask = {
-      id: task._id.toString(),
-      title: task.title,
-      weekdays: task.weekdays,
-      timeRange: task.timeRange,
-      note: task.note,
-      color: task.color,
-      isActive: task.isActive,
-      isAutoGenerated: task.isAutoGenerated || false,
-      learningGoalId: task.learningGoalId?.toString(),
-      isCompleted: task.effectiveIsCompleted, // Use virtual field
-      isPastTask: task.isPastTask, // Add virtual field
-      completedAt: task.completedAt,
-      dailyCompletions: task.dailyCompletions || [],
-      createdAt: task.createdAt,
-      updatedAt: task.updatedAt,
-    };
+    // Cộng/trừ tiến độ của learning goal liên kết
+    const progress = await syncGoalProgress(task, today);
+
+    // Xếp hàng (hoặc huỷ) các buổi ôn tập của buổi học này
+    const reviews = await ReviewScheduler.syncTaskCompletion(
+      task,
+      today,
+      isOccurrenceCompleted(task, today)
+    );
+
+    const formattedTask = formatTask(task, timezone);
 
     res.json({
       success: true,
       task: formattedTask,
+      progress,
+      reviews,
       message: `Task ${task.isCompleted ? 'completed' : 'uncompleted'} successfully`,
     });
   } catch (error) {
@@ -594,10 +830,300 @@ router.patch("/:id/toggle-completion", async (req, res) => {
   }
 });
 
+// PUT /api/tasks/:id/occurrences/:date - Dời giờ / huỷ / sửa một lần diễn ra
+router.put("/:id/occurrences/:date", async (req, res) => {
+  try {
+    const { userId } = req;
+    const timezone = getUserTimezone(req.user);
+    const { id, date } = req.params;
+
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid date format (YYYY-MM-DD)",
+      });
+    }
+
+    const changes = OccurrenceOverrideSchema.parse(req.body);
+
+    if (changes.timeRange) {
+      const startMinutes = timeToMinutes(changes.timeRange.start);
+      const endMinutes = timeToMinutes(changes.timeRange.end);
+
+      if (endMinutes <= startMinutes) {
+        return res.status(400).json({
+          success: false,
+          error: "End time must be after start time",
+        });
+      }
+    }
+
+    const task = await Task.findOne({ _id: id, userId });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: "Task not found",
+      });
+    }
+
+    task.setTimezone(timezone);
+
+    if (!task.occursOn(date)) {
+      return res.status(400).json({
+        success: false,
+        error: "Task does not occur on this date",
+      });
+    }
+
+    let override = task.getOverride(date);
+    if (!override) {
+      task.occurrenceOverrides.push({ date });
+      override = task.getOverride(date);
+    }
+
+    if (changes.isCancelled !== undefined) override.isCancelled = changes.isCancelled;
+    if (changes.timeRange !== undefined) {
+      override.timeRange = changes.timeRange || undefined;
+    }
+    if (changes.title !== undefined) override.title = changes.title || undefined;
+    if (changes.note !== undefined) override.note = changes.note ?? undefined;
+
+    await task.save();
+
+    res.json({
+      success: true,
+      task: formatTask(task, timezone),
+      occurrence: task.getOccurrence(date),
+      message: override.isCancelled
+        ? "Occurrence cancelled successfully"
+        : "Occurrence updated successfully",
+    });
+  } catch (error) {
+    console.error("❌ Update occurrence error:", error);
+
+    if (error.name === "ZodError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid input data",
+        details: error.issues,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update occurrence",
+    });
+  }
+});
+
+// DELETE /api/tasks/:id/occurrences/:date - Khôi phục lần diễn ra về lịch gốc
+router.delete("/:id/occurrences/:date", async (req, res) => {
+  try {
+    const { userId } = req;
+    const timezone = getUserTimezone(req.user);
+    const { id, date } = req.params;
+
+    const task = await Task.findOne({ _id: id, userId });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: "Task not found",
+      });
+    }
+
+    task.setTimezone(timezone);
+
+    const override = task.getOverride(date);
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        error: "Occurrence override not found",
+      });
+    }
+
+    task.occurrenceOverrides.pull(override._id);
+    await task.save();
+
+    res.json({
+      success: true,
+      task: formatTask(task, timezone),
+      occurrence: task.getOccurrence(date),
+      message: "Occurrence restored successfully",
+    });
+  } catch (error) {
+    console.error("❌ Restore occurrence error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to restore occurrence",
+    });
+  }
+});
+
 // Helper function
 function timeToMinutes(timeString) {
   const [hours, minutes] = timeString.split(":").map(Number);
   return hours * 60 + minutes;
 }
 
+// Ghi tiến độ cho goal khi hoàn thành (xoá khi bỏ hoàn thành) một buổi học.
+// Nếu đã bấm giờ bằng focus session thì số phút thực tế đã được ghi (source "timer"),
+// khi đó không cộng thêm số phút dự kiến để tránh tính 2 lần
+async function syncGoalProgress(task, dateKey) {
+  if (!task.learningGoalId || task.sessionType === "break") return null;
+
+  const isCompleted = isOccurrenceCompleted(task, dateKey);
+
+  let minutes = 0;
+  let source = null;
+  if (isCompleted) {
+    const trackedSessions = await FocusSession.find({
+      userId: task.userId,
+      taskId: task._id,
+      date: dateKey,
+      status: "completed",
+    }).lean();
+    const trackedMinutes = trackedSessions.reduce(
+      (sum, session) => sum + (session.actualMinutes || 0),
+      0
+    );
+
+    if (trackedMinutes > 0) {
+      source = "timer";
+    } else {
+      const { timeRange } = task.getOccurrence(dateKey) || task;
+      minutes = timeToMinutes(timeRange.end) - timeToMinutes(timeRange.start);
+      source = "task";
+    }
+  }
+
+  await LearningGoal.setTaskProgress(task.learningGoalId, {
+    taskId: task._id,
+    date: dateKey,
+    minutes,
+  });
+
+  return {
+    learningGoalId: task.learningGoalId.toString(),
+    date: dateKey,
+    creditedMinutes: minutes,
+    source,
+  };
+}
+
+// Dời các phiên tự tạo bị task thủ công đè lên; lỗi không làm hỏng việc lưu task
+async function rescheduleDisplacedSessions(userId, task) {
+  try {
+    return await AutoTaskGenerator.rescheduleDisplacedSessions(userId, task);
+  } catch (error) {
+    console.error("❌ Reschedule displaced sessions error:", error);
+    return null;
+  }
+}
+
+// Lần diễn ra ngày `dateKey` đã hoàn thành chưa (task tự tạo theo dõi theo ngày)
+function isOccurrenceCompleted(task, dateKey) {
+  return task.isAutoGenerated
+    ? task.dailyCompletions.some((c) => c.date === dateKey && c.isCompleted)
+    : task.isCompleted;
+}
+
+// Format task document cho frontend
+function formatTask(task, timezone) {
+  // Tính "hôm nay" theo timezone của user
+  task.setTimezone(timezone);
+
+  return {
+    id: task._id.toString(),
+    title: task.title,
+    weekdays: task.weekdays,
+    timeRange: task.timeRange,
+    recurrence: formatRecurrence(task.recurrence),
+    occurrenceOverrides: (task.occurrenceOverrides || []).map(formatOverride),
+    note: task.note,
+    location: task.location || "",
+    color: task.color,
+    isActive: task.isActive,
+    isAutoGenerated: task.isAutoGenerated || false,
+    learningGoalId: task.learningGoalId?.toString(),
+    topicId: task.topicId?.toString() || null,
+    sessionType: task.sessionType || null,
+    reviewSessionId: task.reviewSessionId?.toString() || null,
+    explanation: task.explanation || null,
+    importSource: task.importSource?.provider ? task.importSource : null,
+    isCompleted: task.effectiveIsCompleted, // Use virtual field
+    isPastTask: task.isPastTask, // Add virtual field
+    isMissed: task.isMissedOn(task.getTodayKey()),
+    completedAt: task.completedAt,
+    dailyCompletions: task.dailyCompletions || [],
+    createdAt: task.createdAt,
+    updatedAt: task.updatedAt,
+  };
+}
+
+function formatOverride(override) {
+  return {
+    date: override.date,
+    isCancelled: override.isCancelled || false,
+    timeRange: override.timeRange?.start ? override.timeRange : null,
+    title: override.title || null,
+    note: override.note ?? null,
+  };
+}
+
+// Kiểm tra task mới (sau TaskBodySchema), trả về thông báo lỗi hoặc null.
+// Dùng chung cho POST /api/tasks và nhập CSV
+function validateTaskData(taskData) {
+  if (timeToMinutes(taskData.timeRange.end) <= timeToMinutes(taskData.timeRange.start)) {
+    return "End time must be after start time";
+  }
+
+  // Phải có ít nhất một thứ (trừ khi task chỉ diễn ra vào ngày cụ thể)
+  const weekdays = taskData.weekdays || [];
+  if (weekdays.length === 0 && !(taskData.recurrence?.dates?.length > 0)) {
+    return "At least one weekday or date must be selected";
+  }
+
+  const recurrenceError = validateRecurrence(taskData.recurrence);
+  if (recurrenceError) return recurrenceError;
+
+  if (weekdays.some((day) => day < 0 || day > 6)) {
+    return "Invalid weekday values. Must be 0-6 (Sunday-Saturday)";
+  }
+
+  if (!taskData.title || taskData.title.trim().length === 0) {
+    return "Task title cannot be empty";
+  }
+  if (taskData.title.trim().length > 100) {
+    return "Task title cannot exceed 100 characters";
+  }
+
+  if (taskData.note && taskData.note.length > 500) {
+    return "Task note cannot exceed 500 characters";
+  }
+
+  return null;
+}
+
+// Kiểm tra logic của recurrence, trả về thông báo lỗi hoặc null
+function validateRecurrence(recurrence) {
+  if (!recurrence) return null;
+
+  const { startDate, endDate } = recurrence;
+  if (startDate && endDate && endDate < startDate) {
+    return "Recurrence end date must be after start date";
+  }
+
+  return null;
+}
+
+function formatRecurrence(recurrence) {
+  return {
+    startDate: recurrence?.startDate || null,
+    endDate: recurrence?.endDate || null,
+    interval: recurrence?.interval || 1,
+    dates: recurrence?.dates || [],
+    exceptionDates: recurrence?.exceptionDates || [],
+  };
+}
+
 export default router;
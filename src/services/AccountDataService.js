@@ -0,0 +1,198 @@
+import mongoose from "mongoose";
+import { Task } from "../models/Task.js";
+import { LearningGoal } from "../models/LearningGoal.js";
+import { FocusSession } from "../models/FocusSession.js";
+import { ReviewSession } from "../models/ReviewSession.js";
+import { FixedSchedule } from "../models/FixedSchedule.js";
+import { GeneratedSchedule } from "../models/GeneratedSchedule.js";
+
+/**
+ * Account Data Service - Xuất toàn bộ dữ liệu của user thành JSON có phiên bản
+ * và nhập lại vào một tài khoản mới (backup/restore, chuyển môi trường).
+ * Khi nhập, mọi ObjectId được cấp mới và các liên kết (learningGoalId, taskId...)
+ * được đổi theo; id trỏ tới dữ liệu không có trong file được giữ nguyên
+ */
+export class AccountDataService {
+  static EXPORT_FORMAT = "uniflow-account-export";
+
+  // Tăng khi cấu trúc file xuất thay đổi
+  static EXPORT_VERSION = 1;
+
+  // Các collection thuộc về user (SchedulePreview là dữ liệu tạm, không xuất)
+  static COLLECTIONS = {
+    learningGoals: LearningGoal,
+    tasks: Task,
+    reviewSessions: ReviewSession,
+    focusSessions: FocusSession,
+    fixedSchedules: FixedSchedule,
+    generatedSchedules: GeneratedSchedule,
+  };
+
+  // Các field tham chiếu tới document khác của user ("a.b" = field b trong mảng a).
+  // Id của subdocument (topics, progressLog) được giữ nguyên vì chỉ có nghĩa trong document cha
+  static REFERENCES = {
+    learningGoals: ["progressLog.taskId", "progressLog.focusSessionId", "missedSessions.taskId"],
+    tasks: ["learningGoalId", "reviewSessionId"],
+    reviewSessions: ["learningGoalId", "sourceTaskId"],
+    focusSessions: ["taskId", "learningGoalId"],
+    fixedSchedules: [],
+    generatedSchedules: ["learningGoalId"],
+  };
+
+  // Thông tin user được xuất/nhập (email, tên... lấy từ Firebase)
+  static USER_FIELDS = ["settings", "schedulingPreferences"];
+
+  /**
+   * Toàn bộ dữ liệu của user
+   */
+  static async exportAccount(user) {
+    const entries = await Promise.all(
+      Object.entries(this.COLLECTIONS).map(async ([key, Model]) => {
+        const docs = await Model.find({ userId: user._id })
+          .sort({ createdAt: 1 })
+          .lean();
+        return [key, docs.map(({ userId, __v, ...doc }) => doc)];
+      })
+    );
+
+    return {
+      format: this.EXPORT_FORMAT,
+      version: this.EXPORT_VERSION,
+      exportedAt: new Date(),
+      user: {
+        email: user.email,
+        name: user.name,
+        avatar: user.avatar,
+        createdAt: user.createdAt,
+        ...Object.fromEntries(
+          this.USER_FIELDS.map((field) => [field, toPlainObject(user[field])])
+        ),
+      },
+      ...Object.fromEntries(entries),
+    };
+  }
+
+  /**
+   * Nhập dữ liệu đã xuất vào tài khoản `user` (phải chưa có task/goal nào).
+   * Kiểm tra toàn bộ trước khi ghi; lỗi khi ghi => xoá phần đã ghi
+   */
+  static async importAccount(user, data) {
+    if (data.version > this.EXPORT_VERSION) {
+      throw createHttpError(400, `Unsupported export version: ${data.version}`);
+    }
+
+    const [taskCount, goalCount] = await Promise.all([
+      Task.countDocuments({ userId: user._id }),
+      LearningGoal.countDocuments({ userId: user._id }),
+    ]);
+    if (taskCount > 0 || goalCount > 0) {
+      throw createHttpError(
+        409,
+        "Account already has data. Import is only allowed into an empty account"
+      );
+    }
+
+    // Cấp id mới cho mọi document trong file
+    const idMap = new Map();
+    for (const key of Object.keys(this.COLLECTIONS)) {
+      for (const doc of data[key] || []) {
+        if (doc._id) idMap.set(String(doc._id), new mongoose.Types.ObjectId());
+      }
+    }
+
+    const errors = [];
+    const documents = {};
+    for (const [key, Model] of Object.entries(this.COLLECTIONS)) {
+      documents[key] = (data[key] || []).map((raw, index) => {
+        const { _id, userId, __v, ...fields } = raw;
+        for (const path of this.REFERENCES[key]) remapPath(fields, path, idMap);
+
+        const doc = new Model({
+          ...fields,
+          _id: _id ? idMap.get(String(_id)) : new mongoose.Types.ObjectId(),
+          userId: user._id,
+        });
+
+        const validationError = doc.validateSync();
+        if (validationError) {
+          errors.push({
+            collection: key,
+            index,
+            errors: Object.values(validationError.errors).map((e) => e.message),
+          });
+        }
+        return doc;
+      });
+    }
+
+    for (const field of this.USER_FIELDS) {
+      if (data.user?.[field]) user.set(field, data.user[field]);
+    }
+    const userError = user.validateSync();
+    if (userError) {
+      errors.push({
+        collection: "user",
+        index: 0,
+        errors: Object.values(userError.errors).map((e) => e.message),
+      });
+    }
+
+    if (errors.length > 0) {
+      const error = createHttpError(400, "Invalid account data");
+      error.details = errors;
+      throw error;
+    }
+
+    const inserted = [];
+    try {
+      for (const [key, Model] of Object.entries(this.COLLECTIONS)) {
+        if (documents[key].length === 0) continue;
+        await Model.insertMany(documents[key]);
+        inserted.push(key);
+      }
+      await user.save();
+    } catch (error) {
+      // Không để lại dữ liệu nhập dở
+      await Promise.all(
+        inserted.map((key) =>
+          this.COLLECTIONS[key].deleteMany({
+            userId: user._id,
+            _id: { $in: documents[key].map((doc) => doc._id) },
+          })
+        )
+      );
+      throw error;
+    }
+
+    return Object.fromEntries(
+      Object.entries(documents).map(([key, docs]) => [key, docs.length])
+    );
+  }
+}
+
+// Helper functions
+
+// Đổi id tại `path` theo idMap; id không có trong file giữ nguyên
+function remapPath(doc, path, idMap) {
+  const [field, nested] = path.split(".");
+  const remap = (id) => (id ? idMap.get(String(id)) || id : id);
+
+  if (!nested) {
+    doc[field] = remap(doc[field]);
+    return;
+  }
+  if (Array.isArray(doc[field])) {
+    doc[field] = doc[field].map((item) => ({ ...item, [nested]: remap(item[nested]) }));
+  }
+}
+
+function toPlainObject(value) {
+  return value?.toObject ? value.toObject() : value;
+}
+
+// Helper: lỗi kèm HTTP status
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
@@ -0,0 +1,108 @@
+import admin from "firebase-admin";
+import { User } from "../models/User.js";
+import { SchedulePreview } from "../models/SchedulePreview.js";
+import { AccountDataService } from "./AccountDataService.js";
+
+/**
+ * Account Deletion Service - Xoá tài khoản theo 2 bước:
+ * 1. Yêu cầu xoá: tài khoản bị vô hiệu hoá ngay (authenticateFirebase chặn lại),
+ *    dữ liệu vẫn còn và có thể khôi phục trong thời gian chờ
+ * 2. Hết thời gian chờ: job định kỳ xoá vĩnh viễn toàn bộ dữ liệu của user
+ *    (và tài khoản Firebase nếu user chọn)
+ */
+export class AccountDeletionService {
+  // Số ngày chờ trước khi xoá vĩnh viễn
+  static GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+  // Chu kỳ chạy job xoá vĩnh viễn
+  static PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+  /**
+   * Vô hiệu hoá tài khoản và hẹn ngày xoá vĩnh viễn
+   */
+  static async requestDeletion(user, { deleteFirebaseAccount = false } = {}) {
+    if (!user.isActive) {
+      throw createHttpError(409, "Account deletion already requested");
+    }
+
+    await user.requestDeletion(this.GRACE_DAYS, { deleteFirebaseAccount });
+    // Tắt URL đăng ký lịch ngay, không chờ tới khi xoá vĩnh viễn
+    if (user.calendarFeedToken) await user.clearCalendarFeedToken();
+
+    return user.deletion;
+  }
+
+  /**
+   * Huỷ yêu cầu xoá, kích hoạt lại tài khoản
+   */
+  static async cancelDeletion(user) {
+    if (user.isActive) {
+      throw createHttpError(409, "Account is not scheduled for deletion");
+    }
+
+    await user.cancelDeletion();
+  }
+
+  /**
+   * Xoá vĩnh viễn các tài khoản đã hết thời gian chờ.
+   * Lỗi ở một tài khoản không chặn các tài khoản khác (sẽ thử lại lần chạy sau)
+   */
+  static async purgeExpiredAccounts(now = new Date()) {
+    const users = await User.findDueForPurge(now);
+    const purged = [];
+
+    for (const user of users) {
+      try {
+        await this.purgeAccount(user);
+        purged.push(user._id.toString());
+      } catch (error) {
+        console.error(`❌ Purge account ${user._id} error:`, error);
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Xoá toàn bộ dữ liệu của user. User bị xoá sau cùng để nếu lỗi giữa chừng
+   * thì lần chạy sau vẫn tìm thấy và xoá tiếp
+   */
+  static async purgeAccount(user) {
+    const models = [...Object.values(AccountDataService.COLLECTIONS), SchedulePreview];
+    await Promise.all(models.map((Model) => Model.deleteMany({ userId: user._id })));
+
+    if (user.deletion?.deleteFirebaseAccount) {
+      try {
+        await admin.auth().deleteUser(user.firebaseUid);
+      } catch (error) {
+        if (error.code !== "auth/user-not-found") throw error;
+      }
+    }
+
+    await User.deleteOne({ _id: user._id });
+    console.log(`🗑️ Purged account ${user.email} (ID: ${user._id})`);
+  }
+
+  /**
+   * Chạy job xoá vĩnh viễn ngay và lặp lại theo PURGE_INTERVAL_MS
+   */
+  static startPurgeJob() {
+    const run = () =>
+      this.purgeExpiredAccounts().catch((error) =>
+        console.error("❌ Account purge job error:", error)
+      );
+
+    run();
+    const timer = setInterval(run, this.PURGE_INTERVAL_MS);
+    // Không giữ process sống chỉ vì job này
+    timer.unref();
+    return timer;
+  }
+}
+
+// Helper: lỗi kèm HTTP status
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
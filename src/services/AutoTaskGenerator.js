@@ -1,11 +1,34 @@
+import mongoose from "mongoose";
 import { Task } from "../models/Task.js";
+import {
+  LearningGoal,
+  computeDailyTarget,
+  getPendingTopics,
+  targetMinutesOn,
+} from "../models/LearningGoal.js";
+import { User } from "../models/User.js";
+import { ReviewSession } from "../models/ReviewSession.js";
+import { FocusSession } from "../models/FocusSession.js";
+import {
+  addDays,
+  currentMinutes,
+  getDateRange,
+  getUserTimezone,
+  startOfWeekKey,
+  toDateKey,
+  todayKey,
+  weekdayOf,
+} from "../utils/date.js";
 
 /**
  * Auto Task Generator - Tự động tạo task từ Learning Goals với AI-powered scheduling
  */
 export class AutoTaskGenerator {
-  // Cấu hình đơn giản cho việc sắp xếp thời gian học
+  // Cấu hình mặc định cho việc sắp xếp thời gian học
+  // (bị ghi đè bởi User.schedulingPreferences, xem getStudyConfig)
   static STUDY_CONFIG = {
+    dayStart: 6 * 60, // 6:00 AM
+    dayEnd: 22 * 60, // 10:00 PM
     defaultSessionLength: 45, // phiên ngắn để tăng số lượng và linh hoạt
     breakDuration: 10, // 10 phút nghỉ
     maxSessionsPerDay: 6, // tăng số phiên tối đa trong ngày
@@ -17,25 +40,125 @@ export class AutoTaskGenerator {
     wrapBufferMin: 5, // phút kết thúc/ghi chú sau buổi học
     macroBreakMin: 20, // nghỉ dài sau một cụm sessions
     macroBreakAfterSessions: 2, // sau 2 session liên tiếp thì nghỉ dài
+    minSlotLength: 40, // slot ngắn hơn (minSessionLength + prep + wrap) bị bỏ qua
     protectedWindows: [
-      { start: 12 * 60, end: 13 * 60 }, // trưa 12:00-13:00
-      { start: 18 * 60, end: 19 * 60 }, // tối 18:00-19:00
+      { label: "lunch", start: 12 * 60, end: 13 * 60 }, // trưa 12:00-13:00
+      { label: "dinner", start: 18 * 60, end: 19 * 60 }, // tối 18:00-19:00
     ],
+    daysOff: [],
+    carryOverMissed: true, // dồn phút của phiên bị lỡ sang các ngày còn lại
   };
 
+  // Xếp các buổi ôn tập đến hạn trong bao nhiêu ngày tới (khoảng ôn dài nhất: 30 ngày)
+  static REVIEW_HORIZON_DAYS = 30;
+
+  // Buổi ôn không còn chỗ vào ngày đến hạn được dời tối đa bao nhiêu ngày
+  static REVIEW_MAX_DELAY_DAYS = 7;
+
+  /**
+   * Cấu hình xếp lịch của user: STUDY_CONFIG ghi đè bởi schedulingPreferences,
+   * kèm timezone để tính "hôm nay" và giờ hiện tại
+   */
+  static async getStudyConfig(userId) {
+    const user = await User.findById(userId)
+      .select("schedulingPreferences settings.timezone")
+      .lean();
+    return {
+      ...this.buildStudyConfig(user?.schedulingPreferences),
+      timezone: getUserTimezone(user),
+    };
+  }
+
+  /**
+   * Chuyển schedulingPreferences (giờ dạng "HH:mm") sang cấu hình của generator
+   */
+  static buildStudyConfig(preferences) {
+    const cfg = { ...this.STUDY_CONFIG };
+    if (!preferences) return cfg;
+
+    if (preferences.dayStart) cfg.dayStart = this.timeToMinutes(preferences.dayStart);
+    if (preferences.dayEnd) cfg.dayEnd = this.timeToMinutes(preferences.dayEnd);
+
+    const sessionLength = preferences.sessionLength || {};
+    if (sessionLength.min != null) cfg.minSessionLength = sessionLength.min;
+    if (sessionLength.default != null) cfg.defaultSessionLength = sessionLength.default;
+    if (sessionLength.max != null) cfg.maxSessionLength = sessionLength.max;
+
+    for (const key of [
+      "breakDuration",
+      "macroBreakMin",
+      "macroBreakAfterSessions",
+      "maxSessionsPerDay",
+    ]) {
+      if (preferences[key] != null) cfg[key] = preferences[key];
+    }
+
+    if (Array.isArray(preferences.protectedWindows)) {
+      cfg.protectedWindows = preferences.protectedWindows.map((win) => ({
+        label: win.label,
+        start: this.timeToMinutes(win.start),
+        end: this.timeToMinutes(win.end),
+      }));
+    }
+    if (Array.isArray(preferences.daysOff)) cfg.daysOff = preferences.daysOff;
+    if (preferences.carryOverMissed != null) {
+      cfg.carryOverMissed = preferences.carryOverMissed;
+    }
+
+    cfg.minSlotLength = cfg.minSessionLength + cfg.prepBufferMin + cfg.wrapBufferMin;
+    return cfg;
+  }
+
   /**
    * Tự động tạo tasks từ learning goal
    */
   static async generateTasksFromLearningGoal(userId, learningGoal) {
-    // 1. Lấy tất cả tasks hiện có của user
-    const existingTasks = await Task.find({ userId, isActive: true });
+    const { tasks, report } = await this.planTasksForLearningGoal(
+      userId,
+      learningGoal
+    );
+
+    // Lưu các task mới vào database
+    if (tasks.length > 0) {
+      await Task.insertMany(tasks);
+    }
+
+    // Lưu báo cáo thiếu hụt để frontend cảnh báo user
+    await this.saveSchedulingReport(learningGoal._id, report);
+
+    return { tasks, report };
+  }
+
+  /**
+   * Lập kế hoạch tasks cho learning goal (chưa lưu vào database)
+   * @returns {{ tasks: Array, report: Object }}
+   */
+  static async planTasksForLearningGoal(userId, learningGoal) {
+    // 1. Lấy tất cả tasks hiện có của user (trừ task tự tạo của chính goal này,
+    // vì kế hoạch mới sẽ thay thế chúng)
+    const existingTasks = await Task.find({
+      userId,
+      isActive: true,
+      $nor: [{ learningGoalId: learningGoal._id, isAutoGenerated: true }],
+    });
 
-    // 2. Lấy ngày hiện tại và tính toán các ngày trong tuần còn lại
-    const today = new Date();
-    const currentDayOfWeek = today.getDay(); // 0 = CN, 1 = T2, ..., 6 = T7
+    // 2. Lấy ngày hiện tại (theo timezone của user) và các ngày còn lại trong tuần
+    const cfg = this.getGoalConfig(await this.getStudyConfig(userId), learningGoal);
+    const todayDate = todayKey(cfg.timezone);
+    const currentDayOfWeek = weekdayOf(todayDate); // 0 = CN, 1 = T2, ..., 6 = T7
+
+    // Tải học mỗi ngày (goal theo tổng giờ/tuần được tính lại từ tiến độ hiện tại)
+    const dailyTarget = computeDailyTarget(learningGoal, todayDate, cfg.daysOff);
+
+    // Các buổi ôn tập đến hạn (kể cả quá hạn), trong tuần này và các tuần tới
+    const reviewQueue = await ReviewSession.findDue(
+      [learningGoal._id],
+      addDays(todayDate, this.REVIEW_HORIZON_DAYS)
+    );
 
     // 3. Tìm khung thời gian trống cho từng ngày trong tuần (chỉ từ hôm nay trở đi)
     const generatedTasks = [];
+    const days = [];
 
     for (let dayOfWeek = 0; dayOfWeek <= 6; dayOfWeek++) {
       // Chỉ tạo tasks cho ngày hiện tại và các ngày trong tương lai
@@ -43,19 +166,52 @@ export class AutoTaskGenerator {
         continue; // Bỏ qua các ngày trong quá khứ
       }
 
-      // CN (0) đến T7 (6)
-      const dayTasks = existingTasks.filter((task) =>
-        task.weekdays.includes(dayOfWeek)
+      // CN (0) đến T7 (6) - xét theo ngày thực tế trong tuần này,
+      // dùng giờ đã override và bỏ qua các lần đã huỷ
+      const dateKey = addDays(todayDate, dayOfWeek - currentDayOfWeek);
+
+      // Ngày nghỉ của user: không xếp lịch học
+      if (cfg.daysOff.includes(dayOfWeek)) {
+        days.push(this.buildEmptyDayEntry(dateKey, dayOfWeek, "day_off"));
+        continue;
+      }
+
+      const dayTasks = existingTasks
+        .map((task) => task.getOccurrence(dateKey, cfg.timezone))
+        .filter(Boolean);
+      const notBefore =
+        dateKey === todayDate ? currentMinutes(cfg.timezone) : null;
+
+      // Ôn tập đến hạn được đặt trước các buổi học mới
+      const reviewTasks = this.allocateReviewSessions(
+        reviewQueue,
+        dayTasks,
+        learningGoal,
+        dayOfWeek,
+        userId,
+        dateKey,
+        cfg,
+        notBefore
+      );
+      generatedTasks.push(...reviewTasks);
+
+      // Ngoài khoảng startDate - deadline của goal (hoặc đã đủ giờ)
+      const targetMinutes = targetMinutesOn(dailyTarget, dateKey);
+      if (targetMinutes <= 0) {
+        days.push(this.buildEmptyDayEntry(dateKey, dayOfWeek, null));
+        continue;
+      }
+
+      const freeSlots = this.findFreeSlots(
+        [...dayTasks, ...reviewTasks],
+        dayOfWeek,
+        cfg,
+        notBefore
       );
-      const freeSlots = this.findFreeSlots(dayTasks, dayOfWeek);
 
       // Ước lượng số phiên phù hợp theo năng lực rảnh của ngày + mục tiêu
-      const cfg = this.STUDY_CONFIG;
       const totalFree = freeSlots.reduce((s, x) => s + x.duration, 0);
 
-      const targetMinutes = Math.round(
-        (learningGoal.targetHoursPerDay || 0) * 60
-      );
       // ước lượng mỗi phiên cần ~ (prep+study+wrap+avg break) ~ 5+45+5+10 = 65m
       const approxBlock =
         cfg.prepBufferMin +
@@ -94,18 +250,577 @@ export class AutoTaskGenerator {
         freeSlots,
         learningGoal,
         dayOfWeek,
-        userId
+        userId,
+        dateKey,
+        cfg
       );
 
       generatedTasks.push(...dayGeneratedTasks);
+
+      // 6. Tổng kết số phút đã xếp được so với mục tiêu của ngày
+      const scheduledMinutes = this.sumStudyMinutes(dayGeneratedTasks);
+      const shortfallMinutes = Math.max(0, targetMinutes - scheduledMinutes);
+      const placedSessions = dayGeneratedTasks.filter(
+        (task) => task.sessionType === "study"
+      ).length;
+
+      days.push({
+        date: dateKey,
+        weekday: dayOfWeek,
+        targetMinutes,
+        scheduledMinutes,
+        shortfallMinutes,
+        freeMinutes: totalFree,
+        reason:
+          shortfallMinutes > 0
+            ? this.getShortfallReason({
+                freeSlots,
+                sessions,
+                placedSessions,
+                baseCount,
+                capacitySessions,
+                cfg,
+              })
+            : null,
+      });
+    }
+
+    // Ôn tập đến hạn sau tuần này (hoặc chưa có chỗ trong tuần)
+    generatedTasks.push(
+      ...this.allocateFutureReviews(
+        reviewQueue,
+        [...existingTasks, ...generatedTasks],
+        learningGoal,
+        userId,
+        addDays(todayDate, 7 - currentDayOfWeek),
+        cfg
+      )
+    );
+
+    // 7. Gán các phiên học cho các chủ đề chưa xong trong giáo trình
+    this.assignTopics(generatedTasks, learningGoal);
+
+    return {
+      tasks: generatedTasks,
+      report: {
+        ...this.buildShortfallReport(days),
+        unplacedReviews: reviewQueue.length,
+      },
+    };
+  }
+
+  // Trọng số khi xếp lịch chung theo priority
+  static PRIORITY_WEIGHTS = { high: 3, medium: 2, low: 1 };
+
+  /**
+   * Lập kế hoạch chung cho nhiều learning goals (chưa lưu vào database).
+   * Thay vì goal nào tạo trước lấy hết slot đẹp, các goal lần lượt nhận từng
+   * session: goal có tỉ lệ (đã xếp / mục tiêu × trọng số) thấp nhất được chọn
+   * trước. strategy "fair" dùng trọng số bằng nhau, "priority" dùng PRIORITY_WEIGHTS
+   * @returns {{ tasks: Array, reports: Object }}
+   */
+  static async planTasksForLearningGoals(userId, learningGoals, strategy = "fair") {
+    const goalIds = learningGoals.map((goal) => goal._id);
+    const cfg = await this.getStudyConfig(userId);
+    const todayDate = todayKey(cfg.timezone);
+    const currentDayOfWeek = weekdayOf(todayDate);
+
+    // 1. Tasks hiện có, trừ task tự tạo của các goal đang được xếp lại
+    const existingTasks = await Task.find({
+      userId,
+      isActive: true,
+      $nor: [{ learningGoalId: { $in: goalIds }, isAutoGenerated: true }],
+    });
+
+    const generatedTasks = [];
+    const daysByGoal = new Map(goalIds.map((id) => [id.toString(), []]));
+    const dailyTargets = learningGoals.map((goal) =>
+      computeDailyTarget(goal, todayDate, cfg.daysOff)
+    );
+    const dueReviews = await ReviewSession.findDue(
+      goalIds,
+      addDays(todayDate, this.REVIEW_HORIZON_DAYS)
+    );
+    const reviewQueues = learningGoals.map((goal) =>
+      dueReviews.filter((review) => review.learningGoalId.equals(goal._id))
+    );
+
+    for (let dayOfWeek = currentDayOfWeek; dayOfWeek <= 6; dayOfWeek++) {
+      const dateKey = addDays(todayDate, dayOfWeek - currentDayOfWeek);
+
+      if (cfg.daysOff.includes(dayOfWeek)) {
+        for (const days of daysByGoal.values()) {
+          days.push(this.buildEmptyDayEntry(dateKey, dayOfWeek, "day_off"));
+        }
+        continue;
+      }
+
+      const dayTasks = existingTasks
+        .map((task) => task.getOccurrence(dateKey, cfg.timezone))
+        .filter(Boolean);
+      const notBefore = dateKey === todayDate ? currentMinutes(cfg.timezone) : null;
+      const initialFreeSlots = this.findFreeSlots(dayTasks, dayOfWeek, cfg, notBefore);
+
+      // 2. Trạng thái của từng goal trong ngày
+      const states = learningGoals.map((goal, index) => {
+        const targetMinutes = targetMinutesOn(dailyTargets[index], dateKey);
+        const goalCfg = this.getGoalConfig(cfg, goal);
+        const count = Math.min(
+          goalCfg.maxSessionsPerDay,
+          Math.max(
+            goalCfg.minSessionsPerDay,
+            Math.ceil(targetMinutes / goalCfg.defaultSessionLength)
+          )
+        );
+        return {
+          goal,
+          cfg: goalCfg,
+          targetMinutes,
+          weight:
+            strategy === "priority"
+              ? this.PRIORITY_WEIGHTS[goal.priority] || this.PRIORITY_WEIGHTS.medium
+              : 1,
+          sessions:
+            targetMinutes > 0
+              ? this.buildBalancedSessions(
+                  targetMinutes,
+                  targetMinutes <= 30 ? 1 : count,
+                  goalCfg
+                )
+              : [],
+          placed: [],
+          stuck: false,
+        };
+      });
+
+      // 3. Ôn tập đến hạn được đặt trước, sau đó lần lượt trao 1 session
+      // cho goal "thiệt" nhất cho tới khi hết chỗ
+      const dayPlaced = [];
+      learningGoals.forEach((goal, index) => {
+        dayPlaced.push(
+          ...this.allocateReviewSessions(
+            reviewQueues[index],
+            [...dayTasks, ...dayPlaced],
+            goal,
+            dayOfWeek,
+            userId,
+            dateKey,
+            states[index].cfg,
+            notBefore
+          )
+        );
+      });
+      for (;;) {
+        const candidates = states.filter(
+          (st) => !st.stuck && st.placed.length < st.sessions.length
+        );
+        if (candidates.length === 0) break;
+
+        const ratio = (st) =>
+          this.sumStudyMinutes(st.placed) / Math.max(1, st.targetMinutes * st.weight);
+        const state = candidates.reduce((best, st) =>
+          ratio(st) < ratio(best) ? st : best
+        );
+
+        // Task đã đặt trong ngày trở thành khoảng bận (buffer 15 phút đóng vai trò nghỉ)
+        const freeSlots = this.findFreeSlots(
+          [...dayTasks, ...dayPlaced],
+          dayOfWeek,
+          cfg,
+          notBefore
+        );
+        const session = {
+          ...state.sessions[state.placed.length],
+          needsBreak: false,
+        };
+        const allocated = this.allocateSimpleSessions(
+          [session],
+          freeSlots,
+          state.goal,
+          dayOfWeek,
+          userId,
+          dateKey,
+          state.cfg
+        ).filter((task) => task.sessionType === "study");
+
+        if (allocated.length === 0) {
+          state.stuck = true;
+          continue;
+        }
+
+        for (const task of allocated) {
+          task.explanation.scoreComponents.fairnessRatio = ratio(state);
+          task.explanation.scoreComponents.weight = state.weight;
+          task.explanation.strategy = `joint-${strategy}`;
+        }
+        state.placed.push(...allocated);
+        dayPlaced.push(...allocated);
+      }
+
+      generatedTasks.push(...dayPlaced);
+
+      // 4. Tổng kết theo ngày cho từng goal
+      for (const state of states) {
+        const scheduledMinutes = this.sumStudyMinutes(state.placed);
+        const shortfallMinutes = Math.max(0, state.targetMinutes - scheduledMinutes);
+        let reason = null;
+        if (shortfallMinutes > 0) {
+          if (initialFreeSlots.length === 0) reason = "no_free_time";
+          else if (state.stuck) reason = "insufficient_free_time";
+          else if (state.sessions.length >= cfg.maxSessionsPerDay) reason = "max_sessions_reached";
+          else reason = "session_length_limits";
+        }
+
+        daysByGoal.get(state.goal._id.toString()).push({
+          date: dateKey,
+          weekday: dayOfWeek,
+          targetMinutes: state.targetMinutes,
+          scheduledMinutes,
+          shortfallMinutes,
+          freeMinutes: initialFreeSlots.reduce((sum, x) => sum + x.duration, 0),
+          reason,
+        });
+      }
     }
 
-    // 6. Lưu các task mới vào database
-    if (generatedTasks.length > 0) {
-      await Task.insertMany(generatedTasks);
+    // Ôn tập đến hạn sau tuần này (hoặc chưa có chỗ trong tuần)
+    learningGoals.forEach((goal, index) => {
+      generatedTasks.push(
+        ...this.allocateFutureReviews(
+          reviewQueues[index],
+          [...existingTasks, ...generatedTasks],
+          goal,
+          userId,
+          addDays(todayDate, 7 - currentDayOfWeek),
+          this.getGoalConfig(cfg, goal)
+        )
+      );
+    });
+
+    for (const goal of learningGoals) {
+      this.assignTopics(
+        generatedTasks.filter((task) => task.learningGoalId === goal._id),
+        goal
+      );
     }
 
-    return generatedTasks;
+    const reports = {};
+    learningGoals.forEach((goal, index) => {
+      const goalId = goal._id.toString();
+      reports[goalId] = {
+        ...this.buildShortfallReport(daysByGoal.get(goalId)),
+        unplacedReviews: reviewQueues[index].length,
+      };
+    });
+
+    return { tasks: generatedTasks, reports };
+  }
+
+  /**
+   * Xếp lại lịch cho toàn bộ goals đang hoạt động của user và thay thế
+   * các phiên tự tạo từ hôm nay trở đi (lịch sử được giữ nguyên)
+   */
+  static async rebalanceLearningGoals(userId, learningGoals, strategy = "fair") {
+    const { tasks, reports } = await this.planTasksForLearningGoals(
+      userId,
+      learningGoals,
+      strategy
+    );
+
+    await this.replaceAutoGeneratedTasks(
+      userId,
+      learningGoals.map((goal) => goal._id),
+      tasks
+    );
+    for (const [goalId, report] of Object.entries(reports)) {
+      await this.saveSchedulingReport(goalId, report);
+    }
+
+    return { tasks, reports };
+  }
+
+  /**
+   * Dòng báo cáo cho ngày không xếp lịch (ngày nghỉ, ngoài thời hạn của goal)
+   */
+  static buildEmptyDayEntry(dateKey, dayOfWeek, reason) {
+    return {
+      date: dateKey,
+      weekday: dayOfWeek,
+      targetMinutes: 0,
+      scheduledMinutes: 0,
+      shortfallMinutes: 0,
+      freeMinutes: 0,
+      reason,
+    };
+  }
+
+  /**
+   * Lý do một ngày không đạt đủ số phút mục tiêu
+   */
+  static getShortfallReason({
+    freeSlots,
+    sessions,
+    placedSessions,
+    baseCount,
+    capacitySessions,
+    cfg,
+  }) {
+    if (freeSlots.length === 0) return "no_free_time";
+    if (placedSessions < sessions.length) return "slots_too_short";
+    if (baseCount > cfg.maxSessionsPerDay) return "max_sessions_reached";
+    if (capacitySessions < baseCount) return "insufficient_free_time";
+    return "session_length_limits";
+  }
+
+  /**
+   * Tổng hợp báo cáo thiếu hụt theo ngày + gợi ý cho user
+   */
+  static buildShortfallReport(days) {
+    const totalTargetMinutes = days.reduce((sum, d) => sum + d.targetMinutes, 0);
+    const totalScheduledMinutes = days.reduce(
+      (sum, d) => sum + d.scheduledMinutes,
+      0
+    );
+    const totalShortfallMinutes = days.reduce(
+      (sum, d) => sum + d.shortfallMinutes,
+      0
+    );
+
+    // Gợi ý mục tiêu/ngày mà mọi ngày học đều xếp đủ (làm tròn xuống bước 15 phút).
+    // Bỏ qua ngày nghỉ và ngày ngoài thời hạn của goal (targetMinutes = 0)
+    const shortDays = days.filter((d) => d.shortfallMinutes > 0);
+    const studyDays = days.filter((d) => d.targetMinutes > 0);
+    const minScheduled = Math.min(...studyDays.map((d) => d.scheduledMinutes));
+    const suggestedTargetHoursPerDay =
+      shortDays.length > 0 && minScheduled >= 15
+        ? Math.floor(minScheduled / 15) / 4
+        : null;
+
+    return {
+      generatedAt: new Date(),
+      totalTargetMinutes,
+      totalScheduledMinutes,
+      totalShortfallMinutes,
+      hasShortfall: totalShortfallMinutes > 0,
+      suggestedTargetHoursPerDay,
+      days,
+    };
+  }
+
+  /**
+   * Lưu báo cáo thiếu hụt vào learning goal
+   */
+  static async saveSchedulingReport(learningGoalId, report) {
+    await LearningGoal.updateOne(
+      { _id: learningGoalId },
+      { $set: { schedulingReport: report } }
+    );
+  }
+
+  /**
+   * Đặt các buổi ôn tập đã đến hạn (dueDate <= dateKey) vào slot trống đầu tiên đủ dài.
+   * Buổi đã đặt được lấy ra khỏi `reviewQueue`; buổi chưa đặt được dời sang ngày sau
+   */
+  static allocateReviewSessions(
+    reviewQueue,
+    dayTasks,
+    learningGoal,
+    dayOfWeek,
+    userId,
+    dateKey,
+    cfg,
+    notBefore = null
+  ) {
+    const reviewTasks = [];
+
+    for (const review of reviewQueue.filter((r) => r.dueDate <= dateKey)) {
+      const slot = this.orderSlotsForGoal(
+        this.findFreeSlots([...dayTasks, ...reviewTasks], dayOfWeek, cfg, notBefore),
+        learningGoal,
+        cfg
+      ).find((s) => s.duration >= review.durationMinutes);
+      if (!slot) break;
+
+      reviewTasks.push({
+        userId,
+        title: `Ôn tập: ${review.title}`,
+        note: `Ôn lại sau ${review.intervalDays} ngày (học ngày ${review.sourceDate})`,
+        weekdays: [],
+        // Buổi ôn chỉ diễn ra một lần, không lặp theo tuần
+        recurrence: { startDate: dateKey, dates: [dateKey] },
+        timeRange: {
+          start: this.minutesToTime(slot.start),
+          end: this.minutesToTime(slot.start + review.durationMinutes),
+        },
+        color: learningGoal.color || "#10B981",
+        isActive: true,
+        isAutoGenerated: true,
+        sessionType: "review",
+        learningGoalId: learningGoal._id,
+        topicId: review.topicId || null,
+        reviewSessionId: review._id,
+        explanation: {
+          strategy: "spaced-repetition",
+          slot: {
+            start: this.minutesToTime(slot.start),
+            end: this.minutesToTime(slot.end),
+          },
+          scoreComponents: {
+            intervalDays: review.intervalDays,
+            dueDate: review.dueDate,
+            overdue: review.dueDate < dateKey,
+          },
+          constraints: [
+            ...(slot.boundedBy?.start || []).map((source) => ({ ...source, side: "start" })),
+            ...(slot.boundedBy?.end || []).map((source) => ({ ...source, side: "end" })),
+          ],
+          skippedSlots: [],
+        },
+      });
+      reviewQueue.splice(reviewQueue.indexOf(review), 1);
+    }
+
+    return reviewTasks;
+  }
+
+  /**
+   * Đặt các buổi ôn còn lại trong `reviewQueue` vào các ngày từ `fromDate` trở đi,
+   * mỗi buổi từ ngày đến hạn (trễ nhất REVIEW_MAX_DELAY_DAYS ngày).
+   * `tasks` gồm cả document lẫn task mới lập (chưa lưu)
+   */
+  static allocateFutureReviews(reviewQueue, tasks, learningGoal, userId, fromDate, cfg) {
+    const reviewTasks = [];
+    if (reviewQueue.length === 0) return reviewTasks;
+
+    const today = todayKey(cfg.timezone);
+    const lastDueDate = reviewQueue.reduce(
+      (last, review) => (review.dueDate > last ? review.dueDate : last),
+      fromDate
+    );
+
+    for (const dateKey of getDateRange(
+      fromDate,
+      addDays(lastDueDate, this.REVIEW_MAX_DELAY_DAYS)
+    )) {
+      if (reviewQueue.length === 0) break;
+
+      const dayOfWeek = weekdayOf(dateKey);
+      if (cfg.daysOff.includes(dayOfWeek)) continue;
+
+      const dayTasks = [...tasks, ...reviewTasks]
+        .map((task) => Task.getOccurrence(task, dateKey, cfg.timezone))
+        .filter(Boolean);
+      reviewTasks.push(
+        ...this.allocateReviewSessions(
+          reviewQueue,
+          dayTasks,
+          learningGoal,
+          dayOfWeek,
+          userId,
+          dateKey,
+          cfg,
+          dateKey === today ? currentMinutes(cfg.timezone) : null
+        )
+      );
+    }
+
+    return reviewTasks;
+  }
+
+  /**
+   * Đặt ngay các buổi ôn chưa có trên lịch của goal (vd: vừa xếp hàng khi hoàn thành
+   * buổi học), không cần xếp lại cả lịch. Goal không hoạt động thì bỏ qua
+   */
+  static async scheduleQueuedReviews(userId, learningGoalId) {
+    const learningGoal = await LearningGoal.findOne({
+      _id: learningGoalId,
+      userId,
+      status: "active",
+    });
+    if (!learningGoal) return [];
+
+    const cfg = this.getGoalConfig(await this.getStudyConfig(userId), learningGoal);
+    const today = todayKey(cfg.timezone);
+
+    const pending = await ReviewSession.findDue(
+      [learningGoal._id],
+      addDays(today, this.REVIEW_HORIZON_DAYS)
+    );
+    const placedIds = await Task.distinct("reviewSessionId", {
+      reviewSessionId: { $in: pending.map((review) => review._id) },
+    });
+    const reviewQueue = pending.filter(
+      (review) => !placedIds.some((id) => id.equals(review._id))
+    );
+    if (reviewQueue.length === 0) return [];
+
+    const tasks = await Task.find({ userId, isActive: true });
+    const reviewTasks = this.allocateFutureReviews(
+      reviewQueue,
+      tasks,
+      learningGoal,
+      userId,
+      today,
+      cfg
+    );
+    if (reviewTasks.length > 0) await Task.insertMany(reviewTasks);
+
+    return reviewTasks;
+  }
+
+  /**
+   * Gán các phiên học (theo thứ tự thời gian) cho các chủ đề chưa xong của goal.
+   * Mỗi chủ đề chiếm các phiên cho tới khi đủ estimatedMinutes; phiên vượt quá
+   * giáo trình giữ tiêu đề mặc định
+   */
+  static assignTopics(tasks, learningGoal) {
+    const topics = getPendingTopics(learningGoal);
+    if (topics.length === 0) return tasks;
+
+    const studyTasks = tasks
+      .filter((task) => task.sessionType === "study")
+      .sort(
+        (a, b) =>
+          a.recurrence.startDate.localeCompare(b.recurrence.startDate) ||
+          this.timeToMinutes(a.timeRange.start) -
+            this.timeToMinutes(b.timeRange.start)
+      );
+
+    let topicIndex = 0;
+    let remaining = topics[0].estimatedMinutes;
+    for (const task of studyTasks) {
+      if (topicIndex >= topics.length) break;
+
+      const topic = topics[topicIndex];
+      task.topicId = topic._id;
+      task.title = `${learningGoal.subject} - ${topic.title}`;
+      task.note = `Chủ đề ${learningGoal.topics.indexOf(topic) + 1}/${learningGoal.topics.length}: ${topic.title} - tự động tạo từ mục tiêu học tập: ${learningGoal.subject}`;
+
+      remaining -=
+        this.timeToMinutes(task.timeRange.end) -
+        this.timeToMinutes(task.timeRange.start);
+      if (remaining <= 0) {
+        topicIndex++;
+        remaining = topics[topicIndex]?.estimatedMinutes || 0;
+      }
+    }
+
+    return tasks;
+  }
+
+  /**
+   * Tổng số phút học (không tính break) của danh sách tasks
+   */
+  static sumStudyMinutes(tasks) {
+    return tasks
+      .filter((task) => task.sessionType !== "break")
+      .reduce(
+        (sum, task) =>
+          sum +
+          this.timeToMinutes(task.timeRange.end) -
+          this.timeToMinutes(task.timeRange.start),
+        0
+      );
   }
 
   /**
@@ -280,22 +995,46 @@ export class AutoTaskGenerator {
 
   /**
    * Tìm các khung thời gian trống trong ngày
+   * (notBefore: giờ hiện tại nếu là hôm nay, phút kể từ 00:00)
    */
-  static findFreeSlots(dayTasks, dayOfWeek) {
+  static findFreeSlots(dayTasks, dayOfWeek, cfg = this.STUDY_CONFIG, notBefore = null) {
     // Thu thập khoảng bận: tasks (có buffer) + protected windows (trưa/tối)
+    // kèm nguồn gốc để giải thích ranh giới của từng slot trống
     const busyIntervals = [];
     for (const task of dayTasks) {
       const taskStart = this.timeToMinutes(task.timeRange.start);
       const taskEnd = this.timeToMinutes(task.timeRange.end);
-      busyIntervals.push({ start: taskStart - 15, end: taskEnd + 15 });
+      busyIntervals.push({
+        start: taskStart - 15,
+        end: taskEnd + 15,
+        sources: [{ type: "task", title: task.title, bufferMinutes: 15 }],
+      });
+    }
+    for (const win of cfg.protectedWindows) {
+      busyIntervals.push({
+        start: win.start,
+        end: win.end,
+        sources: [
+          {
+            type: "protected_window",
+            label: win.label,
+            window: `${this.minutesToTime(win.start)}-${this.minutesToTime(win.end)}`,
+          },
+        ],
+      });
     }
-    for (const win of this.STUDY_CONFIG.protectedWindows) {
-      busyIntervals.push({ start: win.start, end: win.end });
+
+    // Hôm nay: phần thời gian đã trôi qua coi như bận
+    if (notBefore != null) {
+      busyIntervals.push({
+        start: 0,
+        end: notBefore,
+        sources: [{ type: "current_time", time: this.minutesToTime(notBefore) }],
+      });
     }
 
     // Thêm ranh giới ngày
-    const dayStart = 6 * 60; // 6:00 AM
-    const dayEnd = 22 * 60; // 10:00 PM
+    const { dayStart, dayEnd } = cfg;
 
     // Gộp khoảng bận chồng lấp
     busyIntervals.sort((a, b) => a.start - b.start);
@@ -307,6 +1046,7 @@ export class AutoTaskGenerator {
         const last = merged[merged.length - 1];
         if (interval.start <= last.end) {
           last.end = Math.max(last.end, interval.end);
+          last.sources = [...last.sources, ...interval.sources];
         } else {
           merged.push({ ...interval });
         }
@@ -316,20 +1056,34 @@ export class AutoTaskGenerator {
     // Tính free slots giữa các khoảng bận
     const freeSlots = [];
     let currentTime = dayStart;
+    let previousSources = [{ type: "day_start", time: this.minutesToTime(dayStart) }];
     for (const b of merged) {
-      const start = Math.max(currentTime, b.start);
       if (currentTime < b.start) {
         const duration = b.start - currentTime;
-        if (duration >= 45) {
-          freeSlots.push({ start: currentTime, end: b.start, duration });
+        if (duration >= cfg.minSlotLength) {
+          freeSlots.push({
+            start: currentTime,
+            end: b.start,
+            duration,
+            boundedBy: { start: previousSources, end: b.sources },
+          });
         }
       }
+      if (b.end >= currentTime) previousSources = b.sources;
       currentTime = Math.max(currentTime, b.end);
     }
     if (currentTime < dayEnd) {
       const duration = dayEnd - currentTime;
-      if (duration >= 45)
-        freeSlots.push({ start: currentTime, end: dayEnd, duration });
+      if (duration >= cfg.minSlotLength)
+        freeSlots.push({
+          start: currentTime,
+          end: dayEnd,
+          duration,
+          boundedBy: {
+            start: previousSources,
+            end: [{ type: "day_end", time: this.minutesToTime(dayEnd) }],
+          },
+        });
     }
 
     return freeSlots;
@@ -337,31 +1091,44 @@ export class AutoTaskGenerator {
 
   /**
    * Phân bổ sessions vào các slot trống
+   * (task tạo ra lặp hàng tuần kể từ ngày `dateKey`)
    */
   static allocateSimpleSessions(
     sessions,
     freeSlots,
     learningGoal,
     dayOfWeek,
-    userId
+    userId,
+    dateKey,
+    cfg = this.STUDY_CONFIG
   ) {
     const generatedTasks = [];
     let sessionIndex = 0;
     let continuousFocus = 0; // phút học liên tục (không tính break)
     let sessionsSinceMacro = 0;
+    let skippedSlots = []; // slot bị bỏ qua trước khi đặt được session hiện tại
 
-    // Đảm bảo phiên theo thứ tự thời gian trong ngày: duyệt slot theo giờ tăng dần
-    const sortedSlots = [...freeSlots].sort((a, b) => a.start - b.start);
+    // Slot thuộc khung giờ ưu tiên của goal được dùng trước,
+    // còn lại duyệt theo giờ tăng dần
+    const sortedSlots = this.orderSlotsForGoal(freeSlots, learningGoal, cfg);
+    let previousSlotStart = -1;
 
-    for (const slot of sortedSlots) {
+    for (const [slotIndex, slot] of sortedSlots.entries()) {
       if (sessionIndex >= sessions.length) break;
 
+      // Quay lại slot sớm hơn (sau các slot ưu tiên): không còn liên tục, reset đếm nghỉ
+      if (slot.start < previousSlotStart) {
+        continuousFocus = 0;
+        sessionsSinceMacro = 0;
+      }
+      previousSlotStart = slot.start;
+
       let currentSlotTime = slot.start;
       const slotEnd = slot.end;
+      const constraints = []; // ràng buộc áp dụng khi đặt session vào slot này
 
       // Mỗi slot chỉ đặt tối đa 1 session để tránh dồn 1 buổi
       const session = sessions[sessionIndex];
-      const cfg = this.STUDY_CONFIG;
 
       // Nếu đã đủ số sessions trước khi cần nghỉ dài, chèn macro break
       if (
@@ -373,6 +1140,7 @@ export class AutoTaskGenerator {
           title: `Nghỉ dài`,
           note: `Phục hồi sau các buổi học liên tiếp`,
           weekdays: [dayOfWeek],
+          recurrence: { startDate: dateKey },
           timeRange: {
             start: this.minutesToTime(currentSlotTime),
             end: this.minutesToTime(currentSlotTime + cfg.macroBreakMin),
@@ -380,9 +1148,15 @@ export class AutoTaskGenerator {
           color: "#64748b",
           isActive: true,
           isAutoGenerated: true,
+          sessionType: "break",
           learningGoalId: learningGoal._id,
         };
         generatedTasks.push(macroBreakTask);
+        constraints.push({
+          type: "macro_break",
+          minutes: cfg.macroBreakMin,
+          reason: `after ${cfg.macroBreakAfterSessions} consecutive sessions`,
+        });
         currentSlotTime += cfg.macroBreakMin;
         continuousFocus = 0;
         sessionsSinceMacro = 0;
@@ -397,6 +1171,13 @@ export class AutoTaskGenerator {
         (needsMicroBreak ? cfg.breakDuration : 0);
 
       if (currentSlotTime + totalRequired > slotEnd) {
+        skippedSlots.push({
+          start: this.minutesToTime(slot.start),
+          end: this.minutesToTime(slotEnd),
+          reason: "not_enough_room",
+          requiredMinutes: totalRequired,
+          availableMinutes: slotEnd - currentSlotTime,
+        });
         continue; // không đủ chỗ trong slot này, thử slot tiếp theo theo thời gian
       }
 
@@ -409,6 +1190,7 @@ export class AutoTaskGenerator {
             title: `Nghỉ dài`,
             note: `Phục hồi trước buổi học tiếp theo`,
             weekdays: [dayOfWeek],
+            recurrence: { startDate: dateKey },
             timeRange: {
               start: this.minutesToTime(currentSlotTime),
               end: this.minutesToTime(currentSlotTime + cfg.macroBreakMin),
@@ -416,13 +1198,26 @@ export class AutoTaskGenerator {
             color: "#64748b",
             isActive: true,
             isAutoGenerated: true,
+            sessionType: "break",
             learningGoalId: learningGoal._id,
           };
           generatedTasks.push(macroBreakTask2);
+          constraints.push({
+            type: "macro_break",
+            minutes: cfg.macroBreakMin,
+            reason: `continuous focus would exceed ${cfg.maxContinuousTime} minutes`,
+          });
           currentSlotTime += cfg.macroBreakMin;
           continuousFocus = 0;
           sessionsSinceMacro = 0;
         } else {
+          skippedSlots.push({
+            start: this.minutesToTime(slot.start),
+            end: this.minutesToTime(slotEnd),
+            reason: "continuous_focus_limit",
+            requiredMinutes: cfg.macroBreakMin + totalRequired,
+            availableMinutes: slotEnd - currentSlotTime,
+          });
           continue; // không thể chèn, chuyển slot theo thời gian
         }
       }
@@ -437,6 +1232,7 @@ export class AutoTaskGenerator {
         title: `${learningGoal.subject} - Session ${session.order}`,
         note: `Tự động tạo từ mục tiêu học tập: ${learningGoal.subject}`,
         weekdays: [dayOfWeek],
+        recurrence: { startDate: dateKey },
         timeRange: {
           start: this.minutesToTime(studyStart),
           end: this.minutesToTime(studyEnd),
@@ -444,9 +1240,19 @@ export class AutoTaskGenerator {
         color: learningGoal.color || "#10B981",
         isActive: true,
         isAutoGenerated: true,
+        sessionType: "study",
         learningGoalId: learningGoal._id,
+        explanation: this.buildSessionExplanation({
+          slot,
+          slotIndex,
+          constraints,
+          skippedSlots,
+          cfg,
+          learningGoal,
+        }),
       };
       generatedTasks.push(studyTask);
+      skippedSlots = [];
 
       // Cập nhật thời gian sau wrap buffer
       let afterStudy = studyEnd + cfg.wrapBufferMin;
@@ -458,6 +1264,7 @@ export class AutoTaskGenerator {
           title: `Nghỉ giải lao`,
           note: `Break sau ${learningGoal.subject}`,
           weekdays: [dayOfWeek],
+          recurrence: { startDate: dateKey },
           timeRange: {
             start: this.minutesToTime(afterStudy),
             end: this.minutesToTime(afterStudy + cfg.breakDuration),
@@ -465,9 +1272,14 @@ export class AutoTaskGenerator {
           color: "#6B7280",
           isActive: true,
           isAutoGenerated: true,
+          sessionType: "break",
           learningGoalId: learningGoal._id,
         };
         generatedTasks.push(breakTask);
+        studyTask.explanation.constraints.push({
+          type: "micro_break",
+          minutes: cfg.breakDuration,
+        });
         afterStudy += cfg.breakDuration;
         continuousFocus = 0; // nghỉ ngắn reset tập trung
         sessionsSinceMacro += 1;
@@ -483,6 +1295,121 @@ export class AutoTaskGenerator {
     return generatedTasks;
   }
 
+  /**
+   * Giải thích vì sao session được đặt vào slot: ranh giới slot,
+   * các ràng buộc đã áp dụng và các slot đã bỏ qua
+   */
+  static buildSessionExplanation({
+    slot,
+    slotIndex,
+    constraints,
+    skippedSlots,
+    cfg,
+    learningGoal = {},
+  }) {
+    const boundaryConstraints = [
+      ...(slot.boundedBy?.start || []).map((source) => ({ ...source, side: "start" })),
+      ...(slot.boundedBy?.end || []).map((source) => ({ ...source, side: "end" })),
+    ];
+
+    const hasPreferences = (learningGoal.preferredTimeSlots || []).length > 0;
+
+    return {
+      strategy: hasPreferences ? "preferred-time-fit" : "earliest-fit",
+      slot: {
+        start: this.minutesToTime(slot.start),
+        end: this.minutesToTime(slot.end),
+      },
+      scoreComponents: {
+        chronologicalOrder: slotIndex + 1,
+        timeSlot: this.getTimeSlotCategory(Math.floor(slot.start / 60)),
+        ...(hasPreferences && { preferredTime: Boolean(slot.preferredTimeSlot) }),
+        ...(learningGoal.priority && { priority: learningGoal.priority }),
+      },
+      constraints: [
+        ...boundaryConstraints,
+        { type: "prep_buffer", minutes: cfg.prepBufferMin },
+        { type: "wrap_buffer", minutes: cfg.wrapBufferMin },
+        ...constraints,
+      ],
+      skippedSlots,
+    };
+  }
+
+  // Khung giờ (phút kể từ 00:00) của từng category, khớp với getTimeSlotCategory
+  static TIME_SLOT_RANGES = {
+    "early-morning": { start: 5 * 60, end: 8 * 60 },
+    morning: { start: 8 * 60, end: 12 * 60 },
+    afternoon: { start: 12 * 60, end: 17 * 60 },
+    evening: { start: 17 * 60, end: 21 * 60 },
+    night: { start: 21 * 60, end: 24 * 60 },
+  };
+
+  /**
+   * Sắp xếp slot cho goal: slot giao với khung giờ ưu tiên (preferredTimeSlots)
+   * được cắt về phần ưu tiên và xếp trước; các slot khác theo giờ tăng dần
+   */
+  static orderSlotsForGoal(freeSlots, learningGoal, cfg = this.STUDY_CONFIG) {
+    const chronological = [...freeSlots].sort((a, b) => a.start - b.start);
+    const preferredTimeSlots = learningGoal.preferredTimeSlots || [];
+    if (preferredTimeSlots.length === 0) return chronological;
+
+    const preferred = [];
+    const others = [];
+    for (const slot of chronological) {
+      const match = preferredTimeSlots
+        .map((timeSlot) => ({ timeSlot, range: this.TIME_SLOT_RANGES[timeSlot] }))
+        .filter(({ range }) => range)
+        .map(({ timeSlot, range }) => ({
+          timeSlot,
+          start: Math.max(slot.start, range.start),
+          end: slot.end,
+          rangeEnd: Math.min(slot.end, range.end),
+        }))
+        // Phiên phải bắt đầu trong khung ưu tiên và slot còn đủ chỗ
+        .filter((m) => m.rangeEnd > m.start && m.end - m.start >= cfg.minSlotLength)
+        .sort((a, b) => a.start - b.start)[0];
+
+      if (!match) {
+        others.push(slot);
+        continue;
+      }
+
+      preferred.push({
+        ...slot,
+        start: match.start,
+        duration: match.end - match.start,
+        preferredTimeSlot: match.timeSlot,
+        boundedBy:
+          match.start > slot.start
+            ? {
+                ...slot.boundedBy,
+                start: [{ type: "preferred_time", timeSlot: match.timeSlot }],
+              }
+            : slot.boundedBy,
+      });
+    }
+
+    return [...preferred, ...others];
+  }
+
+  /**
+   * Cấu hình độ dài phiên riêng của goal (goal.sessionLength ghi đè cấu hình user)
+   */
+  static getGoalConfig(cfg, learningGoal) {
+    const sessionLength = learningGoal.sessionLength || {};
+    const goalCfg = { ...cfg };
+    if (sessionLength.min != null) {
+      goalCfg.minSessionLength = sessionLength.min;
+      goalCfg.minSlotLength = sessionLength.min + cfg.prepBufferMin + cfg.wrapBufferMin;
+    }
+    if (sessionLength.preferred != null) {
+      goalCfg.defaultSessionLength = sessionLength.preferred;
+    }
+    if (sessionLength.max != null) goalCfg.maxSessionLength = sessionLength.max;
+    return goalCfg;
+  }
+
   /**
    * Ưu tiên các slot theo pattern preferred times
    */
@@ -576,13 +1503,473 @@ export class AutoTaskGenerator {
   }
 
   /**
-   * Cập nhật tasks khi learning goal thay đổi
+   * Dời các phiên tự tạo bị task thủ công `manualTask` đè lên sang slot trống tiếp theo:
+   * ưu tiên cùng ngày, sau đó các ngày sau trong tuần. Break bị đè được huỷ luôn.
+   * - Tuần này (từ hôm nay): dời từng lần diễn ra bằng override
+   * - Các tuần sau: nếu task thủ công lặp hằng tuần thì tách chuỗi lặp
+   *   (xem moveDisplacedSeries), để lần đè không lặp lại mỗi tuần
+   */
+  static async rescheduleDisplacedSessions(userId, manualTask) {
+    const cfg = await this.getStudyConfig(userId);
+    const today = todayKey(cfg.timezone);
+    const weekEnd = addDays(today, 6 - weekdayOf(today));
+
+    const tasks = await Task.find({
+      userId,
+      isActive: true,
+      _id: { $ne: manualTask._id },
+    });
+    const autoTasks = tasks.filter(
+      (task) => task.isAutoGenerated && task.learningGoalId
+    );
+
+    const moved = [];
+    const unplaced = [];
+    const changedTasks = new Set();
+
+    for (const date of getDateRange(today, weekEnd)) {
+      const manual = Task.getOccurrence(manualTask, date, cfg.timezone);
+      if (!manual) continue;
+
+      const displaced = autoTasks
+        .map((task) => ({
+          task,
+          occurrence: task.getOccurrence(date, cfg.timezone),
+        }))
+        .filter(
+          ({ occurrence }) =>
+            occurrence && this.rangesOverlap(occurrence.timeRange, manual.timeRange)
+        )
+        .sort(
+          (a, b) =>
+            this.timeToMinutes(a.occurrence.timeRange.start) -
+            this.timeToMinutes(b.occurrence.timeRange.start)
+        );
+
+      for (const { task, occurrence } of displaced) {
+        changedTasks.add(task);
+        task.cancelOccurrence(date);
+        if (task.sessionType === "break") continue;
+
+        const from = { date, timeRange: occurrence.timeRange };
+        const target = this.findNextFreeSlot(
+          [manualTask, ...tasks],
+          occurrence,
+          date,
+          weekEnd,
+          cfg,
+          today
+        );
+
+        if (target) {
+          task.moveOccurrence(date, target.date, target.timeRange);
+          moved.push({
+            taskId: task._id.toString(),
+            title: occurrence.title,
+            sessionType: task.sessionType,
+            from,
+            to: target,
+          });
+        } else {
+          unplaced.push({
+            taskId: task._id.toString(),
+            title: occurrence.title,
+            sessionType: task.sessionType,
+            from,
+            reason: "no_free_slot",
+          });
+        }
+      }
+    }
+
+    const series = this.moveDisplacedSeries(manualTask, tasks, autoTasks, {
+      weekEnd,
+      cfg,
+      today,
+    });
+    moved.push(...series.moved);
+    unplaced.push(...series.unplaced);
+    for (const task of series.changedTasks) changedTasks.add(task);
+
+    await Promise.all([...changedTasks].map((task) => task.save()));
+    if (series.removedTaskIds.length > 0) {
+      await Task.deleteMany({ _id: { $in: series.removedTaskIds } });
+    }
+
+    return { moved, unplaced };
+  }
+
+  /**
+   * Tách các chuỗi phiên tự tạo bị task thủ công lặp hằng tuần đè lên (không lưu).
+   * Xét tuần đầu tiên sau tuần này mà task thủ công diễn ra: chuỗi cũ kết thúc
+   * trước tuần đó, chuỗi mới bắt đầu từ tuần đó ở slot trống (thứ/giờ mới).
+   * Các thứ khác của chuỗi cũ (nếu có) được giữ nguyên giờ trong một chuỗi riêng.
+   * Break bị đè chỉ bị kết thúc, không dời
+   */
+  static moveDisplacedSeries(manualTask, tasks, autoTasks, { weekEnd, cfg, today }) {
+    const moved = [];
+    const unplaced = [];
+    const changedTasks = new Set();
+    const removedTaskIds = [];
+
+    const manualWeekdays = manualTask.weekdays || [];
+    const recurrence = manualTask.recurrence || {};
+    if (manualWeekdays.length === 0) {
+      return { moved, unplaced, changedTasks, removedTaskIds };
+    }
+
+    // Tuần lặp đầu tiên sau tuần này (task cách tuần: xét đủ `interval` tuần)
+    const nextWeekStart = addDays(weekEnd, 1);
+    const windowStart =
+      recurrence.startDate && recurrence.startDate > nextWeekStart
+        ? startOfWeekKey(recurrence.startDate)
+        : nextWeekStart;
+    const windowEnd = addDays(windowStart, 7 * (recurrence.interval || 1) - 1);
+
+    for (const date of getDateRange(windowStart, windowEnd)) {
+      const weekday = weekdayOf(date);
+      if (!manualWeekdays.includes(weekday)) continue;
+      const manual = Task.getOccurrence(manualTask, date, cfg.timezone);
+      if (!manual) continue;
+
+      const splitDate = startOfWeekKey(date);
+      const displaced = autoTasks
+        .filter(
+          (task) =>
+            task.weekdays.includes(weekday) &&
+            !(task.recurrence?.dates || []).includes(date)
+        )
+        .map((task) => ({
+          task,
+          occurrence: task.getOccurrence(date, cfg.timezone),
+        }))
+        .filter(
+          ({ occurrence }) =>
+            occurrence && this.rangesOverlap(occurrence.timeRange, manual.timeRange)
+        )
+        .sort(
+          (a, b) =>
+            this.timeToMinutes(a.occurrence.timeRange.start) -
+            this.timeToMinutes(b.occurrence.timeRange.start)
+        );
+
+      for (const { task, occurrence } of displaced) {
+        const from = { date, timeRange: occurrence.timeRange };
+        const others = tasks.filter((t) => t !== task);
+        const target =
+          task.sessionType === "break"
+            ? null
+            : this.findNextFreeSlot(
+                [manualTask, ...others],
+                occurrence,
+                date,
+                addDays(splitDate, 6),
+                cfg,
+                today
+              );
+
+        if (task.sessionType !== "break" && !target) {
+          // Giữ nguyên chuỗi để user tự xử lý
+          unplaced.push({
+            taskId: task._id.toString(),
+            title: occurrence.title,
+            sessionType: task.sessionType,
+            from,
+            reason: "no_free_slot",
+            series: true,
+          });
+          continue;
+        }
+
+        const newTasks = [];
+        const otherWeekdays = task.weekdays.filter((d) => d !== weekday);
+        if (otherWeekdays.length > 0) {
+          newTasks.push(this.cloneSeriesFrom(task, splitDate, { weekdays: otherWeekdays }));
+        }
+        if (target) {
+          const movedTask = this.cloneSeriesFrom(task, splitDate, {
+            weekdays: [weekdayOf(target.date)],
+            timeRange: target.timeRange,
+            explanation: task.explanation && {
+              ...task.explanation,
+              constraints: [
+                ...(task.explanation.constraints || []),
+                {
+                  type: "moved_by_task",
+                  taskId: manualTask._id.toString(),
+                  title: manualTask.title,
+                  from: { weekday, timeRange: task.timeRange },
+                },
+              ],
+            },
+          });
+          newTasks.push(movedTask);
+          moved.push({
+            taskId: movedTask._id.toString(),
+            title: occurrence.title,
+            sessionType: task.sessionType,
+            from,
+            to: target,
+            series: true,
+          });
+        }
+
+        if (this.endSeriesBefore(task, splitDate)) {
+          changedTasks.add(task);
+        } else {
+          removedTaskIds.push(task._id);
+        }
+
+        // Các lần xét sau (cùng vòng lặp) thấy chuỗi mới, không thấy chuỗi cũ
+        for (const list of [tasks, autoTasks]) {
+          list.splice(list.indexOf(task), 1, ...newTasks);
+        }
+        for (const newTask of newTasks) changedTasks.add(newTask);
+      }
+    }
+
+    return { moved, unplaced, changedTasks, removedTaskIds };
+  }
+
+  /**
+   * Bản sao (chưa lưu) của chuỗi lặp bắt đầu từ `fromDate`: bỏ lịch sử hoàn thành,
+   * chỉ giữ ngày lẻ/ngoại lệ/override từ `fromDate` trở đi
+   */
+  static cloneSeriesFrom(task, fromDate, fields) {
+    const {
+      _id,
+      createdAt,
+      updatedAt,
+      dailyCompletions,
+      occurrenceOverrides,
+      recurrence = {},
+      ...data
+    } = task.toObject();
+
+    return new Task({
+      ...data,
+      recurrence: {
+        startDate: fromDate,
+        endDate: recurrence.endDate ?? null,
+        interval: recurrence.interval ?? 1,
+        dates: (recurrence.dates || []).filter((d) => d >= fromDate),
+        exceptionDates: (recurrence.exceptionDates || []).filter((d) => d >= fromDate),
+      },
+      occurrenceOverrides: (occurrenceOverrides || [])
+        .filter((o) => o.date >= fromDate)
+        .map(({ _id: overrideId, ...override }) => override),
+      ...fields,
+    });
+  }
+
+  /**
+   * Kết thúc chuỗi lặp trước `date` (không lưu).
+   * Trả về false nếu chuỗi không còn lần diễn ra nào (nên xoá task)
+   */
+  static endSeriesBefore(task, date) {
+    const earlierDates = (task.recurrence.dates || []).filter((d) => d < date);
+    const startDate = task.recurrence.startDate;
+
+    if (startDate && startDate >= date) {
+      if (earlierDates.length === 0) return false;
+      task.weekdays = [];
+    } else {
+      task.recurrence.endDate = addDays(date, -1);
+    }
+    task.recurrence.dates = earlierDates;
+    return true;
+  }
+
+  /**
+   * Slot trống đầu tiên đủ chỗ cho `occurrence` từ ngày `fromDate` tới `untilDate`.
+   * Cùng ngày: ưu tiên slot sau giờ cũ, sau đó tới slot trước giờ cũ
+   */
+  static findNextFreeSlot(tasks, occurrence, fromDate, untilDate, cfg, today) {
+    const duration =
+      this.timeToMinutes(occurrence.timeRange.end) -
+      this.timeToMinutes(occurrence.timeRange.start);
+    const required = cfg.prepBufferMin + duration + cfg.wrapBufferMin;
+    const originalStart = this.timeToMinutes(occurrence.timeRange.start);
+
+    for (const date of getDateRange(fromDate, untilDate)) {
+      const dayOfWeek = weekdayOf(date);
+      if (date !== fromDate && cfg.daysOff.includes(dayOfWeek)) continue;
+
+      const dayTasks = tasks
+        .map((task) => task.getOccurrence(date, cfg.timezone))
+        .filter(Boolean);
+      let freeSlots = this.findFreeSlots(
+        dayTasks,
+        dayOfWeek,
+        cfg,
+        date === today ? currentMinutes(cfg.timezone) : null
+      ).filter((slot) => slot.duration >= required);
+
+      if (date === fromDate) {
+        freeSlots = [
+          ...freeSlots.filter((slot) => slot.start >= originalStart),
+          ...freeSlots.filter((slot) => slot.start < originalStart),
+        ];
+      }
+
+      const slot = freeSlots[0];
+      if (!slot) continue;
+
+      const start = slot.start + cfg.prepBufferMin;
+
+      return {
+        date,
+        timeRange: {
+          start: this.minutesToTime(start),
+          end: this.minutesToTime(start + duration),
+        },
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Hai khoảng giờ "HH:mm" có chồng lấp không
+   */
+  static rangesOverlap(a, b) {
+    return (
+      this.timeToMinutes(a.start) < this.timeToMinutes(b.end) &&
+      this.timeToMinutes(b.start) < this.timeToMinutes(a.end)
+    );
+  }
+
+  /**
+   * Ẩn task tự tạo của learning goal (khi tạm dừng/hoàn thành/lưu trữ goal)
+   */
+  static async deactivateAutoGeneratedTasks(learningGoalId) {
+    const result = await Task.updateMany(
+      { learningGoalId, isAutoGenerated: true, isActive: true },
+      { $set: { isActive: false } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Thay các phiên tự tạo từ hôm nay trở đi của các learning goals bằng `tasks`
+   * (kế hoạch mới chỉ bắt đầu từ hôm nay). Lịch sử được giữ lại:
+   * chuỗi đã có lần diễn ra trong quá khứ được kết thúc ở hôm qua (hoặc hôm nay
+   * nếu phiên hôm nay đã hoàn thành/đang bấm giờ) thay vì bị xoá, để
+   * dailyCompletions, progressLog, missedSessions và ReviewSession vẫn trỏ đúng task.
+   * Chỉ task chưa có lần diễn ra nào bị xoá
+   */
+  static async replaceAutoGeneratedTasks(userId, learningGoalIds, tasks) {
+    const cfg = await this.getStudyConfig(userId);
+    const today = todayKey(cfg.timezone);
+
+    await this.runInTransaction(async (session) => {
+      const oldTasks = await Task.find({
+        learningGoalId: { $in: learningGoalIds },
+        isAutoGenerated: true,
+      }).session(session);
+      const trackedTaskIds = new Set(
+        (
+          await FocusSession.distinct("taskId", {
+            taskId: { $in: oldTasks.map((task) => task._id) },
+          }).session(session)
+        ).map(String)
+      );
+
+      const operations = [];
+      for (const task of oldTasks) {
+        // Phiên hôm nay đã hoàn thành/đang bấm giờ thì giữ lại lần hôm nay
+        const keepUntil =
+          isCompletedOn(task, today) || trackedTaskIds.has(task._id.toString())
+            ? today
+            : addDays(today, -1);
+        const from = addDays(keepUntil, 1);
+        if (!Task.hasUpcomingOccurrence(task, from)) continue;
+
+        if (!hasOccurrenceBefore(task, from, cfg.timezone)) {
+          operations.push({ deleteOne: { filter: { _id: task._id } } });
+          continue;
+        }
+
+        const update = task.recurrence?.dates?.length
+          ? {
+              "recurrence.dates": task.recurrence.dates.filter((d) => d < from),
+            }
+          : {};
+        if (task.weekdays?.length) update["recurrence.endDate"] = keepUntil;
+        operations.push({
+          updateOne: { filter: { _id: task._id }, update: { $set: update } },
+        });
+      }
+
+      if (operations.length > 0) {
+        await Task.bulkWrite(operations, { session });
+      }
+      if (tasks.length > 0) {
+        await Task.insertMany(tasks, { session });
+      }
+    });
+  }
+
+  /**
+   * Chạy `fn` trong transaction. MongoDB standalone (không phải replica set)
+   * không hỗ trợ transaction: chạy `fn` không có session
+   */
+  static async runInTransaction(fn) {
+    try {
+      return await mongoose.connection.transaction(fn);
+    } catch (error) {
+      if (!isTransactionUnsupported(error)) throw error;
+
+      console.warn(
+        "⚠️ MongoDB does not support transactions (standalone server), writing without a transaction"
+      );
+      return fn(null);
+    }
+  }
+
+  /**
+   * Cập nhật tasks khi learning goal thay đổi (hoặc được tiếp tục sau khi tạm dừng).
+   * Chỉ xếp lại từ hôm nay; các phiên và lượt hoàn thành trước đó được giữ nguyên
    */
   static async updateTasksForLearningGoal(userId, learningGoal) {
-    // Xóa tasks cũ
-    await this.removeAutoGeneratedTasks(learningGoal._id);
+    const { tasks, report } = await this.planTasksForLearningGoal(
+      userId,
+      learningGoal
+    );
+
+    await this.replaceAutoGeneratedTasks(userId, [learningGoal._id], tasks);
+    await this.saveSchedulingReport(learningGoal._id, report);
 
-    // Tạo tasks mới (chỉ cho ngày hiện tại và tương lai)
-    return await this.generateTasksFromLearningGoal(userId, learningGoal);
+    return { tasks, report };
   }
 }
+
+// Helper functions
+
+// Lần diễn ra ngày `dateKey` của phiên tự tạo đã được đánh dấu hoàn thành
+function isCompletedOn(task, dateKey) {
+  return (task.dailyCompletions || []).some(
+    (c) => c.date === dateKey && c.isCompleted
+  );
+}
+
+// Task có lần diễn ra nào trước ngày `dateKey` không
+// (task cũ không có recurrence.startDate tính từ ngày tạo)
+function hasOccurrenceBefore(task, dateKey, timezone) {
+  const recurrence = task.recurrence || {};
+  if ((recurrence.dates || []).some((d) => d < dateKey)) return true;
+  if (!(task.weekdays || []).length) return false;
+
+  const startDate =
+    recurrence.startDate ||
+    (task.createdAt ? toDateKey(task.createdAt, timezone) : dateKey);
+  return startDate < dateKey;
+}
+
+// Lỗi do server MongoDB không hỗ trợ transaction (standalone)
+function isTransactionUnsupported(error) {
+  return (
+    error?.code === 20 ||
+    /Transaction numbers are only allowed/i.test(error?.message || "")
+  );
+}
@@ -0,0 +1,232 @@
+import crypto from "crypto";
+import { Task } from "../models/Task.js";
+import { LearningGoal } from "../models/LearningGoal.js";
+import {
+  addDays,
+  getUserTimezone,
+  toDateKey,
+  todayKey,
+} from "../utils/date.js";
+import {
+  ICS_PRODUCT_ID,
+  ICS_WEEKDAYS,
+  buildVTimezone,
+  escapeText,
+  formatLocalDateTime,
+  formatUtcDateTime,
+  localToUtcDateTime,
+  serializeLines,
+} from "../utils/ics.js";
+
+/**
+ * Calendar Export Service - Xuất các task đang hoạt động của user thành
+ * lịch iCalendar (RFC 5545) để xem trên Google Calendar/Outlook/Apple Calendar.
+ * Mỗi task là một VEVENT: weekdays => RRULE, recurrence.dates => RDATE,
+ * ngày ngoại lệ / lần bị huỷ => EXDATE, lần bị sửa => VEVENT có RECURRENCE-ID
+ */
+export class CalendarExportService {
+  static CALENDAR_NAME = "UniFlow";
+
+  // Hậu tố UID (UID = <taskId>@uniflow, ổn định giữa các lần xuất)
+  static UID_DOMAIN = "uniflow";
+
+  // Số năm sau năm hiện tại cần liệt kê lần đổi giờ trong VTIMEZONE
+  static TIMEZONE_YEARS_AHEAD = 2;
+
+  /**
+   * Nội dung file .ics cho toàn bộ task đang hoạt động của user
+   */
+  static async buildUserCalendar(user) {
+    const timezone = getUserTimezone(user);
+
+    const [tasks, goals] = await Promise.all([
+      Task.find({ userId: user._id, isActive: true }).sort({ createdAt: 1 }).lean(),
+      LearningGoal.find({ userId: user._id }).select("subject").lean(),
+    ]);
+    const subjects = new Map(goals.map((g) => [g._id.toString(), g.subject]));
+
+    return this.buildCalendar(tasks, { timezone, subjects });
+  }
+
+  /**
+   * Dựng VCALENDAR từ danh sách task (document hoặc object .lean())
+   */
+  static buildCalendar(tasks, { timezone, subjects = new Map(), name } = {}) {
+    const events = [];
+    let firstYear = Number(todayKey(timezone).slice(0, 4));
+
+    for (const task of tasks) {
+      const taskEvents = this.buildTaskEvents(task, { timezone, subjects });
+      if (taskEvents.length === 0) continue;
+
+      events.push(...taskEvents.flatMap((event) => event.lines));
+      firstYear = Math.min(firstYear, ...taskEvents.map((e) => e.year));
+    }
+
+    const lastYear =
+      Number(todayKey(timezone).slice(0, 4)) + this.TIMEZONE_YEARS_AHEAD;
+
+    return serializeLines([
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      `PRODID:${ICS_PRODUCT_ID}`,
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${escapeText(name || this.CALENDAR_NAME)}`,
+      `X-WR-TIMEZONE:${timezone}`,
+      ...buildVTimezone(timezone, firstYear, lastYear),
+      ...events,
+      "END:VCALENDAR",
+    ]);
+  }
+
+  /**
+   * Các VEVENT của một task: sự kiện chính (cả chuỗi) và các lần bị sửa riêng.
+   * Trả về [] nếu task không có lần diễn ra nào
+   */
+  static buildTaskEvents(task, { timezone, subjects }) {
+    const recurrence = task.recurrence || {};
+    const weekdays = [...new Set(task.weekdays || [])].sort();
+    const extraDates = [...new Set(recurrence.dates || [])].sort();
+
+    // Chuỗi lặp không tính ngày lẻ/ngoại lệ, dùng để tìm lần đầu tiên
+    const series = {
+      ...(task.toObject ? task.toObject() : task),
+      recurrence: { ...recurrence, dates: [], exceptionDates: [] },
+    };
+    const firstSeriesDate =
+      weekdays.length > 0 ? this.findFirstSeriesDate(series, timezone) : null;
+
+    const rdates = extraDates.filter(
+      (date) => !firstSeriesDate || !Task.occursOn(series, date, timezone)
+    );
+    const dtstartDate = firstSeriesDate || rdates.shift();
+    if (!dtstartDate) return [];
+
+    const uid = `${task._id}@${this.UID_DOMAIN}`;
+    const dtstamp = formatUtcDateTime(task.updatedAt || new Date());
+    const { start, end } = task.timeRange;
+    const tzid = `TZID=${timezone}`;
+
+    const main = [
+      "BEGIN:VEVENT",
+      `UID:${uid}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART;${tzid}:${formatLocalDateTime(dtstartDate, start)}`,
+      `DTEND;${tzid}:${formatLocalDateTime(dtstartDate, end)}`,
+      `SUMMARY:${escapeText(task.title)}`,
+    ];
+
+    const description = this.buildDescription(task.note, task, subjects);
+    if (description) main.push(`DESCRIPTION:${escapeText(description)}`);
+    if (task.location) main.push(`LOCATION:${escapeText(task.location)}`);
+    if (task.sessionType) main.push(`CATEGORIES:${task.sessionType.toUpperCase()}`);
+
+    if (firstSeriesDate) {
+      const rule = [
+        "FREQ=WEEKLY",
+        `INTERVAL=${recurrence.interval || 1}`,
+        `BYDAY=${weekdays.map((d) => ICS_WEEKDAYS[d]).join(",")}`,
+        "WKST=SU",
+      ];
+      if (recurrence.endDate) {
+        // UNTIL phải là UTC khi DTSTART có TZID
+        rule.push(`UNTIL=${localToUtcDateTime(recurrence.endDate, "23:59", timezone)}`);
+      }
+      main.push(`RRULE:${rule.join(";")}`);
+    }
+
+    if (rdates.length > 0) {
+      main.push(
+        `RDATE;${tzid}:${rdates.map((d) => formatLocalDateTime(d, start)).join(",")}`
+      );
+    }
+
+    // Ngày ngoại lệ và các lần bị huỷ
+    const overrides = task.occurrenceOverrides || [];
+    const exdates = [
+      ...new Set([
+        ...(recurrence.exceptionDates || []),
+        ...overrides.filter((o) => o.isCancelled).map((o) => o.date),
+      ]),
+    ].sort();
+    if (exdates.length > 0) {
+      main.push(
+        `EXDATE;${tzid}:${exdates.map((d) => formatLocalDateTime(d, start)).join(",")}`
+      );
+    }
+
+    if (task.createdAt) main.push(`CREATED:${formatUtcDateTime(task.createdAt)}`);
+    main.push(`LAST-MODIFIED:${dtstamp}`, "END:VEVENT");
+
+    const events = [{ year: Number(dtstartDate.slice(0, 4)), lines: main }];
+
+    // Các lần bị dời giờ / đổi tiêu đề / ghi chú
+    for (const override of overrides) {
+      if (override.isCancelled) continue;
+      const occurrence = Task.getOccurrence(task, override.date, timezone);
+      if (!occurrence) continue;
+
+      const lines = [
+        "BEGIN:VEVENT",
+        `UID:${uid}`,
+        `DTSTAMP:${dtstamp}`,
+        `RECURRENCE-ID;${tzid}:${formatLocalDateTime(override.date, start)}`,
+        `DTSTART;${tzid}:${formatLocalDateTime(override.date, occurrence.timeRange.start)}`,
+        `DTEND;${tzid}:${formatLocalDateTime(override.date, occurrence.timeRange.end)}`,
+        `SUMMARY:${escapeText(occurrence.title)}`,
+      ];
+      const overrideDescription = this.buildDescription(occurrence.note, task, subjects);
+      if (overrideDescription) {
+        lines.push(`DESCRIPTION:${escapeText(overrideDescription)}`);
+      }
+      lines.push("END:VEVENT");
+
+      events.push({ year: Number(override.date.slice(0, 4)), lines });
+    }
+
+    return events;
+  }
+
+  /**
+   * Ngày đầu tiên của chuỗi lặp theo weekdays (từ startDate hoặc ngày tạo task).
+   * null nếu chuỗi kết thúc trước khi có lần diễn ra nào
+   */
+  static findFirstSeriesDate(series, timezone) {
+    const recurrence = series.recurrence;
+    const anchor =
+      recurrence.startDate ||
+      (series.createdAt ? toDateKey(series.createdAt, timezone) : todayKey(timezone));
+
+    // Một chu kỳ (interval tuần) luôn chứa ít nhất một lần diễn ra
+    const searchDays = 7 * (recurrence.interval || 1);
+    for (let i = 0; i < searchDays; i++) {
+      const date = addDays(anchor, i);
+      if (recurrence.endDate && date > recurrence.endDate) return null;
+      if (Task.occursOn(series, date, timezone)) return date;
+    }
+    return null;
+  }
+
+  /**
+   * Mô tả sự kiện: ghi chú + môn học của learning goal (nếu có)
+   */
+  static buildDescription(note, task, subjects) {
+    const parts = [];
+    if (note) parts.push(note);
+
+    const subject = task.learningGoalId
+      ? subjects.get(task.learningGoalId.toString())
+      : null;
+    if (subject) parts.push(`Mục tiêu học tập: ${subject}`);
+
+    return parts.join("\n\n");
+  }
+
+  /**
+   * Token bí mật cho URL đăng ký lịch (không đoán được)
+   */
+  static generateFeedToken() {
+    return crypto.randomBytes(24).toString("hex");
+  }
+}
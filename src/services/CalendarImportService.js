@@ -0,0 +1,426 @@
+import crypto from "crypto";
+import dayjs from "dayjs";
+import { Task } from "../models/Task.js";
+import { ConflictDetector } from "./ConflictDetector.js";
+import { AutoTaskGenerator } from "./AutoTaskGenerator.js";
+import {
+  addDays,
+  getUserTimezone,
+  isValidTimezone,
+  todayKey,
+  weekdayOf,
+} from "../utils/date.js";
+import {
+  ICS_WEEKDAYS,
+  parseCalendar,
+  parseDurationMinutes,
+  parseRecurrenceRule,
+  resolveDateTimes,
+  unescapeText,
+} from "../utils/ics.js";
+
+/**
+ * Calendar Import Service - Nhập thời khoá biểu từ file .ics (cổng đào tạo,
+ * Google Calendar...). Mỗi VEVENT thành một task thủ công gắn importSource,
+ * nhập lại cùng file thì cập nhật task cũ theo UID thay vì tạo trùng.
+ * Giờ được quy về timezone của user; lặp WEEKLY/DAILY => weekdays + recurrence
+ */
+export class CalendarImportService {
+  static PROVIDER = "ics";
+
+  // Giới hạn số sự kiện trong một file
+  static MAX_EVENTS = 500;
+
+  // Giới hạn độ dài giống POST /api/tasks
+  static MAX_TITLE_LENGTH = 100;
+  static MAX_NOTE_LENGTH = 500;
+  static MAX_LOCATION_LENGTH = 200;
+
+  // Số ngày tối đa duyệt khi quy COUNT của RRULE thành endDate
+  static COUNT_SEARCH_DAYS = 3 * 366;
+
+  /**
+   * Phân tích file và xem trước các task sẽ tạo/cập nhật (không lưu).
+   * Mỗi task kèm các task hiện có bị trùng giờ
+   */
+  static async previewImport(user, content) {
+    const timezone = getUserTimezone(user);
+    const today = todayKey(timezone);
+
+    let calendar;
+    try {
+      calendar = parseCalendar(content);
+    } catch (error) {
+      throw createHttpError(400, error.message);
+    }
+    if (calendar.events.length > this.MAX_EVENTS) {
+      throw createHttpError(400, `Calendar has more than ${this.MAX_EVENTS} events`);
+    }
+
+    const { tasks, skipped } = this.mapEvents(calendar, timezone, today);
+
+    const [imported, existingTasks] = await Promise.all([
+      Task.find({
+        userId: user._id,
+        "importSource.provider": this.PROVIDER,
+        "importSource.externalId": {
+          $in: tasks.map((task) => task.importSource.externalId),
+        },
+      })
+        .select("_id importSource")
+        .lean(),
+      Task.find({
+        userId: user._id,
+        isActive: true,
+        isAutoGenerated: { $ne: true },
+      }).lean(),
+    ]);
+    const importedIds = new Map(
+      imported.map((task) => [task.importSource.externalId, task._id])
+    );
+
+    const items = tasks.map((task) => {
+      const taskId = importedIds.get(task.importSource.externalId) || null;
+      // Phiên tự tạo không tính là xung đột: chúng sẽ được dời đi khi nhập
+      const others = taskId
+        ? existingTasks.filter((other) => !other._id.equals(taskId))
+        : existingTasks;
+
+      return {
+        action: taskId ? "update" : "create",
+        taskId,
+        task,
+        conflicts: ConflictDetector.matchConflicts(task, others, today, timezone),
+      };
+    });
+
+    return {
+      calendarName: calendar.name,
+      sourceTimezone: calendar.timezone,
+      timezone,
+      items,
+      skipped,
+    };
+  }
+
+  /**
+   * Lưu các task trong preview: cập nhật task đã nhập trước đó, tạo task mới
+   * cho phần còn lại, rồi dời các phiên tự tạo bị đè lên
+   */
+  static async commitImport(userId, preview) {
+    const created = [];
+    const updated = [];
+
+    for (const { action, taskId, task } of preview.items) {
+      if (action === "update") {
+        const existing = await Task.findOne({ _id: taskId, userId });
+        if (existing) {
+          existing.set({ ...task, isActive: true });
+          await existing.save();
+          updated.push(existing);
+          continue;
+        }
+      }
+
+      created.push(await Task.create({ ...task, userId }));
+    }
+
+    const rescheduled = { moved: [], unplaced: [] };
+    for (const task of [...created, ...updated]) {
+      try {
+        const result = await AutoTaskGenerator.rescheduleDisplacedSessions(
+          userId,
+          task
+        );
+        rescheduled.moved.push(...result.moved);
+        rescheduled.unplaced.push(...result.unplaced);
+      } catch (error) {
+        console.error("❌ Reschedule after import error:", error);
+      }
+    }
+
+    return { created, updated, rescheduled };
+  }
+
+  /**
+   * Chuyển các VEVENT thành dữ liệu task. Sự kiện không chuyển được
+   * (cả ngày, qua đêm, lặp không hỗ trợ, đã qua...) nằm trong `skipped` kèm lý do
+   */
+  static mapEvents(calendar, timezone, today) {
+    // Giờ "floating" (không TZID, không Z) hiểu theo timezone của lịch nếu có
+    const sourceTimezone =
+      calendar.timezone && isValidTimezone(calendar.timezone)
+        ? calendar.timezone
+        : timezone;
+
+    const masters = [];
+    const overrides = new Map();
+    for (const event of calendar.events) {
+      const uid = event.UID?.value.trim() || buildFallbackUid(event);
+      if (event["RECURRENCE-ID"]) {
+        if (!overrides.has(uid)) overrides.set(uid, []);
+        overrides.get(uid).push(event);
+      } else {
+        masters.push({ uid, event });
+      }
+    }
+
+    const tasks = [];
+    const skipped = [];
+    const seen = new Set();
+
+    for (const { uid, event } of masters) {
+      const title = event.SUMMARY ? unescapeText(event.SUMMARY.value).trim() : "";
+      if (seen.has(uid)) {
+        skipped.push({ externalId: uid, title, reason: "Duplicate event UID" });
+        continue;
+      }
+      seen.add(uid);
+
+      try {
+        const task = this.mapEvent(event, overrides.get(uid) || [], {
+          uid,
+          title,
+          calendarName: calendar.name,
+          timezone,
+          sourceTimezone,
+        });
+
+        if (!Task.hasUpcomingOccurrence(task, today)) {
+          throw new Error("Event has no upcoming occurrences");
+        }
+
+        const validationError = new Task(task).validateSync(null, {
+          pathsToSkip: ["userId"],
+        });
+        if (validationError) {
+          throw new Error(
+            Object.values(validationError.errors)
+              .map((e) => e.message)
+              .join("; ")
+          );
+        }
+
+        tasks.push(task);
+      } catch (error) {
+        skipped.push({ externalId: uid, title, reason: error.message });
+      }
+    }
+
+    return { tasks, skipped };
+  }
+
+  /**
+   * Một VEVENT (kèm các lần bị sửa có RECURRENCE-ID) => dữ liệu task
+   */
+  static mapEvent(event, eventOverrides, context) {
+    const { uid, title, calendarName, timezone, sourceTimezone } = context;
+    const resolve = (property) => resolveDateTimes(property, timezone, sourceTimezone);
+
+    if (event.STATUS?.value.toUpperCase() === "CANCELLED") {
+      throw new Error("Event is cancelled");
+    }
+    if (!title) throw new Error("Event has no title");
+    if (!event.DTSTART) throw new Error("Event has no start time");
+
+    const [start] = resolve(event.DTSTART);
+    if (!start.time) throw new Error("All-day events are not supported");
+    const timeRange = this.resolveTimeRange(event, start, resolve);
+
+    const task = {
+      title: truncate(title, this.MAX_TITLE_LENGTH),
+      note: truncate(
+        event.DESCRIPTION ? unescapeText(event.DESCRIPTION.value).trim() : "",
+        this.MAX_NOTE_LENGTH
+      ),
+      location: truncate(
+        event.LOCATION ? unescapeText(event.LOCATION.value).trim() : "",
+        this.MAX_LOCATION_LENGTH
+      ),
+      weekdays: [],
+      recurrence: {
+        startDate: start.date,
+        endDate: null,
+        interval: 1,
+        dates: [],
+        exceptionDates: [],
+      },
+      timeRange,
+      occurrenceOverrides: [],
+      isActive: true,
+      isAutoGenerated: false,
+      importSource: {
+        provider: this.PROVIDER,
+        externalId: uid,
+        calendarName: calendarName || null,
+        importedAt: new Date(),
+      },
+    };
+
+    if (event.RRULE) {
+      // Ngày trong tuần của RRULE tính theo timezone gốc; quy đổi sang timezone
+      // của user có thể lệch một ngày (vd: giờ UTC gần nửa đêm)
+      const sourceDate = event.DTSTART.value.slice(0, 8).replace(
+        /(\d{4})(\d{2})(\d{2})/,
+        "$1-$2-$3"
+      );
+      const dayShift = dayjs(start.date).diff(dayjs(sourceDate), "day");
+      this.applyRecurrenceRule(task, parseRecurrenceRule(event.RRULE.value), {
+        sourceDate,
+        dayShift,
+        resolve,
+      });
+    } else {
+      task.recurrence.dates.push(start.date);
+    }
+
+    for (const property of event.RDATE || []) {
+      task.recurrence.dates.push(...resolve(property).map((d) => d.date));
+    }
+    for (const property of event.EXDATE || []) {
+      task.recurrence.exceptionDates.push(...resolve(property).map((d) => d.date));
+    }
+
+    for (const override of eventOverrides) {
+      this.applyOverride(task, override, resolve);
+    }
+
+    task.recurrence.dates = [...new Set(task.recurrence.dates)].sort();
+    task.recurrence.exceptionDates = [...new Set(task.recurrence.exceptionDates)].sort();
+
+    return task;
+  }
+
+  /**
+   * Giờ bắt đầu/kết thúc trong cùng một ngày (DTEND hoặc DURATION)
+   */
+  static resolveTimeRange(event, start, resolve) {
+    let end;
+    if (event.DTEND) {
+      [end] = resolve(event.DTEND);
+    } else if (event.DURATION) {
+      const minutes = parseDurationMinutes(event.DURATION.value);
+      if (minutes === null) throw new Error("Invalid event duration");
+      const endAt = dayjs(`${start.date} ${start.time}`).add(minutes, "minute");
+      end = { date: endAt.format("YYYY-MM-DD"), time: endAt.format("HH:mm") };
+    } else {
+      throw new Error("Event has no end time");
+    }
+
+    if (!end.time || end.date !== start.date) {
+      throw new Error("Events spanning multiple days are not supported");
+    }
+    if (end.time <= start.time) {
+      throw new Error("End time must be after start time");
+    }
+
+    return { start: start.time, end: end.time };
+  }
+
+  /**
+   * RRULE (FREQ=WEEKLY hoặc DAILY) => weekdays, interval, endDate
+   */
+  static applyRecurrenceRule(task, rule, { sourceDate, dayShift, resolve }) {
+    const interval = Number(rule.INTERVAL || 1);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+      throw new Error("Unsupported recurrence interval");
+    }
+
+    let weekdays;
+    if (rule.BYDAY) {
+      // Bỏ tiền tố số (vd: "1MO") - chỉ có nghĩa với lặp theo tháng
+      weekdays = rule.BYDAY.split(",").map((day) =>
+        ICS_WEEKDAYS.indexOf(day.replace(/^[+-]?\d+/, ""))
+      );
+      if (weekdays.some((day) => day < 0)) {
+        throw new Error("Unsupported recurrence weekdays");
+      }
+    }
+
+    if (rule.FREQ === "WEEKLY") {
+      weekdays ||= [weekdayOf(sourceDate)];
+      task.recurrence.interval = interval;
+    } else if (rule.FREQ === "DAILY" && interval === 1) {
+      weekdays ||= [0, 1, 2, 3, 4, 5, 6];
+    } else {
+      throw new Error(`Unsupported recurrence: ${rule.FREQ || "unknown"}`);
+    }
+
+    task.weekdays = [
+      ...new Set(weekdays.map((day) => (((day + dayShift) % 7) + 7) % 7)),
+    ].sort();
+
+    if (rule.UNTIL) {
+      const [until] = resolve({ value: rule.UNTIL, params: {} });
+      task.recurrence.endDate = until.date;
+    } else if (rule.COUNT) {
+      task.recurrence.endDate = this.findCountEndDate(task, Number(rule.COUNT));
+    }
+  }
+
+  /**
+   * Ngày của lần diễn ra thứ `count` (COUNT tính cả các ngày bị EXDATE)
+   */
+  static findCountEndDate(task, count) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error("Invalid recurrence count");
+    }
+
+    let found = 0;
+    for (let i = 0; i < this.COUNT_SEARCH_DAYS; i++) {
+      const date = addDays(task.recurrence.startDate, i);
+      if (Task.occursOn(task, date) && ++found === count) return date;
+    }
+    return null;
+  }
+
+  /**
+   * Lần bị sửa (RECURRENCE-ID): huỷ, đổi giờ trong ngày hoặc dời sang ngày khác
+   */
+  static applyOverride(task, event, resolve) {
+    const [original] = resolve(event["RECURRENCE-ID"]);
+    const { recurrence } = task;
+
+    if (event.STATUS?.value.toUpperCase() === "CANCELLED" || !event.DTSTART) {
+      recurrence.exceptionDates.push(original.date);
+      return;
+    }
+
+    const [start] = resolve(event.DTSTART);
+    if (!start.time) return;
+    const timeRange = this.resolveTimeRange(event, start, resolve);
+
+    const override = { date: start.date, isCancelled: false, timeRange };
+    const title = event.SUMMARY ? unescapeText(event.SUMMARY.value).trim() : "";
+    if (title && title !== task.title) {
+      override.title = truncate(title, this.MAX_TITLE_LENGTH);
+    }
+
+    if (start.date !== original.date) {
+      recurrence.exceptionDates.push(original.date);
+      recurrence.dates.push(start.date);
+    }
+    task.occurrenceOverrides = task.occurrenceOverrides.filter(
+      (o) => o.date !== start.date
+    );
+    task.occurrenceOverrides.push(override);
+  }
+}
+
+// Helper functions
+function truncate(value, maxLength) {
+  return value.length > maxLength ? value.slice(0, maxLength).trim() : value;
+}
+
+// Sự kiện không có UID: định danh theo tiêu đề + giờ bắt đầu
+function buildFallbackUid(event) {
+  const source = `${event.SUMMARY?.value || ""}|${event.DTSTART?.value || ""}`;
+  return crypto.createHash("sha1").update(source).digest("hex");
+}
+
+// Helper: lỗi kèm HTTP status
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
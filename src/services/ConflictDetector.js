@@ -0,0 +1,159 @@
+import { Task } from "../models/Task.js";
+import {
+  DEFAULT_TIMEZONE,
+  addDays,
+  getDateRange,
+  getWeekDates,
+  toDateKey,
+  todayKey,
+} from "../utils/date.js";
+
+/**
+ * Conflict Detector - Phát hiện các task trùng giờ với nhau
+ * (dựa trên các lần diễn ra thực tế: recurrence, override, ngày bị huỷ)
+ */
+export class ConflictDetector {
+  // Số ngày tính từ hôm nay dùng để kiểm tra task lặp lại
+  static HORIZON_DAYS = 28;
+
+  /**
+   * Các task đang hoạt động trùng giờ với `candidate` (task mới hoặc task sau khi sửa)
+   * trong HORIZON_DAYS ngày tới. Mỗi task xung đột kèm các ngày bị trùng.
+   * ignoreAutoGenerated: bỏ qua phiên tự tạo (chúng sẽ được dời đi thay vì chặn)
+   */
+  static async findConflictsForTask(
+    userId,
+    candidate,
+    {
+      fromDate,
+      excludeTaskId = null,
+      ignoreAutoGenerated = false,
+      timezone = DEFAULT_TIMEZONE,
+    }
+  ) {
+    const filter = { userId, isActive: true };
+    if (excludeTaskId) filter._id = { $ne: excludeTaskId };
+    if (ignoreAutoGenerated) filter.isAutoGenerated = { $ne: true };
+    const tasks = await Task.find(filter).lean();
+
+    return this.matchConflicts(candidate, tasks, fromDate, timezone);
+  }
+
+  /**
+   * Các task trong `tasks` (đã tải sẵn) trùng giờ với `candidate`
+   * trong HORIZON_DAYS ngày tính từ `fromDate`
+   */
+  static matchConflicts(candidate, tasks, fromDate, timezone = DEFAULT_TIMEZONE) {
+    const dates = getDateRange(fromDate, addDays(fromDate, this.HORIZON_DAYS - 1));
+    const conflicts = new Map();
+
+    for (const date of dates) {
+      const occurrence = Task.getOccurrence(candidate, date, timezone);
+      if (!occurrence) continue;
+
+      for (const task of tasks) {
+        const other = Task.getOccurrence(task, date, timezone);
+        if (!other) continue;
+
+        const overlap = getOverlap(occurrence.timeRange, other.timeRange);
+        if (!overlap) continue;
+
+        const key = task._id.toString();
+        if (!conflicts.has(key)) {
+          conflicts.set(key, {
+            taskId: key,
+            title: task.title,
+            isAutoGenerated: task.isAutoGenerated || false,
+            sessionType: task.sessionType || null,
+            dates: [],
+          });
+        }
+        conflicts.get(key).dates.push({
+          date,
+          timeRange: other.timeRange,
+          overlap,
+        });
+      }
+    }
+
+    return [...conflicts.values()];
+  }
+
+  /**
+   * Tất cả các cặp task trùng giờ trong tuần chứa ngày `date`
+   * (không truyền date: tuần hiện tại theo `timezone` của user)
+   */
+  static async findWeekConflicts(userId, date, timezone = DEFAULT_TIMEZONE) {
+    const tasks = await Task.find({ userId, isActive: true }).lean();
+    const conflicts = [];
+    const weekDate = date ? toDateKey(date, timezone) : todayKey(timezone);
+
+    for (const dateKey of getWeekDates(weekDate)) {
+      const occurrences = tasks
+        .map((task) => ({
+          task,
+          occurrence: Task.getOccurrence(task, dateKey, timezone),
+        }))
+        .filter(({ occurrence }) => occurrence)
+        .sort(
+          (a, b) =>
+            timeToMinutes(a.occurrence.timeRange.start) -
+            timeToMinutes(b.occurrence.timeRange.start)
+        );
+
+      for (let i = 0; i < occurrences.length; i++) {
+        for (let j = i + 1; j < occurrences.length; j++) {
+          const a = occurrences[i];
+          const b = occurrences[j];
+          // Đã sắp theo giờ bắt đầu: các task sau bắt đầu muộn hơn nữa
+          if (
+            timeToMinutes(b.occurrence.timeRange.start) >=
+            timeToMinutes(a.occurrence.timeRange.end)
+          ) {
+            break;
+          }
+
+          conflicts.push({
+            date: dateKey,
+            overlap: getOverlap(a.occurrence.timeRange, b.occurrence.timeRange),
+            tasks: [a, b].map(({ task, occurrence }) => ({
+              taskId: task._id.toString(),
+              title: occurrence.title,
+              timeRange: occurrence.timeRange,
+              isAutoGenerated: task.isAutoGenerated || false,
+              sessionType: task.sessionType || null,
+            })),
+          });
+        }
+      }
+    }
+
+    return conflicts;
+  }
+}
+
+// Helper functions
+function getOverlap(a, b) {
+  const start = Math.max(timeToMinutes(a.start), timeToMinutes(b.start));
+  const end = Math.min(timeToMinutes(a.end), timeToMinutes(b.end));
+  if (end <= start) return null;
+
+  return {
+    start: minutesToTime(start),
+    end: minutesToTime(end),
+    minutes: end - start,
+  };
+}
+
+function timeToMinutes(timeString) {
+  const [hours, minutes] = timeString.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function minutesToTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, "0")}:${mins
+    .toString()
+    .padStart(2, "0")}`;
+}
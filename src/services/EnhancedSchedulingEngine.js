@@ -1,12 +1,21 @@
 import dayjs from "dayjs";
 import { FixedSchedule } from "../models/FixedSchedule.js";
-import { LearningGoal } from "../models/LearningGoal.js";
+import {
+  LearningGoal,
+  computeDailyTarget,
+  getPendingTopics,
+  targetMinutesOn,
+} from "../models/LearningGoal.js";
 import { GeneratedSchedule } from "../models/GeneratedSchedule.js";
+import { DEFAULT_TIMEZONE } from "../utils/date.js";
 
 /**
  * Enhanced Scheduling Engine with intelligent buffer time and content analysis
  */
 export class EnhancedSchedulingEngine {
+
+  // Độ dài session mặc định khi goal chưa cấu hình sessionLength
+  static DEFAULT_SESSION_LENGTH = { min: 30, max: 90, preferred: 45 };
   
   // Buffer time configurations based on activity types
   static BUFFER_CONFIG = {
@@ -84,11 +93,19 @@ export class EnhancedSchedulingEngine {
     }
   };
 
+  /**
+   * Get session length config of a goal (fallback to defaults)
+   */
+  static getSessionLength(goal) {
+    return { ...this.DEFAULT_SESSION_LENGTH, ...(goal.sessionLength || {}) };
+  }
+
   /**
    * Generate intelligent schedule with content breakdown
    */
-  static async generateDailySchedule(userId, targetDate = new Date()) {
-    const date = dayjs(targetDate);
+  static async generateDailySchedule(userId, targetDate = new Date(), timezone = DEFAULT_TIMEZONE) {
+    // Ngày và giờ của buổi học tính theo timezone của user
+    const date = dayjs(targetDate).tz(timezone);
     const dayOfWeek = date.day();
     
     // 1. Get user's fixed schedule
@@ -104,7 +121,7 @@ export class EnhancedSchedulingEngine {
     const generatedSchedule = this.allocateIntelligentLearningTime(learningGoals, freeSlots, date);
     
     // 5. Save to database
-    await this.saveGeneratedSchedule(userId, generatedSchedule, targetDate);
+    await this.saveGeneratedSchedule(userId, generatedSchedule, targetDate, timezone);
     
     return generatedSchedule;
   }
@@ -240,12 +257,18 @@ export class EnhancedSchedulingEngine {
     const availableSlots = [...freeSlots];
     
     for (const goal of learningGoals) {
-      const targetMinutes = goal.targetHoursPerDay * 60;
+      // Goal theo tổng giờ/tuần: tải học được tính từ tiến độ hiện tại
+      const dateKey = date.format("YYYY-MM-DD");
+      const targetMinutes = targetMinutesOn(
+        computeDailyTarget(goal, dateKey),
+        dateKey
+      );
       let remainingMinutes = targetMinutes;
       
       // Get content template for this subject
-      const template = this.getContentTemplate(goal.subject);
+      const template = this.getGoalContent(goal);
       let sessionIndex = 0;
+      const sessionLength = this.getSessionLength(goal);
       
       while (remainingMinutes > 0 && availableSlots.length > 0 && sessionIndex < template.sessions.length) {
         const bestSlot = this.findBestSlotForGoal(goal, availableSlots, remainingMinutes);
@@ -256,10 +279,10 @@ export class EnhancedSchedulingEngine {
           currentSession.duration,
           remainingMinutes,
           bestSlot.duration,
-          goal.sessionLength.max
+          sessionLength.max
         );
         
-        if (sessionDuration >= goal.sessionLength.min) {
+        if (sessionDuration >= sessionLength.min) {
           const scheduleItem = {
             learningGoalId: goal._id,
             subject: goal.subject,
@@ -275,7 +298,8 @@ export class EnhancedSchedulingEngine {
             // Add context for better scheduling
             contextBefore: bestSlot.afterActivity,
             contextAfter: bestSlot.beforeActivity,
-            suggestedBreak: this.getSuggestedBreak(sessionDuration)
+            suggestedBreak: this.getSuggestedBreak(sessionDuration),
+            explanation: this.explainSlotChoice(goal, bestSlot, availableSlots, currentSession.topic)
           };
           
           generatedSchedule.push(scheduleItem);
@@ -293,6 +317,36 @@ export class EnhancedSchedulingEngine {
     return generatedSchedule.sort((a, b) => a.startTime - b.startTime);
   }
 
+  /**
+   * Build an initial syllabus (LearningGoal.topics) from the content template
+   */
+  static buildSyllabus(subject) {
+    return this.getContentTemplate(subject)
+      .sessions.slice()
+      .sort((a, b) => a.order - b.order)
+      .map((session) => ({
+        title: session.topic,
+        estimatedMinutes: session.duration,
+        done: false,
+      }));
+  }
+
+  /**
+   * Content breakdown of a goal: its own unfinished topics, or the subject template
+   */
+  static getGoalContent(goal) {
+    const topics = getPendingTopics(goal);
+    if (topics.length === 0) return this.getContentTemplate(goal.subject);
+
+    return {
+      sessions: topics.map((topic, index) => ({
+        topic: topic.title,
+        duration: topic.estimatedMinutes,
+        order: index + 1,
+      })),
+    };
+  }
+
   /**
    * Get content template based on subject
    */
@@ -318,53 +372,104 @@ export class EnhancedSchedulingEngine {
    * Find best slot with context awareness
    */
   static findBestSlotForGoal(goal, availableSlots, remainingMinutes) {
-    const suitableSlots = availableSlots.filter(slot => 
-      slot.duration >= goal.sessionLength.min
-    );
+    const { min } = this.getSessionLength(goal);
+    const suitableSlots = availableSlots.filter(slot => slot.duration >= min);
     
     if (suitableSlots.length === 0) return null;
     
     const scoredSlots = suitableSlots.map(slot => ({
-      ...slot,
+      slot,
       score: this.scoreSlotForGoalWithContext(goal, slot)
     }));
     
+    // Trả về đúng object trong availableSlots để updateAvailableSlot cập nhật được
     return scoredSlots.reduce((best, current) => 
       current.score > best.score ? current : best
-    );
+    ).slot;
   }
 
   /**
    * Score slot with context awareness
    */
   static scoreSlotForGoalWithContext(goal, slot) {
-    let score = 0;
+    return this.scoreSlotForGoalWithContextDetailed(goal, slot).score;
+  }
+
+  /**
+   * Score slot with context awareness, kèm chi tiết từng thành phần điểm
+   */
+  static scoreSlotForGoalWithContextDetailed(goal, slot) {
+    const { preferred } = this.getSessionLength(goal);
     
     // Base score from duration
-    score += Math.min(slot.duration, goal.sessionLength.preferred) / goal.sessionLength.preferred * 100;
+    const duration = Math.min(slot.duration, preferred) / preferred * 100;
     
     // Time preference bonus
-    const hour = dayjs(slot.startTime).hour();
+    const hour = Math.floor(slot.start / 60);
     const timeSlot = this.getTimeSlotCategory(hour);
-    if (goal.preferredTimeSlots.includes(timeSlot)) {
-      score += 50;
-    }
+    const preferredTime = (goal.preferredTimeSlots || []).includes(timeSlot) ? 50 : 0;
     
     // Priority bonus
     const priorityBonus = { high: 30, medium: 20, low: 10 };
-    score += priorityBonus[goal.priority] || 0;
+    const priority = priorityBonus[goal.priority] || 0;
     
     // Context bonus - prefer slots after meals/breaks
-    if (slot.afterActivity && slot.afterActivity.includes('meal')) {
-      score += 20; // Learning after meals is good
-    }
+    const afterMeal = slot.afterActivity && slot.afterActivity.includes('meal') ? 20 : 0;
     
     // Avoid slots right before meals
-    if (slot.beforeActivity && slot.beforeActivity.includes('meal')) {
-      score -= 10;
+    const beforeMeal = slot.beforeActivity && slot.beforeActivity.includes('meal') ? -10 : 0;
+    
+    return {
+      score: duration + preferredTime + priority + afterMeal + beforeMeal,
+      components: { duration, preferredTime, priority, afterMeal, beforeMeal, timeSlot }
+    };
+  }
+
+  /**
+   * Giải thích vì sao slot được chọn cho session
+   */
+  static explainSlotChoice(goal, chosenSlot, availableSlots, sessionTopic) {
+    const { min, max } = this.getSessionLength(goal);
+    const { score, components } = this.scoreSlotForGoalWithContextDetailed(goal, chosenSlot);
+    
+    const constraints = [
+      { type: 'session_length', min, max },
+      { type: 'topic_template', topic: sessionTopic },
+    ];
+    if (chosenSlot.afterActivity) {
+      constraints.push({ type: 'activity_buffer', activity: chosenSlot.afterActivity, side: 'start' });
+    }
+    if (chosenSlot.beforeActivity) {
+      constraints.push({ type: 'activity_buffer', activity: chosenSlot.beforeActivity, side: 'end' });
     }
     
-    return score;
+    return {
+      strategy: 'highest-score-with-context',
+      slot: {
+        start: this.minutesToTime(chosenSlot.start),
+        end: this.minutesToTime(chosenSlot.end),
+      },
+      score,
+      scoreComponents: components,
+      constraints,
+      skippedSlots: availableSlots
+        .filter(slot => slot !== chosenSlot)
+        .map(slot => ({
+          start: this.minutesToTime(slot.start),
+          end: this.minutesToTime(slot.end),
+          reason: slot.duration < min ? 'too_short' : 'lower_score',
+          score: slot.duration < min ? null : this.scoreSlotForGoalWithContext(goal, slot),
+        })),
+    };
+  }
+
+  /**
+   * Convert minutes to time string
+   */
+  static minutesToTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
   }
 
   /**
@@ -422,18 +527,20 @@ export class EnhancedSchedulingEngine {
   /**
    * Save generated schedule (reuse from original)
    */
-  static async saveGeneratedSchedule(userId, scheduleItems, targetDate) {
+  static async saveGeneratedSchedule(userId, scheduleItems, targetDate, timezone = DEFAULT_TIMEZONE) {
+    const dayStart = dayjs(targetDate).tz(timezone).startOf('day');
+
     await GeneratedSchedule.deleteMany({
       userId,
       date: {
-        $gte: dayjs(targetDate).startOf('day').toDate(),
-        $lte: dayjs(targetDate).endOf('day').toDate()
+        $gte: dayStart.toDate(),
+        $lte: dayStart.endOf('day').toDate()
       }
     });
     
     const scheduleDocuments = scheduleItems.map(item => ({
       userId,
-      date: dayjs(targetDate).startOf('day').toDate(),
+      date: dayStart.toDate(),
       learningGoalId: item.learningGoalId,
       startTime: item.startTime,
       endTime: item.endTime,
@@ -444,7 +551,8 @@ export class EnhancedSchedulingEngine {
       sessionOrder: item.sessionOrder,
       contextBefore: item.contextBefore,
       contextAfter: item.contextAfter,
-      suggestedBreak: item.suggestedBreak
+      suggestedBreak: item.suggestedBreak,
+      explanation: item.explanation
     }));
     
     if (scheduleDocuments.length > 0) {
@@ -455,13 +563,14 @@ export class EnhancedSchedulingEngine {
   /**
    * Generate weekly schedule
    */
-  static async generateWeeklySchedule(userId, startDate = new Date(), days = 7) {
+  static async generateWeeklySchedule(userId, startDate = new Date(), days = 7, timezone = DEFAULT_TIMEZONE) {
     const schedules = {};
+    const start = dayjs(startDate).tz(timezone);
     
     for (let i = 0; i < days; i++) {
-      const targetDate = dayjs(startDate).add(i, 'day').toDate();
-      const dailySchedule = await this.generateDailySchedule(userId, targetDate);
-      schedules[dayjs(targetDate).format('YYYY-MM-DD')] = dailySchedule;
+      const targetDate = start.add(i, 'day');
+      const dailySchedule = await this.generateDailySchedule(userId, targetDate.toDate(), timezone);
+      schedules[targetDate.format('YYYY-MM-DD')] = dailySchedule;
     }
     
     return schedules;
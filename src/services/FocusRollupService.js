@@ -0,0 +1,134 @@
+import { Task } from "../models/Task.js";
+import { FocusSession } from "../models/FocusSession.js";
+import { DEFAULT_TIMEZONE, getDateRange } from "../utils/date.js";
+
+/**
+ * Focus Rollup - Tổng hợp số phút thực tế (từ focus sessions) so với
+ * số phút dự kiến (từ lịch task) theo task, learning goal và ngày
+ */
+export class FocusRollupService {
+  /**
+   * Rollup trong khoảng [from, to] (date keys, bao gồm 2 đầu).
+   * Chỉ tính phiên đã kết thúc; phiên đang chạy chưa có actualMinutes chốt
+   */
+  static async getRollup(userId, from, to, timezone = DEFAULT_TIMEZONE) {
+    const dates = getDateRange(from, to);
+
+    const [tasks, sessions] = await Promise.all([
+      Task.find({ userId }).lean(),
+      FocusSession.find({
+        userId,
+        status: "completed",
+        date: { $gte: from, $lte: to },
+      }).lean(),
+    ]);
+
+    const byDay = new Map(dates.map((date) => [date, createBucket({ date })]));
+    const byTask = new Map();
+    const byGoal = new Map();
+
+    const taskBucket = (task) => {
+      const key = task._id.toString();
+      if (!byTask.has(key)) {
+        byTask.set(
+          key,
+          createBucket({
+            taskId: key,
+            title: task.title,
+            learningGoalId: task.learningGoalId?.toString() || null,
+          })
+        );
+      }
+      return byTask.get(key);
+    };
+    const goalBucket = (learningGoalId) => {
+      const key = learningGoalId.toString();
+      if (!byGoal.has(key)) {
+        byGoal.set(key, createBucket({ learningGoalId: key }));
+      }
+      return byGoal.get(key);
+    };
+
+    // 1. Số phút dự kiến: các lần diễn ra của task đang hoạt động (không tính break)
+    for (const task of tasks) {
+      if (!task.isActive || task.sessionType === "break") continue;
+
+      for (const date of dates) {
+        const occurrence = Task.getOccurrence(task, date, timezone);
+        if (!occurrence) continue;
+
+        const minutes =
+          timeToMinutes(occurrence.timeRange.end) -
+          timeToMinutes(occurrence.timeRange.start);
+
+        byDay.get(date).plannedMinutes += minutes;
+        taskBucket(task).plannedMinutes += minutes;
+        if (task.learningGoalId) {
+          goalBucket(task.learningGoalId).plannedMinutes += minutes;
+        }
+      }
+    }
+
+    // 2. Số phút thực tế từ focus sessions
+    const tasksById = new Map(tasks.map((task) => [task._id.toString(), task]));
+    for (const session of sessions) {
+      const buckets = [byDay.get(session.date)];
+
+      const task = tasksById.get(session.taskId.toString());
+      if (task) buckets.push(taskBucket(task));
+      if (session.learningGoalId) buckets.push(goalBucket(session.learningGoalId));
+
+      for (const bucket of buckets) {
+        bucket.actualMinutes += session.actualMinutes || 0;
+        bucket.sessionCount += 1;
+        bucket.interruptionCount += (session.interruptions || []).length;
+      }
+    }
+
+    const finalize = (bucket) => ({
+      ...bucket,
+      differenceMinutes: bucket.actualMinutes - bucket.plannedMinutes,
+      completionRate:
+        bucket.plannedMinutes > 0
+          ? Math.round((bucket.actualMinutes / bucket.plannedMinutes) * 100)
+          : null,
+    });
+
+    const days = [...byDay.values()].map(finalize);
+    return {
+      from,
+      to,
+      totals: finalize(
+        days.reduce(
+          (total, day) => {
+            total.plannedMinutes += day.plannedMinutes;
+            total.actualMinutes += day.actualMinutes;
+            total.sessionCount += day.sessionCount;
+            total.interruptionCount += day.interruptionCount;
+            return total;
+          },
+          createBucket({})
+        )
+      ),
+      byDay: days,
+      byTask: [...byTask.values()].map(finalize),
+      byGoal: [...byGoal.values()].map(finalize),
+    };
+  }
+}
+
+// Helper functions
+function createBucket(fields) {
+  return {
+    ...fields,
+    plannedMinutes: 0,
+    actualMinutes: 0,
+    sessionCount: 0,
+    interruptionCount: 0,
+  };
+}
+
+function timeToMinutes(timeString) {
+  const [hours, minutes] = timeString.split(":").map(Number);
+  return hours * 60 + minutes;
+}
@@ -0,0 +1,263 @@
+import { Task } from "../models/Task.js";
+import { LearningGoal } from "../models/LearningGoal.js";
+import { AutoTaskGenerator } from "./AutoTaskGenerator.js";
+import {
+  addDays,
+  getDateRange,
+  startOfWeekKey,
+  todayKey,
+  weekdayOf,
+} from "../utils/date.js";
+
+/**
+ * Missed Session Service - Phát hiện các phiên tự tạo đã qua giờ mà chưa hoàn thành,
+ * ghi nhận vào learning goal và (tuỳ chọn carryOverMissed) dồn số phút bị lỡ
+ * sang các phiên bù trong những ngày còn lại của tuần
+ */
+export class MissedSessionService {
+  // Số ngày nhìn lại (tính cả hôm nay) khi tìm phiên bị lỡ
+  static LOOKBACK_DAYS = 7;
+
+  // Số ngày (tính cả hôm nay) để bù phiên lỡ của goal không có chu kỳ
+  // (mục tiêu theo ngày, hoặc theo tổng giờ nhưng không có deadline)
+  static CARRY_OVER_DAYS = 7;
+
+  /**
+   * Tìm phiên bị lỡ mới (chưa ghi nhận) của user và xử lý carry-over.
+   * Mỗi phiên lỡ (taskId + date) chỉ được ghi nhận một lần kể cả khi
+   * nhiều request chạy song song; chỉ request ghi nhận được mới tạo phiên bù
+   */
+  static async processMissedSessions(userId) {
+    const cfg = await AutoTaskGenerator.getStudyConfig(userId);
+    const today = todayKey(cfg.timezone);
+
+    const goals = await LearningGoal.find({ userId, status: "active" });
+    if (goals.length === 0) return { detected: [], carriedOver: [], unplaced: [] };
+
+    const tasks = await Task.find({ userId, isActive: true });
+    for (const task of tasks) task.setTimezone(cfg.timezone);
+
+    const dates = getDateRange(addDays(today, -(this.LOOKBACK_DAYS - 1)), today);
+    const detected = [];
+    const carriedOver = [];
+    const unplaced = [];
+
+    for (const goal of goals) {
+      const known = new Set(
+        goal.missedSessions.map((m) => `${m.taskId}:${m.date}`)
+      );
+
+      const missed = [];
+      for (const task of tasks) {
+        if (!task.learningGoalId?.equals(goal._id)) continue;
+
+        for (const date of dates) {
+          if (known.has(`${task._id}:${date}`) || !task.isMissedOn(date)) continue;
+
+          const { title, timeRange } = task.getOccurrence(date);
+          missed.push({
+            date,
+            taskId: task._id,
+            title,
+            sessionType: task.sessionType,
+            minutes:
+              AutoTaskGenerator.timeToMinutes(timeRange.end) -
+              AutoTaskGenerator.timeToMinutes(timeRange.start),
+          });
+        }
+      }
+      // Ghi nhận trước khi tạo phiên bù: entry đã được request khác ghi nhận thì bỏ qua
+      const recorded = await this.recordMissedSessions(goal._id, missed);
+      if (recorded.length === 0) continue;
+
+      // Chỉ phiên học mới được bù (buổi ôn lỡ vẫn nằm trong hàng đợi ôn tập)
+      if (cfg.carryOverMissed) {
+        const makeups = await this.carryOver(userId, goal, recorded, tasks, cfg, today);
+        await this.saveCarriedOverMinutes(goal._id, recorded);
+        tasks.push(...makeups.tasks);
+        carriedOver.push(...makeups.sessions);
+        if (makeups.unplacedMinutes > 0) {
+          unplaced.push({
+            learningGoalId: goal._id.toString(),
+            subject: goal.subject,
+            minutes: makeups.unplacedMinutes,
+            periodEnd: makeups.periodEnd,
+          });
+        }
+      }
+
+      detected.push(
+        ...recorded.map((m) => ({
+          ...m,
+          taskId: m.taskId.toString(),
+          learningGoalId: goal._id.toString(),
+        }))
+      );
+    }
+
+    return { detected, carriedOver, unplaced };
+  }
+
+  /**
+   * Thêm các phiên lỡ vào goal.missedSessions, mỗi entry bằng một update có điều kiện
+   * (chưa có entry cùng taskId + date). Trả về các entry thực sự được thêm
+   */
+  static async recordMissedSessions(learningGoalId, missed) {
+    const recorded = [];
+
+    for (const entry of missed) {
+      const result = await LearningGoal.updateOne(
+        {
+          _id: learningGoalId,
+          missedSessions: {
+            $not: { $elemMatch: { taskId: entry.taskId, date: entry.date } },
+          },
+        },
+        {
+          $push: {
+            missedSessions: { ...entry, carriedOverMinutes: 0, detectedAt: new Date() },
+          },
+        }
+      );
+      if (result.modifiedCount > 0) recorded.push(entry);
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Lưu số phút đã dồn sang phiên bù của các entry vừa ghi nhận
+   */
+  static async saveCarriedOverMinutes(learningGoalId, entries) {
+    for (const entry of entries) {
+      if (!entry.carriedOverMinutes) continue;
+
+      await LearningGoal.updateOne(
+        {
+          _id: learningGoalId,
+          missedSessions: { $elemMatch: { taskId: entry.taskId, date: entry.date } },
+        },
+        { $set: { "missedSessions.$.carriedOverMinutes": entry.carriedOverMinutes } }
+      );
+    }
+  }
+
+  /**
+   * Ngày cuối cùng có thể bù phiên lỡ theo chu kỳ mục tiêu của goal:
+   * - weekly: hết tuần hiện tại (mục tiêu tuần sau tính lại từ đầu)
+   * - total: deadline của goal
+   * - daily (hoặc total không có deadline): CARRY_OVER_DAYS ngày tới
+   * Luôn không vượt quá deadline
+   */
+  static getCarryOverPeriodEnd(goal, today) {
+    const mode = goal.targetMode || "daily";
+
+    let periodEnd;
+    if (mode === "weekly") {
+      periodEnd = addDays(startOfWeekKey(today), 6);
+    } else if (mode === "total" && goal.deadline) {
+      periodEnd = goal.deadline;
+    } else {
+      periodEnd = addDays(today, this.CARRY_OVER_DAYS - 1);
+    }
+
+    if (goal.deadline && goal.deadline < periodEnd) periodEnd = goal.deadline;
+    return periodEnd;
+  }
+
+  /**
+   * Chia số phút bị lỡ thành các phiên bù và rải đều lên các ngày còn lại trong
+   * chu kỳ của goal (xem getCarryOverPeriodEnd, bỏ qua ngày nghỉ).
+   * Ghi carriedOverMinutes vào từng entry của `missed`; số phút không xếp được
+   * trả về trong unplacedMinutes
+   */
+  static async carryOver(userId, goal, missed, existingTasks, baseCfg, today) {
+    const cfg = AutoTaskGenerator.getGoalConfig(baseCfg, goal);
+    const studyMissed = missed.filter((m) => m.sessionType === "study");
+    const totalMinutes = studyMissed.reduce((sum, m) => sum + m.minutes, 0);
+    const periodEnd = this.getCarryOverPeriodEnd(goal, today);
+    if (totalMinutes <= 0) {
+      return { tasks: [], sessions: [], unplacedMinutes: 0, periodEnd };
+    }
+
+    const days =
+      periodEnd >= today
+        ? getDateRange(today, periodEnd).filter(
+            (date) => !cfg.daysOff.includes(weekdayOf(date))
+          )
+        : [];
+    if (days.length === 0) {
+      return { tasks: [], sessions: [], unplacedMinutes: totalMinutes, periodEnd };
+    }
+
+    const sessions = AutoTaskGenerator.buildBalancedSessions(
+      totalMinutes,
+      Math.ceil(totalMinutes / cfg.defaultSessionLength),
+      cfg
+    );
+
+    const makeupTasks = [];
+    let remaining = totalMinutes;
+    sessions.forEach((session, index) => {
+      if (remaining <= 0) return;
+      const duration = Math.max(15, Math.min(session.duration, remaining));
+
+      const target = AutoTaskGenerator.findNextFreeSlot(
+        [...existingTasks, ...makeupTasks],
+        { timeRange: { start: "00:00", end: AutoTaskGenerator.minutesToTime(duration) } },
+        days[index % days.length],
+        periodEnd,
+        cfg,
+        today
+      );
+      if (!target) return;
+
+      makeupTasks.push(
+        new Task({
+          userId,
+          title: `Bù: ${goal.subject}`,
+          note: `Học bù ${duration} phút từ các phiên bị lỡ của mục tiêu: ${goal.subject}`,
+          weekdays: [],
+          // Phiên bù chỉ diễn ra một lần
+          recurrence: { startDate: target.date, dates: [target.date] },
+          timeRange: target.timeRange,
+          color: goal.color || "#10B981",
+          isActive: true,
+          isAutoGenerated: true,
+          sessionType: "study",
+          learningGoalId: goal._id,
+          explanation: {
+            strategy: "carry-over",
+            scoreComponents: {
+              missedDates: [...new Set(studyMissed.map((m) => m.date))],
+            },
+            constraints: [],
+            skippedSlots: [],
+          },
+        })
+      );
+      remaining -= duration;
+    });
+
+    if (makeupTasks.length > 0) await Task.insertMany(makeupTasks);
+
+    // Ghi nhận số phút đã bù theo thứ tự các phiên bị lỡ
+    let placedMinutes = totalMinutes - Math.max(0, remaining);
+    for (const entry of studyMissed) {
+      entry.carriedOverMinutes = Math.min(entry.minutes, placedMinutes);
+      placedMinutes -= entry.carriedOverMinutes;
+    }
+
+    return {
+      tasks: makeupTasks,
+      unplacedMinutes: Math.max(0, remaining),
+      periodEnd,
+      sessions: makeupTasks.map((task) => ({
+        taskId: task._id.toString(),
+        learningGoalId: goal._id.toString(),
+        date: task.recurrence.startDate,
+        timeRange: task.timeRange,
+      })),
+    };
+  }
+}
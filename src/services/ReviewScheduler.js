@@ -0,0 +1,149 @@
+import { ReviewSession } from "../models/ReviewSession.js";
+import { Task } from "../models/Task.js";
+import { AutoTaskGenerator } from "./AutoTaskGenerator.js";
+import { addDays } from "../utils/date.js";
+
+/**
+ * Review Scheduler - Ôn tập ngắt quãng (spaced repetition).
+ * Hoàn thành một buổi học => xếp hàng các buổi ôn sau 1, 3, 7, 14, 30 ngày
+ * và AutoTaskGenerator đặt ngay chúng vào khung giờ trống của ngày đến hạn
+ */
+export class ReviewScheduler {
+  // Khoảng cách (ngày) giữa buổi học gốc và các lần ôn
+  static REVIEW_INTERVALS = [1, 3, 7, 14, 30];
+
+  // Độ dài một buổi ôn (phút)
+  static REVIEW_DURATION_MIN = 15;
+
+  /**
+   * Xếp hàng các buổi ôn cho buổi học `task` hoàn thành vào ngày `dateKey`.
+   * Gọi lại (hoàn thành lần nữa sau khi bỏ) sẽ kích hoạt lại các buổi đã huỷ
+   */
+  static async queueReviews(task, dateKey) {
+    if (!this.isReviewable(task)) return [];
+
+    const source = { sourceTaskId: task._id, sourceDate: dateKey };
+    await ReviewSession.updateMany(
+      { ...source, status: "cancelled" },
+      { $set: { status: "pending" } }
+    );
+
+    const { title } = task.getOccurrence(dateKey) || task;
+    await ReviewSession.bulkWrite(
+      this.REVIEW_INTERVALS.map((intervalDays) => ({
+        updateOne: {
+          filter: { ...source, intervalDays },
+          update: {
+            $setOnInsert: {
+              userId: task.userId,
+              learningGoalId: task.learningGoalId,
+              topicId: task.topicId || null,
+              title,
+              dueDate: addDays(dateKey, intervalDays),
+              durationMinutes: this.REVIEW_DURATION_MIN,
+            },
+          },
+          upsert: true,
+        },
+      }))
+    );
+
+    return await ReviewSession.find(source).sort({ intervalDays: 1 }).lean();
+  }
+
+  /**
+   * Huỷ các buổi ôn chưa làm khi buổi học gốc bị bỏ hoàn thành
+   * và gỡ các task ôn tập đã đặt trên lịch cho chúng
+   */
+  static async cancelReviews(task, dateKey) {
+    const filter = { sourceTaskId: task._id, sourceDate: dateKey, status: "pending" };
+    const reviewIds = await ReviewSession.distinct("_id", filter);
+    if (reviewIds.length === 0) return 0;
+
+    await ReviewSession.updateMany(
+      { _id: { $in: reviewIds }, status: "pending" },
+      { $set: { status: "cancelled" } }
+    );
+    await Task.deleteMany({
+      reviewSessionId: { $in: reviewIds },
+      isAutoGenerated: true,
+    });
+    return reviewIds.length;
+  }
+
+  /**
+   * Đánh dấu buổi ôn đã làm / chưa làm theo task "review" tương ứng
+   */
+  static async setReviewDone(task, isCompleted) {
+    if (!task.reviewSessionId) return null;
+
+    return await ReviewSession.findOneAndUpdate(
+      { _id: task.reviewSessionId, status: { $ne: "cancelled" } },
+      {
+        $set: {
+          status: isCompleted ? "done" : "pending",
+          completedAt: isCompleted ? new Date() : null,
+        },
+      },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Đồng bộ hàng đợi ôn tập khi bật/tắt hoàn thành một lần diễn ra của task
+   */
+  static async syncTaskCompletion(task, dateKey, isCompleted) {
+    if (task.sessionType === "review") {
+      const review = await this.setReviewDone(task, isCompleted);
+      return review
+        ? { reviewSessionId: review._id.toString(), status: review.status }
+        : null;
+    }
+
+    if (!this.isReviewable(task)) return null;
+
+    if (isCompleted) {
+      const reviews = await this.queueReviews(task, dateKey);
+      const scheduled = await this.scheduleReviews(task);
+      return {
+        queued: reviews
+          .filter((review) => review.status === "pending")
+          .map((review) => {
+            const placed = scheduled.find((t) => t.reviewSessionId.equals(review._id));
+            return {
+              id: review._id.toString(),
+              dueDate: review.dueDate,
+              intervalDays: review.intervalDays,
+              scheduledDate: placed?.recurrence.dates[0] || null,
+              timeRange: placed?.timeRange || null,
+            };
+          }),
+      };
+    }
+
+    return { cancelled: await this.cancelReviews(task, dateKey) };
+  }
+
+  /**
+   * Đặt các buổi ôn vừa xếp hàng lên lịch. Lỗi không làm hỏng việc hoàn thành task:
+   * buổi ôn vẫn nằm trong hàng đợi và được đặt ở lần xếp lịch sau
+   */
+  static async scheduleReviews(task) {
+    try {
+      return await AutoTaskGenerator.scheduleQueuedReviews(
+        task.userId,
+        task.learningGoalId
+      );
+    } catch (error) {
+      console.error("❌ Schedule review sessions error:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Chỉ buổi học gắn với learning goal mới sinh buổi ôn
+   */
+  static isReviewable(task) {
+    return Boolean(task.learningGoalId) && task.sessionType === "study";
+  }
+}
@@ -0,0 +1,163 @@
+import crypto from "node:crypto";
+import { Task } from "../models/Task.js";
+import { LearningGoal } from "../models/LearningGoal.js";
+import { SchedulePreview } from "../models/SchedulePreview.js";
+import { AutoTaskGenerator } from "./AutoTaskGenerator.js";
+
+/**
+ * Schedule Preview - Xem trước kế hoạch xếp lịch (dry-run),
+ * sau đó commit đúng kế hoạch đã xem bằng token
+ */
+export class SchedulePreviewService {
+  // Thời gian sống của một preview
+  static PREVIEW_TTL_MINUTES = 30;
+
+  /**
+   * Lập kế hoạch cho một learning goal và lưu lại dưới dạng preview
+   */
+  static async previewLearningGoal(userId, learningGoal) {
+    const plan = await AutoTaskGenerator.planTasksForLearningGoal(
+      userId,
+      learningGoal
+    );
+
+    return await this.createPreview(userId, [learningGoal._id], plan);
+  }
+
+  /**
+   * Lập kế hoạch chung cho nhiều goals (rebalance) và lưu lại dưới dạng preview
+   */
+  static async previewRebalance(userId, learningGoals, strategy) {
+    const { tasks, reports } =
+      await AutoTaskGenerator.planTasksForLearningGoals(
+        userId,
+        learningGoals,
+        strategy
+      );
+
+    return await this.createPreview(
+      userId,
+      learningGoals.map((goal) => goal._id),
+      { tasks, report: buildRebalanceSummary(strategy, reports) }
+    );
+  }
+
+  /**
+   * Lưu kế hoạch (chưa áp dụng) và sinh token để commit
+   */
+  static async createPreview(userId, learningGoalIds, plan) {
+    const calendarFingerprint = await this.getCalendarFingerprint(
+      userId,
+      learningGoalIds
+    );
+
+    return await SchedulePreview.create({
+      userId,
+      token: crypto.randomBytes(24).toString("hex"),
+      learningGoalIds,
+      tasks: plan.tasks,
+      summary: plan.report,
+      calendarFingerprint,
+      expiresAt: new Date(Date.now() + this.PREVIEW_TTL_MINUTES * 60 * 1000),
+    });
+  }
+
+  /**
+   * Áp dụng đúng kế hoạch đã preview.
+   * Token được nhận (xoá preview) một cách nguyên tử trước khi ghi, nên hai lần
+   * commit cùng token (double-click, retry) chỉ có một lần ghi kế hoạch.
+   * Từ chối nếu preview hết hạn hoặc lịch đã thay đổi kể từ lúc preview
+   */
+  static async commitPreview(userId, token) {
+    const preview = await SchedulePreview.findOneAndDelete({ userId, token });
+    if (!preview || preview.expiresAt < new Date()) {
+      throw createHttpError(404, "Preview not found or expired");
+    }
+
+    try {
+      const fingerprint = await this.getCalendarFingerprint(
+        userId,
+        preview.learningGoalIds
+      );
+      if (fingerprint !== preview.calendarFingerprint) {
+        throw createHttpError(
+          409,
+          "Calendar has changed since preview. Please preview again"
+        );
+      }
+
+      await AutoTaskGenerator.replaceAutoGeneratedTasks(
+        userId,
+        preview.learningGoalIds,
+        preview.tasks
+      );
+    } catch (error) {
+      // Chưa ghi được kế hoạch: trả lại preview để user có thể commit lại
+      await SchedulePreview.create(preview.toObject()).catch((restoreError) =>
+        console.error("❌ Restore schedule preview error:", restoreError)
+      );
+      throw error;
+    }
+
+    for (const learningGoalId of preview.learningGoalIds) {
+      // Preview rebalance lưu báo cáo riêng cho từng goal
+      const report = preview.summary?.goals
+        ? preview.summary.goals[learningGoalId.toString()]
+        : preview.summary;
+      if (report) {
+        await AutoTaskGenerator.saveSchedulingReport(learningGoalId, report);
+      }
+    }
+
+    return preview;
+  }
+
+  /**
+   * Hash của các task (không thuộc các goal được xếp lại) và các goal liên quan.
+   * Bất kỳ thêm/sửa/xoá nào đều làm thay đổi fingerprint
+   */
+  static async getCalendarFingerprint(userId, learningGoalIds) {
+    const [tasks, goals] = await Promise.all([
+      Task.find({
+        userId,
+        isActive: true,
+        $nor: [
+          { learningGoalId: { $in: learningGoalIds }, isAutoGenerated: true },
+        ],
+      })
+        .select("_id updatedAt")
+        .lean(),
+      LearningGoal.find({ _id: { $in: learningGoalIds }, userId })
+        .select("_id updatedAt")
+        .lean(),
+    ]);
+
+    const parts = [...tasks, ...goals]
+      .map((doc) => `${doc._id}:${doc.updatedAt?.getTime()}`)
+      .sort();
+
+    return crypto.createHash("sha256").update(parts.join("|")).digest("hex");
+  }
+}
+
+// Helper: gộp báo cáo của từng goal thành summary của preview rebalance
+export function buildRebalanceSummary(strategy, reports) {
+  const goalReports = Object.values(reports);
+  const total = (key) => goalReports.reduce((sum, r) => sum + (r[key] || 0), 0);
+
+  return {
+    strategy,
+    totalTargetMinutes: total("totalTargetMinutes"),
+    totalScheduledMinutes: total("totalScheduledMinutes"),
+    totalShortfallMinutes: total("totalShortfallMinutes"),
+    hasShortfall: goalReports.some((r) => r.hasShortfall),
+    goals: reports,
+  };
+}
+
+// Helper: lỗi kèm HTTP status
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
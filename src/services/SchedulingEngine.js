@@ -1,21 +1,44 @@
 import dayjs from "dayjs";
 import { FixedSchedule } from "../models/FixedSchedule.js";
-import { LearningGoal } from "../models/LearningGoal.js";
+import {
+  LearningGoal,
+  computeDailyTarget,
+  targetMinutesOn,
+} from "../models/LearningGoal.js";
 import { GeneratedSchedule } from "../models/GeneratedSchedule.js";
+import { DEFAULT_TIMEZONE } from "../utils/date.js";
 
 /**
  * Core Scheduling Engine for SmartStudy
  * Automatically allocates learning time based on fixed schedule and learning goals
  */
 export class SchedulingEngine {
+  // Độ dài session mặc định khi goal chưa cấu hình sessionLength
+  static DEFAULT_SESSION_LENGTH = { min: 30, max: 90, preferred: 45 };
+
+  /**
+   * Get session length config of a goal (fallback to defaults)
+   * @param {Object} goal - Learning goal
+   * @returns {Object} { min, max, preferred } in minutes
+   */
+  static getSessionLength(goal) {
+    return { ...this.DEFAULT_SESSION_LENGTH, ...(goal.sessionLength || {}) };
+  }
+
   /**
    * Generate schedule for a specific date
    * @param {string} userId - User ID
    * @param {Date} targetDate - Date to generate schedule for
+   * @param {string} timezone - User timezone
    * @returns {Array} Generated schedule items
    */
-  static async generateDailySchedule(userId, targetDate = new Date()) {
-    const date = dayjs(targetDate);
+  static async generateDailySchedule(
+    userId,
+    targetDate = new Date(),
+    timezone = DEFAULT_TIMEZONE
+  ) {
+    // Ngày và giờ của buổi học tính theo timezone của user
+    const date = dayjs(targetDate).tz(timezone);
     const dayOfWeek = date.day(); // 0 = Sunday, 1 = Monday, etc.
 
     // 1. Get user's fixed schedule for this day
@@ -37,7 +60,12 @@ export class SchedulingEngine {
     );
 
     // 5. Save generated schedule to database
-    await this.saveGeneratedSchedule(userId, generatedSchedule, targetDate);
+    await this.saveGeneratedSchedule(
+      userId,
+      generatedSchedule,
+      targetDate,
+      timezone
+    );
 
     return generatedSchedule;
   }
@@ -131,7 +159,12 @@ export class SchedulingEngine {
 
     // Process each learning goal by priority
     for (const goal of learningGoals) {
-      const targetMinutes = goal.targetHoursPerDay * 60;
+      // Goal theo tổng giờ/tuần: tải học được tính từ tiến độ hiện tại
+      const dateKey = date.format("YYYY-MM-DD");
+      const targetMinutes = targetMinutesOn(
+        computeDailyTarget(goal, dateKey),
+        dateKey
+      );
       let remainingMinutes = targetMinutes;
 
       // Try to allocate time for this goal
@@ -165,6 +198,13 @@ export class SchedulingEngine {
           category: goal.category,
           color: goal.color,
           icon: goal.icon,
+          explanation: this.explainSlotChoice(
+            goal,
+            bestSlot,
+            availableSlots,
+            sessionDuration,
+            remainingMinutes
+          ),
         };
 
         generatedSchedule.push(scheduleItem);
@@ -189,22 +229,22 @@ export class SchedulingEngine {
    */
   static findBestSlotForGoal(goal, availableSlots, remainingMinutes) {
     // Filter slots that can accommodate minimum session length
-    const suitableSlots = availableSlots.filter(
-      (slot) => slot.duration >= goal.sessionLength.min
-    );
+    const { min } = this.getSessionLength(goal);
+    const suitableSlots = availableSlots.filter((slot) => slot.duration >= min);
 
     if (suitableSlots.length === 0) return null;
 
     // Score slots based on preferences
     const scoredSlots = suitableSlots.map((slot) => ({
-      ...slot,
+      slot,
       score: this.scoreSlotForGoal(goal, slot),
     }));
 
-    // Return slot with highest score
+    // Return slot with highest score (chính object trong availableSlots
+    // để updateAvailableSlot cập nhật được)
     return scoredSlots.reduce((best, current) =>
       current.score > best.score ? current : best
-    );
+    ).slot;
   }
 
   /**
@@ -214,27 +254,103 @@ export class SchedulingEngine {
    * @returns {number} Score (higher is better)
    */
   static scoreSlotForGoal(goal, slot) {
-    let score = 0;
+    return this.scoreSlotForGoalDetailed(goal, slot).score;
+  }
+
+  /**
+   * Score a time slot with the breakdown of each component
+   * @param {Object} goal - Learning goal
+   * @param {Object} slot - Time slot
+   * @returns {Object} { score, components }
+   */
+  static scoreSlotForGoalDetailed(goal, slot) {
+    const { preferred } = this.getSessionLength(goal);
 
     // Base score from slot duration
-    score +=
-      (Math.min(slot.duration, goal.sessionLength.preferred) /
-        goal.sessionLength.preferred) *
-      100;
+    const duration = (Math.min(slot.duration, preferred) / preferred) * 100;
 
     // Bonus for preferred time slots
-    const hour = dayjs(slot.startTime).hour();
+    const hour = Math.floor(slot.start / 60);
     const timeSlot = this.getTimeSlotCategory(hour);
-
-    if (goal.preferredTimeSlots.includes(timeSlot)) {
-      score += 50; // Bonus for preferred time
-    }
+    const preferredTime = (goal.preferredTimeSlots || []).includes(timeSlot)
+      ? 50
+      : 0;
 
     // Priority bonus
     const priorityBonus = { high: 30, medium: 20, low: 10 };
-    score += priorityBonus[goal.priority] || 0;
+    const priority = priorityBonus[goal.priority] || 0;
+
+    return {
+      score: duration + preferredTime + priority,
+      components: { duration, preferredTime, priority, timeSlot },
+    };
+  }
+
+  /**
+   * Explain why a slot was chosen for a session
+   * @param {Object} goal - Learning goal
+   * @param {Object} chosenSlot - Slot that was chosen
+   * @param {Array} availableSlots - All slots considered
+   * @param {number} sessionDuration - Allocated duration
+   * @param {number} remainingMinutes - Remaining time before allocation
+   * @returns {Object} Structured explanation
+   */
+  static explainSlotChoice(
+    goal,
+    chosenSlot,
+    availableSlots,
+    sessionDuration,
+    remainingMinutes
+  ) {
+    const { min, max, preferred } = this.getSessionLength(goal);
+    const { score, components } = this.scoreSlotForGoalDetailed(
+      goal,
+      chosenSlot
+    );
+
+    const constraints = [
+      { type: "fixed_schedule_buffer", minutes: 15 },
+      { type: "session_length", min, max, preferred },
+    ];
+    if (sessionDuration < preferred && sessionDuration === remainingMinutes) {
+      constraints.push({ type: "remaining_target", minutes: remainingMinutes });
+    }
+    if (sessionDuration < preferred && sessionDuration === chosenSlot.duration) {
+      constraints.push({ type: "slot_capacity", minutes: chosenSlot.duration });
+    }
+
+    return {
+      strategy: "highest-score",
+      slot: {
+        start: this.minutesToTime(chosenSlot.start),
+        end: this.minutesToTime(chosenSlot.end),
+      },
+      score,
+      scoreComponents: components,
+      constraints,
+      skippedSlots: availableSlots
+        .filter((slot) => slot !== chosenSlot)
+        .map((slot) => ({
+          start: this.minutesToTime(slot.start),
+          end: this.minutesToTime(slot.end),
+          reason: slot.duration < min ? "too_short" : "lower_score",
+          score:
+            slot.duration < min ? null : this.scoreSlotForGoal(goal, slot),
+        })),
+    };
+  }
 
-    return score;
+  /**
+   * Convert minutes to time string
+   * @param {number} minutes - Minutes from midnight
+   * @returns {string} "HH:mm"
+   */
+  static minutesToTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return `${hours.toString().padStart(2, "0")}:${mins
+      .toString()
+      .padStart(2, "0")}`;
   }
 
   /**
@@ -258,7 +374,7 @@ export class SchedulingEngine {
    * @returns {number} Optimal session duration in minutes
    */
   static calculateOptimalSessionDuration(goal, slotDuration, remainingMinutes) {
-    const { min, max, preferred } = goal.sessionLength;
+    const { min, max, preferred } = this.getSessionLength(goal);
 
     // Start with preferred duration
     let duration = preferred;
@@ -308,26 +424,35 @@ export class SchedulingEngine {
    * @param {string} userId - User ID
    * @param {Array} scheduleItems - Generated schedule items
    * @param {Date} targetDate - Target date
+   * @param {string} timezone - User timezone
    */
-  static async saveGeneratedSchedule(userId, scheduleItems, targetDate) {
+  static async saveGeneratedSchedule(
+    userId,
+    scheduleItems,
+    targetDate,
+    timezone = DEFAULT_TIMEZONE
+  ) {
+    const dayStart = dayjs(targetDate).tz(timezone).startOf("day");
+
     // Remove existing generated schedule for this date
     await GeneratedSchedule.deleteMany({
       userId,
       date: {
-        $gte: dayjs(targetDate).startOf("day").toDate(),
-        $lte: dayjs(targetDate).endOf("day").toDate(),
+        $gte: dayStart.toDate(),
+        $lte: dayStart.endOf("day").toDate(),
       },
     });
 
     // Create new schedule items
     const scheduleDocuments = scheduleItems.map((item) => ({
       userId,
-      date: dayjs(targetDate).startOf("day").toDate(),
+      date: dayStart.toDate(),
       learningGoalId: item.learningGoalId,
       startTime: item.startTime,
       endTime: item.endTime,
       duration: item.duration,
       status: "scheduled",
+      explanation: item.explanation,
     }));
 
     if (scheduleDocuments.length > 0) {
@@ -340,22 +465,26 @@ export class SchedulingEngine {
    * @param {string} userId - User ID
    * @param {Date} startDate - Start date
    * @param {number} days - Number of days to generate
+   * @param {string} timezone - User timezone
    * @returns {Object} Generated schedules by date
    */
   static async generateWeeklySchedule(
     userId,
     startDate = new Date(),
-    days = 7
+    days = 7,
+    timezone = DEFAULT_TIMEZONE
   ) {
     const schedules = {};
+    const start = dayjs(startDate).tz(timezone);
 
     for (let i = 0; i < days; i++) {
-      const targetDate = dayjs(startDate).add(i, "day").toDate();
+      const targetDate = start.add(i, "day");
       const dailySchedule = await this.generateDailySchedule(
         userId,
-        targetDate
+        targetDate.toDate(),
+        timezone
       );
-      schedules[dayjs(targetDate).format("YYYY-MM-DD")] = dailySchedule;
+      schedules[targetDate.format("YYYY-MM-DD")] = dailySchedule;
     }
 
     return schedules;
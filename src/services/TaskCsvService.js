@@ -0,0 +1,208 @@
+import { isBlankRow, parseCsvRecords, toCsv, unescapeFormulaCell } from "../utils/csv.js";
+
+/**
+ * Task CSV Service - Nhập/xuất thời khoá biểu dạng bảng tính (CSV).
+ * Cột: title, weekdays, start, end, note, color, room (room => task.location).
+ * Mỗi dòng được chuyển thành body giống POST /api/tasks; route kiểm tra
+ * bằng TaskBodySchema và báo lỗi theo từng dòng
+ */
+export class TaskCsvService {
+  static COLUMNS = ["title", "weekdays", "start", "end", "note", "color", "room"];
+
+  static REQUIRED_COLUMNS = ["title", "weekdays", "start", "end"];
+
+  // Tên cột được nhận diện tự động (đã bỏ dấu, chữ thường)
+  static COLUMN_ALIASES = {
+    title: ["title", "tieu de", "mon hoc", "mon", "subject", "name", "ten"],
+    weekdays: ["weekdays", "weekday", "days", "day", "thu", "ngay"],
+    start: ["start", "start time", "bat dau", "gio bat dau", "tu"],
+    end: ["end", "end time", "ket thuc", "gio ket thuc", "den"],
+    note: ["note", "notes", "ghi chu", "description", "mo ta"],
+    color: ["color", "colour", "mau"],
+    room: ["room", "phong", "phong hoc", "location", "dia diem"],
+  };
+
+  // Giới hạn số dòng dữ liệu trong một file
+  static MAX_ROWS = 1000;
+
+  /**
+   * Phân tích file CSV: dòng đầu là tiêu đề cột, mỗi dòng sau thành
+   * { row, data, errors } (row = dòng bắt đầu của bản ghi trong file, tính cả tiêu đề).
+   * `mapping`: { field: tên cột hoặc vị trí cột (từ 0) } ghi đè nhận diện tự động
+   */
+  static parseRows(content, mapping = {}) {
+    let records;
+    try {
+      records = parseCsvRecords(content);
+    } catch (error) {
+      throw createHttpError(400, error.message);
+    }
+
+    const headerIndex = records.findIndex(({ cells }) => !isBlankRow(cells));
+    if (headerIndex < 0) throw createHttpError(400, "CSV file is empty");
+
+    const columns = this.resolveColumns(records[headerIndex].cells, mapping);
+    const dataRows = records
+      .slice(headerIndex + 1)
+      .filter(({ cells }) => !isBlankRow(cells))
+      .map(({ cells, line }) => ({ record: cells, row: line }));
+    if (dataRows.length > this.MAX_ROWS) {
+      throw createHttpError(400, `CSV file has more than ${this.MAX_ROWS} rows`);
+    }
+
+    return {
+      columns,
+      rows: dataRows.map(({ record, row }) => ({
+        row,
+        ...this.mapRow(record, columns),
+      })),
+    };
+  }
+
+  /**
+   * Vị trí cột cho từng field theo mapping hoặc tên cột.
+   * Thiếu cột bắt buộc => lỗi 400
+   */
+  static resolveColumns(header, mapping = {}) {
+    const normalizedHeader = header.map(normalizeLabel);
+    const columns = {};
+
+    for (const field of this.COLUMNS) {
+      const ref = mapping[field];
+      if (typeof ref === "number") {
+        if (!Number.isInteger(ref) || ref < 0 || ref >= header.length) {
+          throw createHttpError(400, `Column ${ref} for "${field}" does not exist`);
+        }
+        columns[field] = ref;
+      } else if (typeof ref === "string") {
+        const index = normalizedHeader.indexOf(normalizeLabel(ref));
+        if (index < 0) {
+          throw createHttpError(400, `Column "${ref}" for "${field}" not found`);
+        }
+        columns[field] = index;
+      } else {
+        const index = normalizedHeader.findIndex((label) =>
+          this.COLUMN_ALIASES[field].includes(label)
+        );
+        if (index >= 0) columns[field] = index;
+      }
+    }
+
+    const missing = this.REQUIRED_COLUMNS.filter((field) => columns[field] === undefined);
+    if (missing.length > 0) {
+      throw createHttpError(400, `Missing required columns: ${missing.join(", ")}`);
+    }
+
+    return columns;
+  }
+
+  /**
+   * Một dòng CSV => body task. Lỗi định dạng (thứ, giờ) nằm trong `errors`
+   */
+  static mapRow(record, columns) {
+    const cell = (field) =>
+      columns[field] === undefined
+        ? ""
+        : unescapeFormulaCell((record[columns[field]] || "").trim());
+
+    const errors = [];
+    const data = {
+      title: cell("title"),
+      timeRange: { start: parseTime(cell("start")), end: parseTime(cell("end")) },
+    };
+
+    try {
+      data.weekdays = parseWeekdays(cell("weekdays"));
+    } catch (error) {
+      errors.push({ field: "weekdays", message: error.message });
+    }
+
+    const note = cell("note");
+    if (note) data.note = note;
+    const color = cell("color");
+    if (color) data.color = color;
+    const room = cell("room");
+    if (room) data.location = room;
+
+    return { data, errors };
+  }
+
+  /**
+   * Nội dung CSV của các task (chỉ task lặp theo thứ trong tuần)
+   */
+  static buildCsv(tasks) {
+    const rows = tasks
+      .filter((task) => (task.weekdays || []).length > 0)
+      .map((task) => [
+        task.title,
+        [...task.weekdays].sort().join(","),
+        task.timeRange.start,
+        task.timeRange.end,
+        task.note || "",
+        task.color || "",
+        task.location || "",
+      ]);
+
+    return toCsv([this.COLUMNS, ...rows]);
+  }
+}
+
+// Helper functions
+
+// Bỏ dấu tiếng Việt, chữ thường, gộp khoảng trắng
+function normalizeLabel(value) {
+  return String(value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/gi, "d")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * "1,3,5" | "Mon; Wed" | "T2, T4, CN" | "Thứ 2 / Chủ nhật" => [1, 3, 5] ...
+ * Số theo quy ước của Task.weekdays (0 = CN, 1 = T2, ..., 6 = T7)
+ */
+function parseWeekdays(value) {
+  if (!value) throw new Error("Weekdays are required");
+
+  const tokens = normalizeLabel(value)
+    .replace(/chu nhat/g, "cn")
+    .replace(/thu\s*(\d)/g, "t$1")
+    .split(/[\s,;/|]+/)
+    .filter(Boolean);
+
+  const weekdays = tokens.map((token) => {
+    if (/^[0-6]$/.test(token)) return Number(token);
+    if (/^t[2-7]$/.test(token)) return Number(token[1]) - 1;
+    if (token === "cn") return 0;
+
+    const index = token.length >= 3 ? WEEKDAY_NAMES.indexOf(token.slice(0, 3)) : -1;
+    if (index >= 0) return index;
+    throw new Error(`Invalid weekday: ${token}`);
+  });
+
+  return [...new Set(weekdays)].sort();
+}
+
+/**
+ * "7:00" | "07:00" | "7h30" | "7h" | "07:00:00" => "07:00".
+ * Giá trị không nhận ra được giữ nguyên để TaskBodySchema báo lỗi
+ */
+function parseTime(value) {
+  const match = /^(\d{1,2})\s*[:hH]\s*(\d{2})?(?::\d{2})?$/.exec(value);
+  if (!match) return value;
+
+  const [, hours, minutes = "00"] = match;
+  return `${hours.padStart(2, "0")}:${minutes}`;
+}
+
+// Helper: lỗi kèm HTTP status
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
@@ -0,0 +1,108 @@
+// Helpers đọc/ghi CSV (RFC 4180) - tương thích file xuất từ Excel/Google Sheets
+
+// Ký tự đầu ô có thể bị Excel hiểu là công thức
+const FORMULA_PREFIX_REGEX = /^[=+\-@]/;
+
+/**
+ * Phân tích nội dung CSV thành mảng các dòng (mảng ô).
+ * Hỗ trợ ô trong dấu nháy kép (có dấu phẩy, xuống dòng, "" bên trong), CRLF,
+ * BOM UTF-8 và dấu phân cách ";" (Excel với locale dùng dấu phẩy thập phân).
+ * Giữ cả dòng trống để số thứ tự dòng khớp với bảng tính
+ */
+export function parseCsv(content) {
+  return parseCsvRecords(content).map((record) => record.cells);
+}
+
+/**
+ * Như parseCsv nhưng mỗi bản ghi kèm số dòng bắt đầu trong file (từ 1):
+ * [{ line, cells }]. Ô có xuống dòng làm bản ghi chiếm nhiều dòng, nên
+ * `line` mới khớp với số dòng user thấy trong trình soạn thảo
+ */
+export function parseCsvRecords(content) {
+  const text = String(content).replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(text);
+
+  const records = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n" || (char === "\r" && text[i + 1] !== "\n")) line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      records.push({ line: recordLine, cells: row });
+      line++;
+      recordLine = line;
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) throw new Error("Invalid CSV: unterminated quoted field");
+
+  row.push(cell);
+  records.push({ line: recordLine, cells: row });
+
+  return records;
+}
+
+/**
+ * Dòng không có ô nào có dữ liệu
+ */
+export function isBlankRow(row) {
+  return row.every((value) => value.trim().length === 0);
+}
+
+/**
+ * Ghép các dòng thành nội dung CSV (CRLF, có BOM để Excel đọc đúng UTF-8).
+ * Ô bắt đầu bằng = + - @ được thêm dấu ' để tránh bị chạy như công thức
+ */
+export function toCsv(rows) {
+  const lines = rows.map((row) => row.map(formatCell).join(","));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Bỏ dấu ' do toCsv thêm vào trước ô giống công thức
+ */
+export function unescapeFormulaCell(value) {
+  return value.startsWith("'") && FORMULA_PREFIX_REGEX.test(value.slice(1))
+    ? value.slice(1)
+    : value;
+}
+
+function formatCell(value) {
+  let cell = value === null || value === undefined ? "" : String(value);
+  if (FORMULA_PREFIX_REGEX.test(cell)) cell = `'${cell}`;
+
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+// Dấu phân cách theo dòng đầu tiên: ";" nếu nhiều hơn ","
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const count = (char) => firstLine.split(char).length - 1;
+  return count(";") > count(",") ? ";" : ",";
+}
@@ -0,0 +1,117 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Định dạng ngày dùng chung (giống dailyCompletions.date)
+export const DATE_FORMAT = "YYYY-MM-DD";
+export const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Timezone mặc định (giống User.settings.timezone)
+export const DEFAULT_TIMEZONE = "Asia/Ho_Chi_Minh";
+
+/**
+ * Timezone của user (fallback về DEFAULT_TIMEZONE)
+ */
+export function getUserTimezone(user) {
+  return user?.settings?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Kiểm tra timezone IANA hợp lệ (vd: "Asia/Ho_Chi_Minh")
+ */
+export function isValidTimezone(tz) {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: tz });
+    return typeof tz === "string" && tz.length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Thời điểm hiện tại theo timezone
+ */
+export function nowIn(tz = DEFAULT_TIMEZONE, now = new Date()) {
+  return dayjs(now).tz(tz);
+}
+
+/**
+ * Chuyển Date/string thành date key "YYYY-MM-DD".
+ * Date key giữ nguyên; Date được quy đổi theo timezone nếu truyền vào
+ */
+export function toDateKey(date = new Date(), tz) {
+  if (typeof date === "string" && DATE_KEY_REGEX.test(date)) {
+    return dayjs(date).format(DATE_FORMAT);
+  }
+  return (tz ? dayjs(date).tz(tz) : dayjs(date)).format(DATE_FORMAT);
+}
+
+/**
+ * Date key của ngày hôm nay theo timezone của user
+ */
+export function todayKey(tz = DEFAULT_TIMEZONE, now = new Date()) {
+  return nowIn(tz, now).format(DATE_FORMAT);
+}
+
+/**
+ * Số phút kể từ 00:00 của thời điểm hiện tại theo timezone
+ */
+export function currentMinutes(tz = DEFAULT_TIMEZONE, now = new Date()) {
+  const current = nowIn(tz, now);
+  return current.hour() * 60 + current.minute();
+}
+
+/**
+ * Kiểm tra chuỗi có phải date key hợp lệ không (loại bỏ cả 2025-02-30)
+ */
+export function isValidDateKey(value) {
+  return (
+    typeof value === "string" &&
+    DATE_KEY_REGEX.test(value) &&
+    dayjs(value).format(DATE_FORMAT) === value
+  );
+}
+
+/**
+ * Thứ trong tuần của date key (0 = CN, 6 = T7)
+ */
+export function weekdayOf(dateKey) {
+  return dayjs(dateKey).day();
+}
+
+/**
+ * Cộng/trừ số ngày vào date key
+ */
+export function addDays(dateKey, days) {
+  return dayjs(dateKey).add(days, "day").format(DATE_FORMAT);
+}
+
+/**
+ * Ngày Chủ nhật đầu tuần chứa date key
+ */
+export function startOfWeekKey(dateKey) {
+  const date = dayjs(dateKey);
+  return date.subtract(date.day(), "day").format(DATE_FORMAT);
+}
+
+/**
+ * 7 date keys của tuần (CN → T7) chứa ngày đã cho
+ */
+export function getWeekDates(date) {
+  const start = startOfWeekKey(toDateKey(date));
+  return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+}
+
+/**
+ * Danh sách date keys từ `from` đến `to` (bao gồm cả 2 đầu)
+ */
+export function getDateRange(from, to) {
+  const dates = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) {
+    dates.push(d);
+  }
+  return dates;
+}
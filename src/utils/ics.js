@@ -0,0 +1,302 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Helpers cho định dạng iCalendar (RFC 5545)
+
+export const ICS_PRODUCT_ID = "-//UniFlow//Study Planner//VI";
+
+// Thứ trong tuần theo RFC 5545 (index 0 = CN, khớp Task.weekdays)
+export const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Escape giá trị TEXT (dấu \ ; , và xuống dòng)
+ */
+export function escapeText(value = "") {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Gập dòng dài hơn 75 octets (dòng tiếp theo bắt đầu bằng 1 dấu cách).
+ * Không cắt giữa một ký tự UTF-8
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+/**
+ * Ghép các dòng thành nội dung .ics (CRLF, đã gập dòng)
+ */
+export function serializeLines(lines) {
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Ngày giờ địa phương: "2025-01-15" + "08:30" => "20250115T083000"
+ */
+export function formatLocalDateTime(dateKey, time = "00:00") {
+  return `${dateKey.replace(/-/g, "")}T${time.replace(":", "")}00`;
+}
+
+/**
+ * Thời điểm UTC: Date => "20250115T013000Z"
+ */
+export function formatUtcDateTime(date) {
+  return dayjs(date).utc().format("YYYYMMDD[T]HHmmss[Z]");
+}
+
+/**
+ * Giờ địa phương (date key + "HH:mm" theo timezone) quy về UTC
+ */
+export function localToUtcDateTime(dateKey, time, tz) {
+  return formatUtcDateTime(dayjs.tz(`${dateKey} ${time}`, tz).toDate());
+}
+
+/**
+ * Offset (phút) => "+0700" / "-0330"
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  const hours = Math.floor(abs / 60).toString().padStart(2, "0");
+  const mins = (abs % 60).toString().padStart(2, "0");
+  return `${sign}${hours}${mins}`;
+}
+
+/**
+ * VTIMEZONE cho timezone IANA: liệt kê các lần đổi giờ (DST) trong các năm
+ * [fromYear, toYear]; timezone không đổi giờ chỉ có 1 STANDARD
+ */
+export function buildVTimezone(tz, fromYear, toYear) {
+  const offsetAt = (ms) => dayjs(ms).tz(tz).utcOffset();
+
+  const transitions = [];
+  const end = Date.UTC(toYear + 1, 0, 1);
+  let time = Date.UTC(fromYear, 0, 1);
+  const initialOffset = offsetAt(time);
+  let previous = initialOffset;
+
+  for (; time < end; time += DAY_MS) {
+    const next = offsetAt(time + DAY_MS);
+    if (next === previous) continue;
+
+    // Tìm phút đổi giờ trong ngày bằng chia đôi (theo phút)
+    let lo = 0;
+    let hi = DAY_MS / MINUTE_MS;
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (offsetAt(time + mid * MINUTE_MS) === previous) lo = mid;
+      else hi = mid;
+    }
+    transitions.push({ at: time + hi * MINUTE_MS, from: previous, to: next });
+    previous = next;
+  }
+
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${tz}`];
+  const observance = (type, start, from, to) => {
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${start}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${type}`
+    );
+  };
+
+  if (transitions.length === 0) {
+    observance("STANDARD", "19700101T000000", initialOffset, initialOffset);
+  } else {
+    for (const { at, from, to } of transitions) {
+      // DTSTART là giờ địa phương ngay trước khi đổi (theo offset cũ)
+      const start = dayjs(at).utcOffset(from).format("YYYYMMDD[T]HHmmss");
+      observance(to > from ? "DAYLIGHT" : "STANDARD", start, from, to);
+    }
+  }
+
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+/**
+ * Bỏ escape giá trị TEXT
+ */
+export function unescapeText(value = "") {
+  return value.replace(/\\([\;,nN])/g, (_, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+}
+
+/**
+ * Phân tích nội dung .ics thành calendar + danh sách VEVENT.
+ * Mỗi property giữ dạng { value, params }; property lặp lại (EXDATE, RDATE) là mảng.
+ * Các component lồng trong VEVENT (VALARM) bị bỏ qua
+ */
+export function parseCalendar(content) {
+  const lines = String(content)
+    .replace(/\r?\n[ \t]/g, "") // unfold
+    .split(/\r?\n/)
+    .filter((line) => line.trim().length > 0);
+
+  const calendar = { name: null, timezone: null, events: [] };
+  const stack = [];
+  let event = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+    const { name, value } = property;
+
+    if (name === "BEGIN") {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === "VEVENT" && stack.length === 2) event = {};
+      continue;
+    }
+    if (name === "END") {
+      const component = stack.pop();
+      if (component === "VEVENT" && event) {
+        calendar.events.push(event);
+        event = null;
+      }
+      continue;
+    }
+
+    const current = stack[stack.length - 1];
+    if (current === "VCALENDAR") {
+      if (name === "X-WR-CALNAME") calendar.name = unescapeText(value);
+      if (name === "X-WR-TIMEZONE") calendar.timezone = value.trim();
+    } else if (current === "VEVENT" && event) {
+      if (name === "EXDATE" || name === "RDATE") {
+        (event[name] ||= []).push(property);
+      } else if (!event[name]) {
+        event[name] = property;
+      }
+    }
+  }
+
+  if (stack.length > 0 || !lines.some((l) => /^BEGIN:VCALENDAR$/i.test(l.trim()))) {
+    throw new Error("Invalid iCalendar content");
+  }
+
+  return calendar;
+}
+
+/**
+ * "DTSTART;TZID=Asia/Ho_Chi_Minh:20250115T083000"
+ * => { name: "DTSTART", params: { TZID: "Asia/Ho_Chi_Minh" }, value: "20250115T083000" }
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ":" && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon <= 0) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split("=");
+    params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * RRULE => { FREQ: "WEEKLY", BYDAY: "MO,WE", ... }
+ */
+export function parseRecurrenceRule(value) {
+  const rule = {};
+  for (const part of value.split(";")) {
+    const [key, ...rest] = part.split("=");
+    if (key) rule[key.toUpperCase()] = rest.join("=").toUpperCase();
+  }
+  return rule;
+}
+
+/**
+ * DURATION (vd: "PT1H30M", "P1D") => số phút
+ */
+export function parseDurationMinutes(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+    value.trim()
+  );
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes] = match;
+  const total =
+    Number(weeks || 0) * 7 * 24 * 60 +
+    Number(days || 0) * 24 * 60 +
+    Number(hours || 0) * 60 +
+    Number(minutes || 0);
+  return sign === "-" ? -total : total;
+}
+
+/**
+ * Giá trị DATE/DATE-TIME (một hoặc nhiều, cách nhau dấu phẩy) quy về giờ
+ * địa phương theo timezone `tz`: [{ date: "YYYY-MM-DD", time: "HH:mm" | null }].
+ * Thứ tự ưu tiên: hậu tố Z (UTC) > TZID > `fallbackTz` (giờ "floating").
+ * DATE (cả ngày) giữ nguyên ngày, time = null
+ */
+export function resolveDateTimes(property, tz, fallbackTz = tz) {
+  const { value, params } = property;
+  const tzid = params.TZID && isIanaTimezone(params.TZID) ? params.TZID : fallbackTz;
+
+  return value.split(",").map((raw) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(
+      raw.trim()
+    );
+    if (!match) throw new Error(`Invalid date value: ${raw}`);
+
+    const [, year, month, day, hours, minutes, , utcFlag] = match;
+    const date = `${year}-${month}-${day}`;
+    if (hours === undefined || params.VALUE === "DATE") {
+      return { date, time: null };
+    }
+
+    const local = `${date} ${hours}:${minutes}`;
+    const instant = utcFlag ? dayjs.utc(local) : dayjs.tz(local, tzid);
+    const zoned = instant.tz(tz);
+    return { date: zoned.format("YYYY-MM-DD"), time: zoned.format("HH:mm") };
+  });
+}
+
+function isIanaTimezone(tz) {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
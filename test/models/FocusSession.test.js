@@ -0,0 +1,51 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { FocusSession } from "../../src/models/FocusSession.js";
+
+const at = (time) => new Date(`2026-03-09T${time}:00Z`);
+
+function buildSession() {
+  return new FocusSession({
+    userId: new mongoose.Types.ObjectId(),
+    taskId: new mongoose.Types.ObjectId(),
+    date: "2026-03-09",
+    plannedMinutes: 45,
+    startedAt: at("12:00"),
+  });
+}
+
+describe("FocusSession: đếm số phút tập trung", () => {
+  it("không tính thời gian tạm dừng", () => {
+    const session = buildSession().pause(at("12:20")).resume(at("12:30"));
+
+    assert.equal(session.status, "running");
+    assert.equal(session.getElapsedMinutes(at("12:50")), 40);
+  });
+
+  it("đang tạm dừng: thời gian dừng chưa kết thúc cũng không được tính", () => {
+    const session = buildSession().pause(at("12:15"));
+
+    assert.equal(session.getElapsedMinutes(at("13:00")), 15);
+  });
+
+  it("kết thúc khi đang tạm dừng: đóng lần dừng và chốt số phút thực tế", () => {
+    const session = buildSession().pause(at("12:25")).stop(at("12:40"));
+
+    assert.equal(session.status, "completed");
+    assert.deepEqual(session.endedAt, at("12:40"));
+    assert.deepEqual(session.pauses[0].end, at("12:40"));
+    assert.equal(session.actualMinutes, 25);
+    // Số phút đã chốt không đổi theo thời gian
+    assert.equal(session.getElapsedMinutes(at("15:00")), 25);
+  });
+
+  it("chuyển trạng thái sai => lỗi", () => {
+    const session = buildSession();
+
+    assert.throws(() => session.resume(), /Only paused sessions can be resumed/);
+    session.stop(at("12:45"));
+    assert.throws(() => session.pause(), /Only running sessions can be paused/);
+    assert.throws(() => session.stop(), /Session is already completed/);
+  });
+});
@@ -0,0 +1,311 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  LearningGoal,
+  computeDailyTarget,
+  summarizeProgress,
+  targetMinutesOn,
+  validateGoalTarget,
+} from "../../src/models/LearningGoal.js";
+
+const TZ = "Asia/Ho_Chi_Minh";
+const userId = new mongoose.Types.ObjectId();
+
+function buildGoal(fields) {
+  return new LearningGoal({
+    userId,
+    subject: "Giải tích",
+    targetHoursPerDay: 1,
+    ...fields,
+  });
+}
+
+describe("summarizeProgress", () => {
+  beforeEach(() => {
+    // 23:30 T4 11/03 giờ Việt Nam (UTC vẫn là T4 11/03 16:30)
+    mock.timers.enable({ apis: ["Date"], now: new Date("2026-03-11T16:30:00Z") });
+  });
+
+  afterEach(() => mock.timers.reset());
+
+  const entry = (date, minutes, source = "manual") => ({ date, minutes, source });
+
+  it("tổng giờ và số ngày học gộp các entry cùng ngày", () => {
+    const goal = buildGoal({
+      progressLog: [
+        entry("2026-03-10", 30, "timer"),
+        entry("2026-03-10", 15, "task"),
+        entry("2026-03-11", 45),
+      ],
+    });
+
+    const summary = goal.getProgressSummary(TZ);
+
+    assert.equal(summary.totalMinutes, 90);
+    assert.equal(summary.totalHours, 1.5);
+    assert.equal(summary.todayMinutes, 45);
+    assert.equal(summary.daysStudied, 2);
+    assert.equal(summary.lastStudyDate, "2026-03-11");
+  });
+
+  it("chuỗi hiện tại vẫn giữ khi hôm nay chưa học, chuỗi dài nhất tính cả quá khứ", () => {
+    const goal = buildGoal({
+      progressLog: [
+        entry("2026-03-01", 30),
+        entry("2026-03-02", 30),
+        entry("2026-03-03", 30),
+        entry("2026-03-09", 30),
+        entry("2026-03-10", 30),
+      ],
+    });
+
+    const summary = summarizeProgress(goal.toObject(), TZ);
+
+    assert.equal(summary.currentStreak, 2);
+    assert.equal(summary.longestStreak, 3);
+    assert.equal(summary.todayMinutes, 0);
+  });
+
+  it("chuỗi bị đứt khi bỏ học hôm qua", () => {
+    const goal = buildGoal({ progressLog: [entry("2026-03-09", 30)] });
+
+    assert.equal(goal.getProgressSummary(TZ).currentStreak, 0);
+    assert.equal(goal.getProgressSummary(TZ).longestStreak, 1);
+  });
+
+  it("\"hôm nay\" tính theo timezone của user", () => {
+    const goal = buildGoal({ progressLog: [entry("2026-03-12", 20)] });
+
+    // 23:30 T4 giờ Việt Nam nhưng đã là 00:30 T5 12/03 ở Tokyo
+    assert.equal(goal.getProgressSummary(TZ).todayMinutes, 0);
+    assert.equal(goal.getProgressSummary("Asia/Tokyo").todayMinutes, 20);
+  });
+});
+
+describe("LearningGoal.logProgress", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("ghi entry và lưu goal", async () => {
+    const save = mock.method(LearningGoal.prototype, "save", async function () {
+      return this;
+    });
+    const goal = buildGoal();
+
+    await goal.logProgress({ date: "2026-03-11", minutes: 25, note: "Ôn chương 1" });
+
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(goal.progressLog.length, 1);
+    assert.equal(goal.progressLog[0].source, "manual");
+    assert.equal(goal.progressLog[0].minutes, 25);
+  });
+
+  it("goal đã hoàn thành: tiến độ bị khoá", () => {
+    const goal = buildGoal({ status: "completed" });
+
+    assert.throws(
+      () => goal.logProgress({ date: "2026-03-11", minutes: 25 }),
+      /Progress of a completed learning goal is frozen/
+    );
+  });
+});
+
+describe("LearningGoal.setTaskProgress", () => {
+  afterEach(() => mock.restoreAll());
+
+  const learningGoalId = new mongoose.Types.ObjectId();
+  const taskId = new mongoose.Types.ObjectId();
+
+  it("thay entry cũ của (task, ngày) thay vì cộng dồn", async () => {
+    const updateOne = mock.method(LearningGoal, "updateOne", async () => ({}));
+
+    await LearningGoal.setTaskProgress(learningGoalId, {
+      taskId,
+      date: "2026-03-09",
+      minutes: 45,
+    });
+
+    assert.deepEqual(
+      updateOne.mock.calls.map((call) => call.arguments[1]),
+      [
+        { $pull: { progressLog: { source: "task", taskId, date: "2026-03-09" } } },
+        {
+          $push: {
+            progressLog: { date: "2026-03-09", minutes: 45, source: "task", taskId },
+          },
+        },
+      ]
+    );
+    // Goal đã hoàn thành không bị sửa tiến độ
+    assert.deepEqual(updateOne.mock.calls[0].arguments[0], {
+      _id: learningGoalId,
+      status: { $ne: "completed" },
+    });
+  });
+
+  it("0 phút: chỉ gỡ entry cũ", async () => {
+    const updateOne = mock.method(LearningGoal, "updateOne", async () => ({}));
+
+    await LearningGoal.setTaskProgress(learningGoalId, { taskId, date: "2026-03-09", minutes: 0 });
+
+    assert.equal(updateOne.mock.callCount(), 1);
+  });
+});
+
+describe("validateGoalTarget", () => {
+  it("mỗi targetMode yêu cầu field mục tiêu riêng", () => {
+    assert.equal(
+      validateGoalTarget({ subject: "Giải tích" }),
+      "targetHoursPerDay is required for daily goals"
+    );
+    assert.equal(
+      validateGoalTarget({ targetMode: "total", totalTargetHours: 40 }),
+      "totalTargetHours and deadline are required for total goals"
+    );
+    assert.equal(
+      validateGoalTarget({ targetMode: "weekly" }),
+      "weeklyTargetHours is required for weekly goals"
+    );
+    assert.equal(
+      validateGoalTarget({ targetMode: "total", totalTargetHours: 40, deadline: "2026-04-30" }),
+      null
+    );
+  });
+
+  it("deadline không được trước startDate", () => {
+    assert.equal(
+      validateGoalTarget({
+        targetHoursPerDay: 1,
+        startDate: "2026-03-10",
+        deadline: "2026-03-09",
+      }),
+      "Deadline must be on or after start date"
+    );
+  });
+});
+
+describe("computeDailyTarget", () => {
+  const TODAY = "2026-03-11"; // T4
+
+  it("daily: số giờ mỗi ngày, chỉ trong khoảng startDate - deadline", () => {
+    const target = computeDailyTarget(
+      { targetHoursPerDay: 1.5, startDate: "2026-03-12", deadline: "2026-03-20" },
+      TODAY
+    );
+
+    assert.equal(target.dailyTargetMinutes, 90);
+    assert.equal(targetMinutesOn(target, "2026-03-11"), 0);
+    assert.equal(targetMinutesOn(target, "2026-03-12"), 90);
+    assert.equal(targetMinutesOn(target, "2026-03-21"), 0);
+  });
+
+  it("total: phần còn thiếu chia đều cho các ngày học còn lại tới deadline", () => {
+    const goal = {
+      targetMode: "total",
+      totalTargetHours: 10,
+      deadline: "2026-03-20",
+      progressLog: [
+        { date: "2026-03-09", minutes: 60 },
+        // Hôm nay đã học nhưng chưa trừ: tải của hôm nay không đổi trong ngày
+        { date: TODAY, minutes: 30 },
+      ],
+    };
+
+    const target = computeDailyTarget(goal, TODAY);
+
+    // (600 - 60) phút / 10 ngày, làm tròn lên bội số 5
+    assert.equal(target.remainingMinutes, 540);
+    assert.equal(target.remainingDays, 10);
+    assert.equal(target.dailyTargetMinutes, 55);
+  });
+
+  it("total: bỏ qua ngày nghỉ của user", () => {
+    const goal = { targetMode: "total", totalTargetHours: 10, deadline: "2026-03-20" };
+
+    // T4 11/03 - T6 20/03 trừ CN 15/03
+    const target = computeDailyTarget(goal, TODAY, [0]);
+
+    assert.equal(target.remainingDays, 9);
+    assert.equal(target.dailyTargetMinutes, 70);
+  });
+
+  it("weekly: trừ số phút đã học trong tuần, chia cho các ngày còn lại của tuần", () => {
+    const goal = {
+      targetMode: "weekly",
+      weeklyTargetHours: 5,
+      progressLog: [
+        { date: "2026-03-07", minutes: 120 }, // tuần trước
+        { date: "2026-03-09", minutes: 60 },
+      ],
+    };
+
+    const target = computeDailyTarget(goal, TODAY);
+
+    // (300 - 60) phút / 4 ngày (T4 → T7)
+    assert.equal(target.remainingMinutes, 240);
+    assert.equal(target.remainingDays, 4);
+    assert.equal(target.dailyTargetMinutes, 60);
+  });
+
+  it("đã đủ giờ hoặc quá deadline => 0 phút", () => {
+    assert.equal(
+      computeDailyTarget(
+        {
+          targetMode: "total",
+          totalTargetHours: 1,
+          deadline: "2026-03-20",
+          progressLog: [{ date: "2026-03-10", minutes: 60 }],
+        },
+        TODAY
+      ).dailyTargetMinutes,
+      0
+    );
+    assert.equal(
+      computeDailyTarget(
+        { targetMode: "total", totalTargetHours: 10, deadline: "2026-03-10" },
+        TODAY
+      ).dailyTargetMinutes,
+      0
+    );
+  });
+});
+
+describe("LearningGoal.sortByPriority", () => {
+  it("high → low, giữ thứ tự tạo khi cùng priority, thiếu priority coi như medium", () => {
+    const goals = [
+      { subject: "A", priority: "low" },
+      { subject: "B" },
+      { subject: "C", priority: "high" },
+      { subject: "D", priority: "medium" },
+      { subject: "E", priority: "high" },
+    ];
+
+    assert.deepEqual(
+      LearningGoal.sortByPriority(goals).map((goal) => goal.subject),
+      ["C", "E", "B", "D", "A"]
+    );
+  });
+});
+
+describe("LearningGoal: chủ đề của giáo trình", () => {
+  it("đánh dấu xong/chưa xong và danh sách chủ đề còn lại", () => {
+    const goal = buildGoal({
+      topics: [{ title: "Giới hạn" }, { title: "Đạo hàm" }, { title: "Tích phân" }],
+    });
+    const [first] = goal.topics;
+
+    const topic = goal.setTopicDone(first._id, true);
+
+    assert.equal(topic.done, true);
+    assert.ok(topic.doneAt instanceof Date);
+    assert.deepEqual(
+      goal.getPendingTopics().map((t) => t.title),
+      ["Đạo hàm", "Tích phân"]
+    );
+
+    goal.setTopicDone(first._id, false);
+    assert.equal(first.doneAt, null);
+    assert.equal(goal.getPendingTopics().length, 3);
+    assert.equal(goal.setTopicDone(new mongoose.Types.ObjectId(), true), null);
+  });
+});
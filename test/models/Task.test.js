@@ -0,0 +1,171 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Task } from "../../src/models/Task.js";
+import { CalendarExportService } from "../../src/services/CalendarExportService.js";
+
+const TZ = "Asia/Ho_Chi_Minh";
+const userId = new mongoose.Types.ObjectId();
+
+function buildTask(fields) {
+  return new Task({
+    userId,
+    title: "Lớp Giải tích",
+    timeRange: { start: "07:00", end: "09:00" },
+    ...fields,
+  });
+}
+
+describe("Task.occursOn: chu kỳ nhiều tuần", () => {
+  // Tạo lúc 01:00 CN 08/03 giờ Việt Nam = 18:00 T7 07/03 UTC
+  const biweekly = () =>
+    buildTask({
+      weekdays: [1],
+      recurrence: { interval: 2 },
+      createdAt: new Date("2026-03-07T18:00:00Z"),
+    });
+
+  it("tính tuần bắt đầu từ ngày tạo theo timezone của user", () => {
+    const task = biweekly();
+
+    assert.equal(Task.occursOn(task, "2026-03-09", TZ), true);
+    assert.equal(Task.occursOn(task, "2026-03-16", TZ), false);
+    assert.equal(Task.occursOn(task, "2026-03-23", TZ), true);
+    // Theo UTC ngày tạo là T7 07/03, thuộc tuần trước
+    assert.equal(Task.occursOn(task, "2026-03-09", "UTC"), false);
+    assert.equal(Task.occursOn(task, "2026-03-16", "UTC"), true);
+  });
+
+  it("method dùng timezone đã gắn vào task", () => {
+    const task = biweekly().setTimezone("UTC");
+
+    assert.equal(task.occursOn("2026-03-16"), true);
+    assert.equal(task.occursOn("2026-03-16", TZ), false);
+  });
+
+  it("khớp với lần đầu tiên trong file .ics xuất ra", () => {
+    const task = biweekly();
+    const series = task.toObject();
+
+    const first = CalendarExportService.findFirstSeriesDate(series, TZ);
+
+    assert.equal(first, "2026-03-09");
+    assert.equal(Task.occursOn(series, first, TZ), true);
+  });
+});
+
+describe("Task.occursOn: lịch theo ngày cụ thể", () => {
+  // Lặp T2/T4 trong học kỳ, thêm buổi bù CN 15/03, nghỉ T4 18/03
+  const semester = () =>
+    buildTask({
+      weekdays: [1, 3],
+      recurrence: {
+        startDate: "2026-03-02",
+        endDate: "2026-03-31",
+        dates: ["2026-03-15"],
+        exceptionDates: ["2026-03-18"],
+      },
+    });
+
+  it("chỉ diễn ra vào weekday trong khoảng startDate-endDate", () => {
+    const task = semester();
+
+    assert.equal(task.occursOn("2026-03-02"), true);
+    assert.equal(task.occursOn("2026-03-04"), true);
+    assert.equal(task.occursOn("2026-03-03"), false);
+    assert.equal(task.occursOn("2026-02-25"), false);
+    assert.equal(task.occursOn("2026-04-01"), false);
+  });
+
+  it("ngày lẻ diễn ra dù không phải weekday, ngày ngoại lệ bị bỏ qua", () => {
+    const task = semester();
+
+    assert.equal(task.occursOn("2026-03-15"), true);
+    assert.equal(task.occursOn("2026-03-18"), false);
+    assert.equal(task.occursOn("2026-03-16"), true);
+  });
+
+  it("task chỉ có ngày lẻ không lặp theo tuần", () => {
+    const task = buildTask({ recurrence: { dates: ["2026-03-10"] } });
+
+    assert.equal(task.occursOn("2026-03-10"), true);
+    assert.equal(task.occursOn("2026-03-17"), false);
+    assert.equal(Task.hasUpcomingOccurrence(task, "2026-03-11"), false);
+  });
+
+  it("còn lần diễn ra sắp tới cho đến khi qua endDate", () => {
+    const task = semester();
+
+    assert.equal(Task.hasUpcomingOccurrence(task, "2026-03-31"), true);
+    assert.equal(Task.hasUpcomingOccurrence(task, "2026-04-01"), false);
+  });
+
+  it("dùng được cho object từ .lean()", () => {
+    const series = semester().toObject();
+
+    assert.equal(Task.occursOn(series, "2026-03-15", TZ), true);
+    assert.equal(Task.occursOn(series, "2026-03-18", TZ), false);
+  });
+});
+
+describe("Task: chỉnh sửa riêng từng lần diễn ra", () => {
+  const weekly = () =>
+    buildTask({ weekdays: [1], recurrence: { startDate: "2026-03-02" } });
+
+  it("override giờ/tiêu đề chỉ áp dụng cho ngày đó", () => {
+    const task = weekly();
+    task.occurrenceOverrides.push({
+      date: "2026-03-09",
+      title: "Lớp Giải tích (phòng B2)",
+      timeRange: { start: "13:00", end: "15:00" },
+    });
+
+    assert.deepEqual(task.getOccurrence("2026-03-09"), {
+      date: "2026-03-09",
+      title: "Lớp Giải tích (phòng B2)",
+      note: "",
+      timeRange: { start: "13:00", end: "15:00" },
+      isOverridden: true,
+    });
+    assert.deepEqual(task.getOccurrence("2026-03-16").timeRange, {
+      start: "07:00",
+      end: "09:00",
+    });
+    assert.equal(task.getOccurrence("2026-03-16").isOverridden, false);
+  });
+
+  it("huỷ một lần: ngày đó không còn lần diễn ra, các tuần khác giữ nguyên", () => {
+    const task = weekly().cancelOccurrence("2026-03-09");
+
+    assert.equal(task.getOccurrence("2026-03-09"), null);
+    assert.notEqual(task.getOccurrence("2026-03-16"), null);
+    // Lịch lặp vẫn bao gồm ngày đó, chỉ lần diễn ra bị huỷ
+    assert.equal(task.occursOn("2026-03-09"), true);
+  });
+
+  it("dời sang ngày khác: huỷ ngày cũ, thêm ngày mới với giờ mới", () => {
+    const task = weekly().moveOccurrence("2026-03-09", "2026-03-11", {
+      start: "18:00",
+      end: "20:00",
+    });
+
+    assert.equal(task.getOccurrence("2026-03-09"), null);
+    const moved = task.getOccurrence("2026-03-11");
+    assert.deepEqual(moved.timeRange, { start: "18:00", end: "20:00" });
+    assert.equal(moved.isOverridden, true);
+    assert.deepEqual(task.recurrence.dates, ["2026-03-11"]);
+  });
+
+  it("dời giờ trong cùng ngày và dời lại lần đã huỷ", () => {
+    const task = weekly().cancelOccurrence("2026-03-09");
+
+    task.moveOccurrence("2026-03-09", "2026-03-09", { start: "09:30", end: "11:30" });
+
+    assert.deepEqual(task.getOccurrence("2026-03-09").timeRange, {
+      start: "09:30",
+      end: "11:30",
+    });
+    assert.equal(task.occurrenceOverrides.length, 1);
+    assert.deepEqual(task.recurrence.dates, []);
+  });
+});
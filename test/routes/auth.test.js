@@ -0,0 +1,124 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import admin from "firebase-admin";
+import { createApp } from "../../src/app.js";
+import { User } from "../../src/models/User.js";
+
+// Không kết nối MongoDB: xác thực và các truy vấn cần dùng được thay bằng stub
+let user;
+let server;
+let baseUrl;
+
+before(async () => {
+  admin.auth().verifyIdToken = async () => ({ uid: user.firebaseUid, email: user.email });
+  User.createOrUpdateFromFirebase = async () => user;
+
+  server = createApp().listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  user = new User({ firebaseUid: "auth-uid", email: "auth@example.com", name: "Auth" });
+});
+
+afterEach(() => mock.restoreAll());
+
+function request(path, { method = "GET", body } = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: "Bearer test-token", "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+describe("PUT /api/auth/me/preferences", () => {
+  it("cập nhật một phần, giữ các tuỳ chọn còn lại", async () => {
+    const save = mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+
+    const res = await request("/me/preferences", {
+      method: "PUT",
+      body: { dayEnd: "21:00", sessionLength: { default: 60 }, daysOff: [0] },
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(body.preferences.dayStart, "06:00");
+    assert.equal(body.preferences.dayEnd, "21:00");
+    assert.deepEqual(body.preferences.sessionLength, { min: 30, default: 60, max: 90 });
+    assert.deepEqual(body.preferences.daysOff, [0]);
+    assert.equal(body.preferences.protectedWindows.length, 2);
+  });
+
+  it("ràng buộc giữa các field được kiểm tra sau khi gộp", async () => {
+    const save = mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+
+    const res = await request("/me/preferences", {
+      method: "PUT",
+      body: { sessionLength: { default: 120 } },
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 400);
+    assert.equal(body.error, "Session length must satisfy min <= default <= max");
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("giờ sai định dạng => 400 Invalid input data", async () => {
+    const res = await request("/me/preferences", {
+      method: "PUT",
+      body: { dayStart: "25:00" },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, "Invalid input data");
+  });
+});
+
+describe("Xoá và khôi phục tài khoản", () => {
+  beforeEach(() => {
+    mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+  });
+
+  it("DELETE /me vô hiệu hoá tài khoản, sau đó các route khác trả 403", async () => {
+    const res = await request("/me", { method: "DELETE", body: { deleteFirebaseAccount: true } });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.deletion.deleteFirebaseAccount, true);
+    assert.equal(user.isActive, false);
+
+    const blocked = await request("/me/preferences");
+    const blockedBody = await blocked.json();
+
+    assert.equal(blocked.status, 403);
+    assert.equal(blockedBody.error, "Account deactivated");
+    assert.equal(blockedBody.deletionScheduledFor, body.deletion.scheduledFor);
+  });
+
+  it("POST /me/restore dùng được khi tài khoản đang chờ xoá", async () => {
+    await user.requestDeletion(30);
+
+    const res = await request("/me/restore", { method: "POST" });
+
+    assert.equal(res.status, 200);
+    assert.equal(user.isActive, true);
+    assert.equal((await request("/me/preferences")).status, 200);
+  });
+
+  it("khôi phục tài khoản chưa yêu cầu xoá => 409", async () => {
+    const res = await request("/me/restore", { method: "POST" });
+
+    assert.equal(res.status, 409);
+    assert.equal((await res.json()).error, "Account is not scheduled for deletion");
+  });
+});
@@ -0,0 +1,196 @@
+import { after, afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import admin from "firebase-admin";
+import mongoose from "mongoose";
+import { createApp } from "../../src/app.js";
+import { User } from "../../src/models/User.js";
+import { FocusSession } from "../../src/models/FocusSession.js";
+import { Task } from "../../src/models/Task.js";
+import { LearningGoal } from "../../src/models/LearningGoal.js";
+
+// Không kết nối MongoDB: xác thực và các truy vấn cần dùng được thay bằng stub
+const user = new User({
+  firebaseUid: "focus-uid",
+  email: "focus@example.com",
+  name: "Focus",
+  settings: { timezone: "Asia/Ho_Chi_Minh" },
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  admin.auth().verifyIdToken = async () => ({ uid: user.firebaseUid, email: user.email });
+  User.createOrUpdateFromFirebase = async () => user;
+
+  server = createApp().listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/focus-sessions`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+function request(path, { method = "GET", body } = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: "Bearer test-token", "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+describe("DELETE /api/focus-sessions/:id", () => {
+  function stubSession(fields = {}) {
+    const session = new FocusSession({
+      userId: user._id,
+      taskId: new mongoose.Types.ObjectId(),
+      date: "2026-03-09",
+      plannedMinutes: 45,
+      status: "completed",
+      actualMinutes: 40,
+      ...fields,
+    });
+    mock.method(FocusSession, "findOneAndDelete", async () => session);
+    const updateGoal = mock.method(LearningGoal, "updateOne", async () => ({
+      modifiedCount: 1,
+    }));
+    return { session, updateGoal };
+  }
+
+  it("bỏ số phút của phiên khỏi tiến độ của goal", async () => {
+    const learningGoalId = new mongoose.Types.ObjectId();
+    const { session, updateGoal } = stubSession({ learningGoalId });
+
+    const res = await request(`/${session._id}`, { method: "DELETE" });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(updateGoal.mock.calls[0].arguments, [
+      { _id: learningGoalId },
+      { $pull: { progressLog: { focusSessionId: session._id } } },
+    ]);
+  });
+
+  it("phiên không gắn goal: không cập nhật goal", async () => {
+    const { session, updateGoal } = stubSession();
+
+    const res = await request(`/${session._id}`, { method: "DELETE" });
+
+    assert.equal(res.status, 200);
+    assert.equal(updateGoal.mock.callCount(), 0);
+  });
+
+  it("không tìm thấy phiên => 404", async () => {
+    mock.method(FocusSession, "findOneAndDelete", async () => null);
+    const updateGoal = mock.method(LearningGoal, "updateOne", async () => {});
+
+    const res = await request(`/${new mongoose.Types.ObjectId()}`, { method: "DELETE" });
+
+    assert.equal(res.status, 404);
+    assert.equal(updateGoal.mock.callCount(), 0);
+  });
+});
+
+describe("POST /api/focus-sessions", () => {
+  function stubTask() {
+    const task = new Task({
+      userId: user._id,
+      title: "Giải tích - Session 1",
+      weekdays: [1],
+      timeRange: { start: "19:00", end: "19:45" },
+    });
+    mock.method(Task, "findOne", async () => task);
+    return task;
+  }
+
+  it("bắt đầu phiên với số phút dự kiến của lần diễn ra", async () => {
+    const task = stubTask();
+    task.occurrenceOverrides.push({
+      date: "2026-03-09",
+      timeRange: { start: "20:00", end: "21:00" },
+    });
+    mock.method(FocusSession, "findActive", async () => null);
+    const create = mock.method(FocusSession, "create", async (doc) => new FocusSession(doc));
+
+    const res = await request("/", {
+      method: "POST",
+      body: { taskId: task._id.toString(), date: "2026-03-09" },
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 201);
+    assert.equal(create.mock.calls[0].arguments[0].plannedMinutes, 60);
+    assert.equal(body.session.status, "running");
+  });
+
+  it("task không diễn ra vào ngày đó => 400", async () => {
+    const task = stubTask();
+    const create = mock.method(FocusSession, "create", async () => {});
+
+    const res = await request("/", {
+      method: "POST",
+      body: { taskId: task._id.toString(), date: "2026-03-10" },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("đang có phiên chạy => 409", async () => {
+    const task = stubTask();
+    const active = new FocusSession({
+      userId: user._id,
+      taskId: task._id,
+      date: "2026-03-09",
+      plannedMinutes: 45,
+    });
+    mock.method(FocusSession, "findActive", async () => active);
+    const create = mock.method(FocusSession, "create", async () => {});
+
+    const res = await request("/", {
+      method: "POST",
+      body: { taskId: task._id.toString(), date: "2026-03-09" },
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 409);
+    assert.equal(body.session.id, active._id.toString());
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe("POST /api/focus-sessions/:id/stop", () => {
+  it("chốt số phút thực tế và ghi vào tiến độ của goal", async () => {
+    const learningGoalId = new mongoose.Types.ObjectId();
+    const session = new FocusSession({
+      userId: user._id,
+      taskId: new mongoose.Types.ObjectId(),
+      learningGoalId,
+      date: "2026-03-09",
+      plannedMinutes: 45,
+      startedAt: new Date(Date.now() - 30 * 60000),
+    });
+    mock.method(FocusSession, "findOne", async () => session);
+    mock.method(FocusSession.prototype, "save", async function () {
+      return this;
+    });
+    const addProgress = mock.method(LearningGoal, "addProgressEntry", async () => {});
+
+    const res = await request(`/${session._id}/stop`, { method: "POST", body: {} });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.session.status, "completed");
+    assert.equal(body.session.actualMinutes, 30);
+    assert.deepEqual(addProgress.mock.calls[0].arguments, [
+      learningGoalId,
+      {
+        date: "2026-03-09",
+        minutes: 30,
+        source: "timer",
+        taskId: session.taskId,
+        focusSessionId: session._id,
+      },
+    ]);
+  });
+});
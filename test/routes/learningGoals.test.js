@@ -0,0 +1,73 @@
+import { after, afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import admin from "firebase-admin";
+import { createApp } from "../../src/app.js";
+import { User } from "../../src/models/User.js";
+import { LearningGoal } from "../../src/models/LearningGoal.js";
+import { AutoTaskGenerator } from "../../src/services/AutoTaskGenerator.js";
+
+// Không kết nối MongoDB: xác thực và các truy vấn cần dùng được thay bằng stub
+const user = new User({
+  firebaseUid: "goal-uid",
+  email: "goal@example.com",
+  name: "Goal",
+  settings: { timezone: "Asia/Ho_Chi_Minh" },
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  admin.auth().verifyIdToken = async () => ({ uid: user.firebaseUid, email: user.email });
+  User.createOrUpdateFromFirebase = async () => user;
+
+  server = createApp().listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/learning-goals`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+function request(path, { method = "GET", body } = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: "Bearer test-token", "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+describe("POST /api/learning-goals", () => {
+  function stubCreate() {
+    mock.method(LearningGoal, "create", async (doc) => new LearningGoal(doc));
+    return mock.method(AutoTaskGenerator, "generateTasksFromLearningGoal", async () => ({
+      tasks: [],
+      report: { hasShortfall: false },
+    }));
+  }
+
+  it("mặc định không ghi task: client xem trước rồi commit", async () => {
+    const generate = stubCreate();
+
+    const res = await request("/", {
+      method: "POST",
+      body: { subject: "Giải tích", targetHoursPerDay: 1 },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(generate.mock.callCount(), 0);
+  });
+
+  it("autoGenerate: true vẫn tạo task ngay", async () => {
+    const generate = stubCreate();
+
+    const res = await request("/", {
+      method: "POST",
+      body: { subject: "Giải tích", targetHoursPerDay: 1, autoGenerate: true },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(generate.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,92 @@
+import { after, afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import admin from "firebase-admin";
+import mongoose from "mongoose";
+import { createApp } from "../../src/app.js";
+import { User } from "../../src/models/User.js";
+import { FixedSchedule } from "../../src/models/FixedSchedule.js";
+import { GeneratedSchedule } from "../../src/models/GeneratedSchedule.js";
+import { LearningGoal } from "../../src/models/LearningGoal.js";
+
+// Không kết nối MongoDB: xác thực và các truy vấn cần dùng được thay bằng stub.
+// Timezone của user khác timezone của server để lộ lỗi mốc ngày
+const user = new User({
+  firebaseUid: "schedule-uid",
+  email: "schedule@example.com",
+  name: "Schedule",
+  settings: { timezone: "America/New_York" },
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  admin.auth().verifyIdToken = async () => ({ uid: user.firebaseUid, email: user.email });
+  User.createOrUpdateFromFirebase = async () => user;
+
+  server = createApp().listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/schedule`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+function request(path, { method = "GET", body } = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: "Bearer test-token", "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+function buildSession(date) {
+  return new GeneratedSchedule({
+    userId: user._id,
+    date: new Date(date),
+    learningGoalId: new mongoose.Types.ObjectId(),
+    startTime: new Date(date),
+    endTime: new Date(date),
+    duration: 45,
+  });
+}
+
+describe("lịch học đã sinh theo timezone của user", () => {
+  it("GET /weekly: mốc ngày và nhóm theo ngày tính theo timezone của user", async () => {
+    // 00:00 T3 10/03 giờ New York (EDT)
+    const session = buildSession("2026-03-10T04:00:00Z");
+    const getRange = mock.method(GeneratedSchedule, "getScheduleForRange", async () => [
+      session,
+    ]);
+
+    const res = await request("/weekly/2026-03-09");
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    const [, from, to] = getRange.mock.calls[0].arguments;
+    assert.equal(from.toISOString(), "2026-03-09T04:00:00.000Z");
+    assert.equal(to.toISOString(), "2026-03-16T03:59:59.999Z");
+    assert.deepEqual(
+      body.schedule["2026-03-10"].map((item) => item.date),
+      ["2026-03-10"]
+    );
+    assert.deepEqual(body.schedule["2026-03-09"], []);
+  });
+
+  it("POST /daily/:date/regenerate: engine lưu lịch vào đúng ngày của user", async () => {
+    mock.method(GeneratedSchedule, "getScheduleForRange", async () => []);
+    const getFixed = mock.method(FixedSchedule, "getScheduleForDays", async () => []);
+    mock.method(LearningGoal, "getActiveGoalsByPriority", async () => []);
+    const deleteMany = mock.method(GeneratedSchedule, "deleteMany", async () => ({}));
+
+    const res = await request("/daily/2026-03-09/regenerate", { method: "POST" });
+
+    assert.equal(res.status, 200);
+    // T2 09/03 theo giờ New York
+    assert.deepEqual(getFixed.mock.calls[0].arguments[1], [1]);
+    const { date } = deleteMany.mock.calls[0].arguments[0];
+    assert.equal(date.$gte.toISOString(), "2026-03-09T04:00:00.000Z");
+    assert.equal(date.$lte.toISOString(), "2026-03-10T03:59:59.999Z");
+  });
+});
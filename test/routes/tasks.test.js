@@ -0,0 +1,312 @@
+import { after, afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import admin from "firebase-admin";
+import mongoose from "mongoose";
+import { createApp } from "../../src/app.js";
+import { User } from "../../src/models/User.js";
+import { Task } from "../../src/models/Task.js";
+import { FocusSession } from "../../src/models/FocusSession.js";
+import { LearningGoal } from "../../src/models/LearningGoal.js";
+import { ReviewScheduler } from "../../src/services/ReviewScheduler.js";
+import { AutoTaskGenerator } from "../../src/services/AutoTaskGenerator.js";
+
+// Không kết nối MongoDB: xác thực và các truy vấn cần dùng được thay bằng stub
+const user = new User({
+  firebaseUid: "test-uid",
+  email: "test@example.com",
+  name: "Test",
+  settings: { timezone: "Asia/Ho_Chi_Minh" },
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  admin.auth().verifyIdToken = async () => ({ uid: user.firebaseUid, email: user.email });
+  User.createOrUpdateFromFirebase = async () => user;
+
+  server = createApp().listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/tasks`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+function request(path, { method = "GET", body } = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: "Bearer test-token", "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+// Task lưu trong "DB" giả: findOne trả về document, save không ghi gì
+function stubTask(fields) {
+  const task = new Task({
+    userId: user._id,
+    title: "Task",
+    weekdays: [0, 1, 2, 3, 4, 5, 6],
+    timeRange: { start: "07:00", end: "08:00" },
+    ...fields,
+  });
+  task.save = async function () {
+    return this;
+  };
+  mock.method(Task, "findOne", async () => task);
+  return task;
+}
+
+function stubTaskList(tasks) {
+  mock.method(Task, "find", () => ({
+    lean: async () => tasks.map((task) => task.toObject()),
+  }));
+}
+
+// Giả lập đồng hồ hệ thống (chỉ Date, timer vẫn chạy bình thường)
+function setNow(iso) {
+  mock.timers.enable({ apis: ["Date"], now: new Date(iso) });
+}
+
+describe("PATCH /api/tasks/:id/toggle-completion quanh 00:00 (Asia/Ho_Chi_Minh)", () => {
+  afterEach(() => mock.timers.reset());
+
+  it("ghi nhận hoàn thành cho ngày hôm trước lúc 23:59 giờ Việt Nam", async () => {
+    const task = stubTask({ isAutoGenerated: true });
+    setNow("2026-03-09T16:59:00Z");
+
+    const res = await request(`/${task._id}/toggle-completion`, { method: "PATCH", body: {} });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      task.dailyCompletions.map((c) => [c.date, c.isCompleted]),
+      [["2026-03-09", true]]
+    );
+  });
+
+  it("ghi nhận hoàn thành cho ngày mới từ 00:00 giờ Việt Nam (17:00 UTC)", async () => {
+    const task = stubTask({ isAutoGenerated: true });
+    setNow("2026-03-09T17:00:00Z");
+
+    const res = await request(`/${task._id}/toggle-completion`, { method: "PATCH", body: {} });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      task.dailyCompletions.map((c) => [c.date, c.isCompleted]),
+      [["2026-03-10", true]]
+    );
+  });
+
+  it("bỏ hoàn thành đúng ngày đã ghi nhận sau nửa đêm", async () => {
+    const task = stubTask({
+      isAutoGenerated: true,
+      dailyCompletions: [{ date: "2026-03-09", isCompleted: true, completedAt: new Date() }],
+    });
+    setNow("2026-03-09T17:00:00Z");
+
+    await request(`/${task._id}/toggle-completion`, { method: "PATCH", body: {} });
+
+    assert.deepEqual(
+      task.dailyCompletions.map((c) => [c.date, c.isCompleted]),
+      [
+        ["2026-03-09", true],
+        ["2026-03-10", true],
+      ]
+    );
+  });
+});
+
+describe("GET /api/tasks/week", () => {
+  afterEach(() => mock.timers.reset());
+
+  it("không truyền ngày: tuần hiện tại theo timezone của user", async () => {
+    stubTaskList([]);
+    // 00:00 CN 15/03 giờ Việt Nam, server (UTC) vẫn đang ở T7 14/03
+    setNow("2026-03-14T17:00:00Z");
+
+    const res = await request("/week");
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.date, "2026-03-15");
+    assert.equal(body.weekDates[0], "2026-03-15");
+  });
+
+  it("thời điểm ISO được quy đổi sang ngày theo timezone của user", async () => {
+    stubTaskList([]);
+
+    const res = await request("/week/2026-03-14T17:30:00.000Z");
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.date, "2026-03-15");
+  });
+
+  it("date key được giữ nguyên", async () => {
+    stubTaskList([]);
+
+    const res = await request("/week/2026-03-14");
+    const body = await res.json();
+
+    assert.equal(body.weekDates[0], "2026-03-08");
+    assert.equal(body.weekDates[6], "2026-03-14");
+  });
+
+  it("ngày không hợp lệ => 400", async () => {
+    const res = await request("/week/not-a-date");
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("PUT /api/tasks/:id", () => {
+  afterEach(() => mock.timers.reset());
+
+  // Task đang sửa trùng giờ với một task khác (cùng T2 09:00-10:00)
+  function stubOverlap(fields = {}) {
+    const task = stubTask({
+      title: "Giải tích",
+      weekdays: [1],
+      timeRange: { start: "09:00", end: "10:00" },
+      ...fields,
+    });
+    const other = new Task({
+      userId: user._id,
+      title: "Vật lý",
+      weekdays: [1],
+      timeRange: { start: "09:30", end: "10:30" },
+    });
+    mock.method(Task, "find", () => ({ lean: async () => [other.toObject()] }));
+    mock.method(Task, "findOneAndUpdate", async (filter, { $set }) => {
+      task.set($set);
+      return task;
+    });
+    const reschedule = mock.method(
+      AutoTaskGenerator,
+      "rescheduleDisplacedSessions",
+      async () => ({ moved: [], unplaced: [] })
+    );
+    // 07:00 T2 09/03 giờ Việt Nam, trước giờ bắt đầu của task
+    setNow("2026-03-09T00:00:00Z");
+    return { task, reschedule };
+  }
+
+  it("chỉ đổi tên task đang trùng giờ: không kiểm tra trùng, không dời phiên", async () => {
+    const { task, reschedule } = stubOverlap();
+
+    const res = await request(`/${task._id}`, { method: "PUT", body: { title: "Giải tích 2" } });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.task.title, "Giải tích 2");
+    assert.equal(reschedule.mock.callCount(), 0);
+  });
+
+  it("không bật lại task đã tắt khi chỉ sửa ghi chú", async () => {
+    const { task } = stubOverlap({ isActive: false });
+
+    const res = await request(`/${task._id}`, { method: "PUT", body: { note: "Phòng A1" } });
+
+    assert.equal(res.status, 200);
+    assert.equal(task.isActive, false);
+  });
+
+  it("đổi giờ sang khung trùng với task khác => 409", async () => {
+    const { task, reschedule } = stubOverlap({ timeRange: { start: "11:00", end: "12:00" } });
+
+    const res = await request(`/${task._id}`, {
+      method: "PUT",
+      body: { timeRange: { start: "09:00", end: "10:00" } },
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 409);
+    assert.equal(body.conflicts.length, 1);
+    assert.equal(reschedule.mock.callCount(), 0);
+  });
+
+  it("bật lại task đã tắt vẫn được kiểm tra trùng giờ", async () => {
+    const { task } = stubOverlap({ isActive: false });
+
+    const res = await request(`/${task._id}`, { method: "PUT", body: { isActive: true } });
+
+    assert.equal(res.status, 409);
+  });
+});
+
+describe("PATCH /api/tasks/:id/toggle-completion: tiến độ của learning goal", () => {
+  const learningGoalId = new mongoose.Types.ObjectId();
+
+  function stubProgress(trackedSessions = []) {
+    mock.method(FocusSession, "find", () => ({ lean: async () => trackedSessions }));
+    mock.method(ReviewScheduler, "syncTaskCompletion", async () => null);
+    return mock.method(LearningGoal, "setTaskProgress", async () => {});
+  }
+
+  it("hoàn thành: cộng số phút của lần diễn ra (đã override giờ)", async () => {
+    const task = stubTask({ isAutoGenerated: true, sessionType: "study", learningGoalId });
+    task.occurrenceOverrides.push({
+      date: "2026-03-09",
+      timeRange: { start: "20:00", end: "20:45" },
+    });
+    const setTaskProgress = stubProgress();
+
+    const res = await request(`/${task._id}/toggle-completion`, {
+      method: "PATCH",
+      body: { date: "2026-03-09" },
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(setTaskProgress.mock.calls[0].arguments, [
+      learningGoalId,
+      { taskId: task._id, date: "2026-03-09", minutes: 45 },
+    ]);
+    assert.equal(body.progress.creditedMinutes, 45);
+    assert.equal(body.progress.source, "task");
+  });
+
+  it("đã bấm giờ bằng focus session: không cộng thêm số phút dự kiến", async () => {
+    const task = stubTask({ isAutoGenerated: true, sessionType: "study", learningGoalId });
+    const setTaskProgress = stubProgress([{ actualMinutes: 38 }]);
+
+    const res = await request(`/${task._id}/toggle-completion`, {
+      method: "PATCH",
+      body: { date: "2026-03-09" },
+    });
+    const body = await res.json();
+
+    assert.equal(setTaskProgress.mock.calls[0].arguments[1].minutes, 0);
+    assert.equal(body.progress.source, "timer");
+  });
+
+  it("bỏ hoàn thành: gỡ số phút đã cộng", async () => {
+    const task = stubTask({
+      isAutoGenerated: true,
+      sessionType: "study",
+      learningGoalId,
+      dailyCompletions: [{ date: "2026-03-09", isCompleted: true, completedAt: new Date() }],
+    });
+    const setTaskProgress = stubProgress();
+
+    await request(`/${task._id}/toggle-completion`, {
+      method: "PATCH",
+      body: { date: "2026-03-09" },
+    });
+
+    assert.equal(setTaskProgress.mock.calls[0].arguments[1].minutes, 0);
+  });
+
+  it("break không tính vào tiến độ", async () => {
+    const task = stubTask({ isAutoGenerated: true, sessionType: "break", learningGoalId });
+    const setTaskProgress = stubProgress();
+
+    const res = await request(`/${task._id}/toggle-completion`, {
+      method: "PATCH",
+      body: { date: "2026-03-09" },
+    });
+
+    assert.equal((await res.json()).progress, null);
+    assert.equal(setTaskProgress.mock.callCount(), 0);
+  });
+});
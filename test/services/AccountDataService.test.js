@@ -0,0 +1,160 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Task } from "../../src/models/Task.js";
+import { LearningGoal } from "../../src/models/LearningGoal.js";
+import { FocusSession } from "../../src/models/FocusSession.js";
+import { User } from "../../src/models/User.js";
+import { AccountDataService } from "../../src/services/AccountDataService.js";
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+// Dữ liệu như file đã xuất: id là chuỗi, các liên kết trỏ tới document trong file
+function buildExport() {
+  const goalId = id();
+  const taskId = id();
+  const sessionId = id();
+  return {
+    format: AccountDataService.EXPORT_FORMAT,
+    version: AccountDataService.EXPORT_VERSION,
+    user: { settings: { timezone: "Asia/Tokyo" } },
+    learningGoals: [
+      {
+        _id: goalId,
+        subject: "Giải tích",
+        targetHoursPerDay: 1,
+        progressLog: [
+          {
+            date: "2026-03-09",
+            minutes: 40,
+            source: "timer",
+            taskId,
+            focusSessionId: sessionId,
+          },
+        ],
+      },
+    ],
+    tasks: [
+      {
+        _id: taskId,
+        title: "Giải tích - Session 1",
+        weekdays: [1],
+        timeRange: { start: "19:00", end: "19:45" },
+        isAutoGenerated: true,
+        learningGoalId: goalId,
+      },
+    ],
+    focusSessions: [
+      {
+        _id: sessionId,
+        taskId,
+        learningGoalId: goalId,
+        date: "2026-03-09",
+        plannedMinutes: 45,
+        status: "completed",
+        startedAt: "2026-03-09T12:00:00.000Z",
+        endedAt: "2026-03-09T12:40:00.000Z",
+        actualMinutes: 40,
+      },
+    ],
+  };
+}
+
+describe("AccountDataService.importAccount", () => {
+  let user;
+  let inserted;
+
+  beforeEach(() => {
+    user = new User({ firebaseUid: "import-uid", email: "import@example.com", name: "Import" });
+    inserted = {};
+    mock.method(Task, "countDocuments", async () => 0);
+    mock.method(LearningGoal, "countDocuments", async () => 0);
+    for (const [key, Model] of Object.entries(AccountDataService.COLLECTIONS)) {
+      mock.method(Model, "insertMany", async (docs) => {
+        inserted[key] = docs;
+        return docs;
+      });
+    }
+    mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("cấp id mới và đổi các liên kết theo id mới", async () => {
+    const data = buildExport();
+
+    const counts = await AccountDataService.importAccount(user, data);
+
+    assert.equal(counts.tasks, 1);
+    assert.equal(counts.focusSessions, 1);
+    const [goal] = inserted.learningGoals;
+    const [task] = inserted.tasks;
+    const [session] = inserted.focusSessions;
+    assert.notEqual(goal._id.toString(), data.learningGoals[0]._id);
+    assert.notEqual(task._id.toString(), data.tasks[0]._id);
+    assert.ok(task.learningGoalId.equals(goal._id));
+    assert.ok(session.taskId.equals(task._id));
+    assert.ok(session.learningGoalId.equals(goal._id));
+    assert.ok(goal.progressLog[0].taskId.equals(task._id));
+    assert.ok(goal.progressLog[0].focusSessionId.equals(session._id));
+    assert.ok([goal, task, session].every((doc) => doc.userId.equals(user._id)));
+    assert.equal(user.settings.timezone, "Asia/Tokyo");
+  });
+
+  it("id trỏ tới dữ liệu không có trong file được giữ nguyên", async () => {
+    const data = buildExport();
+    const externalGoalId = id();
+    data.tasks[0].learningGoalId = externalGoalId;
+
+    await AccountDataService.importAccount(user, data);
+
+    assert.equal(inserted.tasks[0].learningGoalId.toString(), externalGoalId);
+  });
+
+  it("tài khoản đã có dữ liệu => 409, không ghi gì", async () => {
+    mock.method(Task, "countDocuments", async () => 3);
+
+    await assert.rejects(AccountDataService.importAccount(user, buildExport()), {
+      status: 409,
+      message: "Account already has data. Import is only allowed into an empty account",
+    });
+    assert.deepEqual(inserted, {});
+  });
+
+  it("dữ liệu không hợp lệ => 400 kèm chi tiết, không ghi gì", async () => {
+    const data = buildExport();
+    data.tasks[0].timeRange = { start: "25:00", end: "19:45" };
+
+    await assert.rejects(AccountDataService.importAccount(user, data), (error) => {
+      assert.equal(error.status, 400);
+      assert.equal(error.details[0].collection, "tasks");
+      assert.equal(error.details[0].index, 0);
+      return true;
+    });
+    assert.deepEqual(inserted, {});
+  });
+
+  it("file từ phiên bản mới hơn => 400", async () => {
+    const data = { ...buildExport(), version: AccountDataService.EXPORT_VERSION + 1 };
+
+    await assert.rejects(AccountDataService.importAccount(user, data), { status: 400 });
+  });
+
+  it("lỗi khi ghi: xoá phần đã ghi", async () => {
+    mock.method(FocusSession, "insertMany", async () => {
+      throw new Error("write failed");
+    });
+    const deleteGoals = mock.method(LearningGoal, "deleteMany", async () => ({}));
+    const deleteTasks = mock.method(Task, "deleteMany", async () => ({}));
+
+    await assert.rejects(AccountDataService.importAccount(user, buildExport()), /write failed/);
+
+    assert.deepEqual(deleteTasks.mock.calls[0].arguments[0], {
+      userId: user._id,
+      _id: { $in: inserted.tasks.map((doc) => doc._id) },
+    });
+    assert.equal(deleteGoals.mock.callCount(), 1);
+  });
+});
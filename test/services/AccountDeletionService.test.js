@@ -0,0 +1,155 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import admin from "firebase-admin";
+// Khởi tạo Firebase Admin để admin.auth() dùng được
+import "../../src/middleware/firebaseAuth.js";
+import { User } from "../../src/models/User.js";
+import { SchedulePreview } from "../../src/models/SchedulePreview.js";
+import { AccountDataService } from "../../src/services/AccountDataService.js";
+import { AccountDeletionService } from "../../src/services/AccountDeletionService.js";
+
+function buildUser(fields) {
+  return new User({
+    firebaseUid: "delete-uid",
+    email: "delete@example.com",
+    name: "Delete",
+    ...fields,
+  });
+}
+
+describe("AccountDeletionService.requestDeletion / cancelDeletion", () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["Date"], now: new Date("2026-03-11T01:00:00Z") });
+    mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it("vô hiệu hoá tài khoản, hẹn ngày xoá và tắt URL đăng ký lịch", async () => {
+    const user = buildUser({ calendarFeedToken: "feed-token" });
+
+    const deletion = await AccountDeletionService.requestDeletion(user, {
+      deleteFirebaseAccount: true,
+    });
+
+    assert.equal(user.isActive, false);
+    assert.equal(deletion.requestedAt.toISOString(), "2026-03-11T01:00:00.000Z");
+    assert.equal(
+      deletion.scheduledFor.getTime() - deletion.requestedAt.getTime(),
+      AccountDeletionService.GRACE_DAYS * 24 * 60 * 60 * 1000
+    );
+    assert.equal(deletion.deleteFirebaseAccount, true);
+    assert.equal(user.calendarFeedToken, undefined);
+  });
+
+  it("đã yêu cầu xoá rồi => 409", async () => {
+    const user = buildUser({ isActive: false });
+
+    await assert.rejects(AccountDeletionService.requestDeletion(user), {
+      status: 409,
+      message: "Account deletion already requested",
+    });
+  });
+
+  it("khôi phục: kích hoạt lại và xoá lịch hẹn xoá", async () => {
+    const user = buildUser();
+    await AccountDeletionService.requestDeletion(user);
+
+    await AccountDeletionService.cancelDeletion(user);
+
+    assert.equal(user.isActive, true);
+    assert.equal(user.deletion.scheduledFor, null);
+    await assert.rejects(AccountDeletionService.cancelDeletion(user), {
+      status: 409,
+      message: "Account is not scheduled for deletion",
+    });
+  });
+});
+
+describe("AccountDeletionService.purgeAccount", () => {
+  let deleted;
+
+  beforeEach(() => {
+    deleted = [];
+    for (const Model of [...Object.values(AccountDataService.COLLECTIONS), SchedulePreview]) {
+      mock.method(Model, "deleteMany", async (filter) => {
+        deleted.push([Model.modelName, filter]);
+        return {};
+      });
+    }
+    mock.method(User, "deleteOne", async (filter) => {
+      deleted.push([User.modelName, filter]);
+      return {};
+    });
+    mock.method(console, "log", () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("xoá dữ liệu mọi collection, user bị xoá sau cùng", async () => {
+    const deleteUser = mock.method(admin.auth(), "deleteUser", async () => {});
+    const user = buildUser({ isActive: false });
+
+    await AccountDeletionService.purgeAccount(user);
+
+    assert.deepEqual(
+      deleted.map(([name]) => name),
+      [
+        ...Object.values(AccountDataService.COLLECTIONS).map((Model) => Model.modelName),
+        SchedulePreview.modelName,
+        User.modelName,
+      ]
+    );
+    assert.ok(deleted.slice(0, -1).every(([, filter]) => filter.userId.equals(user._id)));
+    assert.deepEqual(deleted.at(-1)[1], { _id: user._id });
+    // Không chọn xoá tài khoản Firebase
+    assert.equal(deleteUser.mock.callCount(), 0);
+  });
+
+  it("xoá tài khoản Firebase nếu user chọn, bỏ qua khi đã không còn", async () => {
+    const deleteUser = mock.method(admin.auth(), "deleteUser", async () => {
+      throw Object.assign(new Error("not found"), { code: "auth/user-not-found" });
+    });
+    const user = buildUser({ isActive: false, deletion: { deleteFirebaseAccount: true } });
+
+    await AccountDeletionService.purgeAccount(user);
+
+    assert.deepEqual(deleteUser.mock.calls[0].arguments, ["delete-uid"]);
+    assert.equal(deleted.at(-1)[0], User.modelName);
+  });
+
+  it("lỗi Firebase khác: giữ lại user để lần sau xoá tiếp", async () => {
+    mock.method(admin.auth(), "deleteUser", async () => {
+      throw new Error("network error");
+    });
+    const user = buildUser({ isActive: false, deletion: { deleteFirebaseAccount: true } });
+
+    await assert.rejects(AccountDeletionService.purgeAccount(user), /network error/);
+    assert.ok(deleted.every(([name]) => name !== User.modelName));
+  });
+});
+
+describe("AccountDeletionService.purgeExpiredAccounts", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("lỗi ở một tài khoản không chặn các tài khoản khác", async () => {
+    const failing = buildUser({ isActive: false });
+    const ok = buildUser({ isActive: false, firebaseUid: "other-uid" });
+    const findDueForPurge = mock.method(User, "findDueForPurge", async () => [failing, ok]);
+    mock.method(AccountDeletionService, "purgeAccount", async (user) => {
+      if (user === failing) throw new Error("write failed");
+    });
+    mock.method(console, "error", () => {});
+    const now = new Date("2026-04-10T00:00:00Z");
+
+    const purged = await AccountDeletionService.purgeExpiredAccounts(now);
+
+    assert.deepEqual(findDueForPurge.mock.calls[0].arguments, [now]);
+    assert.deepEqual(purged, [ok._id.toString()]);
+  });
+});
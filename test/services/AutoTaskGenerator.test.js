@@ -0,0 +1,612 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Task } from "../../src/models/Task.js";
+import { FocusSession } from "../../src/models/FocusSession.js";
+import { LearningGoal } from "../../src/models/LearningGoal.js";
+import { ReviewSession } from "../../src/models/ReviewSession.js";
+import { AutoTaskGenerator } from "../../src/services/AutoTaskGenerator.js";
+
+const TZ = "Asia/Ho_Chi_Minh";
+const TODAY = "2026-03-11"; // T4
+const userId = new mongoose.Types.ObjectId();
+const goalId = new mongoose.Types.ObjectId();
+
+function autoTask(fields) {
+  return new Task({
+    userId,
+    learningGoalId: goalId,
+    isAutoGenerated: true,
+    title: "Học Giải tích",
+    timeRange: { start: "19:00", end: "19:45" },
+    ...fields,
+  });
+}
+
+describe("AutoTaskGenerator.replaceAutoGeneratedTasks", () => {
+  let oldTasks;
+  let trackedTaskIds;
+  let operations;
+  let inserted;
+
+  beforeEach(() => {
+    oldTasks = [];
+    trackedTaskIds = [];
+    operations = null;
+    inserted = null;
+
+    mock.method(AutoTaskGenerator, "getStudyConfig", async () => ({ timezone: TZ }));
+    mock.method(Task, "find", () => ({ session: async () => oldTasks }));
+    mock.method(FocusSession, "distinct", () => ({ session: async () => trackedTaskIds }));
+    mock.method(Task, "bulkWrite", async (ops) => {
+      operations = ops;
+    });
+    mock.method(Task, "insertMany", async (tasks) => {
+      inserted = tasks;
+    });
+    mock.method(mongoose.connection, "transaction", async (fn) => fn("session"));
+    // 20:00 T4 11/03 giờ Việt Nam
+    mock.timers.enable({ apis: ["Date"], now: new Date("2026-03-11T13:00:00Z") });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it("kết thúc chuỗi đã có lịch sử ở hôm qua thay vì xoá", async () => {
+    const past = autoTask({
+      weekdays: [1],
+      recurrence: { startDate: "2026-03-02" },
+      dailyCompletions: [{ date: "2026-03-09", isCompleted: true }],
+    });
+    oldTasks = [past];
+
+    await AutoTaskGenerator.replaceAutoGeneratedTasks(userId, [goalId], [{ title: "mới" }]);
+
+    assert.deepEqual(operations, [
+      {
+        updateOne: {
+          filter: { _id: past._id },
+          update: { $set: { "recurrence.endDate": "2026-03-10" } },
+        },
+      },
+    ]);
+    assert.deepEqual(inserted, [{ title: "mới" }]);
+  });
+
+  it("giữ lần hôm nay nếu đã hoàn thành", async () => {
+    const task = autoTask({
+      weekdays: [3],
+      recurrence: { startDate: "2026-03-04" },
+      dailyCompletions: [{ date: TODAY, isCompleted: true }],
+    });
+    oldTasks = [task];
+
+    await AutoTaskGenerator.replaceAutoGeneratedTasks(userId, [goalId], []);
+
+    assert.equal(operations[0].updateOne.update.$set["recurrence.endDate"], TODAY);
+  });
+
+  it("giữ lần hôm nay của phiên đang có focus session", async () => {
+    const task = autoTask({ weekdays: [3], recurrence: { startDate: TODAY } });
+    oldTasks = [task];
+    trackedTaskIds = [task._id];
+
+    await AutoTaskGenerator.replaceAutoGeneratedTasks(userId, [goalId], []);
+
+    assert.equal(operations[0].updateOne.update.$set["recurrence.endDate"], TODAY);
+  });
+
+  it("xoá task chưa có lần diễn ra nào, bỏ qua chuỗi đã kết thúc", async () => {
+    const future = autoTask({ weekdays: [5], recurrence: { startDate: "2026-03-13" } });
+    const ended = autoTask({
+      weekdays: [1],
+      recurrence: { startDate: "2026-02-02", endDate: "2026-03-02" },
+    });
+    oldTasks = [future, ended];
+
+    await AutoTaskGenerator.replaceAutoGeneratedTasks(userId, [goalId], []);
+
+    assert.deepEqual(operations, [{ deleteOne: { filter: { _id: future._id } } }]);
+  });
+
+  it("buổi ôn tập theo ngày: giữ các ngày đã qua", async () => {
+    const review = autoTask({
+      weekdays: [],
+      sessionType: "review",
+      recurrence: { startDate: "2026-03-10", dates: ["2026-03-10", "2026-03-12"] },
+    });
+    oldTasks = [review];
+
+    await AutoTaskGenerator.replaceAutoGeneratedTasks(userId, [goalId], []);
+
+    assert.deepEqual(operations[0].updateOne.update.$set, {
+      "recurrence.dates": ["2026-03-10"],
+    });
+  });
+
+  it("MongoDB standalone: ghi không dùng transaction", async () => {
+    mock.method(mongoose.connection, "transaction", async () => {
+      const error = new Error(
+        "Transaction numbers are only allowed on a replica set member or mongos"
+      );
+      error.code = 20;
+      throw error;
+    });
+    mock.method(console, "warn", () => {});
+    oldTasks = [autoTask({ weekdays: [5], recurrence: { startDate: "2026-03-13" } })];
+
+    await AutoTaskGenerator.replaceAutoGeneratedTasks(userId, [goalId], [{ title: "mới" }]);
+
+    assert.equal(operations.length, 1);
+    assert.deepEqual(inserted, [{ title: "mới" }]);
+  });
+
+  it("lỗi khác của transaction vẫn được ném ra", async () => {
+    mock.method(mongoose.connection, "transaction", async () => {
+      throw new Error("boom");
+    });
+
+    await assert.rejects(
+      AutoTaskGenerator.replaceAutoGeneratedTasks(userId, [goalId], []),
+      /boom/
+    );
+  });
+});
+
+describe("AutoTaskGenerator.updateTasksForLearningGoal", () => {
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it("tiếp tục goal đã tạm dừng: giữ các phiên và lượt hoàn thành trước đó", async () => {
+    // Phiên tự tạo bị ẩn khi tạm dừng, đã có lượt hoàn thành trước khi dừng
+    const paused = autoTask({
+      weekdays: [1],
+      isActive: false,
+      recurrence: { startDate: "2026-02-02" },
+      dailyCompletions: [{ date: "2026-02-23", isCompleted: true }],
+    });
+    const planned = [{ title: "Học Giải tích", recurrence: { startDate: TODAY } }];
+    const report = { hasShortfall: false };
+    let operations = null;
+    let inserted = null;
+
+    mock.method(AutoTaskGenerator, "getStudyConfig", async () => ({ timezone: TZ }));
+    mock.method(AutoTaskGenerator, "planTasksForLearningGoal", async () => ({
+      tasks: planned,
+      report,
+    }));
+    const saveReport = mock.method(AutoTaskGenerator, "saveSchedulingReport", async () => {});
+    mock.method(Task, "find", () => ({ session: async () => [paused] }));
+    mock.method(FocusSession, "distinct", () => ({ session: async () => [] }));
+    mock.method(Task, "bulkWrite", async (ops) => {
+      operations = ops;
+    });
+    mock.method(Task, "deleteMany", async () => {
+      throw new Error("must not delete history");
+    });
+    mock.method(Task, "insertMany", async (tasks) => {
+      inserted = tasks;
+    });
+    mock.method(mongoose.connection, "transaction", async (fn) => fn("session"));
+    mock.timers.enable({ apis: ["Date"], now: new Date("2026-03-11T13:00:00Z") });
+
+    const result = await AutoTaskGenerator.updateTasksForLearningGoal(userId, {
+      _id: goalId,
+    });
+
+    assert.deepEqual(operations, [
+      {
+        updateOne: {
+          filter: { _id: paused._id },
+          update: { $set: { "recurrence.endDate": "2026-03-10" } },
+        },
+      },
+    ]);
+    assert.equal(inserted, planned);
+    assert.deepEqual(saveReport.mock.calls[0].arguments, [goalId, report]);
+    assert.deepEqual(result, { tasks: planned, report });
+  });
+});
+
+describe("AutoTaskGenerator.buildShortfallReport", () => {
+  const day = (date, targetMinutes, scheduledMinutes) => ({
+    date,
+    targetMinutes,
+    scheduledMinutes,
+    shortfallMinutes: targetMinutes - scheduledMinutes,
+  });
+
+  it("gợi ý mục tiêu/ngày bỏ qua ngày nghỉ", () => {
+    const report = AutoTaskGenerator.buildShortfallReport([
+      day("2026-03-08", 0, 0), // ngày nghỉ
+      day("2026-03-09", 120, 120),
+      day("2026-03-10", 120, 50),
+      day("2026-03-11", 120, 90),
+    ]);
+
+    assert.equal(report.totalShortfallMinutes, 100);
+    assert.equal(report.suggestedTargetHoursPerDay, 0.75);
+  });
+
+  it("không thiếu hụt => không gợi ý", () => {
+    const report = AutoTaskGenerator.buildShortfallReport([
+      day("2026-03-08", 0, 0),
+      day("2026-03-09", 60, 60),
+    ]);
+
+    assert.equal(report.hasShortfall, false);
+    assert.equal(report.suggestedTargetHoursPerDay, null);
+  });
+});
+
+describe("AutoTaskGenerator.rescheduleDisplacedSessions", () => {
+  let saved;
+
+  // Lớp học thủ công tối T5 hằng tuần, đè lên phiên tự tạo T5 19:00-19:45
+  const manualTask = new Task({
+    userId,
+    title: "Lớp tiếng Anh",
+    weekdays: [4],
+    recurrence: { startDate: TODAY },
+    timeRange: { start: "19:00", end: "20:00" },
+  });
+
+  beforeEach(() => {
+    saved = [];
+    mock.method(AutoTaskGenerator, "getStudyConfig", async () => ({
+      ...AutoTaskGenerator.buildStudyConfig(),
+      timezone: TZ,
+    }));
+    mock.method(Task.prototype, "save", async function () {
+      saved.push(this);
+      return this;
+    });
+    // 08:00 T4 11/03 giờ Việt Nam
+    mock.timers.enable({ apis: ["Date"], now: new Date("2026-03-11T01:00:00Z") });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  const overlapsManual = (task, date) => {
+    const occurrence = task.getOccurrence(date);
+    return Boolean(
+      occurrence && AutoTaskGenerator.rangesOverlap(occurrence.timeRange, manualTask.timeRange)
+    );
+  };
+
+  it("tách chuỗi lặp: các tuần sau không còn đè lên task thủ công", async () => {
+    const study = autoTask({
+      sessionType: "study",
+      weekdays: [4],
+      recurrence: { startDate: "2026-03-05" },
+      dailyCompletions: [{ date: "2026-03-05", isCompleted: true }],
+      explanation: { strategy: "earliest-fit", constraints: [] },
+    });
+    mock.method(Task, "find", async () => [study]);
+    const deleteMany = mock.method(Task, "deleteMany", async () => {});
+
+    const result = await AutoTaskGenerator.rescheduleDisplacedSessions(userId, manualTask);
+
+    // Tuần này: dời lần T5 12/03 bằng override
+    assert.equal(overlapsManual(study, "2026-03-12"), false);
+    // Chuỗi cũ giữ lịch sử, kết thúc cuối tuần này
+    assert.equal(study.recurrence.endDate, "2026-03-14");
+    assert.equal(study.occursOn("2026-03-05"), true);
+
+    const movedSeries = saved.find((task) => task !== study);
+    assert.equal(movedSeries.recurrence.startDate, "2026-03-15");
+    assert.deepEqual(movedSeries.timeRange.toObject(), { start: "20:20", end: "21:05" });
+    assert.deepEqual(movedSeries.dailyCompletions, []);
+    assert.equal(movedSeries.explanation.constraints[0].type, "moved_by_task");
+
+    // Các tuần sau: vẫn có phiên T5 nhưng không còn trùng giờ
+    for (const date of ["2026-03-19", "2026-03-26"]) {
+      assert.equal(study.occursOn(date), false);
+      assert.ok(movedSeries.occursOn(date));
+      assert.equal(overlapsManual(movedSeries, date), false);
+    }
+    assert.deepEqual(
+      result.moved.map((entry) => [entry.from.date, entry.to.date, Boolean(entry.series)]),
+      [
+        ["2026-03-12", "2026-03-12", false],
+        ["2026-03-19", "2026-03-19", true],
+      ]
+    );
+    assert.equal(deleteMany.mock.callCount(), 0);
+  });
+
+  it("break bị đè lặp lại: kết thúc chuỗi, không dời", async () => {
+    const breakTask = autoTask({
+      sessionType: "break",
+      weekdays: [4],
+      recurrence: { startDate: "2026-03-05" },
+      timeRange: { start: "19:45", end: "19:55" },
+    });
+    mock.method(Task, "find", async () => [breakTask]);
+
+    const result = await AutoTaskGenerator.rescheduleDisplacedSessions(userId, manualTask);
+
+    assert.equal(breakTask.recurrence.endDate, "2026-03-14");
+    assert.deepEqual(saved, [breakTask]);
+    assert.deepEqual(result.moved, []);
+  });
+
+  it("chuỗi chưa bắt đầu bị đè: xoá chuỗi cũ, tạo chuỗi ở slot mới", async () => {
+    const future = autoTask({
+      sessionType: "study",
+      weekdays: [4],
+      recurrence: { startDate: "2026-03-19" },
+    });
+    mock.method(Task, "find", async () => [future]);
+    const deleteMany = mock.method(Task, "deleteMany", async () => {});
+
+    const result = await AutoTaskGenerator.rescheduleDisplacedSessions(userId, manualTask);
+
+    assert.deepEqual(deleteMany.mock.calls[0].arguments, [{ _id: { $in: [future._id] } }]);
+    assert.equal(saved.length, 1);
+    assert.equal(overlapsManual(saved[0], "2026-03-19"), false);
+    assert.equal(result.moved[0].series, true);
+  });
+});
+
+describe("AutoTaskGenerator: giải thích vị trí của phiên học", () => {
+  beforeEach(() => {
+    mock.method(AutoTaskGenerator, "getStudyConfig", async () => ({
+      ...AutoTaskGenerator.buildStudyConfig(),
+      timezone: TZ,
+    }));
+    mock.method(ReviewSession, "findDue", async () => []);
+    // 08:00 T4 11/03 giờ Việt Nam
+    mock.timers.enable({ apis: ["Date"], now: new Date("2026-03-11T01:00:00Z") });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it("ghi ranh giới slot, buffer và các slot đã bỏ qua", async () => {
+    const goal = new LearningGoal({ userId, subject: "Giải tích", targetHoursPerDay: 1 });
+    const manual = new Task({
+      userId,
+      title: "Lớp Vật lý",
+      weekdays: [3],
+      timeRange: { start: "09:00", end: "11:00" },
+    });
+    mock.method(Task, "find", async () => [manual]);
+
+    const { tasks } = await AutoTaskGenerator.planTasksForLearningGoal(userId, goal);
+
+    const first = tasks.find(
+      (task) => task.sessionType === "study" && task.recurrence.startDate === TODAY
+    );
+    assert.deepEqual(first.timeRange, { start: "13:05", end: "13:35" });
+    assert.equal(first.explanation.strategy, "earliest-fit");
+    assert.deepEqual(first.explanation.slot, { start: "13:00", end: "18:00" });
+    assert.deepEqual(
+      first.explanation.constraints.map((c) => [c.type, c.label ?? c.minutes, c.side]),
+      [
+        ["protected_window", "lunch", "start"],
+        ["protected_window", "dinner", "end"],
+        ["prep_buffer", 5, undefined],
+        ["wrap_buffer", 5, undefined],
+        ["micro_break", 10, undefined],
+      ]
+    );
+    // 08:00-08:45 (giờ hiện tại → Lớp Vật lý) và 11:15-12:00 không đủ chỗ cho phiên 30 phút
+    assert.deepEqual(
+      first.explanation.skippedSlots.map((slot) => [slot.start, slot.end, slot.reason]),
+      [
+        ["08:00", "08:45", "not_enough_room"],
+        ["11:15", "12:00", "not_enough_room"],
+      ]
+    );
+  });
+
+  it("slot bị chặn bởi task ghi rõ task và buffer", () => {
+    const cfg = AutoTaskGenerator.buildStudyConfig();
+    // Slot 06:00-06:45 trước lớp, slot 09:15-12:00 sau lớp
+    const [, slot] = AutoTaskGenerator.findFreeSlots(
+      [{ title: "Lớp Vật lý", timeRange: { start: "07:00", end: "09:00" } }],
+      3,
+      cfg
+    );
+
+    const explanation = AutoTaskGenerator.buildSessionExplanation({
+      slot: { ...slot, preferredTimeSlot: "morning" },
+      slotIndex: 1,
+      constraints: [],
+      skippedSlots: [],
+      cfg,
+      learningGoal: { preferredTimeSlots: ["morning"], priority: "high" },
+    });
+
+    assert.equal(explanation.strategy, "preferred-time-fit");
+    assert.deepEqual(explanation.slot, { start: "09:15", end: "12:00" });
+    assert.deepEqual(explanation.scoreComponents, {
+      chronologicalOrder: 2,
+      timeSlot: "morning",
+      preferredTime: true,
+      priority: "high",
+    });
+    assert.deepEqual(explanation.constraints[0], {
+      type: "task",
+      title: "Lớp Vật lý",
+      bufferMinutes: 15,
+      side: "start",
+    });
+  });
+});
+
+describe("AutoTaskGenerator.buildStudyConfig", () => {
+  it("không có tuỳ chọn => cấu hình mặc định", () => {
+    assert.deepEqual(AutoTaskGenerator.buildStudyConfig(), AutoTaskGenerator.STUDY_CONFIG);
+  });
+
+  it("đổi giờ sang phút và tính lại độ dài slot tối thiểu", () => {
+    const cfg = AutoTaskGenerator.buildStudyConfig({
+      dayStart: "07:30",
+      dayEnd: "21:00",
+      sessionLength: { min: 25, default: 50, max: 60 },
+      breakDuration: 15,
+      protectedWindows: [{ label: "gym", start: "17:00", end: "18:30" }],
+      daysOff: [0, 6],
+    });
+
+    assert.equal(cfg.dayStart, 450);
+    assert.equal(cfg.dayEnd, 1260);
+    assert.equal(cfg.defaultSessionLength, 50);
+    assert.equal(cfg.maxSessionLength, 60);
+    assert.equal(cfg.breakDuration, 15);
+    assert.deepEqual(cfg.protectedWindows, [{ label: "gym", start: 1020, end: 1110 }]);
+    assert.deepEqual(cfg.daysOff, [0, 6]);
+    // 25 phút học + 5 chuẩn bị + 5 kết thúc
+    assert.equal(cfg.minSlotLength, 35);
+  });
+
+  it("slot trống tuân theo khung giờ và giờ được bảo vệ của user", () => {
+    const cfg = AutoTaskGenerator.buildStudyConfig({
+      dayStart: "07:30",
+      dayEnd: "21:00",
+      protectedWindows: [{ label: "gym", start: "17:00", end: "18:30" }],
+    });
+
+    const slots = AutoTaskGenerator.findFreeSlots([], 3, cfg);
+
+    assert.deepEqual(
+      slots.map((slot) => [slot.start, slot.end]),
+      [
+        [450, 1020],
+        [1110, 1260],
+      ]
+    );
+  });
+});
+
+describe("AutoTaskGenerator: ưu tiên của goal khi chọn slot", () => {
+  const cfg = AutoTaskGenerator.buildStudyConfig();
+  const slot = (start, end) => ({ start, end, duration: end - start, boundedBy: {} });
+
+  it("slot giao với khung giờ ưu tiên được cắt về phần ưu tiên và xếp trước", () => {
+    const slots = [slot(19 * 60, 22 * 60), slot(6 * 60, 12 * 60), slot(13 * 60, 18 * 60)];
+
+    const ordered = AutoTaskGenerator.orderSlotsForGoal(
+      slots,
+      { preferredTimeSlots: ["evening"] },
+      cfg
+    );
+
+    assert.deepEqual(
+      ordered.map((s) => [s.start, s.end, s.preferredTimeSlot]),
+      [
+        [17 * 60, 18 * 60, "evening"],
+        [19 * 60, 22 * 60, "evening"],
+        [6 * 60, 12 * 60, undefined],
+      ]
+    );
+    assert.deepEqual(ordered[0].boundedBy.start, [
+      { type: "preferred_time", timeSlot: "evening" },
+    ]);
+  });
+
+  it("phần ưu tiên quá ngắn cho một phiên: giữ slot ở nhóm còn lại", () => {
+    // 16:30-17:20: chỉ còn 20 phút trong khung tối
+    const ordered = AutoTaskGenerator.orderSlotsForGoal(
+      [slot(16 * 60 + 30, 17 * 60 + 20)],
+      { preferredTimeSlots: ["evening"] },
+      cfg
+    );
+
+    assert.equal(ordered[0].start, 16 * 60 + 30);
+    assert.equal(ordered[0].preferredTimeSlot, undefined);
+  });
+
+  it("không có khung ưu tiên: theo giờ tăng dần", () => {
+    const ordered = AutoTaskGenerator.orderSlotsForGoal(
+      [slot(19 * 60, 22 * 60), slot(6 * 60, 12 * 60)],
+      {},
+      cfg
+    );
+
+    assert.deepEqual(
+      ordered.map((s) => s.start),
+      [6 * 60, 19 * 60]
+    );
+  });
+
+  it("độ dài phiên của goal ghi đè cấu hình của user", () => {
+    const goalCfg = AutoTaskGenerator.getGoalConfig(cfg, {
+      sessionLength: { min: 20, preferred: 25, max: 50 },
+    });
+
+    assert.equal(goalCfg.minSessionLength, 20);
+    assert.equal(goalCfg.defaultSessionLength, 25);
+    assert.equal(goalCfg.maxSessionLength, 50);
+    assert.equal(goalCfg.minSlotLength, 30);
+    assert.equal(cfg.minSessionLength, 30);
+  });
+});
+
+describe("AutoTaskGenerator.assignTopics", () => {
+  const studyTask = (startDate, start, end) => ({
+    sessionType: "study",
+    title: "Giải tích - Session",
+    recurrence: { startDate },
+    timeRange: { start, end },
+  });
+
+  it("gán các chủ đề chưa xong theo thứ tự giáo trình và thời gian của phiên", () => {
+    const goal = new LearningGoal({
+      userId,
+      subject: "Giải tích",
+      targetHoursPerDay: 1,
+      topics: [
+        { title: "Giới hạn", estimatedMinutes: 60, done: true },
+        { title: "Đạo hàm", estimatedMinutes: 60 },
+        { title: "Tích phân", estimatedMinutes: 45 },
+      ],
+    });
+    const tasks = [
+      studyTask("2026-03-12", "19:00", "19:45"),
+      {
+        sessionType: "break",
+        recurrence: { startDate: "2026-03-11" },
+        timeRange: { start: "19:50", end: "20:00" },
+      },
+      studyTask("2026-03-11", "20:00", "20:45"),
+      studyTask("2026-03-11", "19:00", "19:45"),
+      studyTask("2026-03-13", "19:00", "19:45"),
+    ];
+
+    AutoTaskGenerator.assignTopics(tasks, goal);
+
+    // Đạo hàm (60 phút) cần 2 phiên 45 phút, sau đó tới Tích phân
+    assert.deepEqual(
+      [tasks[3], tasks[2], tasks[0], tasks[4]].map((task) => task.title),
+      [
+        "Giải tích - Đạo hàm",
+        "Giải tích - Đạo hàm",
+        "Giải tích - Tích phân",
+        "Giải tích - Session",
+      ]
+    );
+    assert.equal(tasks[3].topicId, goal.topics[1]._id);
+    assert.match(tasks[3].note, /^Chủ đề 2\/3: Đạo hàm/);
+    assert.equal(tasks[1].topicId, undefined);
+  });
+
+  it("goal không có chủ đề: giữ nguyên tiêu đề", () => {
+    const tasks = [studyTask("2026-03-11", "19:00", "19:45")];
+
+    AutoTaskGenerator.assignTopics(tasks, { subject: "Giải tích", topics: [] });
+
+    assert.equal(tasks[0].title, "Giải tích - Session");
+  });
+});
@@ -0,0 +1,128 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Task } from "../../src/models/Task.js";
+import { CalendarExportService } from "../../src/services/CalendarExportService.js";
+import { parseCalendar } from "../../src/utils/ics.js";
+
+const TZ = "Asia/Ho_Chi_Minh";
+const userId = new mongoose.Types.ObjectId();
+const goalId = new mongoose.Types.ObjectId();
+
+function buildTask(fields) {
+  return new Task({
+    userId,
+    title: "Lớp Giải tích",
+    timeRange: { start: "07:00", end: "09:00" },
+    createdAt: new Date("2026-02-20T00:00:00Z"),
+    updatedAt: new Date("2026-03-01T00:00:00Z"),
+    ...fields,
+  });
+}
+
+function exportEvents(tasks, subjects) {
+  const content = CalendarExportService.buildCalendar(tasks, { timezone: TZ, subjects });
+  return { content, calendar: parseCalendar(content) };
+}
+
+describe("CalendarExportService.buildCalendar", () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["Date"], now: new Date("2026-03-11T01:00:00Z") });
+  });
+
+  afterEach(() => mock.timers.reset());
+
+  it("chuỗi lặp => RRULE, ngày lẻ => RDATE, ngày nghỉ và lần huỷ => EXDATE", () => {
+    const task = buildTask({
+      weekdays: [3, 1],
+      recurrence: {
+        startDate: "2026-03-02",
+        endDate: "2026-03-31",
+        interval: 1,
+        // T4 04/03 đã thuộc chuỗi nên không thành RDATE
+        dates: ["2026-03-07", "2026-03-04"],
+        exceptionDates: ["2026-03-16"],
+      },
+      occurrenceOverrides: [{ date: "2026-03-18", isCancelled: true }],
+    });
+
+    const { calendar } = exportEvents([task]);
+    const [event] = calendar.events;
+
+    assert.equal(calendar.events.length, 1);
+    assert.equal(calendar.timezone, TZ);
+    assert.equal(event.UID.value, `${task._id}@uniflow`);
+    assert.deepEqual(event.DTSTART, {
+      name: "DTSTART",
+      params: { TZID: TZ },
+      value: "20260302T070000",
+    });
+    assert.equal(event.DTEND.value, "20260302T090000");
+    // 23:59 31/03 giờ Việt Nam = 16:59 UTC
+    assert.equal(
+      event.RRULE.value,
+      "FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE;WKST=SU;UNTIL=20260331T165900Z"
+    );
+    assert.deepEqual(
+      event.RDATE.map((p) => p.value),
+      ["20260307T070000"]
+    );
+    assert.deepEqual(
+      event.EXDATE.map((p) => p.value),
+      ["20260316T070000,20260318T070000"]
+    );
+  });
+
+  it("lần bị dời giờ/đổi tiêu đề => VEVENT riêng có RECURRENCE-ID", () => {
+    const task = buildTask({
+      weekdays: [1],
+      recurrence: { startDate: "2026-03-02" },
+      learningGoalId: goalId,
+      occurrenceOverrides: [
+        {
+          date: "2026-03-09",
+          title: "Lớp Giải tích (phòng B2)",
+          timeRange: { start: "13:00", end: "15:00" },
+        },
+      ],
+    });
+
+    const { calendar } = exportEvents([task], new Map([[goalId.toString(), "Giải tích"]]));
+    const [main, moved] = calendar.events;
+
+    assert.equal(main.RRULE.value, "FREQ=WEEKLY;INTERVAL=1;BYDAY=MO;WKST=SU");
+    assert.equal(main.DESCRIPTION.value, "Mục tiêu học tập: Giải tích");
+    assert.equal(moved.UID.value, main.UID.value);
+    assert.equal(moved["RECURRENCE-ID"].value, "20260309T070000");
+    assert.equal(moved.DTSTART.value, "20260309T130000");
+    assert.equal(moved.DTEND.value, "20260309T150000");
+    assert.equal(moved.SUMMARY.value, "Lớp Giải tích (phòng B2)");
+  });
+
+  it("task chỉ có ngày lẻ: DTSTART là ngày đầu, các ngày còn lại là RDATE", () => {
+    const task = buildTask({
+      recurrence: { dates: ["2026-03-20", "2026-03-12"] },
+    });
+
+    const [event] = exportEvents([task]).calendar.events;
+
+    assert.equal(event.DTSTART.value, "20260312T070000");
+    assert.equal(event.RRULE, undefined);
+    assert.deepEqual(
+      event.RDATE.map((p) => p.value),
+      ["20260320T070000"]
+    );
+  });
+
+  it("chuỗi kết thúc trước lần diễn ra đầu tiên: không xuất sự kiện", () => {
+    const task = buildTask({
+      weekdays: [1],
+      recurrence: { startDate: "2026-03-03", endDate: "2026-03-08" },
+    });
+
+    const { calendar, content } = exportEvents([task]);
+
+    assert.equal(calendar.events.length, 0);
+    assert.match(content, /BEGIN:VTIMEZONE\r\nTZID:Asia\/Ho_Chi_Minh/);
+  });
+});
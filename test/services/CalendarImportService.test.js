@@ -0,0 +1,265 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Task } from "../../src/models/Task.js";
+import { User } from "../../src/models/User.js";
+import { CalendarExportService } from "../../src/services/CalendarExportService.js";
+import { CalendarImportService } from "../../src/services/CalendarImportService.js";
+import { parseCalendar } from "../../src/utils/ics.js";
+import { getDateRange } from "../../src/utils/date.js";
+
+const TZ = "Asia/Ho_Chi_Minh";
+const TODAY = "2026-03-11";
+
+function calendar(...events) {
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "X-WR-CALNAME:TKB HK2",
+    "X-WR-TIMEZONE:Asia/Ho_Chi_Minh",
+    ...events.flat(),
+    "END:VCALENDAR",
+  ].join("\r\n");
+}
+
+function mapEvents(content) {
+  return CalendarImportService.mapEvents(parseCalendar(content), TZ, TODAY);
+}
+
+describe("CalendarImportService.mapEvents", () => {
+  it("RRULE + RDATE + EXDATE => weekdays, ngày lẻ và ngày ngoại lệ", () => {
+    const { tasks, skipped } = mapEvents(
+      calendar([
+        "BEGIN:VEVENT",
+        "UID:giai-tich@school",
+        "SUMMARY:Giải tích\\, lý thuyết",
+        "LOCATION:B2-301",
+        "DTSTART;TZID=Asia/Ho_Chi_Minh:20260302T070000",
+        "DTEND;TZID=Asia/Ho_Chi_Minh:20260302T090000",
+        "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20260531T165959Z",
+        "RDATE;TZID=Asia/Ho_Chi_Minh:20260307T070000",
+        "EXDATE;TZID=Asia/Ho_Chi_Minh:20260316T070000,20260318T070000",
+        "END:VEVENT",
+      ])
+    );
+
+    assert.deepEqual(skipped, []);
+    const [task] = tasks;
+    assert.equal(task.title, "Giải tích, lý thuyết");
+    assert.equal(task.location, "B2-301");
+    assert.deepEqual(task.weekdays, [1, 3]);
+    assert.deepEqual(task.timeRange, { start: "07:00", end: "09:00" });
+    assert.deepEqual(task.recurrence, {
+      startDate: "2026-03-02",
+      endDate: "2026-05-31",
+      interval: 2,
+      dates: ["2026-03-07"],
+      exceptionDates: ["2026-03-16", "2026-03-18"],
+    });
+    assert.deepEqual(task.importSource.externalId, "giai-tich@school");
+  });
+
+  it("RECURRENCE-ID: dời giờ, dời ngày và huỷ từng lần", () => {
+    const { tasks } = mapEvents(
+      calendar(
+        [
+          "BEGIN:VEVENT",
+          "UID:vat-ly@school",
+          "SUMMARY:Vật lý",
+          "DTSTART;TZID=Asia/Ho_Chi_Minh:20260303T130000",
+          "DTEND;TZID=Asia/Ho_Chi_Minh:20260303T150000",
+          "RRULE:FREQ=WEEKLY;COUNT=10",
+          "END:VEVENT",
+        ],
+        [
+          "BEGIN:VEVENT",
+          "UID:vat-ly@school",
+          "RECURRENCE-ID;TZID=Asia/Ho_Chi_Minh:20260317T130000",
+          "SUMMARY:Vật lý (phòng lab)",
+          "DTSTART;TZID=Asia/Ho_Chi_Minh:20260317T150000",
+          "DTEND;TZID=Asia/Ho_Chi_Minh:20260317T170000",
+          "END:VEVENT",
+        ],
+        [
+          "BEGIN:VEVENT",
+          "UID:vat-ly@school",
+          "RECURRENCE-ID;TZID=Asia/Ho_Chi_Minh:20260324T130000",
+          "SUMMARY:Vật lý",
+          "DTSTART;TZID=Asia/Ho_Chi_Minh:20260326T130000",
+          "DTEND;TZID=Asia/Ho_Chi_Minh:20260326T150000",
+          "END:VEVENT",
+        ],
+        [
+          "BEGIN:VEVENT",
+          "UID:vat-ly@school",
+          "RECURRENCE-ID;TZID=Asia/Ho_Chi_Minh:20260331T130000",
+          "STATUS:CANCELLED",
+          "END:VEVENT",
+        ]
+      )
+    );
+
+    const [task] = tasks;
+    // COUNT=10 tính từ T3 03/03
+    assert.equal(task.recurrence.endDate, "2026-05-05");
+    assert.deepEqual(task.recurrence.dates, ["2026-03-26"]);
+    assert.deepEqual(task.recurrence.exceptionDates, ["2026-03-24", "2026-03-31"]);
+    assert.deepEqual(
+      task.occurrenceOverrides.map((o) => [o.date, o.timeRange, o.title]),
+      [
+        ["2026-03-17", { start: "15:00", end: "17:00" }, "Vật lý (phòng lab)"],
+        ["2026-03-26", { start: "13:00", end: "15:00" }, undefined],
+      ]
+    );
+  });
+
+  it("giờ UTC được quy đổi sang timezone của user, kể cả thứ trong tuần", () => {
+    // 23:00 CN UTC = 06:00 T2 giờ Việt Nam
+    const { tasks } = mapEvents(
+      calendar([
+        "BEGIN:VEVENT",
+        "UID:tieng-anh@school",
+        "SUMMARY:Tiếng Anh",
+        "DTSTART:20260301T230000Z",
+        "DURATION:PT1H30M",
+        "RRULE:FREQ=WEEKLY;BYDAY=SU",
+        "END:VEVENT",
+      ])
+    );
+
+    assert.deepEqual(tasks[0].weekdays, [1]);
+    assert.equal(tasks[0].recurrence.startDate, "2026-03-02");
+    assert.deepEqual(tasks[0].timeRange, { start: "06:00", end: "07:30" });
+  });
+
+  it("sự kiện không hỗ trợ hoặc đã qua được bỏ qua kèm lý do", () => {
+    const event = (uid, ...lines) => [
+      "BEGIN:VEVENT",
+      `UID:${uid}`,
+      "SUMMARY:Sự kiện",
+      ...lines,
+      "END:VEVENT",
+    ];
+
+    const { tasks, skipped } = mapEvents(
+      calendar(
+        event("all-day", "DTSTART;VALUE=DATE:20260320", "DTEND;VALUE=DATE:20260321"),
+        event(
+          "overnight",
+          "DTSTART;TZID=Asia/Ho_Chi_Minh:20260320T220000",
+          "DTEND;TZID=Asia/Ho_Chi_Minh:20260321T010000"
+        ),
+        event(
+          "monthly",
+          "DTSTART;TZID=Asia/Ho_Chi_Minh:20260320T080000",
+          "DTEND;TZID=Asia/Ho_Chi_Minh:20260320T090000",
+          "RRULE:FREQ=MONTHLY"
+        ),
+        event(
+          "past",
+          "DTSTART;TZID=Asia/Ho_Chi_Minh:20260301T080000",
+          "DTEND;TZID=Asia/Ho_Chi_Minh:20260301T090000"
+        )
+      )
+    );
+
+    assert.deepEqual(tasks, []);
+    assert.deepEqual(
+      skipped.map((s) => [s.externalId, s.reason]),
+      [
+        ["all-day", "All-day events are not supported"],
+        ["overnight", "Events spanning multiple days are not supported"],
+        ["monthly", "Unsupported recurrence: MONTHLY"],
+        ["past", "Event has no upcoming occurrences"],
+      ]
+    );
+  });
+
+  it("nhập lại file đã xuất: các lần diễn ra giữ nguyên", () => {
+    const userId = new mongoose.Types.ObjectId();
+    const original = new Task({
+      userId,
+      title: "Lớp Giải tích",
+      weekdays: [1, 3],
+      timeRange: { start: "07:00", end: "09:00" },
+      recurrence: {
+        startDate: "2026-03-02",
+        endDate: "2026-04-30",
+        dates: ["2026-03-14"],
+        exceptionDates: ["2026-03-16"],
+      },
+      occurrenceOverrides: [
+        { date: "2026-03-18", isCancelled: true },
+        { date: "2026-03-23", timeRange: { start: "13:00", end: "15:00" } },
+      ],
+    });
+    const content = CalendarExportService.buildCalendar([original], { timezone: TZ });
+
+    const [imported] = mapEvents(content).tasks;
+    const task = new Task({ ...imported, userId });
+
+    for (const date of getDateRange("2026-03-01", "2026-05-10")) {
+      assert.deepEqual(
+        task.getOccurrence(date, TZ)?.timeRange ?? null,
+        original.getOccurrence(date, TZ)?.timeRange ?? null,
+        date
+      );
+    }
+  });
+});
+
+describe("CalendarImportService.previewImport", () => {
+  const user = new User({
+    firebaseUid: "ics-uid",
+    email: "ics@example.com",
+    name: "Ics",
+    settings: { timezone: TZ },
+  });
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["Date"], now: new Date("2026-03-11T01:00:00Z") });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it("sự kiện đã nhập trước đó được cập nhật, không tạo task mới", async () => {
+    const importedId = new mongoose.Types.ObjectId();
+    // Lần 1: các task đã nhập từ file trước, lần 2: task đang có để kiểm tra trùng giờ
+    mock.method(Task, "find", () => ({
+      select: () => ({
+        lean: async () => [
+          { _id: importedId, importSource: { provider: "ics", externalId: "giai-tich@school" } },
+        ],
+      }),
+      lean: async () => [],
+    }));
+
+    const preview = await CalendarImportService.previewImport(
+      user,
+      calendar([
+        "BEGIN:VEVENT",
+        "UID:giai-tich@school",
+        "SUMMARY:Giải tích",
+        "DTSTART;TZID=Asia/Ho_Chi_Minh:20260316T070000",
+        "DTEND;TZID=Asia/Ho_Chi_Minh:20260316T090000",
+        "END:VEVENT",
+      ])
+    );
+
+    assert.equal(preview.calendarName, "TKB HK2");
+    assert.deepEqual(
+      preview.items.map((item) => [item.action, item.taskId]),
+      [["update", importedId]]
+    );
+  });
+
+  it("nội dung không phải iCalendar => 400", async () => {
+    await assert.rejects(
+      CalendarImportService.previewImport(user, "not a calendar"),
+      { status: 400, message: "Invalid iCalendar content" }
+    );
+  });
+});
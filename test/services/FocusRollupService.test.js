@@ -0,0 +1,75 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Task } from "../../src/models/Task.js";
+import { FocusSession } from "../../src/models/FocusSession.js";
+import { FocusRollupService } from "../../src/services/FocusRollupService.js";
+
+const TZ = "Asia/Ho_Chi_Minh";
+const userId = new mongoose.Types.ObjectId();
+const goalId = new mongoose.Types.ObjectId();
+
+describe("FocusRollupService.getRollup", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("so sánh số phút thực tế với dự kiến theo ngày, task và goal", async () => {
+    const study = new Task({
+      userId,
+      learningGoalId: goalId,
+      isAutoGenerated: true,
+      sessionType: "study",
+      title: "Giải tích - Session 1",
+      weekdays: [1, 3],
+      timeRange: { start: "19:00", end: "19:45" },
+    }).toObject();
+    const rest = new Task({
+      userId,
+      learningGoalId: goalId,
+      isAutoGenerated: true,
+      sessionType: "break",
+      title: "Nghỉ giải lao",
+      weekdays: [1, 3],
+      timeRange: { start: "19:50", end: "20:00" },
+    }).toObject();
+    const sessions = [
+      {
+        taskId: study._id,
+        learningGoalId: goalId,
+        date: "2026-03-09",
+        actualMinutes: 40,
+        interruptions: [{ reason: "phone" }],
+      },
+    ];
+    mock.method(Task, "find", () => ({ lean: async () => [study, rest] }));
+    mock.method(FocusSession, "find", () => ({ lean: async () => sessions }));
+
+    const rollup = await FocusRollupService.getRollup(userId, "2026-03-09", "2026-03-11", TZ);
+
+    assert.deepEqual(
+      rollup.byDay.map((day) => [day.date, day.plannedMinutes, day.actualMinutes]),
+      [
+        ["2026-03-09", 45, 40],
+        ["2026-03-10", 0, 0],
+        ["2026-03-11", 45, 0],
+      ]
+    );
+    assert.equal(rollup.byDay[1].completionRate, null);
+    assert.deepEqual(
+      {
+        planned: rollup.totals.plannedMinutes,
+        actual: rollup.totals.actualMinutes,
+        difference: rollup.totals.differenceMinutes,
+        rate: rollup.totals.completionRate,
+        interruptions: rollup.totals.interruptionCount,
+      },
+      { planned: 90, actual: 40, difference: -50, rate: 44, interruptions: 1 }
+    );
+    // Break không tính vào số phút dự kiến
+    assert.deepEqual(
+      rollup.byTask.map((task) => task.title),
+      ["Giải tích - Session 1"]
+    );
+    assert.equal(rollup.byGoal[0].learningGoalId, goalId.toString());
+    assert.equal(rollup.byGoal[0].sessionCount, 1);
+  });
+});
@@ -0,0 +1,152 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Task } from "../../src/models/Task.js";
+import { LearningGoal } from "../../src/models/LearningGoal.js";
+import { AutoTaskGenerator } from "../../src/services/AutoTaskGenerator.js";
+import { MissedSessionService } from "../../src/services/MissedSessionService.js";
+
+const TZ = "Asia/Ho_Chi_Minh";
+const userId = new mongoose.Types.ObjectId();
+
+describe("MissedSessionService.processMissedSessions", () => {
+  let goal;
+  let task;
+  let stored; // missedSessions đã lưu trong "DB"
+  let inserted;
+
+  function setup({ now, goalFields = {}, taskFields = {}, preferences }) {
+    goal = new LearningGoal({
+      userId,
+      subject: "Giải tích",
+      targetHoursPerDay: 1,
+      ...goalFields,
+    });
+    task = new Task({
+      userId,
+      learningGoalId: goal._id,
+      isAutoGenerated: true,
+      sessionType: "study",
+      title: "Giải tích",
+      weekdays: [1],
+      recurrence: { startDate: "2026-03-09" },
+      timeRange: { start: "19:00", end: "19:45" },
+      ...taskFields,
+    });
+
+    mock.method(AutoTaskGenerator, "getStudyConfig", async () => ({
+      ...AutoTaskGenerator.buildStudyConfig(preferences),
+      timezone: TZ,
+    }));
+    // Mỗi request đọc goal trước khi request kia kịp ghi
+    mock.method(LearningGoal, "find", async () => [
+      LearningGoal.hydrate(goal.toObject()),
+    ]);
+    mock.method(Task, "find", async () => [Task.hydrate(task.toObject())]);
+    mock.method(LearningGoal, "updateOne", async (filter, update) => {
+      await new Promise((resolve) => setImmediate(resolve));
+      if (update.$push) {
+        const entry = update.$push.missedSessions;
+        const exists = stored.some(
+          (m) => m.taskId.equals(entry.taskId) && m.date === entry.date
+        );
+        if (exists) return { modifiedCount: 0 };
+        stored.push({ ...entry });
+        return { modifiedCount: 1 };
+      }
+      const { taskId, date } = filter.missedSessions.$elemMatch;
+      const entry = stored.find((m) => m.taskId.equals(taskId) && m.date === date);
+      entry.carriedOverMinutes = update.$set["missedSessions.$.carriedOverMinutes"];
+      return { modifiedCount: 1 };
+    });
+    mock.method(Task, "insertMany", async (tasks) => {
+      inserted.push(...tasks);
+      return tasks;
+    });
+    mock.timers.enable({ apis: ["Date"], now: new Date(now) });
+  }
+
+  beforeEach(() => {
+    stored = [];
+    inserted = [];
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it("hai request song song chỉ ghi nhận và tạo phiên bù một lần", async () => {
+    // 08:00 T4 11/03 giờ Việt Nam; phiên T2 09/03 bị lỡ
+    setup({ now: "2026-03-11T01:00:00Z" });
+
+    const results = await Promise.all([
+      MissedSessionService.processMissedSessions(userId),
+      MissedSessionService.processMissedSessions(userId),
+    ]);
+
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].date, "2026-03-09");
+    assert.equal(stored[0].carriedOverMinutes, 45);
+    assert.equal(inserted.length, 1);
+    assert.equal(
+      results.reduce((sum, result) => sum + result.detected.length, 0),
+      1
+    );
+  });
+
+  it("goal theo tuần: ngày cuối tuần là ngày nghỉ => báo số phút không bù được", async () => {
+    // 08:00 T7 14/03 (ngày nghỉ); phiên T5 12/03 bị lỡ
+    setup({
+      now: "2026-03-14T01:00:00Z",
+      goalFields: { targetMode: "weekly", weeklyTargetHours: 5 },
+      taskFields: { weekdays: [4], recurrence: { startDate: "2026-03-12" } },
+      preferences: { daysOff: [6] },
+    });
+
+    const result = await MissedSessionService.processMissedSessions(userId);
+
+    assert.equal(inserted.length, 0);
+    assert.equal(stored[0].carriedOverMinutes, 0);
+    assert.deepEqual(result.unplaced, [
+      {
+        learningGoalId: goal._id.toString(),
+        subject: "Giải tích",
+        minutes: 45,
+        periodEnd: "2026-03-14",
+      },
+    ]);
+  });
+
+  it("goal theo ngày: bù sang các ngày sau, không dừng ở cuối tuần", async () => {
+    setup({
+      now: "2026-03-14T01:00:00Z",
+      taskFields: { weekdays: [4], recurrence: { startDate: "2026-03-12" } },
+      preferences: { daysOff: [6] },
+    });
+
+    const result = await MissedSessionService.processMissedSessions(userId);
+
+    assert.equal(inserted.length, 1);
+    assert.equal(inserted[0].recurrence.startDate, "2026-03-15");
+    assert.deepEqual(result.unplaced, []);
+  });
+
+  it("goal theo tổng giờ: bù tới deadline", () => {
+    const total = { targetMode: "total", deadline: "2026-04-30" };
+    const weekly = { targetMode: "weekly", deadline: "2026-03-12" };
+
+    assert.equal(
+      MissedSessionService.getCarryOverPeriodEnd(total, "2026-03-14"),
+      "2026-04-30"
+    );
+    assert.equal(
+      MissedSessionService.getCarryOverPeriodEnd(weekly, "2026-03-11"),
+      "2026-03-12"
+    );
+    assert.equal(
+      MissedSessionService.getCarryOverPeriodEnd({ targetMode: "daily" }, "2026-03-14"),
+      "2026-03-20"
+    );
+  });
+});
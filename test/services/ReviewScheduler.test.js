@@ -0,0 +1,152 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Task } from "../../src/models/Task.js";
+import { LearningGoal } from "../../src/models/LearningGoal.js";
+import { ReviewSession } from "../../src/models/ReviewSession.js";
+import { AutoTaskGenerator } from "../../src/services/AutoTaskGenerator.js";
+import { ReviewScheduler } from "../../src/services/ReviewScheduler.js";
+import { addDays } from "../../src/utils/date.js";
+
+const TZ = "Asia/Ho_Chi_Minh";
+const TODAY = "2026-03-11"; // T4
+const userId = new mongoose.Types.ObjectId();
+
+function buildReviews(task, sourceDate) {
+  return ReviewScheduler.REVIEW_INTERVALS.map((intervalDays) => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId,
+    learningGoalId: task.learningGoalId,
+    sourceTaskId: task._id,
+    sourceDate,
+    title: task.title,
+    intervalDays,
+    dueDate: addDays(sourceDate, intervalDays),
+    durationMinutes: 15,
+    status: "pending",
+  }));
+}
+
+describe("ReviewScheduler: buổi ôn được đặt lên lịch", () => {
+  let goal;
+  let studyTask;
+  let reviews;
+
+  beforeEach(() => {
+    goal = new LearningGoal({ userId, subject: "Giải tích", targetHoursPerDay: 1 });
+    studyTask = new Task({
+      userId,
+      learningGoalId: goal._id,
+      isAutoGenerated: true,
+      sessionType: "study",
+      title: "Giải tích - Giới hạn",
+      weekdays: [3],
+      recurrence: { startDate: "2026-03-04" },
+      timeRange: { start: "19:00", end: "19:45" },
+    });
+    reviews = buildReviews(studyTask, TODAY);
+
+    mock.method(AutoTaskGenerator, "getStudyConfig", async () => ({
+      ...AutoTaskGenerator.buildStudyConfig(),
+      timezone: TZ,
+    }));
+    // 08:00 T4 11/03 giờ Việt Nam
+    mock.timers.enable({ apis: ["Date"], now: new Date("2026-03-11T01:00:00Z") });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it("hoàn thành buổi học: các buổi ôn 7/14/30 ngày có trên lịch ngay", async () => {
+    mock.method(ReviewSession, "updateMany", async () => ({ modifiedCount: 0 }));
+    mock.method(ReviewSession, "bulkWrite", async () => {});
+    mock.method(ReviewSession, "find", () => ({
+      sort: () => ({ lean: async () => reviews }),
+    }));
+    mock.method(ReviewSession, "findDue", async () => reviews);
+    mock.method(LearningGoal, "findOne", async () => goal);
+    mock.method(Task, "distinct", async () => []);
+    mock.method(Task, "find", async () => [studyTask]);
+    const insertMany = mock.method(Task, "insertMany", async (tasks) => tasks);
+
+    const result = await ReviewScheduler.syncTaskCompletion(studyTask, TODAY, true);
+
+    const inserted = insertMany.mock.calls[0].arguments[0];
+    assert.deepEqual(
+      inserted.map((task) => task.recurrence.dates[0]),
+      ["2026-03-12", "2026-03-14", "2026-03-18", "2026-03-25", "2026-04-10"]
+    );
+    assert.ok(inserted.every((task) => task.sessionType === "review"));
+    // Buổi ôn T4 18/03 không đè lên buổi học T4 19:00-19:45
+    const wednesday = inserted[2];
+    assert.ok(!AutoTaskGenerator.rangesOverlap(wednesday.timeRange, studyTask.timeRange));
+    assert.deepEqual(
+      result.queued.map((review) => review.scheduledDate),
+      ["2026-03-12", "2026-03-14", "2026-03-18", "2026-03-25", "2026-04-10"]
+    );
+  });
+
+  it("buổi ôn đã có trên lịch không bị đặt lại", async () => {
+    mock.method(ReviewSession, "findDue", async () => reviews);
+    mock.method(LearningGoal, "findOne", async () => goal);
+    mock.method(Task, "distinct", async () => reviews.slice(0, 4).map((r) => r._id));
+    mock.method(Task, "find", async () => []);
+    const insertMany = mock.method(Task, "insertMany", async (tasks) => tasks);
+
+    const placed = await AutoTaskGenerator.scheduleQueuedReviews(userId, goal._id);
+
+    assert.equal(placed.length, 1);
+    assert.equal(placed[0].reviewSessionId, reviews[4]._id);
+    assert.equal(insertMany.mock.callCount(), 1);
+  });
+
+  it("goal đã tạm dừng: không đặt buổi ôn", async () => {
+    mock.method(LearningGoal, "findOne", async () => null);
+    const insertMany = mock.method(Task, "insertMany", async (tasks) => tasks);
+
+    const placed = await AutoTaskGenerator.scheduleQueuedReviews(userId, goal._id);
+
+    assert.deepEqual(placed, []);
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+
+  it("bỏ hoàn thành: huỷ buổi ôn và gỡ task ôn tập khỏi lịch", async () => {
+    const ids = reviews.map((review) => review._id);
+    mock.method(ReviewSession, "distinct", async () => ids);
+    const updateMany = mock.method(ReviewSession, "updateMany", async () => ({
+      modifiedCount: ids.length,
+    }));
+    const deleteMany = mock.method(Task, "deleteMany", async () => ({}));
+
+    const result = await ReviewScheduler.syncTaskCompletion(studyTask, TODAY, false);
+
+    assert.deepEqual(result, { cancelled: 5 });
+    assert.deepEqual(updateMany.mock.calls[0].arguments[0], {
+      _id: { $in: ids },
+      status: "pending",
+    });
+    assert.deepEqual(deleteMany.mock.calls[0].arguments, [
+      { reviewSessionId: { $in: ids }, isAutoGenerated: true },
+    ]);
+  });
+
+  it("xếp lịch goal: buổi ôn đến hạn ở các tuần sau cũng được đặt", async () => {
+    mock.method(Task, "find", async () => []);
+    mock.method(ReviewSession, "findDue", async () => reviews.slice(2));
+
+    const { tasks, report } = await AutoTaskGenerator.planTasksForLearningGoal(
+      userId,
+      goal
+    );
+
+    assert.deepEqual(
+      tasks
+        .filter((task) => task.sessionType === "review")
+        .map((task) => task.recurrence.dates[0]),
+      ["2026-03-18", "2026-03-25", "2026-04-10"]
+    );
+    assert.equal(report.unplacedReviews, 0);
+  });
+});
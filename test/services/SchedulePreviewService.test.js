@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { SchedulePreview } from "../../src/models/SchedulePreview.js";
+import { AutoTaskGenerator } from "../../src/services/AutoTaskGenerator.js";
+import { SchedulePreviewService } from "../../src/services/SchedulePreviewService.js";
+
+const userId = new mongoose.Types.ObjectId();
+const goalId = new mongoose.Types.ObjectId();
+const plan = {
+  tasks: [{ title: "Học Giải tích", weekdays: [1], timeRange: { start: "19:00", end: "19:45" } }],
+  report: { hasShortfall: false, totalShortfallMinutes: 0 },
+};
+
+describe("SchedulePreviewService preview + commit", () => {
+  let stored; // schedule_previews trong "DB"
+  let replace;
+  let saveReport;
+
+  beforeEach(() => {
+    stored = [];
+
+    mock.method(SchedulePreviewService, "getCalendarFingerprint", async () => "fp");
+    mock.method(SchedulePreview, "create", async (doc) => {
+      const preview = new SchedulePreview(doc);
+      stored.push(preview);
+      return preview;
+    });
+    // findOneAndDelete nguyên tử: chỉ một lời gọi nhận được document
+    mock.method(SchedulePreview, "findOneAndDelete", async ({ token }) => {
+      await new Promise((resolve) => setImmediate(resolve));
+      const index = stored.findIndex((preview) => preview.token === token);
+      return index === -1 ? null : stored.splice(index, 1)[0];
+    });
+    replace = mock.method(AutoTaskGenerator, "replaceAutoGeneratedTasks", async () => {});
+    saveReport = mock.method(AutoTaskGenerator, "saveSchedulingReport", async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("commit đúng kế hoạch đã preview bằng token", async () => {
+    const preview = await SchedulePreviewService.createPreview(userId, [goalId], plan);
+
+    const committed = await SchedulePreviewService.commitPreview(userId, preview.token);
+
+    assert.equal(committed.token, preview.token);
+    assert.deepEqual(replace.mock.calls[0].arguments, [userId, [goalId], plan.tasks]);
+    assert.deepEqual(saveReport.mock.calls[0].arguments, [goalId, plan.report]);
+    assert.equal(stored.length, 0);
+  });
+
+  it("hai lần commit cùng token chỉ ghi kế hoạch một lần", async () => {
+    const { token } = await SchedulePreviewService.createPreview(userId, [goalId], plan);
+
+    const results = await Promise.allSettled([
+      SchedulePreviewService.commitPreview(userId, token),
+      SchedulePreviewService.commitPreview(userId, token),
+    ]);
+
+    assert.deepEqual(
+      results.map((result) => result.status).sort(),
+      ["fulfilled", "rejected"]
+    );
+    const rejected = results.find((result) => result.status === "rejected");
+    assert.equal(rejected.reason.status, 404);
+    assert.equal(replace.mock.callCount(), 1);
+  });
+
+  it("lịch đã thay đổi => 409, preview được trả lại", async () => {
+    const { token } = await SchedulePreviewService.createPreview(userId, [goalId], plan);
+    SchedulePreviewService.getCalendarFingerprint.mock.mockImplementation(async () => "changed");
+
+    await assert.rejects(SchedulePreviewService.commitPreview(userId, token), {
+      status: 409,
+    });
+    assert.equal(replace.mock.callCount(), 0);
+    assert.equal(stored.length, 1);
+  });
+
+  it("ghi task lỗi => preview được trả lại để commit lại", async () => {
+    const { token } = await SchedulePreviewService.createPreview(userId, [goalId], plan);
+    replace.mock.mockImplementationOnce(async () => {
+      throw new Error("write failed");
+    });
+
+    await assert.rejects(SchedulePreviewService.commitPreview(userId, token), /write failed/);
+    assert.equal(stored.length, 1);
+
+    await SchedulePreviewService.commitPreview(userId, token);
+    assert.equal(replace.mock.callCount(), 2);
+  });
+
+  it("preview hết hạn => 404", async () => {
+    const preview = await SchedulePreviewService.createPreview(userId, [goalId], plan);
+    preview.expiresAt = new Date(Date.now() - 1000);
+
+    await assert.rejects(SchedulePreviewService.commitPreview(userId, preview.token), {
+      status: 404,
+    });
+    assert.equal(replace.mock.callCount(), 0);
+  });
+});
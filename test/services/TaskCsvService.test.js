@@ -0,0 +1,42 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { TaskCsvService } from "../../src/services/TaskCsvService.js";
+
+describe("TaskCsvService.parseRows", () => {
+  it("số dòng báo lỗi khớp với dòng trong file khi ô trước đó có xuống dòng", () => {
+    const content = [
+      "title,weekdays,start,end,note",
+      'Giải tích,T2,07:00,09:00,"Phòng A1',
+      'mang theo máy tính"',
+      "Vật lý,T9,07:00,09:00,",
+    ].join("\n");
+
+    const { rows } = TaskCsvService.parseRows(content);
+
+    assert.deepEqual(
+      rows.map(({ row, errors }) => [row, errors.map((e) => e.field)]),
+      [
+        [2, []],
+        [4, ["weekdays"]],
+      ]
+    );
+  });
+});
+
+describe("TaskCsvService.resolveColumns", () => {
+  const header = ["Môn học", "Thứ", "Bắt đầu", "Kết thúc"];
+
+  it("nhận vị trí cột hợp lệ", () => {
+    const columns = TaskCsvService.resolveColumns(header, { title: 0, weekdays: 1 });
+    assert.deepEqual(columns, { title: 0, weekdays: 1, start: 2, end: 3 });
+  });
+
+  for (const ref of [-1, 1.5, 4]) {
+    it(`từ chối vị trí cột ${ref}`, () => {
+      assert.throws(
+        () => TaskCsvService.resolveColumns(header, { title: ref }),
+        (error) => error.status === 400 && /does not exist/.test(error.message)
+      );
+    });
+  }
+});
@@ -0,0 +1,27 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, parseCsvRecords } from "../../src/utils/csv.js";
+
+describe("parseCsvRecords", () => {
+  it("ghi số dòng bắt đầu của từng bản ghi, kể cả khi ô có xuống dòng", () => {
+    const content = 'title,note\r\nA,"dòng 1\r\ndòng 2\ndòng 3"\r\nB,x\r\n\r\nC,y';
+
+    assert.deepEqual(
+      parseCsvRecords(content).map(({ line, cells }) => [line, cells[0]]),
+      [
+        [1, "title"],
+        [2, "A"],
+        [5, "B"],
+        [6, ""],
+        [7, "C"],
+      ]
+    );
+  });
+
+  it("parseCsv chỉ trả về các ô", () => {
+    assert.deepEqual(parseCsv("a;b\n1;2"), [
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+});
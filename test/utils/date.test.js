@@ -0,0 +1,76 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  currentMinutes,
+  getWeekDates,
+  todayKey,
+  toDateKey,
+  weekdayOf,
+} from "../../src/utils/date.js";
+
+const TZ = "Asia/Ho_Chi_Minh";
+
+// 00:00 tại Việt Nam (UTC+7) = 17:00 UTC của ngày hôm trước
+const BEFORE_MIDNIGHT = new Date("2026-03-09T16:59:00Z"); // 23:59 T2 09/03
+const AT_MIDNIGHT = new Date("2026-03-09T17:00:00Z"); // 00:00 T3 10/03
+
+describe("todayKey", () => {
+  it("đổi ngày lúc 00:00 theo giờ của user, không theo UTC", () => {
+    assert.equal(todayKey(TZ, BEFORE_MIDNIGHT), "2026-03-09");
+    assert.equal(todayKey(TZ, AT_MIDNIGHT), "2026-03-10");
+    assert.equal(todayKey("UTC", AT_MIDNIGHT), "2026-03-09");
+  });
+
+  it("dùng timezone mặc định Asia/Ho_Chi_Minh", () => {
+    assert.equal(todayKey(undefined, AT_MIDNIGHT), "2026-03-10");
+  });
+
+  it("timezone phía tây UTC vẫn ở ngày hôm trước", () => {
+    assert.equal(
+      todayKey("America/New_York", new Date("2026-03-10T03:59:00Z")),
+      "2026-03-09"
+    );
+  });
+});
+
+describe("currentMinutes", () => {
+  it("tính số phút từ 00:00 theo giờ của user", () => {
+    assert.equal(currentMinutes(TZ, BEFORE_MIDNIGHT), 23 * 60 + 59);
+    assert.equal(currentMinutes(TZ, AT_MIDNIGHT), 0);
+    assert.equal(currentMinutes("UTC", AT_MIDNIGHT), 17 * 60);
+  });
+});
+
+describe("weekdayOf", () => {
+  it("trả về thứ của date key (0 = CN)", () => {
+    assert.equal(weekdayOf("2026-03-08"), 0);
+    assert.equal(weekdayOf("2026-03-09"), 1);
+    assert.equal(weekdayOf("2026-03-14"), 6);
+  });
+
+  it("thứ của hôm nay đổi lúc 00:00 theo giờ của user", () => {
+    assert.equal(weekdayOf(todayKey(TZ, BEFORE_MIDNIGHT)), 1);
+    assert.equal(weekdayOf(todayKey(TZ, AT_MIDNIGHT)), 2);
+  });
+});
+
+describe("getWeekDates", () => {
+  it("tuần CN → T7 chứa ngày đã cho", () => {
+    assert.deepEqual(getWeekDates("2026-03-14"), [
+      "2026-03-08",
+      "2026-03-09",
+      "2026-03-10",
+      "2026-03-11",
+      "2026-03-12",
+      "2026-03-13",
+      "2026-03-14",
+    ]);
+  });
+
+  it("sang tuần mới lúc 00:00 CN theo giờ của user", () => {
+    // 17:00 UTC T7 14/03 = 00:00 CN 15/03 tại Việt Nam
+    const sundayMidnight = new Date("2026-03-14T17:00:00Z");
+    assert.equal(getWeekDates(toDateKey(sundayMidnight, TZ))[0], "2026-03-15");
+    assert.equal(getWeekDates(toDateKey(sundayMidnight, "UTC"))[0], "2026-03-08");
+  });
+});